@@ -0,0 +1,71 @@
+/**
+ * @chitrashensah/geant4-geometry
+ * Copyright (c) 2025 Chitrashen Sah
+ * Licensed under MIT License
+ */
+
+// Times the CSG booleans on chains like the one SphereGeometry runs with
+// `{ csg: true }`, finely tessellated, once splitting the BSP trees on the
+// first polygon as the original csg.js did and once with the split plane
+// heuristic.
+//
+//   npm run bench
+//   node benchmarks/csg.js 96    # segments around the sphere
+
+import * as THREE from 'three';
+import { CSG, Node } from '../src/CSGMesh.js';
+
+const segments = Number(process.argv[2]) || 48;
+
+// Shell between two spheres, cut by theta cones and a phi pie
+function sphereChain(radius) {
+  const outer = new THREE.SphereGeometry(radius, segments, segments / 2);
+  const inner = new THREE.SphereGeometry(radius / 2, segments, segments / 2);
+  const cone = new THREE.CylinderGeometry(radius * Math.tan(Math.PI / 4), 0.0001, radius, segments);
+  cone.rotateX(Math.PI / 2);
+  cone.translate(0, 0, radius / 2);
+  const pie = new THREE.Shape();
+  pie.absarc(0, 0, radius, 0, (3 * Math.PI) / 2, false);
+  pie.lineTo(0, 0);
+  const wedge = new THREE.ExtrudeGeometry(pie, { depth: 2 * radius, bevelEnabled: false, curveSegments: segments });
+  wedge.translate(0, 0, -radius);
+
+  return CSG.fromGeometry(outer)
+    .subtract(CSG.fromGeometry(inner))
+    .subtract(CSG.fromGeometry(cone))
+    .intersect(CSG.fromGeometry(wedge));
+}
+
+// Tube with cones cut out of both ends and a crossing tube added
+function coneChain(radius) {
+  const tube = new THREE.CylinderGeometry(radius, radius, 4 * radius, segments, segments / 4);
+  const upper = new THREE.CylinderGeometry(0.0001, radius * 0.8, 2 * radius, segments);
+  upper.translate(0, 1.5 * radius, 0);
+  const lower = upper.clone().rotateX(Math.PI);
+  const cross = new THREE.CylinderGeometry(radius / 2, radius / 2, 4 * radius, segments);
+  cross.rotateZ(Math.PI / 2);
+
+  return CSG.fromGeometry(tube)
+    .subtract(CSG.fromGeometry(upper))
+    .subtract(CSG.fromGeometry(lower))
+    .union(CSG.fromGeometry(cross));
+}
+
+function time(build) {
+  const start = performance.now();
+  const polygons = build().polygons.length;
+  return { ms: performance.now() - start, polygons };
+}
+
+const defaultCandidates = Node.SPLIT_CANDIDATES;
+for (const [name, build] of [['sphere chain', () => sphereChain(100)], ['cone chain', () => coneChain(100)]]) {
+  Node.SPLIT_CANDIDATES = 1;
+  const first = time(build);
+  Node.SPLIT_CANDIDATES = defaultCandidates;
+  const chosen = time(build);
+  console.log(
+    `${name} (${segments} segments): first polygon ${first.ms.toFixed(0)} ms, ${first.polygons} polygons; ` +
+      `chosen plane ${chosen.ms.toFixed(0)} ms, ${chosen.polygons} polygons; ` +
+      `${(first.ms / chosen.ms).toFixed(2)}x`
+  );
+}
@@ -18,6 +18,7 @@
  * - updated for three r150
  */
 import * as THREE from 'three';
+import { watertightGeometry } from './utils/watertight.js';
 // # class CSG
 // Holds a binary space partition tree representing a 3D solid. Two solids can
 // be combined using the `union()`, `subtract()`, and `intersect()` methods.
@@ -34,8 +35,9 @@ class CSG {
         return this.polygons;
     }
     union(csg) {
-        let a = new Node(this.clone().polygons);
-        let b = new Node(csg.clone().polygons);
+        let epsilon = CSG.tolerance(this, csg);
+        let a = new Node(this.clone().polygons, epsilon);
+        let b = new Node(csg.clone().polygons, epsilon);
         a.clipTo(b);
         b.clipTo(a);
         b.invert();
@@ -45,8 +47,9 @@ class CSG {
         return CSG.fromPolygons(a.allPolygons());
     }
     subtract(csg) {
-        let a = new Node(this.clone().polygons);
-        let b = new Node(csg.clone().polygons);
+        let epsilon = CSG.tolerance(this, csg);
+        let a = new Node(this.clone().polygons, epsilon);
+        let b = new Node(csg.clone().polygons, epsilon);
         a.invert();
         a.clipTo(b);
         b.clipTo(a);
@@ -58,8 +61,9 @@ class CSG {
         return CSG.fromPolygons(a.allPolygons());
     }
     intersect(csg) {
-        let a = new Node(this.clone().polygons);
-        let b = new Node(csg.clone().polygons);
+        let epsilon = CSG.tolerance(this, csg);
+        let a = new Node(this.clone().polygons, epsilon);
+        let b = new Node(csg.clone().polygons, epsilon);
         a.invert();
         b.clipTo(a);
         b.invert();
@@ -77,14 +81,61 @@ class CSG {
         return csg;
     }
 }
+// Tolerance of a boolean operation on the solids `csgs`: `Plane.EPSILON`
+// times the largest extent of the smallest of them, so that a model in
+// metres and the same model in micrometres are split alike, and a small
+// solid on a large one is split at its own scale. It does not go below
+// `CSG.precision()`, the rounding of the vertices.
+CSG.tolerance = function (...csgs) {
+    let sizes = csgs.map((csg) => CSG.bounds(csg).size).filter((size) => size > 0 && Number.isFinite(size));
+    if (!sizes.length)
+        return Plane.EPSILON;
+    return Math.max(Plane.EPSILON * Math.min(...sizes), CSG.precision(...csgs));
+};
+// Rounding of the vertices of the solids `csgs`, which come from single
+// precision buffers: `Plane.PRECISION` times their largest coordinate.
+CSG.precision = function (...csgs) {
+    let magnitude = Math.max(...csgs.map((csg) => CSG.bounds(csg).magnitude));
+    return magnitude > 0 && Number.isFinite(magnitude) ? Plane.PRECISION * magnitude : 0;
+};
+// Largest extent of the bounding box of `csg`, and largest coordinate.
+CSG.bounds = function (csg) {
+    let min = new Vector(Infinity, Infinity, Infinity);
+    let max = new Vector(-Infinity, -Infinity, -Infinity);
+    csg.polygons.forEach((p) => p.vertices.forEach(({ pos }) => {
+        min.x = Math.min(min.x, pos.x);
+        min.y = Math.min(min.y, pos.y);
+        min.z = Math.min(min.z, pos.z);
+        max.x = Math.max(max.x, pos.x);
+        max.y = Math.max(max.y, pos.y);
+        max.z = Math.max(max.z, pos.z);
+    }));
+    return {
+        size: Math.max(max.x - min.x, max.y - min.y, max.z - min.z),
+        magnitude: Math.max(-min.x, -min.y, -min.z, max.x, max.y, max.z),
+    };
+};
 // Construct a CSG solid from a list of `Polygon` instances.
 CSG.fromPolygons = function (polygons) {
     let csg = new CSG();
     csg.polygons = polygons;
     return csg;
 };
+// Label of the polygons of the solid `solid` made from the face `face`.
+CSG.faceLabel = function (solid, face) {
+    if (solid === undefined || solid === null)
+        return face;
+    return face === undefined || face === null ? solid : `${solid}/${face}`;
+};
+// Construct a CSG solid from a BufferGeometry. `objectIndex` labels the
+// solid: its polygons share `CSG.faceLabel(objectIndex, face)`, where `face`
+// is the label of their geometry group in `geom.userData.faceLabels`
+// (see `MeshBuilder.setFace()`). The labels survive the boolean operations
+// and come out of `CSG.toGeometry()` as groups.
 CSG.fromGeometry = function (geom, objectIndex) {
     let polys = [];
+    let faceLabels = geom.userData && geom.userData.faceLabels;
+    let groupOf = (i) => geom.groups.find((g) => i >= g.start && i < g.start + g.count);
     let posattr = geom.attributes.position;
     let normalattr = geom.attributes.normal;
     let uvattr = geom.attributes.uv;
@@ -97,9 +148,7 @@ CSG.fromGeometry = function (geom, objectIndex) {
         for (let i = 0; i < index.length; i++)
             index[i] = i;
     }
-    let triCount = (index.length / 3) | 0;
-    polys = new Array(triCount);
-    for (let i = 0, pli = 0, l = index.length; i < l; i += 3, pli++) {
+    for (let i = 0, l = index.length; i < l; i += 3) {
         let vertices = new Array(3);
         for (let j = 0; j < 3; j++) {
             let vi = index[i + j];
@@ -133,14 +182,22 @@ CSG.fromGeometry = function (geom, objectIndex) {
                     z: colorattr.array[vt + 2],
                 });
         }
-        polys[pli] = new Polygon(vertices, objectIndex);
+        let group = faceLabels && groupOf(i);
+        let polygon = new Polygon(vertices, CSG.faceLabel(objectIndex, group ? faceLabels[group.materialIndex] : undefined));
+        // Degenerate triangles have no plane to split along
+        if (Number.isFinite(polygon.plane.w))
+            polys.push(polygon);
     }
     return CSG.fromPolygons(polys);
 };
 CSG.ttvv0 = new THREE.Vector3();
 CSG.tmpm3 = new THREE.Matrix3();
+// Construct a CSG solid from a mesh placed by its `matrix`. A mirroring
+// matrix (negative scale) reverses the vertex order of the polygons, so that
+// they keep facing out.
 CSG.fromMesh = function (mesh, objectIndex) {
     let csg = CSG.fromGeometry(mesh.geometry, objectIndex);
+    let mirrored = mesh.matrix.determinant() < 0;
     CSG.tmpm3.getNormalMatrix(mesh.matrix);
     for (let i = 0; i < csg.polygons.length; i++) {
         let p = csg.polygons[i];
@@ -151,8 +208,12 @@ CSG.fromMesh = function (mesh, objectIndex) {
                 .applyMatrix4(mesh.matrix));
             v.normal.copy(CSG.ttvv0
                 .copy(new THREE.Vector3(v.normal.x, v.normal.y, v.normal.z))
-                .applyMatrix3(CSG.tmpm3));
+                .applyMatrix3(CSG.tmpm3)
+                .normalize());
         }
+        if (mirrored)
+            p.vertices.reverse();
+        p.plane = Plane.fromPoints(p.vertices[0].pos, p.vertices[1].pos, p.vertices[2].pos);
     }
     return csg;
 };
@@ -177,7 +238,20 @@ CSG.nbuf2 = (ct) => {
         },
     };
 };
-CSG.toGeometry = function (csg) {
+// Indexed, closed geometry of `csg`: vertices welded within `tolerance`
+// (by default ten times `CSG.precision(csg)`, the rounding of the
+// vertices, so that no feature of the model is welded away; the cracks
+// left by nearly coincident split planes are filled instead), coplanar
+// fragments merged, slivers and
+// T-junctions removed (see `watertightGeometry()`). With `clean: false`,
+// the triangle soup of the polygons as they are.
+//
+// Labelled polygons (`shared`) come out as one group per label, the labels
+// in `userData.faceLabels` by material index and, for each vertex, the
+// material index in the `faceId` attribute.
+CSG.toGeometry = function (csg, { clean = true, tolerance } = {}) {
+    if (clean)
+        return watertightGeometry(csg.polygons, tolerance ?? 10 * CSG.precision(csg));
     let ps = csg.polygons;
     let geom;
     let g2;
@@ -231,13 +305,17 @@ CSG.toGeometry = function (csg) {
     if (Object.keys(grps).length) {
         let index = [];
         let gbase = 0;
+        let faceIds = new Float32Array(vertices.top / 3);
         for (let gi = 0; gi < Object.keys(grps).length; gi++) {
-            const key = Number(Object.keys(grps)[gi]);
+            const key = Object.keys(grps)[gi];
             geom.addGroup(gbase, grps[key].length, gi);
             gbase += grps[key].length;
+            grps[key].forEach((v) => (faceIds[v] = gi));
             index = index.concat(grps[key]);
         }
         geom.setIndex(index);
+        geom.setAttribute('faceId', new THREE.BufferAttribute(faceIds, 1));
+        geom.userData.faceLabels = Object.keys(grps);
     }
     g2 = geom;
     return geom;
@@ -384,7 +462,7 @@ class Plane {
     // `coplanarFront` or `coplanarBack` depending on their orientation with
     // respect to this plane. Polygons in front or in back of this plane go into
     // either `front` or `back`.
-    splitPolygon(polygon, coplanarFront, coplanarBack, front, back) {
+    splitPolygon(polygon, coplanarFront, coplanarBack, front, back, epsilon = Plane.EPSILON) {
         const COPLANAR = 0;
         const FRONT = 1;
         const BACK = 2;
@@ -395,7 +473,7 @@ class Plane {
         let types = [];
         for (let i = 0; i < polygon.vertices.length; i++) {
             let t = this.normal.dot(polygon.vertices[i].pos) - this.w;
-            let type = t < -Plane.EPSILON ? BACK : t > Plane.EPSILON ? FRONT : COPLANAR;
+            let type = t < -epsilon ? BACK : t > epsilon ? FRONT : COPLANAR;
             polygonType |= type;
             types.push(type);
         }
@@ -438,8 +516,12 @@ class Plane {
     }
 }
 // `Plane.EPSILON` is the tolerance used by `splitPolygon()` to decide if a
-// point is on the plane.
+// point is on the plane. The boolean operations scale it by the size of the
+// model (see `CSG.tolerance()`), so it is relative to that size there.
 Plane.EPSILON = 1e-5;
+// Relative rounding of the vertices, a little above that of a
+// Float32Array (see `CSG.precision()`).
+Plane.PRECISION = 1e-7;
 Plane.fromPoints = function (a, b, c) {
     let n = Vector.tv0.copy(b).sub(a).cross(Vector.tv1.copy(c).sub(a)).normalize();
     return new Plane(n.clone(), n.dot(a));
@@ -473,96 +555,170 @@ class Polygon {
 // polygons) are added directly to that node and the other polygons are added to
 // the front and/or back subtrees. This is not a leafy BSP tree since there is
 // no distinction between internal and leaf nodes.
+//
+// The trees are walked with explicit stacks rather than recursion, so that
+// deep trees of finely tessellated solids cannot overflow the call stack.
+// `epsilon` is the tolerance of the plane tests in this tree.
 class Node {
-    constructor(polygons) {
+    constructor(polygons, epsilon = Plane.EPSILON) {
         this.polygons = [];
+        this.epsilon = epsilon;
         if (polygons)
             this.build(polygons);
     }
     clone() {
-        let node = new Node();
-        node.plane = this.plane && this.plane.clone();
-        node.front = this.front && this.front.clone();
-        node.back = this.back && this.back.clone();
-        node.polygons = this.polygons.map((p) => p.clone());
-        return node;
+        let root = new Node(undefined, this.epsilon);
+        let stack = [[this, root]];
+        while (stack.length) {
+            let [source, node] = stack.pop();
+            node.plane = source.plane && source.plane.clone();
+            node.polygons = source.polygons.map((p) => p.clone());
+            if (source.front)
+                stack.push([source.front, (node.front = new Node(undefined, this.epsilon))]);
+            if (source.back)
+                stack.push([source.back, (node.back = new Node(undefined, this.epsilon))]);
+        }
+        return root;
+    }
+    // Every node of the tree, parents before children and front subtrees
+    // before back subtrees.
+    nodes() {
+        let nodes = [];
+        let stack = [this];
+        while (stack.length) {
+            let node = stack.pop();
+            nodes.push(node);
+            node.back && stack.push(node.back);
+            node.front && stack.push(node.front);
+        }
+        return nodes;
     }
     // Convert solid space to empty space and empty space to solid space.
     invert() {
-        for (let i = 0; i < this.polygons.length; i++)
-            this.polygons[i].flip();
-        this.plane && this.plane.flip();
-        this.front && this.front.invert();
-        this.back && this.back.invert();
-        let temp = this.front;
-        this.front = this.back;
-        this.back = temp;
-    }
-    // Recursively remove all polygons in `polygons` that are inside this BSP
-    // tree.
+        this.nodes().forEach((node) => {
+            for (let i = 0; i < node.polygons.length; i++)
+                node.polygons[i].flip();
+            node.plane && node.plane.flip();
+            let temp = node.front;
+            node.front = node.back;
+            node.back = temp;
+        });
+    }
+    // Remove all polygons in `polygons` that are inside this BSP tree.
     clipPolygons(polygons) {
         if (!this.plane)
             return polygons.slice();
-        let front = [], back = [];
-        for (let i = 0; i < polygons.length; i++) {
-            this.plane.splitPolygon(polygons[i], front, back, front, back);
+        let result = [];
+        let stack = [[this, polygons]];
+        while (stack.length) {
+            let [node, list] = stack.pop();
+            let front = [], back = [];
+            for (let i = 0; i < list.length; i++) {
+                node.plane.splitPolygon(list[i], front, back, front, back, this.epsilon);
+            }
+            // Back first, so that front fragments come out first as they
+            // did with recursion
+            if (node.back && back.length)
+                stack.push([node.back, back]);
+            if (node.front)
+                front.length && stack.push([node.front, front]);
+            else
+                for (let i = 0; i < front.length; i++)
+                    result.push(front[i]);
         }
-        if (this.front)
-            front = this.front.clipPolygons(front);
-        if (this.back)
-            back = this.back.clipPolygons(back);
-        else
-            back = [];
-        //return front;
-        return front.concat(back);
+        return result;
     }
     // Remove all polygons in this BSP tree that are inside the other BSP tree
     // `bsp`.
     clipTo(bsp) {
-        this.polygons = bsp.clipPolygons(this.polygons);
-        if (this.front)
-            this.front.clipTo(bsp);
-        if (this.back)
-            this.back.clipTo(bsp);
+        this.nodes().forEach((node) => {
+            node.polygons = bsp.clipPolygons(node.polygons);
+        });
     }
     // Return a list of all polygons in this BSP tree.
     allPolygons() {
-        let polygons = this.polygons.slice();
-        if (this.front)
-            polygons = polygons.concat(this.front.allPolygons());
-        if (this.back)
-            polygons = polygons.concat(this.back.allPolygons());
+        let polygons = [];
+        this.nodes().forEach((node) => {
+            for (let i = 0; i < node.polygons.length; i++)
+                polygons.push(node.polygons[i]);
+        });
         return polygons;
     }
     // Build a BSP tree out of `polygons`. When called on an existing tree, the
     // new polygons are filtered down to the bottom of the tree and become new
-    // nodes there. Each set of polygons is partitioned using the first polygon
-    // (no heuristic is used to pick a good split).
+    // nodes there. Each set of polygons is partitioned along the plane chosen
+    // by `Node.choosePlane()`.
     build(polygons) {
-        if (!polygons.length)
-            return;
-        if (!this.plane)
-            this.plane = polygons[0].plane.clone();
-        let front = [], back = [];
-        for (let i = 0; i < polygons.length; i++) {
-            this.plane.splitPolygon(polygons[i], this.polygons, this.polygons, front, back);
+        let stack = [[this, polygons]];
+        while (stack.length) {
+            let [node, list] = stack.pop();
+            if (!list.length)
+                continue;
+            if (!node.plane)
+                node.plane = Node.choosePlane(list, this.epsilon).clone();
+            let front = [], back = [];
+            for (let i = 0; i < list.length; i++) {
+                node.plane.splitPolygon(list[i], node.polygons, node.polygons, front, back, this.epsilon);
+            }
+            if (front.length) {
+                if (!node.front)
+                    node.front = new Node(undefined, this.epsilon);
+                stack.push([node.front, front]);
+            }
+            if (back.length) {
+                if (!node.back)
+                    node.back = new Node(undefined, this.epsilon);
+                stack.push([node.back, back]);
+            }
         }
-        if (front.length) {
-            if (!this.front)
-                this.front = new Node();
-            this.front.build(front);
+    }
+}
+// Number of polygons tried as split plane, and of polygons they are scored
+// on. A `SPLIT_CANDIDATES` of 1 always splits on the first polygon, as the
+// original csg.js did.
+Node.SPLIT_CANDIDATES = 12;
+Node.SPLIT_SAMPLES = 96;
+// Cost of a split polygon against one polygon of imbalance between the
+// front and back lists.
+Node.SPLIT_WEIGHT = 4;
+// Plane of one of `polygons` that splits few of the others and leaves the
+// front and back lists balanced, judged on an evenly spread sample.
+Node.choosePlane = function (polygons, epsilon = Plane.EPSILON) {
+    let count = Math.min(Node.SPLIT_CANDIDATES, polygons.length);
+    if (count <= 1)
+        return polygons[0].plane;
+    let sampleStride = Math.max(1, Math.floor(polygons.length / Node.SPLIT_SAMPLES));
+    let best = polygons[0].plane;
+    let bestCost = Infinity;
+    for (let c = 0; c < count; c++) {
+        let plane = polygons[Math.floor((c * polygons.length) / count)].plane;
+        let front = 0, back = 0, spanning = 0;
+        for (let i = 0; i < polygons.length; i += sampleStride) {
+            let vertices = polygons[i].vertices;
+            let type = 0;
+            for (let j = 0; j < vertices.length; j++) {
+                let t = plane.normal.dot(vertices[j].pos) - plane.w;
+                type |= t < -epsilon ? 2 : t > epsilon ? 1 : 0;
+            }
+            if (type === 1)
+                front++;
+            else if (type === 2)
+                back++;
+            else if (type === 3)
+                spanning++;
         }
-        if (back.length) {
-            if (!this.back)
-                this.back = new Node();
-            this.back.build(back);
+        let cost = Node.SPLIT_WEIGHT * spanning + Math.abs(front - back);
+        if (cost < bestCost) {
+            best = plane;
+            bestCost = cost;
         }
     }
-}
+    return best;
+};
 Node.fromJSON = function (json) {
     return CSG.fromPolygons(json.polygons.map((p) => new Polygon(p.vertices.map((v) => new Vertex(v.pos, v.normal, v.uv)), p.shared)));
 };
-export { CSG, Vertex, Vector, Polygon, Plane };
+export { CSG, Vertex, Vector, Polygon, Plane, Node };
 // Return a new CSG solid representing space in either this solid or in the
 // solid `csg`. Neither this solid nor the solid `csg` are modified.
 //
@@ -0,0 +1,533 @@
+/**
+ * @chitrashensah/geant4-geometry
+ * Copyright (c) 2025 Chitrashen Sah
+ * Licensed under MIT License
+ */
+
+import * as THREE from 'three';
+import { childPlacements } from '../utils/instances.js';
+import { placementOf } from '../utils/placement.js';
+import { trianglesOf } from '../utils/sampling.js';
+import { findOpenEdges } from '../utils/watertight.js';
+
+const RAD_TO_DEG = 180 / Math.PI;
+
+/**
+ * Exporter writing a volume tree built from this package's geometries as
+ * GDML (Geometry Description Markup Language) for Geant4.
+ *
+ * Every THREE.Mesh becomes a logical volume placed by a `<physvol>` in its
+ * parent, every other THREE.Group an `<assembly>`; objects of other kinds
+ * (lights, cameras, ...) are skipped. The solid is written from the
+ * geometry's `parameters` with `lunit="mm"` and `aunit="deg"`, boolean
+ * geometries as `<union>`, `<subtraction>`, `<intersection>` or
+ * `<multiUnion>` of their operands, reflected ones as `<reflectedSolid>`,
+ * the vertices of `<tessellated>` solids as `<position>` defines. A
+ * closed mesh of another geometry, such as THREE.TorusGeometry, is written
+ * as a `<tessellated>` solid of its triangles. Meshes sharing geometry,
+ * material and daughters share one logical volume. Each instance of a THREE.InstancedMesh
+ * is a `<physvol>` of its own, with the copy number in
+ * `userData.copyNumbers`, as drawn for replicated volumes by
+ * PhysicalVolume.toObject3D().
+ *
+ * The world volume is
+ * - the exported object itself when it is a mesh,
+ * - the world of a group returned by GDMLLoader, or
+ * - otherwise a box enclosing the object's children, which are placed in it
+ *   (the transform of the exported object itself is ignored).
+ *
+ * Materials are referenced by their `name`. Definitions read by GDMLLoader
+ * (kept in `material.userData.gdml`) are written out together with the
+ * elements and isotopes they use; other names are left for Geant4 to
+ * resolve, e.g. from its NIST database (`G4_AIR`, `G4_Si`, ...).
+ *
+ *   const text = new GDMLExporter().parse(detector);
+ */
+class GDMLExporter {
+
+  /**
+   * @param {THREE.Object3D} object
+   * @param {Object} [options]
+   * @param {string} [options.worldMaterial='G4_Galactic'] - Material of a generated world box
+   * @param {string} [options.defaultMaterial='G4_AIR'] - Material of meshes without a named material
+   * @param {Map<string, Object>} [options.materials] - Material, element and isotope definitions by
+   *   name, as in the `userData` of a GDMLLoader result (used by default when exporting one)
+   * @returns {string} The GDML document
+   */
+  parse(object, options = {}) {
+    const writer = new GDMLWriter(object, options);
+    return writer.write();
+  }
+}
+
+/**
+ * State of one export: names given out and the sections written so far.
+ */
+class GDMLWriter {
+
+  constructor(root, options) {
+    this.root = root;
+    this.worldMaterial = options.worldMaterial ?? 'G4_Galactic';
+    this.defaultMaterial = options.defaultMaterial ?? 'G4_AIR';
+    this.definitions = new Map();
+    const maps = options.materials
+      ? [options.materials]
+      : [root.userData.elements, root.userData.materials].filter(Boolean);
+    maps.forEach((map) => map.forEach((value, key) => this.definitions.set(key, value)));
+
+    this.names = { position: new Set(), solid: new Set(), volume: new Set() };
+    this.solidNames = new Map();
+    this.volumeNames = new Map();
+    this.materialNames = new Set();
+    this.defines = [];
+    this.materials = [];
+    this.solids = [];
+    this.volumes = [];
+  }
+
+  write() {
+    const world = this.world();
+
+    const lines = [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      '<gdml xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance" ' +
+        'xsi:noNamespaceSchemaLocation="http://service-spi.web.cern.ch/service-spi/app/releases/GDML/schema/gdml.xsd">',
+    ];
+    const block = (tag, body) => {
+      if (!body.length) lines.push(`  <${tag}/>`);
+      else lines.push(`  <${tag}>`, ...body.map((line) => `    ${line}`), `  </${tag}>`);
+    };
+    block('define', this.defines);
+    block('materials', this.materials);
+    block('solids', this.solids);
+    block('structure', this.volumes);
+    lines.push(
+      '  <setup name="Default" version="1.0">',
+      `    <world ref=${attribute(world)}/>`,
+      '  </setup>',
+      '</gdml>',
+      ''
+    );
+    return lines.join('\n');
+  }
+
+  // Write the volume tree and return the name of the world volume.
+  world() {
+    const root = this.root;
+    if (root.isMesh) return this.volume(root);
+
+    const loaded = root.userData.world && root.children.find((child) => child.userData.logicalVolume === root.userData.world);
+    if (loaded) return this.volume(loaded);
+
+    root.updateMatrixWorld(true);
+    const bounds = new THREE.Box3();
+    root.children.forEach((child) => bounds.expandByObject(child));
+    if (bounds.isEmpty()) throw new Error('GDMLExporter: nothing to export');
+    const half = bounds.max.clone().max(bounds.min.clone().negate()).multiplyScalar(1.1);
+    const solid = this.uniqueName('solid', 'WorldBox');
+    this.solids.push(element('box', { name: solid, x: 2 * half.x, y: 2 * half.y, z: 2 * half.z, lunit: 'mm' }));
+
+    const name = this.uniqueName('volume', 'World');
+    const physvols = childPlacements(root).flatMap((placement) => this.physvol(placement));
+    this.volumes.push(...volumeElement(name, this.materialRef(this.worldMaterial), solid, physvols, []));
+    return name;
+  }
+
+  // Lines of the <physvol> of a placement from childPlacements(), none for
+  // unsupported objects.
+  physvol({ object, matrix, copyNumber, instance }) {
+    if (!object.isMesh && !object.isGroup) return [];
+    const volume = this.volume(object, instance);
+    const attributes = { name: object.name || undefined };
+    if (Number.isInteger(copyNumber) && copyNumber !== 0) attributes.copynumber = copyNumber;
+    const body = [`<volumeref ref=${attribute(volume)}/>`];
+
+    // Objects placed as they are keep their exact transform
+    let { position, quaternion, scale } = object;
+    if (!matrix.equals(object.matrix)) {
+      [position, quaternion, scale] = [new THREE.Vector3(), new THREE.Quaternion(), new THREE.Vector3()];
+      matrix.decompose(position, quaternion, scale);
+    }
+    if (position.x || position.y || position.z) {
+      body.push(element('position', { x: position.x, y: position.y, z: position.z, unit: 'mm' }));
+    }
+    // GDML rotations turn the frame, i.e. the inverse of the object rotation.
+    const euler = new THREE.Euler().setFromQuaternion(quaternion, 'XYZ');
+    if (euler.x || euler.y || euler.z) {
+      body.push(element('rotation', { x: degrees(-euler.x), y: degrees(-euler.y), z: degrees(-euler.z), unit: 'deg' }));
+    }
+    if (scale.x !== 1 || scale.y !== 1 || scale.z !== 1) {
+      body.push(element('scale', { x: scale.x, y: scale.y, z: scale.z }));
+    }
+    const list = attributeList(attributes);
+    return [`<physvol${list ? ` ${list}` : ''}>`, ...body.map((line) => `  ${line}`), '</physvol>'];
+  }
+
+  // Write the logical volume (or assembly) of `object`, or of its instance
+  // `instance`, and its daughters, reusing an identical one written before.
+  // Returns its name.
+  volume(object, instance = -1) {
+    const physvols = childPlacements(object, instance).flatMap((placement) => this.physvol(placement));
+    const auxiliary = (object.userData.auxiliary || []).map((aux) =>
+      element('auxiliary', { auxtype: aux.type, auxvalue: aux.value })
+    );
+    const solid = object.isMesh ? this.solid(object.geometry) : null;
+    const material = object.isMesh ? this.material(object) : null;
+
+    const key = JSON.stringify([solid, material, physvols, auxiliary]);
+    if (this.volumeNames.has(key)) return this.volumeNames.get(key);
+
+    const base = object.userData.logicalVolume || object.name || (object.isMesh ? solid : 'Assembly');
+    const name = this.uniqueName('volume', base);
+    this.volumeNames.set(key, name);
+    if (object.isMesh) {
+      this.volumes.push(...volumeElement(name, material, solid, physvols, auxiliary));
+    } else {
+      this.volumes.push(`<assembly name=${attribute(name)}>`, ...physvols.map((line) => `  ${line}`), '</assembly>');
+    }
+    return name;
+  }
+
+  material(mesh) {
+    const material = Array.isArray(mesh.material) ? mesh.material[0] : mesh.material;
+    if (material && material.userData.gdml) this.definitions.set(material.name, material.userData.gdml);
+    return this.materialRef((material && material.name) || mesh.userData.material || this.defaultMaterial);
+  }
+
+  // Write the definition of material, element or isotope `name`, after the
+  // ones it is made of, when known. Returns the name.
+  materialRef(name) {
+    if (this.materialNames.has(name)) return name;
+    this.materialNames.add(name);
+    const definition = this.definitions.get(name);
+    if (!definition) return name;
+
+    const components = (definition.components || []).map((component) => {
+      const tag = component.n !== undefined ? 'composite' : 'fraction';
+      const n = component.n !== undefined ? component.n : component.fraction;
+      return element(tag, { n, ref: this.materialRef(component.ref) });
+    });
+    const type = definition.type || 'material';
+    const attributes = { name, formula: definition.formula, Z: definition.Z };
+    if (type === 'isotope') attributes.N = definition.N;
+    if (type === 'material') attributes.state = definition.state;
+    const body = [];
+    if (type === 'material' && definition.density !== undefined) {
+      body.push(element('D', { value: definition.density, unit: 'g/cm3' }));
+    }
+    if (definition.temperature !== undefined) body.push(element('T', { value: definition.temperature, unit: 'K' }));
+    if (definition.pressure !== undefined) body.push(element('P', { value: definition.pressure, unit: 'atmosphere' }));
+    if (definition.atomicMass !== undefined) body.push(element('atom', { value: definition.atomicMass }));
+    body.push(...components);
+    this.materials.push(`<${type} ${attributeList(attributes)}>`, ...body.map((line) => `  ${line}`), `</${type}>`);
+    return name;
+  }
+
+  // Write the solid of `geometry` (once per geometry) and return its name.
+  solid(geometry) {
+    if (this.solidNames.has(geometry)) return this.solidNames.get(geometry);
+    const description = solidElement(geometry) || meshElement(geometry);
+    if (!description) {
+      throw new Error(`GDMLExporter: unsupported geometry ${geometry.type}${geometry.name ? ` '${geometry.name}'` : ''}`);
+    }
+
+    const children = [];
+    if (description.boolean) {
+      const { first, second, rotation, translation, firstRotation, firstTranslation } = geometry.parameters;
+      children.push(element('first', { ref: this.solid(first) }), element('second', { ref: this.solid(second) }));
+      children.push(
+        ...placementElements('', translation, rotation),
+        ...placementElements('first', firstTranslation, firstRotation)
+      );
+    }
+    const nodes = description.multiUnion ? geometry.parameters.nodes.map((node) => this.solid(node.geometry)) : [];
+    const reflected = description.reflected ? this.solid(geometry.parameters.solid) : undefined;
+
+    const name = this.uniqueName('solid', geometry.name || geometry.type.replace(/Geometry$/, ''));
+    this.solidNames.set(geometry, name);
+    const attributes = { name, solid: reflected, ...description.attributes };
+    nodes.forEach((ref, i) => {
+      const { rotation, translation } = geometry.parameters.nodes[i];
+      children.push(
+        `<multiUnionNode name=${attribute(`${name}_node${i}`)}>`,
+        `  <solid ref=${attribute(ref)}/>`,
+        ...placementElements('', translation, rotation).map((line) => `  ${line}`),
+        '</multiUnionNode>'
+      );
+    });
+    if (description.facets) children.push(...this.facets(name, description.facets));
+    children.push(...(description.children || []));
+    if (!children.length) {
+      this.solids.push(element(description.tag, attributes));
+    } else {
+      this.solids.push(
+        `<${description.tag} ${attributeList(attributes)}>`,
+        ...children.map((line) => `  ${line}`),
+        `</${description.tag}>`
+      );
+    }
+    return name;
+  }
+
+  // Facet elements of a tessellated solid, writing each distinct vertex once
+  // as a <position> define.
+  facets(solid, facets) {
+    const vertices = new Map();
+    const vertex = ([x, y, z]) => {
+      const key = `${x},${y},${z}`;
+      if (!vertices.has(key)) {
+        const name = this.uniqueName('position', `${solid}_v${vertices.size}`);
+        this.defines.push(element('position', { name, x, y, z, unit: 'mm' }));
+        vertices.set(key, name);
+      }
+      return vertices.get(key);
+    };
+    return facets.map((facet) => {
+      const attributes = {};
+      facet.forEach((v, i) => (attributes[`vertex${i + 1}`] = vertex(v)));
+      return element(facet.length === 3 ? 'triangular' : 'quadrangular', { ...attributes, type: 'ABSOLUTE' });
+    });
+  }
+
+  uniqueName(kind, base) {
+    const used = this.names[kind];
+    let name = base;
+    for (let i = 1; used.has(name); i++) name = `${base}_${i}`;
+    used.add(name);
+    return name;
+  }
+}
+
+/**
+ * GDML tag, attributes and child elements describing `geometry`, or null
+ * when its type is not known. Lengths are in millimeters, angles in degrees.
+ */
+function solidElement(geometry) {
+  const p = geometry.parameters;
+  if (!p) return null;
+  const mm = { lunit: 'mm' };
+  const mmDeg = { lunit: 'mm', aunit: 'deg' };
+
+  switch (geometry.type) {
+    case 'BoxGeometry':
+      if (p.pX === undefined) return null;
+      return { tag: 'box', attributes: { x: 2 * p.pX, y: 2 * p.pY, z: 2 * p.pZ, ...mm } };
+    case 'TubsGeometry':
+      return {
+        tag: 'tube',
+        attributes: { rmin: p.pRMin, rmax: p.pRMax, z: 2 * p.pDz, startphi: p.pSPhi, deltaphi: p.pDPhi, ...mmDeg },
+      };
+    case 'ConsGeometry':
+      return {
+        tag: 'cone',
+        attributes: {
+          rmin1: p.pRmin1,
+          rmax1: p.pRmax1,
+          rmin2: p.pRmin2,
+          rmax2: p.pRmax2,
+          z: 2 * p.pDz,
+          startphi: p.pSPhi,
+          deltaphi: p.pDPhi,
+          ...mmDeg,
+        },
+      };
+    case 'SphereGeometry':
+      if (p.pRMax === undefined) return null;
+      return {
+        tag: 'sphere',
+        attributes: {
+          rmin: p.pRMin,
+          rmax: p.pRMax,
+          starttheta: p.pSTheta,
+          deltatheta: p.pDTheta,
+          startphi: p.pSPhi,
+          deltaphi: p.pDPhi,
+          ...mmDeg,
+        },
+      };
+    case 'PolyconeGeometry':
+    case 'PolyhedraGeometry': {
+      const polyhedra = geometry.type === 'PolyhedraGeometry';
+      const attributes = { startphi: p.phiStart, deltaphi: p.phiTotal };
+      if (polyhedra) attributes.numsides = p.numSide;
+      Object.assign(attributes, mmDeg);
+      if (p.zPlane) {
+        return {
+          tag: polyhedra ? 'polyhedra' : 'polycone',
+          attributes,
+          children: p.zPlane.map((z, i) => element('zplane', { rmin: p.rInner[i], rmax: p.rOuter[i], z })),
+        };
+      }
+      return {
+        tag: polyhedra ? 'genericPolyhedra' : 'genericPolycone',
+        attributes,
+        children: p.r.map((r, i) => element('rzpoint', { r, z: p.z[i] })),
+      };
+    }
+    case 'TrdGeometry':
+      return {
+        tag: 'trd',
+        attributes: { x1: 2 * p.pdx1, x2: 2 * p.pdx2, y1: 2 * p.pdy1, y2: 2 * p.pdy2, z: 2 * p.pdz, ...mm },
+      };
+    case 'TrapGeometry':
+      return {
+        tag: 'trap',
+        attributes: {
+          z: 2 * p.pDz,
+          theta: p.pTheta,
+          phi: p.pPhi,
+          y1: 2 * p.pDy1,
+          x1: 2 * p.pDx1,
+          x2: 2 * p.pDx2,
+          alpha1: p.pAlp1,
+          y2: 2 * p.pDy2,
+          x3: 2 * p.pDx3,
+          x4: 2 * p.pDx4,
+          alpha2: p.pAlp2,
+          ...mmDeg,
+        },
+      };
+    case 'ParaGeometry':
+      return {
+        tag: 'para',
+        attributes: { x: 2 * p.pDx, y: 2 * p.pDy, z: 2 * p.pDz, alpha: p.pAlpha, theta: p.pTheta, phi: p.pPhi, ...mmDeg },
+      };
+    case 'GenericTrapGeometry': {
+      const attributes = {};
+      p.vertices.forEach(([x, y], i) => {
+        attributes[`v${i + 1}x`] = x;
+        attributes[`v${i + 1}y`] = y;
+      });
+      return { tag: 'arb8', attributes: { ...attributes, dz: p.halfZ, ...mm } };
+    }
+    case 'TorusGeometry':
+      if (p.pRtor === undefined) return null;
+      return {
+        tag: 'torus',
+        attributes: { rmin: p.pRmin, rmax: p.pRmax, rtor: p.pRtor, startphi: p.pSPhi, deltaphi: p.pDPhi, ...mmDeg },
+      };
+    case 'EllipsoidGeometry':
+      return {
+        tag: 'ellipsoid',
+        attributes: {
+          ax: p.pxSemiAxis,
+          by: p.pySemiAxis,
+          cz: p.pzSemiAxis,
+          zcut1: p.pzBottomCut,
+          zcut2: p.pzTopCut,
+          ...mm,
+        },
+      };
+    case 'EllipticalTubeGeometry':
+      return { tag: 'eltube', attributes: { dx: p.Dx, dy: p.Dy, dz: p.Dz, ...mm } };
+    case 'EllipticalConeGeometry':
+      return { tag: 'elcone', attributes: { dx: p.xSemiAxis, dy: p.ySemiAxis, zmax: p.zheight, zcut: p.pzTopCut, ...mm } };
+    case 'ParaboloidGeometry':
+      return { tag: 'paraboloid', attributes: { rlo: p.rlo, rhi: p.rhi, dz: p.dz, ...mm } };
+    case 'HypeGeometry':
+      return {
+        tag: 'hype',
+        attributes: {
+          rmin: p.innerRadius,
+          rmax: p.outerRadius,
+          inst: p.innerStereo,
+          outst: p.outerStereo,
+          z: 2 * p.halfLenZ,
+          ...mmDeg,
+        },
+      };
+    case 'TessellatedGeometry':
+      return { tag: 'tessellated', attributes: {}, facets: p.facets };
+    case 'ExtrudedGeometry':
+      return {
+        tag: 'xtru',
+        attributes: mm,
+        children: [
+          ...p.polygon.map(([x, y]) => element('twoDimVertex', { x, y })),
+          ...p.zSections.map(({ z, offset, scale }, i) =>
+            element('section', { zOrder: i, zPosition: z, xOffset: offset[0], yOffset: offset[1], scalingFactor: scale })
+          ),
+        ],
+      };
+    case 'ReflectedGeometry': {
+      const { position, rotation, scale } = placementOf(new THREE.Matrix4().fromArray(p.matrix));
+      const [sx, sy, sz] = scale.map(Math.round);
+      const [rx, ry, rz] = rotation.map(degrees);
+      const [dx, dy, dz] = position;
+      return { tag: 'reflectedSolid', attributes: { sx, sy, sz, rx, ry, rz, dx, dy, dz, ...mmDeg }, reflected: true };
+    }
+    case 'UnionGeometry':
+      return { tag: 'union', attributes: {}, boolean: true };
+    case 'SubtractionGeometry':
+      return { tag: 'subtraction', attributes: {}, boolean: true };
+    case 'IntersectionGeometry':
+      return { tag: 'intersection', attributes: {}, boolean: true };
+    case 'MultiUnionGeometry':
+      return { tag: 'multiUnion', attributes: {}, multiUnion: true };
+    default:
+      return null;
+  }
+}
+
+/**
+ * `<tessellated>` solid of the triangles of `geometry`, for the closed
+ * meshes solidElement() does not know, such as THREE.TorusGeometry; null
+ * for open or empty meshes.
+ */
+function meshElement(geometry) {
+  if (!geometry.attributes.position || findOpenEdges(geometry).length > 0) return null;
+  const facets = trianglesOf(geometry)
+    .filter((triangle) => triangle.getArea() > 0)
+    .map(({ a, b, c }) => [a, b, c].map((v) => v.toArray()));
+  return facets.length >= 4 ? { tag: 'tessellated', attributes: {}, facets } : null;
+}
+
+// <position> and <rotation> children placing an operand of a boolean solid.
+function placementElements(prefix, translation, rotation) {
+  const lines = [];
+  if (translation.some((v) => v !== 0)) {
+    lines.push(element(`${prefix}position`, { x: translation[0], y: translation[1], z: translation[2], unit: 'mm' }));
+  }
+  if (rotation.some((v) => v !== 0)) {
+    lines.push(element(`${prefix}rotation`, { x: rotation[0], y: rotation[1], z: rotation[2], unit: 'deg' }));
+  }
+  return lines;
+}
+
+function volumeElement(name, material, solid, physvols, auxiliary) {
+  return [
+    `<volume name=${attribute(name)}>`,
+    `  <materialref ref=${attribute(material)}/>`,
+    `  <solidref ref=${attribute(solid)}/>`,
+    ...physvols.map((line) => `  ${line}`),
+    ...auxiliary.map((line) => `  ${line}`),
+    '</volume>',
+  ];
+}
+
+// Radians to degrees, dropping the rounding noise of the conversion.
+function degrees(radians) {
+  return Number((radians * RAD_TO_DEG).toPrecision(15));
+}
+
+function element(tag, attributes) {
+  return `<${tag} ${attributeList(attributes)}/>`;
+}
+
+function attributeList(attributes) {
+  return Object.entries(attributes)
+    .filter(([, value]) => value !== undefined)
+    .map(([key, value]) => `${key}=${attribute(value)}`)
+    .join(' ');
+}
+
+function attribute(value) {
+  const text = String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+  return `"${text}"`;
+}
+
+export { GDMLExporter };
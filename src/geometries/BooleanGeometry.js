@@ -0,0 +1,262 @@
+/**
+ * @chitrashensah/geant4-geometry
+ * Copyright (c) 2025 Chitrashen Sah
+ * Licensed under MIT License
+ */
+
+import * as THREE from 'three';
+import { SolidGeometry } from './SolidGeometry.js';
+import { CSG } from '../CSGMesh.js';
+import { BoxGeometry } from './BoxGeometry.js';
+import { geometryToJSON, geometryFromJSON } from './registry.js';
+import { degToRad } from '../utils/angles.js';
+import { placementMatrix } from '../utils/placement.js';
+import { unitScales } from '../utils/units.js';
+import { TransformedRegion } from '../navigation/regions.js';
+
+/**
+ * Base class of the boolean solids, the equivalent of Geant4's
+ * G4BooleanSolid. The result is evaluated through CSG; the operands and the
+ * placement of the second one stay in `parameters`, so the composition can
+ * be serialized and evaluated again.
+ *
+ * As for the Geant4 constructors taking a G4RotationMatrix, `rotation`
+ * rotates the frame of the second solid: the angles (in degrees) are
+ * applied about x, then y, then z, and the solid is turned by the inverse.
+ * `translation` moves the second solid, in millimeters. `firstRotation`
+ * and `firstTranslation` place the first solid the same way; Geant4 does
+ * this by wrapping it in a G4DisplacedSolid.
+ *
+ * The navigation queries combine those of the operands, which must then be
+ * solids of this library.
+ *
+ * @param {THREE.BufferGeometry} first - First operand
+ * @param {THREE.BufferGeometry} second - Second operand
+ * @param {number[]} [rotation=[0, 0, 0]] - Frame rotation of the second operand in degrees
+ * @param {number[]|THREE.Vector3} [translation=[0, 0, 0]] - Position of the second operand in millimeters
+ * @param {number[]} [firstRotation=[0, 0, 0]] - Frame rotation of the first operand in degrees
+ * @param {number[]|THREE.Vector3} [firstTranslation=[0, 0, 0]] - Position of the first operand in millimeters
+ * @param {Object} [options]
+ * @param {number|string} [options.lengthUnit='mm'] - Unit of the translations, such as 'cm' or UNITS.cm
+ * @param {number|string} [options.angleUnit='deg'] - Unit of the rotations, such as 'rad'
+ * @param {boolean} [options.evaluate=true] - Evaluate the composition now; when false the mesh stays empty until evaluate(), e.g. to build it with a GeometryWorkerPool
+ */
+class BooleanGeometry extends SolidGeometry {
+
+  constructor(
+    first = new BoxGeometry(),
+    second = new BoxGeometry(0.5, 0.5, 2),
+    rotation = [0, 0, 0],
+    translation = [0, 0, 0],
+    firstRotation = [0, 0, 0],
+    firstTranslation = [0, 0, 0],
+    options = {}
+  ) {
+    super();
+
+    const { length, angle } = unitScales(options, 'BooleanGeometry');
+    const rotated = (angles) => toArray(angles).map((a) => a * angle);
+    const moved = (position) => toArray(position).map((v) => v * length);
+
+    this.type = 'BooleanGeometry';
+    this.parameters = {
+      first,
+      second,
+      rotation: rotated(rotation),
+      translation: moved(translation),
+      firstRotation: rotated(firstRotation),
+      firstTranslation: moved(firstTranslation),
+    };
+  }
+
+  /**
+   * Combine the operands, already placed, as CSG solids.
+   *
+   * @param {CSG} first
+   * @param {CSG} second
+   * @returns {CSG}
+   */
+  combine(first, second) {
+    throw new Error(`${this.type}: combine() is not implemented`);
+  }
+
+  /**
+   * Combine the regions of the operands, already placed.
+   *
+   * @param {Region} first
+   * @param {Region} second
+   * @returns {Region}
+   */
+  combineRegions(first, second) {
+    throw new Error(`${this.type}: combineRegions() is not implemented`);
+  }
+
+  createRegion() {
+    const { first, second, rotation, translation, firstRotation, firstTranslation } = this.parameters;
+    [first, second].forEach((operand) => {
+      if (!(operand instanceof SolidGeometry)) {
+        throw new TypeError(`${this.type}: navigation needs SolidGeometry operands, got ${operand.type}`);
+      }
+    });
+    return this.combineRegions(
+      placedRegion(first, firstRotation, firstTranslation),
+      placedRegion(second, rotation, translation)
+    );
+  }
+
+  /**
+   * Evaluate the composition from the current `parameters`.
+   *
+   * @returns {this}
+   */
+  evaluate() {
+    const { first, second, rotation, translation, firstRotation, firstTranslation } = this.parameters;
+    [first, second].forEach((operand) => {
+      if (!(operand && operand.isBufferGeometry)) {
+        throw new TypeError(`${this.type}: operands must be BufferGeometry instances`);
+      }
+    });
+    const result = this.combine(
+      placedCSG(first, firstRotation, firstTranslation, first.name || 'first'),
+      placedCSG(second, rotation, translation, second.name || 'second')
+    );
+    setBuffers(this, CSG.toGeometry(result));
+    this.invalidate();
+    return this;
+  }
+
+  /**
+   * Rebuild the operands from their `parameters`, then evaluate the
+   * composition again. Call it after changing the parameters of an operand
+   * or of the composition:
+   *
+   *   union.parameters.second.parameters.pRMax = 20;
+   *   union.update();
+   *
+   * @returns {this}
+   */
+  update() {
+    updateOperand(this.parameters.first);
+    updateOperand(this.parameters.second);
+    return this.evaluate();
+  }
+
+  /**
+   * The same composition of the operands meshed with other tessellation
+   * settings (see SolidGeometry.withTessellation()).
+   *
+   * @param {Object} [tessellation={}]
+   * @returns {BooleanGeometry}
+   */
+  withTessellation(tessellation = {}) {
+    const { first, second, rotation, translation, firstRotation, firstTranslation } = this.parameters;
+    const geometry = new this.constructor(
+      tessellateOperand(first, tessellation),
+      tessellateOperand(second, tessellation),
+      rotation,
+      translation,
+      firstRotation,
+      firstTranslation
+    );
+    geometry.name = this.name;
+    return geometry;
+  }
+
+  // The operands are copied too, so that updating those of a clone leaves
+  // the source as it is
+  copy(source) {
+    super.copy(source);
+    const p = source.parameters;
+    this.parameters = {
+      first: p.first.clone(),
+      second: p.second.clone(),
+      rotation: p.rotation.slice(),
+      translation: p.translation.slice(),
+      firstRotation: p.firstRotation.slice(),
+      firstTranslation: p.firstTranslation.slice(),
+    };
+    return this;
+  }
+
+  toJSON() {
+    const data = super.toJSON();
+    data.first = geometryToJSON(this.parameters.first);
+    data.second = geometryToJSON(this.parameters.second);
+    return data;
+  }
+
+  static fromJSON(data) {
+    return new this(
+      geometryFromJSON(data.first),
+      geometryFromJSON(data.second),
+      data.rotation,
+      data.translation,
+      data.firstRotation,
+      data.firstTranslation
+    );
+  }
+}
+
+function toArray(vector) {
+  return Array.isArray(vector) ? vector.slice(0, 3) : [vector.x, vector.y, vector.z];
+}
+
+/**
+ * CSG solid of `geometry` placed with a frame rotation in degrees and a
+ * translation in millimeters, its faces labelled `label` (see
+ * CSG.fromGeometry()).
+ */
+function placedCSG(geometry, rotation, translation, label) {
+  const matrix = placementMatrix({ position: translation, rotation: rotation.map(degToRad) });
+  return CSG.fromGeometry(geometry.clone().applyMatrix4(matrix), label);
+}
+
+/**
+ * Region of `geometry` placed like placedCSG().
+ */
+function placedRegion(geometry, rotation, translation) {
+  const region = geometry.getRegion();
+  if (rotation.every((a) => a === 0) && translation.every((x) => x === 0)) return region;
+  return new TransformedRegion(region, placementMatrix({ position: translation, rotation: rotation.map(degToRad) }));
+}
+
+/**
+ * Regenerate a geometry from its `parameters`: solids of this library
+ * through their update(), other parametric ones through their class'
+ * fromJSON().
+ */
+function updateOperand(geometry) {
+  if (typeof geometry.update === 'function') {
+    geometry.update();
+  } else if (geometry.parameters && typeof geometry.constructor.fromJSON === 'function') {
+    const name = geometry.name;
+    geometry.copy(geometry.constructor.fromJSON(geometry.parameters));
+    geometry.name = name;
+  }
+}
+
+/**
+ * `geometry` meshed with other tessellation settings when it is a solid of
+ * this library, itself otherwise.
+ */
+function tessellateOperand(geometry, tessellation) {
+  return typeof geometry.withTessellation === 'function' ? geometry.withTessellation(tessellation) : geometry;
+}
+
+// Replace the buffers of `target` with those of `source`, or with copies
+// of them when `source` is shared.
+function setBuffers(target, source, { copy = false } = {}) {
+  const take = (attribute) => (copy && attribute ? attribute.clone() : attribute);
+  Object.keys(target.attributes).forEach((name) => target.deleteAttribute(name));
+  Object.entries(source.attributes).forEach(([name, attribute]) => target.setAttribute(name, take(attribute)));
+  target.setIndex(take(source.index));
+  target.clearGroups();
+  source.groups.forEach((group) => target.addGroup(group.start, group.count, group.materialIndex));
+  const { faceLabels } = source.userData;
+  target.userData = { ...target.userData, faceLabels: copy && faceLabels ? faceLabels.slice() : faceLabels };
+  if (!target.userData.faceLabels) delete target.userData.faceLabels;
+  target.boundingBox = null;
+  target.boundingSphere = null;
+}
+
+export { BooleanGeometry, placedCSG, placedRegion, updateOperand, tessellateOperand, setBuffers };
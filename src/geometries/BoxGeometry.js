@@ -0,0 +1,101 @@
+/**
+ * @chitrashensah/geant4-geometry
+ * Copyright (c) 2025 Chitrashen Sah
+ * Licensed under MIT License
+ */
+
+import * as THREE from 'three';
+import { SolidGeometry } from './SolidGeometry.js';
+import { MeshBuilder } from '../utils/MeshBuilder.js';
+import { addHexahedron, hexahedronRegion, hexahedronPointOnSurface } from '../utils/hexahedron.js';
+import { unitScales } from '../utils/units.js';
+
+/**
+ * Cuboid given by its half lengths. Equivalent to Geant4's G4Box.
+ *
+ * @param {number} pX - Half length in x in millimeters
+ * @param {number} pY - Half length in y in millimeters
+ * @param {number} pZ - Half length in z in millimeters
+ * @param {Object} [options]
+ * @param {number|string} [options.lengthUnit='mm'] - Unit of the lengths, such as 'cm' or UNITS.cm
+ */
+class BoxGeometry extends SolidGeometry {
+
+  constructor(pX = 1, pY = 1, pZ = 1, options = {}) {
+    super();
+
+    const { length } = unitScales(options, 'BoxGeometry');
+    [pX, pY, pZ] = [pX, pY, pZ].map((v) => v * length);
+
+    this.type = 'BoxGeometry';
+    this.parameters = {
+      pX,
+      pY,
+      pZ,
+    };
+
+    if (!(pX > 0 && pY > 0 && pZ > 0)) {
+      throw new RangeError(`BoxGeometry: invalid dimensions pX = ${pX}, pY = ${pY}, pZ = ${pZ}`);
+    }
+
+    const builder = new MeshBuilder();
+    addHexahedron(builder, this.getVertices());
+    builder.applyTo(this);
+  }
+
+  /**
+   * The eight vertices in the order of G4Box::GetVertices.
+   *
+   * @returns {THREE.Vector3[]}
+   */
+  getVertices() {
+    const { pX, pY, pZ } = this.parameters;
+    return [
+      new THREE.Vector3(-pX, -pY, -pZ),
+      new THREE.Vector3(pX, -pY, -pZ),
+      new THREE.Vector3(-pX, pY, -pZ),
+      new THREE.Vector3(pX, pY, -pZ),
+      new THREE.Vector3(-pX, -pY, pZ),
+      new THREE.Vector3(pX, -pY, pZ),
+      new THREE.Vector3(-pX, pY, pZ),
+      new THREE.Vector3(pX, pY, pZ),
+    ];
+  }
+
+  createRegion() {
+    return hexahedronRegion(this.getVertices());
+  }
+
+  getCubicVolume() {
+    const { pX, pY, pZ } = this.parameters;
+    return 8 * pX * pY * pZ;
+  }
+
+  getSurfaceArea() {
+    const { pX, pY, pZ } = this.parameters;
+    return 8 * (pX * pY + pY * pZ + pZ * pX);
+  }
+
+  /**
+   * Random point on the surface, uniform by area over the faces.
+   *
+   * @param {function(): number} [random=Math.random]
+   * @param {THREE.Vector3} [target]
+   * @returns {THREE.Vector3}
+   */
+  getPointOnSurface(random = Math.random, target = new THREE.Vector3()) {
+    return hexahedronPointOnSurface(this.getVertices(), random, target);
+  }
+
+  copy(source) {
+    super.copy(source);
+    this.parameters = Object.assign({}, source.parameters);
+    return this;
+  }
+
+  static fromJSON(data) {
+    return new BoxGeometry(data.pX, data.pY, data.pZ);
+  }
+}
+
+export { BoxGeometry };
@@ -0,0 +1,160 @@
+/**
+ * @chitrashensah/geant4-geometry
+ * Copyright (c) 2025 Chitrashen Sah
+ * Licensed under MIT License
+ */
+
+import * as THREE from 'three';
+import { SolidGeometry } from './SolidGeometry.js';
+import { MeshBuilder } from '../utils/MeshBuilder.js';
+import { revolve } from '../utils/revolve.js';
+import { linePoints } from '../utils/profile.js';
+import { degToRad, normalizePhi } from '../utils/angles.js';
+import { ConicalRegion, ComplementRegion, intersectionOf, zSlab, phiSegmentRegion } from '../navigation/regions.js';
+import { unitScales } from '../utils/units.js';
+import { pointOnConicalSection } from '../utils/sampling.js';
+import { tessellationOptions, radialSegmentsFor, lineSegmentsFor } from '../utils/tessellation.js';
+
+/**
+ * Conical section geometry with inner/outer radii at both ends and a phi
+ * segment. Equivalent to Geant4's G4Cons.
+ *
+ * @param {number} pRmin1 - Inner radius at -pDz in millimeters
+ * @param {number} pRmax1 - Outer radius at -pDz in millimeters
+ * @param {number} pRmin2 - Inner radius at +pDz in millimeters
+ * @param {number} pRmax2 - Outer radius at +pDz in millimeters
+ * @param {number} pDz - Half length in z in millimeters
+ * @param {number} pSPhi - Starting phi angle in degrees
+ * @param {number} pDPhi - Delta phi angle in degrees
+ * @param {Object} [options]
+ * @param {number|string} [options.lengthUnit='mm'] - Unit of the lengths, such as 'cm' or UNITS.cm
+ * @param {number|string} [options.angleUnit='deg'] - Unit of the angles, such as 'rad'
+ * @param {number} [options.radialSegments] - Segments around z over the phi extent
+ * @param {number} [options.heightSegments=1] - Segments along z on the inner and outer walls
+ * @param {number} [options.chordTolerance] - Largest distance between the outer surface and its chords, setting the radial segments
+ */
+class ConsGeometry extends SolidGeometry {
+
+  constructor(pRmin1 = 0, pRmax1 = 1, pRmin2 = 0, pRmax2 = 1, pDz = 1, pSPhi = 0, pDPhi = 360, options = {}) {
+    super();
+
+    const { length, angle } = unitScales(options, 'ConsGeometry');
+    [pRmin1, pRmax1, pRmin2, pRmax2, pDz] = [pRmin1, pRmax1, pRmin2, pRmax2, pDz].map((v) => v * length);
+    [pSPhi, pDPhi] = [pSPhi, pDPhi].map((a) => a * angle);
+
+    this.type = 'ConsGeometry';
+    this.parameters = {
+      pRmin1,
+      pRmax1,
+      pRmin2,
+      pRmax2,
+      pDz,
+      pSPhi,
+      pDPhi,
+    };
+    const tessellation = tessellationOptions(options, length, 'ConsGeometry');
+    if (tessellation) this.parameters.tessellation = tessellation;
+
+    if (!(pDz > 0)) {
+      throw new RangeError(`ConsGeometry: invalid half length pDz = ${pDz}`);
+    }
+    if (
+      !(pRmin1 >= 0 && pRmin2 >= 0 && pRmin1 <= pRmax1 && pRmin2 <= pRmax2) ||
+      (pRmin1 === pRmax1 && pRmin2 === pRmax2)
+    ) {
+      throw new RangeError(
+        `ConsGeometry: invalid radii pRmin1 = ${pRmin1}, pRmax1 = ${pRmax1}, pRmin2 = ${pRmin2}, pRmax2 = ${pRmax2}`
+      );
+    }
+
+    const phi = normalizePhi(degToRad(pSPhi), degToRad(pDPhi));
+
+    // Profile in the (r, z) half plane, counter-clockwise, the walls cut
+    // into rows along z
+    const rows = lineSegmentsFor(tessellation);
+    const profile = [
+      [{ r: pRmin1, z: -pDz }, { r: pRmax1, z: -pDz }],
+      linePoints({ r: pRmax1, z: -pDz }, { r: pRmax2, z: pDz }, rows),
+      [{ r: pRmax2, z: pDz }, { r: pRmin2, z: pDz }],
+      linePoints({ r: pRmin2, z: pDz }, { r: pRmin1, z: -pDz }, rows),
+    ];
+
+    const builder = new MeshBuilder();
+    revolve(builder, [profile], {
+      phiStart: phi.sPhi,
+      phiLength: phi.dPhi,
+      segments: radialSegmentsFor(tessellation, phi.dPhi, Math.max(pRmax1, pRmax2)),
+      faces: [['-z', 'outer', '+z', 'inner']],
+    });
+    builder.applyTo(this);
+  }
+
+  createRegion() {
+    const { pRmin1, pRmax1, pRmin2, pRmax2, pDz, pSPhi, pDPhi } = this.parameters;
+    const phi = normalizePhi(degToRad(pSPhi), degToRad(pDPhi));
+    // Radius r1 at -pDz growing linearly to r2 at +pDz
+    const cone = (r1, r2) => new ConicalRegion((r2 - r1) / (2 * pDz), (r1 + r2) / 2);
+    return intersectionOf([
+      cone(pRmax1, pRmax2),
+      pRmin1 > 0 || pRmin2 > 0 ? new ComplementRegion(cone(pRmin1, pRmin2)) : null,
+      ...zSlab(-pDz, pDz),
+      phiSegmentRegion(phi.sPhi, phi.dPhi),
+    ]);
+  }
+
+  getCubicVolume() {
+    const { pRmin1, pRmax1, pRmin2, pRmax2, pDz, pSPhi, pDPhi } = this.parameters;
+    const phi = normalizePhi(degToRad(pSPhi), degToRad(pDPhi));
+    const outer = pRmax1 * pRmax1 + pRmax2 * pRmax2 + pRmax1 * pRmax2;
+    const inner = pRmin1 * pRmin1 + pRmin2 * pRmin2 + pRmin1 * pRmin2;
+    return (phi.dPhi * pDz * (outer - inner)) / 3;
+  }
+
+  getSurfaceArea() {
+    const { pRmin1, pRmax1, pRmin2, pRmax2, pDz, pSPhi, pDPhi } = this.parameters;
+    const phi = normalizePhi(degToRad(pSPhi), degToRad(pDPhi));
+    const mMin = (pRmin1 + pRmin2) / 2;
+    const mMax = (pRmax1 + pRmax2) / 2;
+    const area =
+      phi.dPhi *
+      (mMin * Math.hypot(pRmin2 - pRmin1, 2 * pDz) +
+        mMax * Math.hypot(pRmax2 - pRmax1, 2 * pDz) +
+        0.5 * (pRmax1 * pRmax1 - pRmin1 * pRmin1 + pRmax2 * pRmax2 - pRmin2 * pRmin2));
+    return phi.fullPhi ? area : area + 4 * pDz * (mMax - mMin);
+  }
+
+  /**
+   * Random point on the surface, uniform by area over the walls, the end
+   * caps and the phi planes.
+   *
+   * @param {function(): number} [random=Math.random]
+   * @param {THREE.Vector3} [target]
+   * @returns {THREE.Vector3}
+   */
+  getPointOnSurface(random = Math.random, target = new THREE.Vector3()) {
+    const { pRmin1, pRmax1, pRmin2, pRmax2, pDz, pSPhi, pDPhi } = this.parameters;
+    const phi = normalizePhi(degToRad(pSPhi), degToRad(pDPhi));
+    return pointOnConicalSection({ rMin1: pRmin1, rMax1: pRmax1, rMin2: pRmin2, rMax2: pRmax2, dz: pDz, ...phi }, random, target);
+  }
+
+  copy(source) {
+    super.copy(source);
+    this.parameters = Object.assign({}, source.parameters);
+    return this;
+  }
+
+  static fromJSON(data) {
+    return new ConsGeometry(
+      data.pRmin1,
+      data.pRmax1,
+      data.pRmin2,
+      data.pRmax2,
+      data.pDz,
+      data.pSPhi,
+      data.pDPhi,
+      data.tessellation
+    );
+  }
+}
+
+export { ConsGeometry };
@@ -0,0 +1,156 @@
+/**
+ * @chitrashensah/geant4-geometry
+ * Copyright (c) 2025 Chitrashen Sah
+ * Licensed under MIT License
+ */
+
+import { SolidGeometry } from './SolidGeometry.js';
+import { MeshBuilder } from '../utils/MeshBuilder.js';
+import { revolve, arcSegmentsFor } from '../utils/revolve.js';
+import { arcPoints } from '../utils/profile.js';
+import { TWO_PI } from '../utils/angles.js';
+import { Ball, ScaledRegion, intersectionOf, zSlab } from '../navigation/regions.js';
+import { integrate, integratePeriodic } from '../utils/measure.js';
+import { unitScales } from '../utils/units.js';
+import { tessellationOptions, radialSegmentsFor, curveSegmentsFor } from '../utils/tessellation.js';
+
+/**
+ * Ellipsoid with optional cuts in z. Equivalent to Geant4's G4Ellipsoid.
+ *
+ * As in Geant4, leaving both cuts at zero means no cut; otherwise each cut
+ * is clamped to the z semi-axis.
+ *
+ * @param {number} pxSemiAxis - Semi-axis in x in millimeters
+ * @param {number} pySemiAxis - Semi-axis in y in millimeters
+ * @param {number} pzSemiAxis - Semi-axis in z in millimeters
+ * @param {number} [pzBottomCut=0] - Lower cut plane in z in millimeters
+ * @param {number} [pzTopCut=0] - Upper cut plane in z in millimeters
+ * @param {Object} [options]
+ * @param {number|string} [options.lengthUnit='mm'] - Unit of the lengths, such as 'cm' or UNITS.cm
+ * @param {number} [options.radialSegments] - Segments around z
+ * @param {number} [options.heightSegments] - Segments of the arc between the cuts
+ * @param {number} [options.chordTolerance] - Largest distance between the surface and its chords, setting the segments not given
+ */
+class EllipsoidGeometry extends SolidGeometry {
+
+  constructor(pxSemiAxis = 1, pySemiAxis = 1, pzSemiAxis = 1, pzBottomCut = 0, pzTopCut = 0, options = {}) {
+    super();
+
+    const { length } = unitScales(options, 'EllipsoidGeometry');
+    [pxSemiAxis, pySemiAxis, pzSemiAxis, pzBottomCut, pzTopCut] = [pxSemiAxis, pySemiAxis, pzSemiAxis, pzBottomCut, pzTopCut].map((v) => v * length);
+
+    this.type = 'EllipsoidGeometry';
+    this.parameters = {
+      pxSemiAxis,
+      pySemiAxis,
+      pzSemiAxis,
+      pzBottomCut,
+      pzTopCut,
+    };
+    const tessellation = tessellationOptions(options, length, 'EllipsoidGeometry');
+    if (tessellation) this.parameters.tessellation = tessellation;
+
+    if (!(pxSemiAxis > 0 && pySemiAxis > 0 && pzSemiAxis > 0)) {
+      throw new RangeError(
+        `EllipsoidGeometry: invalid semi-axes ${pxSemiAxis}, ${pySemiAxis}, ${pzSemiAxis}`
+      );
+    }
+
+    const c = pzSemiAxis;
+    const { zBottom, zTop } = ellipsoidCuts(pzSemiAxis, pzBottomCut, pzTopCut);
+
+    // Profile of a sphere of radius c between the cuts, later stretched in x and y
+    const a0 = Math.asin(zBottom / c);
+    const a1 = Math.asin(zTop / c);
+    // Segment counts are those of the widest section once stretched
+    const a = Math.max(pxSemiAxis, pySemiAxis);
+    const ellipse = (t) => ({ r: a * Math.cos(t), z: c * Math.sin(t) });
+    const segments = curveSegmentsFor(tessellation, ellipse, a0, a1, arcSegmentsFor(a1 - a0));
+    const arc = arcPoints(0, 0, c, a0, a1, segments);
+    const bottom = arc[0];
+    const top = arc[arc.length - 1];
+    const profile = [
+      [{ r: 0, z: zBottom }, { r: bottom.r, z: zBottom }],
+      arc,
+      [{ r: top.r, z: zTop }, { r: 0, z: zTop }],
+    ];
+
+    const builder = new MeshBuilder();
+    revolve(builder, [profile], { segments: radialSegmentsFor(tessellation, TWO_PI, a) });
+    builder.scale(pxSemiAxis / c, pySemiAxis / c, 1).applyTo(this);
+  }
+
+  createRegion() {
+    const { pxSemiAxis, pySemiAxis, pzSemiAxis, pzBottomCut, pzTopCut } = this.parameters;
+    const { zBottom, zTop } = ellipsoidCuts(pzSemiAxis, pzBottomCut, pzTopCut);
+    const [bottom, top] = zSlab(zBottom, zTop);
+    return intersectionOf([
+      new ScaledRegion(new Ball(1), pxSemiAxis, pySemiAxis, pzSemiAxis),
+      zBottom > -pzSemiAxis ? bottom : null,
+      zTop < pzSemiAxis ? top : null,
+    ]);
+  }
+
+  getCubicVolume() {
+    const { pxSemiAxis: a, pySemiAxis: b, pzSemiAxis: c, pzBottomCut, pzTopCut } = this.parameters;
+    const { zBottom, zTop } = ellipsoidCuts(c, pzBottomCut, pzTopCut);
+    const t0 = zBottom / c;
+    const t1 = zTop / c;
+    return Math.PI * a * b * c * (t1 - t0 - (t1 ** 3 - t0 ** 3) / 3);
+  }
+
+  // The lateral surface is integrated over the cross-section ellipses at
+  // z = c t, with semi-axes a s and b s for s = sqrt(1 - t^2)
+  getSurfaceArea() {
+    const { pxSemiAxis: a, pySemiAxis: b, pzSemiAxis: c, pzBottomCut, pzTopCut } = this.parameters;
+    const { zBottom, zTop } = ellipsoidCuts(c, pzBottomCut, pzTopCut);
+    const lateral = integrate(
+      (t) =>
+        integratePeriodic((phi) => {
+          const cos = Math.cos(phi);
+          const sin = Math.sin(phi);
+          return Math.sqrt((1 - t * t) * c * c * (b * b * cos * cos + a * a * sin * sin) + a * a * b * b * t * t);
+        }, 128),
+      zBottom / c,
+      zTop / c
+    );
+    const cut = (z) => Math.PI * a * b * (1 - (z * z) / (c * c));
+    return lateral + cut(zBottom) + cut(zTop);
+  }
+
+  copy(source) {
+    super.copy(source);
+    this.parameters = Object.assign({}, source.parameters);
+    return this;
+  }
+
+  static fromJSON(data) {
+    return new EllipsoidGeometry(
+      data.pxSemiAxis,
+      data.pySemiAxis,
+      data.pzSemiAxis,
+      data.pzBottomCut,
+      data.pzTopCut,
+      data.tessellation
+    );
+  }
+}
+
+/**
+ * Cut planes of G4Ellipsoid, clamped to the ellipsoid. Two zero cuts mean
+ * no cut at all.
+ */
+function ellipsoidCuts(c, pzBottomCut, pzTopCut) {
+  let zBottom = pzBottomCut;
+  let zTop = pzTopCut;
+  if (zBottom === 0 && zTop === 0) {
+    zBottom = -c;
+    zTop = c;
+  }
+  if (zBottom >= c || zTop <= -c || zBottom >= zTop) {
+    throw new RangeError(`EllipsoidGeometry: invalid z cuts pzBottomCut = ${pzBottomCut}, pzTopCut = ${pzTopCut}`);
+  }
+  return { zBottom: Math.max(zBottom, -c), zTop: Math.min(zTop, c) };
+}
+
+export { EllipsoidGeometry };
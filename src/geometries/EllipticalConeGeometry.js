@@ -0,0 +1,124 @@
+/**
+ * @chitrashensah/geant4-geometry
+ * Copyright (c) 2025 Chitrashen Sah
+ * Licensed under MIT License
+ */
+
+import { SolidGeometry } from './SolidGeometry.js';
+import { MeshBuilder } from '../utils/MeshBuilder.js';
+import { revolve } from '../utils/revolve.js';
+import { linePoints } from '../utils/profile.js';
+import { TWO_PI } from '../utils/angles.js';
+import { ConicalRegion, ScaledRegion, intersectionOf, zSlab } from '../navigation/regions.js';
+import { integratePeriodic } from '../utils/measure.js';
+import { unitScales } from '../utils/units.js';
+import { tessellationOptions, radialSegmentsFor, lineSegmentsFor } from '../utils/tessellation.js';
+
+/**
+ * Cone with an elliptical cross-section, (x/xSemiAxis)^2 + (y/ySemiAxis)^2 =
+ * (zheight - z)^2, cut at |z| = pzTopCut. Equivalent to Geant4's
+ * G4EllipticalCone.
+ *
+ * @param {number} xSemiAxis - Semi-axis in x (dimensionless slope)
+ * @param {number} ySemiAxis - Semi-axis in y (dimensionless slope)
+ * @param {number} zheight - Height of the apex in millimeters
+ * @param {number} pzTopCut - Half length of the cut in z in millimeters
+ * @param {Object} [options]
+ * @param {number|string} [options.lengthUnit='mm'] - Unit of the lengths, such as 'cm' or UNITS.cm
+ * @param {number} [options.radialSegments] - Segments around z
+ * @param {number} [options.heightSegments=1] - Segments along z on the lateral surface
+ * @param {number} [options.chordTolerance] - Largest distance between the lateral surface and its chords, setting the radial segments
+ */
+class EllipticalConeGeometry extends SolidGeometry {
+
+  constructor(xSemiAxis = 1, ySemiAxis = 1, zheight = 2, pzTopCut = 1, options = {}) {
+    super();
+
+    const { length } = unitScales(options, 'EllipticalConeGeometry');
+    [zheight, pzTopCut] = [zheight, pzTopCut].map((v) => v * length);
+
+    this.type = 'EllipticalConeGeometry';
+    this.parameters = {
+      xSemiAxis,
+      ySemiAxis,
+      zheight,
+      pzTopCut,
+    };
+    const tessellation = tessellationOptions(options, length, 'EllipticalConeGeometry');
+    if (tessellation) this.parameters.tessellation = tessellation;
+
+    if (!(xSemiAxis > 0 && ySemiAxis > 0 && zheight > 0 && pzTopCut > 0)) {
+      throw new RangeError(
+        `EllipticalConeGeometry: invalid dimensions xSemiAxis = ${xSemiAxis}, ySemiAxis = ${ySemiAxis}, ` +
+          `zheight = ${zheight}, pzTopCut = ${pzTopCut}`
+      );
+    }
+
+    // As in Geant4 the cut never goes past the apex
+    const zCut = Math.min(pzTopCut, zheight);
+
+    // Circular cone of unit slope, later stretched in x and y
+    const rBottom = zheight + zCut;
+    const rTop = zheight - zCut;
+    const profile = [
+      [{ r: 0, z: -zCut }, { r: rBottom, z: -zCut }],
+      linePoints({ r: rBottom, z: -zCut }, { r: rTop, z: zCut }, lineSegmentsFor(tessellation)),
+      [{ r: rTop, z: zCut }, { r: 0, z: zCut }],
+    ];
+
+    const builder = new MeshBuilder();
+    revolve(builder, [profile], { segments: radialSegmentsFor(tessellation, TWO_PI, rBottom * Math.max(xSemiAxis, ySemiAxis)) });
+    builder.scale(xSemiAxis, ySemiAxis, 1).applyTo(this);
+  }
+
+  createRegion() {
+    const { xSemiAxis, ySemiAxis, zheight, pzTopCut } = this.parameters;
+    const zCut = Math.min(pzTopCut, zheight);
+    // Unit slope cone r = zheight - z, stretched in x and y
+    return intersectionOf([
+      new ScaledRegion(new ConicalRegion(-1, zheight), xSemiAxis, ySemiAxis, 1),
+      ...zSlab(-zCut, zCut),
+    ]);
+  }
+
+  getCubicVolume() {
+    const { xSemiAxis, ySemiAxis, zheight, pzTopCut } = this.parameters;
+    const zCut = Math.min(pzTopCut, zheight);
+    return (Math.PI * xSemiAxis * ySemiAxis * ((zheight + zCut) ** 3 - (zheight - zCut) ** 3)) / 3;
+  }
+
+  // The lateral surface of the cone from its apex down to depth h is
+  // h^2 times that down to depth 1
+  getSurfaceArea() {
+    const { xSemiAxis: a, ySemiAxis: b, zheight, pzTopCut } = this.parameters;
+    const zCut = Math.min(pzTopCut, zheight);
+    const bottom = (zheight + zCut) ** 2;
+    const top = (zheight - zCut) ** 2;
+    const unitLateral =
+      0.5 *
+      integratePeriodic((phi) => {
+        const cos = Math.cos(phi);
+        const sin = Math.sin(phi);
+        return Math.sqrt(b * b * cos * cos + a * a * sin * sin + a * a * b * b);
+      });
+    return unitLateral * (bottom - top) + Math.PI * a * b * (bottom + top);
+  }
+
+  copy(source) {
+    super.copy(source);
+    this.parameters = Object.assign({}, source.parameters);
+    return this;
+  }
+
+  static fromJSON(data) {
+    return new EllipticalConeGeometry(
+      data.xSemiAxis,
+      data.ySemiAxis,
+      data.zheight,
+      data.pzTopCut,
+      data.tessellation
+    );
+  }
+}
+
+export { EllipticalConeGeometry };
@@ -0,0 +1,89 @@
+/**
+ * @chitrashensah/geant4-geometry
+ * Copyright (c) 2025 Chitrashen Sah
+ * Licensed under MIT License
+ */
+
+import { SolidGeometry } from './SolidGeometry.js';
+import { MeshBuilder } from '../utils/MeshBuilder.js';
+import { revolve } from '../utils/revolve.js';
+import { linePoints } from '../utils/profile.js';
+import { TWO_PI } from '../utils/angles.js';
+import { ConicalRegion, ScaledRegion, intersectionOf, zSlab } from '../navigation/regions.js';
+import { ellipsePerimeter } from '../utils/measure.js';
+import { unitScales } from '../utils/units.js';
+import { tessellationOptions, radialSegmentsFor, lineSegmentsFor } from '../utils/tessellation.js';
+
+/**
+ * Tube with an elliptical cross-section. Equivalent to Geant4's
+ * G4EllipticalTube.
+ *
+ * @param {number} Dx - Semi-axis in x in millimeters
+ * @param {number} Dy - Semi-axis in y in millimeters
+ * @param {number} Dz - Half length in z in millimeters
+ * @param {Object} [options]
+ * @param {number|string} [options.lengthUnit='mm'] - Unit of the lengths, such as 'cm' or UNITS.cm
+ * @param {number} [options.radialSegments] - Segments around z
+ * @param {number} [options.heightSegments=1] - Segments along z on the wall
+ * @param {number} [options.chordTolerance] - Largest distance between the wall and its chords, setting the radial segments
+ */
+class EllipticalTubeGeometry extends SolidGeometry {
+
+  constructor(Dx = 1, Dy = 1, Dz = 1, options = {}) {
+    super();
+
+    const { length } = unitScales(options, 'EllipticalTubeGeometry');
+    [Dx, Dy, Dz] = [Dx, Dy, Dz].map((v) => v * length);
+
+    this.type = 'EllipticalTubeGeometry';
+    this.parameters = {
+      Dx,
+      Dy,
+      Dz,
+    };
+    const tessellation = tessellationOptions(options, length, 'EllipticalTubeGeometry');
+    if (tessellation) this.parameters.tessellation = tessellation;
+
+    if (!(Dx > 0 && Dy > 0 && Dz > 0)) {
+      throw new RangeError(`EllipticalTubeGeometry: invalid dimensions Dx = ${Dx}, Dy = ${Dy}, Dz = ${Dz}`);
+    }
+
+    // Circular tube of radius Dx, later stretched in y
+    const profile = [
+      [{ r: 0, z: -Dz }, { r: Dx, z: -Dz }],
+      linePoints({ r: Dx, z: -Dz }, { r: Dx, z: Dz }, lineSegmentsFor(tessellation)),
+      [{ r: Dx, z: Dz }, { r: 0, z: Dz }],
+    ];
+
+    const builder = new MeshBuilder();
+    revolve(builder, [profile], { segments: radialSegmentsFor(tessellation, TWO_PI, Math.max(Dx, Dy)) });
+    builder.scale(1, Dy / Dx, 1).applyTo(this);
+  }
+
+  createRegion() {
+    const { Dx, Dy, Dz } = this.parameters;
+    return intersectionOf([new ScaledRegion(new ConicalRegion(0, 1), Dx, Dy, 1), ...zSlab(-Dz, Dz)]);
+  }
+
+  getCubicVolume() {
+    const { Dx, Dy, Dz } = this.parameters;
+    return 2 * Math.PI * Dx * Dy * Dz;
+  }
+
+  getSurfaceArea() {
+    const { Dx, Dy, Dz } = this.parameters;
+    return 2 * (Math.PI * Dx * Dy + ellipsePerimeter(Dx, Dy) * Dz);
+  }
+
+  copy(source) {
+    super.copy(source);
+    this.parameters = Object.assign({}, source.parameters);
+    return this;
+  }
+
+  static fromJSON(data) {
+    return new EllipticalTubeGeometry(data.Dx, data.Dy, data.Dz, data.tessellation);
+  }
+}
+
+export { EllipticalTubeGeometry };
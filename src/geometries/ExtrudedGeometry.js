@@ -0,0 +1,101 @@
+/**
+ * @chitrashensah/geant4-geometry
+ * Copyright (c) 2025 Chitrashen Sah
+ * Licensed under MIT License
+ */
+
+import * as THREE from 'three';
+import { TessellatedGeometry } from './TessellatedGeometry.js';
+import { unitScales } from '../utils/units.js';
+
+const SQUARE = [[-1, -1], [-1, 1], [1, 1], [1, -1]];
+const SECTIONS = [{ z: -1 }, { z: 1 }];
+
+/**
+ * Extrusion of a polygon along z through a series of sections, each
+ * shifting and scaling the polygon. Equivalent to Geant4's G4ExtrudedSolid,
+ * which is a G4TessellatedSolid, as this class is a TessellatedGeometry.
+ *
+ * The polygon may be convex or not, its vertices in either order. The
+ * sections give increasing `z`, the `offset` [x, y] of the polygon and its
+ * `scale`; the side faces join consecutive sections.
+ *
+ *   // An L-shaped bar 200 mm long
+ *   const bar = new ExtrudedGeometry(
+ *     [[0, 0], [0, 30], [5, 30], [5, 5], [30, 5], [30, 0]],
+ *     [{ z: -100 }, { z: 100 }]
+ *   );
+ *   // A polygon tapering to half size and shifted along x
+ *   const taper = new ExtrudedGeometry(polygon, [{ z: 0 }, { z: 50, offset: [10, 0], scale: 0.5 }]);
+ *
+ * @param {Array<number[]|{x: number, y: number}>} polygon - (x, y) vertices in millimeters
+ * @param {Array<{z: number, offset?: number[], scale?: number}>} zSections - Sections in millimeters,
+ *   by default offset [0, 0] and scale 1
+ * @param {Object} [options]
+ * @param {number|string} [options.lengthUnit='mm'] - Unit of the lengths, such as 'cm' or UNITS.cm
+ */
+class ExtrudedGeometry extends TessellatedGeometry {
+
+  constructor(polygon = SQUARE, zSections = SECTIONS, options = {}) {
+    const { length } = unitScales(options, 'ExtrudedGeometry');
+    const parameters = {
+      polygon: polygon.map((v) => (Array.isArray(v) ? [v[0] * length, v[1] * length] : [v.x * length, v.y * length])),
+      zSections: zSections.map(({ z, offset = [0, 0], scale = 1 }) => ({
+        z: z * length,
+        offset: (Array.isArray(offset) ? offset : [offset.x, offset.y]).map((o) => o * length),
+        scale,
+      })),
+    };
+    super(extrusionFacets(parameters));
+
+    this.type = 'ExtrudedGeometry';
+    this.parameters = parameters;
+  }
+
+  getFacets() {
+    return extrusionFacets(this.parameters).map((facet) => facet.map(([x, y, z]) => new THREE.Vector3(x, y, z)));
+  }
+
+  static fromJSON(data) {
+    return new ExtrudedGeometry(data.polygon, data.zSections);
+  }
+}
+
+// Facets of the extrusion: the ends cut into triangles, a quadrangle per
+// edge of the polygon between consecutive sections.
+function extrusionFacets({ polygon, zSections }) {
+  if (polygon.length < 3) throw new RangeError(`ExtrudedGeometry: expected at least 3 vertices, got ${polygon.length}`);
+  if (zSections.length < 2) throw new RangeError(`ExtrudedGeometry: expected at least 2 sections, got ${zSections.length}`);
+  zSections.forEach(({ z, offset, scale }, i) => {
+    if (![z, offset[0], offset[1]].every(Number.isFinite) || !(scale > 0)) {
+      throw new RangeError(`ExtrudedGeometry: invalid section ${i}`);
+    }
+    if (i > 0 && !(z > zSections[i - 1].z)) throw new RangeError(`ExtrudedGeometry: z of section ${i} must exceed the previous one`);
+  });
+
+  const points = polygon.map(([x, y]) => new THREE.Vector2(x, y));
+  const area = THREE.ShapeUtils.area(points);
+  if (!(Math.abs(area) > 0)) throw new RangeError('ExtrudedGeometry: the polygon has no area');
+  // Counter-clockwise, so that the side faces face out
+  if (area < 0) points.reverse();
+
+  const sections = zSections.map(({ z, offset, scale }) => points.map((p) => [p.x * scale + offset[0], p.y * scale + offset[1], z]));
+  const bottom = sections[0];
+  const top = sections[sections.length - 1];
+  const facets = [];
+  // triangulateShape() drops a closing vertex from the array it is given
+  THREE.ShapeUtils.triangulateShape(points.slice(), []).forEach((triangle) => {
+    const [a, b, c] = THREE.ShapeUtils.isClockWise(triangle.map((k) => points[k])) ? [triangle[0], triangle[2], triangle[1]] : triangle;
+    facets.push([bottom[a], bottom[c], bottom[b]], [top[a], top[b], top[c]]);
+  });
+  for (let i = 0; i + 1 < sections.length; i++) {
+    const [lower, upper] = [sections[i], sections[i + 1]];
+    points.forEach((_, k) => {
+      const next = (k + 1) % points.length;
+      facets.push([lower[k], lower[next], upper[next], upper[k]]);
+    });
+  }
+  return facets;
+}
+
+export { ExtrudedGeometry };
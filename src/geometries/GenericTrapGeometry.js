@@ -0,0 +1,284 @@
+/**
+ * @chitrashensah/geant4-geometry
+ * Copyright (c) 2025 Chitrashen Sah
+ * Licensed under MIT License
+ */
+
+import * as THREE from 'three';
+import { SolidGeometry } from './SolidGeometry.js';
+import { MeshBuilder } from '../utils/MeshBuilder.js';
+import { TwistedSideRegion, polygonHalfSpace, intersectionOf, zSlab } from '../navigation/regions.js';
+import { integrate } from '../utils/measure.js';
+import { unitScales } from '../utils/units.js';
+import { tessellationOptions } from '../utils/tessellation.js';
+import { kCarTolerance } from '../navigation/constants.js';
+
+// Number of z slices used to tessellate a twisted side face, by default
+// and at most.
+const TWIST_SUBDIVISIONS = 16;
+const MAX_TWIST_SUBDIVISIONS = 1024;
+
+// Twist below which a side face is treated as planar, in millimeters.
+const TWIST_TOLERANCE = 1e-9;
+
+/**
+ * Arbitrary trapezoid with up to eight vertices and possibly twisted side
+ * faces. Equivalent to Geant4's G4GenericTrap.
+ *
+ * The first four (x, y) vertices lie in the plane z = -halfZ and the last
+ * four in z = +halfZ, each set ordered clockwise as in Geant4. Vertices may
+ * coincide to form wedges, pyramids or tetrahedra. A side face whose edges
+ * are not parallel is a twisted (hyperbolic paraboloid) surface.
+ *
+ * @param {number} halfZ - Half length in z in millimeters
+ * @param {Array<{x: number, y: number}|number[]>} vertices - Eight (x, y) vertices in millimeters
+ * @param {Object} [options]
+ * @param {number|string} [options.lengthUnit='mm'] - Unit of the lengths, such as 'cm' or UNITS.cm
+ * @param {number} [options.heightSegments=16] - Slices along z of twisted side faces
+ * @param {number} [options.chordTolerance] - Largest distance between twisted side faces and their triangles, setting the slices
+ */
+class GenericTrapGeometry extends SolidGeometry {
+
+  constructor(halfZ = 1, vertices = [[-1, -1], [-1, 1], [1, 1], [1, -1], [-1, -1], [-1, 1], [1, 1], [1, -1]], options = {}) {
+    super();
+
+    const { length } = unitScales(options, 'GenericTrapGeometry');
+    halfZ *= length;
+
+    this.type = 'GenericTrapGeometry';
+    this.parameters = {
+      halfZ,
+      vertices: vertices.map((v) => (Array.isArray(v) ? [v[0] * length, v[1] * length] : [v.x * length, v.y * length])),
+    };
+    const tessellation = tessellationOptions(options, length, 'GenericTrapGeometry');
+    if (tessellation) this.parameters.tessellation = tessellation;
+
+    if (!(halfZ > 0)) {
+      throw new RangeError(`GenericTrapGeometry: invalid half length halfZ = ${halfZ}`);
+    }
+    if (vertices.length !== 8) {
+      throw new RangeError(`GenericTrapGeometry: expected 8 vertices, got ${vertices.length}`);
+    }
+    if (!(this.getCubicVolume() >= kCarTolerance)) {
+      throw new RangeError('GenericTrapGeometry: the vertices enclose no volume');
+    }
+
+    const pt = this.getVertices();
+    const builder = new MeshBuilder();
+
+    // -z and +z faces
+    addCap(builder, pt.slice(0, 4), false);
+    addCap(builder, pt.slice(4, 8), true);
+
+    // Side faces: bottom edge i -> i + 1 joined to the matching top edge.
+    // When one face is twisted all of them are sliced alike, so that the
+    // shared edges match.
+    const slices = this.isTwisted() ? twistSlices(pt, tessellation) : 1;
+    for (let i = 0; i < 4; i++) {
+      const j = (i + 1) % 4;
+      addSide(builder, pt[i], pt[j], pt[i + 4], pt[j + 4], slices);
+    }
+
+    builder.applyTo(this);
+  }
+
+  /**
+   * The eight vertices as 3D points, reordered to clockwise when they were
+   * given anticlockwise, as G4GenericTrap does.
+   *
+   * @returns {THREE.Vector3[]}
+   */
+  getVertices() {
+    const { halfZ, vertices } = this.parameters;
+    const pt = vertices.map(([x, y], i) => new THREE.Vector3(x, y, i < 4 ? -halfZ : halfZ));
+    const area = signedArea(pt.slice(0, 4)) || signedArea(pt.slice(4, 8));
+    if (area > 0) {
+      [pt[1], pt[3]] = [pt[3], pt[1]];
+      [pt[5], pt[7]] = [pt[7], pt[5]];
+    }
+    return pt;
+  }
+
+  /**
+   * Whether any side face is twisted.
+   */
+  isTwisted() {
+    const pt = this.getVertices();
+    for (let i = 0; i < 4; i++) {
+      const j = (i + 1) % 4;
+      if (Math.abs(twist(pt[i], pt[j], pt[i + 4], pt[j + 4])) > TWIST_TOLERANCE) return true;
+    }
+    return false;
+  }
+
+  createRegion() {
+    const { halfZ } = this.parameters;
+    const pt = this.getVertices();
+    const box = new THREE.Box3().setFromPoints(pt);
+    const bounds = { min: box.min.toArray(), max: box.max.toArray() };
+    const sides = [];
+    for (let i = 0; i < 4; i++) {
+      const j = (i + 1) % 4;
+      const [b0, b1, t0, t1] = [pt[i], pt[j], pt[i + 4], pt[j + 4]];
+      if (b0.equals(b1) && t0.equals(t1)) continue;
+      if (Math.abs(twist(b0, b1, t0, t1)) > TWIST_TOLERANCE) {
+        sides.push(new TwistedSideRegion([b0.x, b0.y], [b1.x, b1.y], [t0.x, t0.y], [t1.x, t1.y], halfZ, bounds));
+      } else {
+        const corners = [];
+        [b0, t0, t1, b1].forEach((p) => {
+          if (!corners.some((c) => c.equals(p))) corners.push(p);
+        });
+        sides.push(polygonHalfSpace(corners));
+      }
+    }
+    return intersectionOf([...zSlab(-halfZ, halfZ), ...sides]);
+  }
+
+  // The cross-section area is quadratic in z, so Simpson's rule is exact
+  getCubicVolume() {
+    const { halfZ } = this.parameters;
+    const pt = this.getVertices();
+    const middle = [0, 1, 2, 3].map((i) => pt[i].clone().lerp(pt[i + 4], 0.5));
+    const area = (points) => Math.abs(signedArea(points));
+    return (halfZ / 3) * (area(pt.slice(0, 4)) + 4 * area(middle) + area(pt.slice(4, 8)));
+  }
+
+  // Side faces are bilinear surfaces, integrated numerically
+  getSurfaceArea() {
+    const pt = this.getVertices();
+    let area = Math.abs(signedArea(pt.slice(0, 4))) + Math.abs(signedArea(pt.slice(4, 8)));
+    for (let i = 0; i < 4; i++) {
+      const j = (i + 1) % 4;
+      area += sideArea(pt[i], pt[j], pt[i + 4], pt[j + 4]);
+    }
+    return area;
+  }
+
+  copy(source) {
+    super.copy(source);
+    this.parameters = JSON.parse(JSON.stringify(source.parameters));
+    return this;
+  }
+
+  static fromJSON(data) {
+    return new GenericTrapGeometry(data.halfZ, data.vertices, data.tessellation);
+  }
+}
+
+// Signed area in the xy plane; positive when anticlockwise.
+function signedArea(points) {
+  let area = 0;
+  for (let i = 0; i < points.length; i++) {
+    const a = points[i];
+    const b = points[(i + 1) % points.length];
+    area += a.x * b.y - b.x * a.y;
+  }
+  return area / 2;
+}
+
+// Number of z slices of the twisted side faces. A face twisted by d, cut
+// into n slices, strays at most d / (4 n) from its triangles.
+function twistSlices(pt, tessellation) {
+  if (tessellation?.heightSegments !== undefined) return tessellation.heightSegments;
+  if (tessellation?.chordTolerance === undefined) return TWIST_SUBDIVISIONS;
+  let largest = 0;
+  for (let i = 0; i < 4; i++) {
+    const j = (i + 1) % 4;
+    largest = Math.max(largest, Math.abs(twist(pt[i], pt[j], pt[i + 4], pt[j + 4])));
+  }
+  return Math.min(MAX_TWIST_SUBDIVISIONS, Math.max(1, Math.ceil(largest / (4 * tessellation.chordTolerance))));
+}
+
+// Distance of t1 from the plane through b0, b1, t0; zero for a planar face.
+function twist(b0, b1, t0, t1) {
+  const n = b1.clone().sub(b0).cross(t0.clone().sub(b0));
+  if (n.lengthSq() === 0) {
+    n.copy(t1.clone().sub(t0).cross(t0.clone().sub(b0)));
+    if (n.lengthSq() === 0) return 0;
+  }
+  return n.normalize().dot(t1.clone().sub(b0));
+}
+
+// Area of the side face joining bottom edge b0 -> b1 to top edge t0 -> t1,
+// P(u, v) = (1 - v) ((1 - u) b0 + u b1) + v ((1 - u) t0 + u t1)
+function sideArea(b0, b1, t0, t1) {
+  if (Math.abs(twist(b0, b1, t0, t1)) <= TWIST_TOLERANCE) {
+    return t1.clone().sub(b0).cross(t0.clone().sub(b1)).length() / 2;
+  }
+  const du = new THREE.Vector3();
+  const dv = new THREE.Vector3();
+  const at = (u, v) => {
+    du.copy(b1).sub(b0).multiplyScalar(1 - v).addScaledVector(t1.clone().sub(t0), v);
+    dv.copy(t0).sub(b0).multiplyScalar(1 - u).addScaledVector(t1.clone().sub(b1), u);
+    return du.cross(dv).length();
+  };
+  return integrate((v) => integrate((u) => at(u, v), 0, 1, 64), 0, 1, 64);
+}
+
+// Planar z face. The clockwise vertex order faces -z, so the top face is
+// reversed to face +z.
+function addCap(builder, points, isTop) {
+  const corners = [];
+  (isTop ? points.slice().reverse() : points).forEach((p) => {
+    if (!corners.some((c) => c.equals(p))) corners.push(p);
+  });
+  if (corners.length < 3) return;
+  const uvs = corners.map((p) => ({ x: p.x, y: p.y }));
+  builder.addPolygon(corners, uvs);
+}
+
+// Side face between the bottom edge b0 -> b1 and the top edge t0 -> t1, as a
+// single polygon or as a bilinear (twisted) patch cut into z slices.
+function addSide(builder, b0, b1, t0, t1, slices) {
+  if (b0.equals(b1) && t0.equals(t1)) return;
+
+  if (slices === 1) {
+    const corners = [];
+    [b0, t0, t1, b1].forEach((p) => {
+      if (!corners.some((c) => c.equals(p))) corners.push(p);
+    });
+    if (corners.length >= 3) {
+      builder.addPolygon(corners, [{ x: 0, y: 0 }, { x: 0, y: 1 }, { x: 1, y: 1 }, { x: 1, y: 0 }].slice(0, corners.length));
+    }
+    return;
+  }
+
+  const n = slices;
+  const point = (s, t) => {
+    const bottom = b0.clone().lerp(b1, s);
+    const top = t0.clone().lerp(t1, s);
+    return bottom.lerp(top, t);
+  };
+  // Outward normal of the patch: dP/dt x dP/ds
+  const normal = (s, t) => {
+    const ds = b1.clone().sub(b0).lerp(t1.clone().sub(t0), t);
+    const dt = t0.clone().sub(b0).lerp(t1.clone().sub(b1), s);
+    const nrm = dt.cross(ds);
+    if (nrm.lengthSq() === 0) return normal(s, 0.5);
+    return nrm.normalize();
+  };
+
+  const rows = [];
+  for (let k = 0; k <= n; k++) {
+    const t = k / n;
+    rows.push(
+      [0, 1].map((s) => {
+        const p = point(s, t);
+        const nrm = normal(s, t);
+        return builder.addVertex(p.x, p.y, p.z, nrm.x, nrm.y, nrm.z, s, t);
+      })
+    );
+  }
+  for (let k = 0; k < n; k++) {
+    const [a, d] = rows[k];
+    const [b, c] = rows[k + 1];
+    const pa = point(0, k / n);
+    const pb = point(0, (k + 1) / n);
+    const pc = point(1, (k + 1) / n);
+    const pd = point(1, k / n);
+    if (!pa.equals(pb)) builder.addTriangle(a, b, c);
+    if (!pc.equals(pd)) builder.addTriangle(a, c, d);
+  }
+}
+
+export { GenericTrapGeometry };
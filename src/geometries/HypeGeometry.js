@@ -0,0 +1,160 @@
+/**
+ * @chitrashensah/geant4-geometry
+ * Copyright (c) 2025 Chitrashen Sah
+ * Licensed under MIT License
+ */
+
+import { SolidGeometry } from './SolidGeometry.js';
+import { MeshBuilder } from '../utils/MeshBuilder.js';
+import { revolve } from '../utils/revolve.js';
+import { TWO_PI, degToRad } from '../utils/angles.js';
+import { ConicalRegion, ConicRegion, ComplementRegion, intersectionOf, zSlab } from '../navigation/regions.js';
+import { unitScales } from '../utils/units.js';
+import { tessellationOptions, radialSegmentsFor, curveSegmentsFor } from '../utils/tessellation.js';
+
+/**
+ * Tube with hyperbolic inner and outer surfaces, r^2 = R^2 + (tan(stereo) * z)^2.
+ * Equivalent to Geant4's G4Hype.
+ *
+ * @param {number} innerRadius - Inner radius at z = 0 in millimeters
+ * @param {number} outerRadius - Outer radius at z = 0 in millimeters
+ * @param {number} innerStereo - Inner stereo angle in degrees
+ * @param {number} outerStereo - Outer stereo angle in degrees
+ * @param {number} halfLenZ - Half length in z in millimeters
+ * @param {Object} [options]
+ * @param {number|string} [options.lengthUnit='mm'] - Unit of the lengths, such as 'cm' or UNITS.cm
+ * @param {number|string} [options.angleUnit='deg'] - Unit of the angles, such as 'rad'
+ * @param {number} [options.radialSegments] - Segments around z
+ * @param {number} [options.heightSegments] - Segments along z on the inner and outer surfaces
+ * @param {number} [options.chordTolerance] - Largest distance between the surfaces and their chords, setting the segments not given
+ */
+class HypeGeometry extends SolidGeometry {
+
+  constructor(innerRadius = 0, outerRadius = 1, innerStereo = 0, outerStereo = 0, halfLenZ = 1, options = {}) {
+    super();
+
+    const { length, angle } = unitScales(options, 'HypeGeometry');
+    [innerRadius, outerRadius, halfLenZ] = [innerRadius, outerRadius, halfLenZ].map((v) => v * length);
+    [innerStereo, outerStereo] = [innerStereo, outerStereo].map((a) => a * angle);
+
+    this.type = 'HypeGeometry';
+    this.parameters = {
+      innerRadius,
+      outerRadius,
+      innerStereo,
+      outerStereo,
+      halfLenZ,
+    };
+    const tessellation = tessellationOptions(options, length, 'HypeGeometry');
+    if (tessellation) this.parameters.tessellation = tessellation;
+
+    if (!(halfLenZ > 0)) {
+      throw new RangeError(`HypeGeometry: invalid half length halfLenZ = ${halfLenZ}`);
+    }
+    if (!(innerRadius >= 0 && innerRadius < outerRadius)) {
+      throw new RangeError(`HypeGeometry: invalid radii innerRadius = ${innerRadius}, outerRadius = ${outerRadius}`);
+    }
+
+    // Geant4 uses the absolute stereo angles
+    const tanIn2 = Math.tan(degToRad(Math.abs(innerStereo))) ** 2;
+    const tanOut2 = Math.tan(degToRad(Math.abs(outerStereo))) ** 2;
+    const endInnerRadius2 = innerRadius * innerRadius + tanIn2 * halfLenZ * halfLenZ;
+    const endOuterRadius2 = outerRadius * outerRadius + tanOut2 * halfLenZ * halfLenZ;
+    if (endInnerRadius2 >= endOuterRadius2) {
+      throw new RangeError(`HypeGeometry: inner stereo angle ${innerStereo} is too big`);
+    }
+
+    // Hyperbola sampled from z0 to z1; the normal follows the gradient of
+    // r^2 - tan^2 * z^2, flipped for the inner surface
+    const hyperbola = (radius, tan2, z0, z1, inward) => {
+      const sign = inward ? -1 : 1;
+      const rAt = (z) => Math.sqrt(radius * radius + tan2 * z * z);
+      const segments = curveSegmentsFor(tessellation, (z) => ({ r: rAt(z), z }), z0, z1);
+      const points = [];
+      for (let i = 0; i <= segments; i++) {
+        const z = z0 + ((z1 - z0) * i) / segments;
+        const r = rAt(z);
+        const len = Math.hypot(r, tan2 * z) || 1;
+        points.push({ r, z, nr: (sign * r) / len, nz: (-sign * tan2 * z) / len });
+      }
+      return points;
+    };
+
+    const outer = hyperbola(outerRadius, tanOut2, -halfLenZ, halfLenZ, false);
+    const inner = hyperbola(innerRadius, tanIn2, halfLenZ, -halfLenZ, true);
+    const profile = [
+      [{ r: inner[inner.length - 1].r, z: -halfLenZ }, { r: outer[0].r, z: -halfLenZ }],
+      outer,
+      [{ r: outer[outer.length - 1].r, z: halfLenZ }, { r: inner[0].r, z: halfLenZ }],
+      inner,
+    ];
+
+    const builder = new MeshBuilder();
+    revolve(builder, [profile], { segments: radialSegmentsFor(tessellation, TWO_PI, Math.sqrt(endOuterRadius2)) });
+    builder.applyTo(this);
+  }
+
+  createRegion() {
+    const { innerRadius, outerRadius, innerStereo, outerStereo, halfLenZ } = this.parameters;
+    const tanIn2 = Math.tan(degToRad(Math.abs(innerStereo))) ** 2;
+    const tanOut2 = Math.tan(degToRad(Math.abs(outerStereo))) ** 2;
+    // r^2 = radius^2 + tan^2 * z^2, a plain cylinder without stereo angle
+    const hyperboloid = (radius, tan2) =>
+      tan2 > 0 ? new ConicRegion(tan2, 0, radius * radius) : new ConicalRegion(0, radius);
+    return intersectionOf([
+      hyperboloid(outerRadius, tanOut2),
+      innerRadius > 0 || tanIn2 > 0 ? new ComplementRegion(hyperboloid(innerRadius, tanIn2)) : null,
+      ...zSlab(-halfLenZ, halfLenZ),
+    ]);
+  }
+
+  getCubicVolume() {
+    const { innerRadius, outerRadius, innerStereo, outerStereo, halfLenZ } = this.parameters;
+    const tanIn2 = Math.tan(degToRad(Math.abs(innerStereo))) ** 2;
+    const tanOut2 = Math.tan(degToRad(Math.abs(outerStereo))) ** 2;
+    const radii = outerRadius * outerRadius - innerRadius * innerRadius;
+    return 2 * Math.PI * halfLenZ * (radii + ((tanOut2 - tanIn2) * halfLenZ * halfLenZ) / 3);
+  }
+
+  getSurfaceArea() {
+    const { innerRadius, outerRadius, innerStereo, outerStereo, halfLenZ } = this.parameters;
+    const tanIn2 = Math.tan(degToRad(Math.abs(innerStereo))) ** 2;
+    const tanOut2 = Math.tan(degToRad(Math.abs(outerStereo))) ** 2;
+    const ends =
+      2 * Math.PI * (outerRadius * outerRadius - innerRadius * innerRadius + (tanOut2 - tanIn2) * halfLenZ * halfLenZ);
+    return ends + hyperboloidArea(outerRadius, tanOut2, halfLenZ) + hyperboloidArea(innerRadius, tanIn2, halfLenZ);
+  }
+
+  copy(source) {
+    super.copy(source);
+    this.parameters = Object.assign({}, source.parameters);
+    return this;
+  }
+
+  static fromJSON(data) {
+    return new HypeGeometry(
+      data.innerRadius,
+      data.outerRadius,
+      data.innerStereo,
+      data.outerStereo,
+      data.halfLenZ,
+      data.tessellation
+    );
+  }
+}
+
+/**
+ * Area of the hyperboloid r^2 = radius^2 + tan2 * z^2 between -halfLenZ and
+ * halfLenZ: 2 pi times the integral of r sqrt(1 + r'^2) = sqrt(beta + alpha
+ * z^2), with alpha = tan2 (1 + tan2) and beta = radius^2.
+ */
+function hyperboloidArea(radius, tan2, halfLenZ) {
+  const alpha = tan2 * (1 + tan2);
+  const beta = radius * radius;
+  const h = halfLenZ;
+  if (alpha === 0) return 4 * Math.PI * radius * h;
+  if (beta === 0) return 2 * Math.PI * Math.sqrt(alpha) * h * h;
+  return 2 * Math.PI * (h * Math.sqrt(beta + alpha * h * h) + (beta / Math.sqrt(alpha)) * Math.asinh(h * Math.sqrt(alpha / beta)));
+}
+
+export { HypeGeometry };
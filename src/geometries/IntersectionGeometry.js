@@ -0,0 +1,47 @@
+/**
+ * @chitrashensah/geant4-geometry
+ * Copyright (c) 2025 Chitrashen Sah
+ * Licensed under MIT License
+ */
+
+import { BooleanGeometry } from './BooleanGeometry.js';
+import { registerGeometry } from './registry.js';
+import { IntersectionRegion } from '../navigation/regions.js';
+
+/**
+ * The volume common to two solids. Equivalent to Geant4's
+ * G4IntersectionSolid; see BooleanGeometry for the placement of the
+ * operands.
+ *
+ *   // a lens cut from two spheres
+ *   const lens = new IntersectionGeometry(new SphereGeometry(0, 50), new SphereGeometry(0, 50), [0, 0, 0], [0, 0, 80]);
+ *
+ * @param {THREE.BufferGeometry} first - First operand
+ * @param {THREE.BufferGeometry} second - Second operand
+ * @param {number[]} [rotation=[0, 0, 0]] - Frame rotation of the second operand in degrees
+ * @param {number[]|THREE.Vector3} [translation=[0, 0, 0]] - Position of the second operand in millimeters
+ * @param {number[]} [firstRotation=[0, 0, 0]] - Frame rotation of the first operand in degrees
+ * @param {number[]|THREE.Vector3} [firstTranslation=[0, 0, 0]] - Position of the first operand in millimeters
+ * @param {Object} [options] - `lengthUnit` and `angleUnit` of the placements, `evaluate` (see BooleanGeometry)
+ */
+class IntersectionGeometry extends BooleanGeometry {
+
+  constructor(first, second, rotation, translation, firstRotation, firstTranslation, options) {
+    super(first, second, rotation, translation, firstRotation, firstTranslation, options);
+
+    this.type = 'IntersectionGeometry';
+    if (options?.evaluate !== false) this.evaluate();
+  }
+
+  combine(first, second) {
+    return first.intersect(second);
+  }
+
+  combineRegions(first, second) {
+    return new IntersectionRegion([first, second]);
+  }
+}
+
+registerGeometry('IntersectionGeometry', IntersectionGeometry);
+
+export { IntersectionGeometry };
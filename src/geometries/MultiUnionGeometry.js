@@ -0,0 +1,168 @@
+/**
+ * @chitrashensah/geant4-geometry
+ * Copyright (c) 2025 Chitrashen Sah
+ * Licensed under MIT License
+ */
+
+import { SolidGeometry } from './SolidGeometry.js';
+import { CSG } from '../CSGMesh.js';
+import { placedCSG, placedRegion, updateOperand, tessellateOperand, setBuffers } from './BooleanGeometry.js';
+import { UnionRegion } from '../navigation/regions.js';
+import { registerGeometry, geometryToJSON, geometryFromJSON } from './registry.js';
+import { unitScales } from '../utils/units.js';
+
+/**
+ * Union of any number of placed solids. Equivalent to Geant4's
+ * G4MultiUnion. Each node is a geometry with a frame rotation in degrees
+ * and a translation in millimeters, as for the second operand of
+ * BooleanGeometry.
+ *
+ * Like G4MultiUnion::AddNode() followed by Voxelize(), nodes can be added
+ * after construction and the union evaluated with update():
+ *
+ *   const rack = new MultiUnionGeometry();
+ *   for (let i = 0; i < 4; i++) rack.addNode(new BoxGeometry(5, 5, 5), [0, 0, 0], [20 * i, 0, 0]);
+ *   rack.update();
+ *
+ * @param {Array<{geometry: THREE.BufferGeometry, rotation?: number[], translation?: number[]|THREE.Vector3}>} [nodes=[]]
+ * @param {Object} [options]
+ * @param {number|string} [options.lengthUnit='mm'] - Unit of the node translations, such as 'cm' or UNITS.cm
+ * @param {number|string} [options.angleUnit='deg'] - Unit of the node rotations, such as 'rad'
+ * @param {boolean} [options.evaluate=true] - Evaluate the union now; when false the mesh stays empty until evaluate()
+ */
+class MultiUnionGeometry extends SolidGeometry {
+
+  constructor(nodes = [], options = {}) {
+    super();
+
+    const { length, angle } = unitScales(options, 'MultiUnionGeometry');
+
+    this.type = 'MultiUnionGeometry';
+    this.parameters = {
+      nodes: [],
+    };
+    nodes.forEach(({ geometry, rotation = [0, 0, 0], translation = [0, 0, 0] }) => {
+      const position = Array.isArray(translation) ? translation : [translation.x, translation.y, translation.z];
+      this.addNode(geometry, rotation.map((a) => a * angle), position.map((v) => v * length));
+    });
+
+    if (options.evaluate !== false) this.evaluate();
+  }
+
+  /**
+   * Add a solid to the union. Takes effect with the next update().
+   *
+   * @param {THREE.BufferGeometry} geometry
+   * @param {number[]} [rotation=[0, 0, 0]] - Frame rotation in degrees
+   * @param {number[]|THREE.Vector3} [translation=[0, 0, 0]] - Position in millimeters
+   * @returns {this}
+   */
+  addNode(geometry, rotation = [0, 0, 0], translation = [0, 0, 0]) {
+    if (!(geometry && geometry.isBufferGeometry)) {
+      throw new TypeError('MultiUnionGeometry: nodes must be BufferGeometry instances');
+    }
+    this.parameters.nodes.push({
+      geometry,
+      rotation: rotation.slice(0, 3),
+      translation: Array.isArray(translation) ? translation.slice(0, 3) : [translation.x, translation.y, translation.z],
+    });
+    return this;
+  }
+
+  /**
+   * Evaluate the union of the current nodes.
+   *
+   * @returns {this}
+   */
+  evaluate() {
+    const solids = this.parameters.nodes.map((node, i) =>
+      placedCSG(node.geometry, node.rotation, node.translation, node.geometry.name || `node${i}`)
+    );
+    const result = solids.length ? solids.slice(1).reduce((union, solid) => union.union(solid), solids[0]) : new CSG();
+    setBuffers(this, CSG.toGeometry(result));
+    this.invalidate();
+    return this;
+  }
+
+  createRegion() {
+    return new UnionRegion(
+      this.parameters.nodes.map((node) => {
+        if (!(node.geometry instanceof SolidGeometry)) {
+          throw new TypeError(`${this.type}: navigation needs SolidGeometry nodes, got ${node.geometry.type}`);
+        }
+        return placedRegion(node.geometry, node.rotation, node.translation);
+      })
+    );
+  }
+
+  /**
+   * Rebuild the nodes from their `parameters` and evaluate the union again.
+   *
+   * @returns {this}
+   */
+  update() {
+    this.parameters.nodes.forEach((node) => updateOperand(node.geometry));
+    return this.evaluate();
+  }
+
+  /**
+   * The same union of the nodes meshed with other tessellation settings
+   * (see SolidGeometry.withTessellation()).
+   *
+   * @param {Object} [tessellation={}]
+   * @returns {MultiUnionGeometry}
+   */
+  withTessellation(tessellation = {}) {
+    const geometry = new MultiUnionGeometry(
+      this.parameters.nodes.map((node) => ({
+        geometry: tessellateOperand(node.geometry, tessellation),
+        rotation: node.rotation,
+        translation: node.translation,
+      }))
+    );
+    geometry.name = this.name;
+    return geometry;
+  }
+
+  // The node solids are copied too, a solid placed by several nodes once
+  copy(source) {
+    super.copy(source);
+    const copies = new Map();
+    const copyOf = (geometry) => {
+      if (!copies.has(geometry)) copies.set(geometry, geometry.clone());
+      return copies.get(geometry);
+    };
+    this.parameters = {
+      nodes: source.parameters.nodes.map((node) => ({
+        geometry: copyOf(node.geometry),
+        rotation: node.rotation.slice(),
+        translation: node.translation.slice(),
+      })),
+    };
+    return this;
+  }
+
+  toJSON() {
+    const data = super.toJSON();
+    data.nodes = this.parameters.nodes.map((node) => ({
+      geometry: geometryToJSON(node.geometry),
+      rotation: node.rotation,
+      translation: node.translation,
+    }));
+    return data;
+  }
+
+  static fromJSON(data) {
+    return new MultiUnionGeometry(
+      data.nodes.map((node) => ({
+        geometry: geometryFromJSON(node.geometry),
+        rotation: node.rotation,
+        translation: node.translation,
+      }))
+    );
+  }
+}
+
+registerGeometry('MultiUnionGeometry', MultiUnionGeometry);
+
+export { MultiUnionGeometry };
@@ -0,0 +1,120 @@
+/**
+ * @chitrashensah/geant4-geometry
+ * Copyright (c) 2025 Chitrashen Sah
+ * Licensed under MIT License
+ */
+
+import * as THREE from 'three';
+import { SolidGeometry } from './SolidGeometry.js';
+import { MeshBuilder } from '../utils/MeshBuilder.js';
+import { addHexahedron, hexahedronRegion, hexahedronPointOnSurface, hexahedronVolume, hexahedronArea } from '../utils/hexahedron.js';
+import { degToRad } from '../utils/angles.js';
+import { unitScales } from '../utils/units.js';
+
+/**
+ * Parallelepiped. Equivalent to Geant4's G4Para.
+ *
+ * @param {number} pDx - Half length in x in millimeters
+ * @param {number} pDy - Half length in y in millimeters
+ * @param {number} pDz - Half length in z in millimeters
+ * @param {number} pAlpha - Angle of the y edges to the y axis in degrees
+ * @param {number} pTheta - Polar angle of the line joining the z face centres in degrees
+ * @param {number} pPhi - Azimuthal angle of that line in degrees
+ * @param {Object} [options]
+ * @param {number|string} [options.lengthUnit='mm'] - Unit of the lengths, such as 'cm' or UNITS.cm
+ * @param {number|string} [options.angleUnit='deg'] - Unit of the angles, such as 'rad'
+ */
+class ParaGeometry extends SolidGeometry {
+
+  constructor(pDx = 1, pDy = 1, pDz = 1, pAlpha = 0, pTheta = 0, pPhi = 0, options = {}) {
+    super();
+
+    const { length, angle } = unitScales(options, 'ParaGeometry');
+    [pDx, pDy, pDz] = [pDx, pDy, pDz].map((v) => v * length);
+    [pAlpha, pTheta, pPhi] = [pAlpha, pTheta, pPhi].map((a) => a * angle);
+
+    this.type = 'ParaGeometry';
+    this.parameters = {
+      pDx,
+      pDy,
+      pDz,
+      pAlpha,
+      pTheta,
+      pPhi,
+    };
+
+    if (!(pDx > 0 && pDy > 0 && pDz > 0)) {
+      throw new RangeError(`ParaGeometry: invalid dimensions pDx = ${pDx}, pDy = ${pDy}, pDz = ${pDz}`);
+    }
+
+    const builder = new MeshBuilder();
+    addHexahedron(builder, this.getVertices());
+    builder.applyTo(this);
+  }
+
+  /**
+   * The eight vertices in the order of G4Para::GetVertices.
+   *
+   * @returns {THREE.Vector3[]}
+   */
+  getVertices() {
+    const { pDx, pDy, pDz, pAlpha, pTheta, pPhi } = this.parameters;
+    const tanTheta = Math.tan(degToRad(pTheta));
+    const dzTthetaCphi = pDz * tanTheta * Math.cos(degToRad(pPhi));
+    const dzTthetaSphi = pDz * tanTheta * Math.sin(degToRad(pPhi));
+    const dyTalpha = pDy * Math.tan(degToRad(pAlpha));
+
+    return [
+      new THREE.Vector3(-dzTthetaCphi - dyTalpha - pDx, -dzTthetaSphi - pDy, -pDz),
+      new THREE.Vector3(-dzTthetaCphi - dyTalpha + pDx, -dzTthetaSphi - pDy, -pDz),
+      new THREE.Vector3(-dzTthetaCphi + dyTalpha - pDx, -dzTthetaSphi + pDy, -pDz),
+      new THREE.Vector3(-dzTthetaCphi + dyTalpha + pDx, -dzTthetaSphi + pDy, -pDz),
+      new THREE.Vector3(dzTthetaCphi - dyTalpha - pDx, dzTthetaSphi - pDy, pDz),
+      new THREE.Vector3(dzTthetaCphi - dyTalpha + pDx, dzTthetaSphi - pDy, pDz),
+      new THREE.Vector3(dzTthetaCphi + dyTalpha - pDx, dzTthetaSphi + pDy, pDz),
+      new THREE.Vector3(dzTthetaCphi + dyTalpha + pDx, dzTthetaSphi + pDy, pDz),
+    ];
+  }
+
+  createRegion() {
+    return hexahedronRegion(this.getVertices());
+  }
+
+  getCubicVolume() {
+    return hexahedronVolume(this.getVertices());
+  }
+
+  getSurfaceArea() {
+    return hexahedronArea(this.getVertices());
+  }
+
+  /**
+   * Random point on the surface, uniform by area over the faces.
+   *
+   * @param {function(): number} [random=Math.random]
+   * @param {THREE.Vector3} [target]
+   * @returns {THREE.Vector3}
+   */
+  getPointOnSurface(random = Math.random, target = new THREE.Vector3()) {
+    return hexahedronPointOnSurface(this.getVertices(), random, target);
+  }
+
+  copy(source) {
+    super.copy(source);
+    this.parameters = Object.assign({}, source.parameters);
+    return this;
+  }
+
+  static fromJSON(data) {
+    return new ParaGeometry(
+      data.pDx,
+      data.pDy,
+      data.pDz,
+      data.pAlpha,
+      data.pTheta,
+      data.pPhi
+    );
+  }
+}
+
+export { ParaGeometry };
@@ -0,0 +1,109 @@
+/**
+ * @chitrashensah/geant4-geometry
+ * Copyright (c) 2025 Chitrashen Sah
+ * Licensed under MIT License
+ */
+
+import { SolidGeometry } from './SolidGeometry.js';
+import { MeshBuilder } from '../utils/MeshBuilder.js';
+import { revolve } from '../utils/revolve.js';
+import { TWO_PI } from '../utils/angles.js';
+import { ConicRegion, intersectionOf, zSlab } from '../navigation/regions.js';
+import { unitScales } from '../utils/units.js';
+import { tessellationOptions, radialSegmentsFor, curveSegmentsFor } from '../utils/tessellation.js';
+
+/**
+ * Paraboloid of revolution, r^2 = k1 * z + k2, cut at z = -dz and z = +dz.
+ * Equivalent to Geant4's G4Paraboloid.
+ *
+ * @param {number} dz - Half length in z in millimeters
+ * @param {number} rlo - Radius at -dz in millimeters
+ * @param {number} rhi - Radius at +dz in millimeters
+ * @param {Object} [options]
+ * @param {number|string} [options.lengthUnit='mm'] - Unit of the lengths, such as 'cm' or UNITS.cm
+ * @param {number} [options.radialSegments] - Segments around z
+ * @param {number} [options.heightSegments] - Segments along the curved side
+ * @param {number} [options.chordTolerance] - Largest distance between the curved side and its chords, setting the segments not given
+ */
+class ParaboloidGeometry extends SolidGeometry {
+
+  constructor(dz = 1, rlo = 0, rhi = 1, options = {}) {
+    super();
+
+    const { length } = unitScales(options, 'ParaboloidGeometry');
+    [dz, rlo, rhi] = [dz, rlo, rhi].map((v) => v * length);
+
+    this.type = 'ParaboloidGeometry';
+    this.parameters = {
+      dz,
+      rlo,
+      rhi,
+    };
+    const tessellation = tessellationOptions(options, length, 'ParaboloidGeometry');
+    if (tessellation) this.parameters.tessellation = tessellation;
+
+    if (!(dz > 0 && rlo >= 0 && rhi > rlo)) {
+      throw new RangeError(`ParaboloidGeometry: invalid dimensions dz = ${dz}, rlo = ${rlo}, rhi = ${rhi}`);
+    }
+
+    const k1 = (rhi * rhi - rlo * rlo) / (2 * dz);
+    const k2 = (rhi * rhi + rlo * rlo) / 2;
+
+    // Curved side, sampled evenly in r where z is a parabola, so that the
+    // tip of a closed paraboloid stays round; the normal follows the
+    // gradient of r^2 - k1 * z
+    const height = (r) => (r * r - k2) / k1;
+    const segments = curveSegmentsFor(tessellation, (r) => ({ r, z: height(r) }), rlo, rhi);
+    const side = [];
+    for (let i = 0; i <= segments; i++) {
+      const r = rlo + ((rhi - rlo) * i) / segments;
+      const z = i === 0 ? -dz : i === segments ? dz : height(r);
+      const len = Math.hypot(2 * r, k1);
+      side.push({ r, z, nr: (2 * r) / len, nz: -k1 / len });
+    }
+
+    const profile = [
+      [{ r: 0, z: -dz }, { r: rlo, z: -dz }],
+      side,
+      [{ r: rhi, z: dz }, { r: 0, z: dz }],
+    ];
+
+    const builder = new MeshBuilder();
+    revolve(builder, [profile], { segments: radialSegmentsFor(tessellation, TWO_PI, rhi) });
+    builder.applyTo(this);
+  }
+
+  createRegion() {
+    const { dz, rlo, rhi } = this.parameters;
+    const k1 = (rhi * rhi - rlo * rlo) / (2 * dz);
+    const k2 = (rhi * rhi + rlo * rlo) / 2;
+    return intersectionOf([new ConicRegion(0, k1, k2), ...zSlab(-dz, dz)]);
+  }
+
+  getCubicVolume() {
+    const { dz, rlo, rhi } = this.parameters;
+    return Math.PI * dz * (rhi * rhi + rlo * rlo);
+  }
+
+  // r^2 = k1 z + k2 makes r sqrt(1 + r'^2) = sqrt(r^2 + k1^2 / 4)
+  getSurfaceArea() {
+    const { dz, rlo, rhi } = this.parameters;
+    const k1 = (rhi * rhi - rlo * rlo) / (2 * dz);
+    const ends = Math.PI * (rlo * rlo + rhi * rhi);
+    if (k1 === 0) return ends + 4 * Math.PI * rhi * dz;
+    const k = (k1 * k1) / 4;
+    return ends + ((4 * Math.PI) / (3 * k1)) * ((rhi * rhi + k) ** 1.5 - (rlo * rlo + k) ** 1.5);
+  }
+
+  copy(source) {
+    super.copy(source);
+    this.parameters = Object.assign({}, source.parameters);
+    return this;
+  }
+
+  static fromJSON(data) {
+    return new ParaboloidGeometry(data.dz, data.rlo, data.rhi, data.tessellation);
+  }
+}
+
+export { ParaboloidGeometry };
@@ -0,0 +1,202 @@
+/**
+ * @chitrashensah/geant4-geometry
+ * Copyright (c) 2025 Chitrashen Sah
+ * Licensed under MIT License
+ */
+
+import { SolidGeometry } from './SolidGeometry.js';
+import { MeshBuilder } from '../utils/MeshBuilder.js';
+import { revolve } from '../utils/revolve.js';
+import { TWO_PI, degToRad, normalizePhi } from '../utils/angles.js';
+import { profileArea, zPlanesToContour, rzToContour, polygonLoop, linePoints, profileMoments } from '../utils/profile.js';
+import { ContourRegion, intersectionOf, phiSegmentRegion } from '../navigation/regions.js';
+import { kCarTolerance } from '../navigation/constants.js';
+import { unitScales } from '../utils/units.js';
+import { tessellationOptions, radialSegmentsFor, lineSegmentsFor } from '../utils/tessellation.js';
+
+/**
+ * Solid of revolution built from z-planes or from a generic (r, z) contour.
+ * Equivalent to Geant4's G4Polycone, with both of its constructors:
+ *
+ *   new PolyconeGeometry(phiStart, phiTotal, numZPlanes, zPlane, rInner, rOuter)
+ *   new PolyconeGeometry(phiStart, phiTotal, numRZ, r, z)
+ *
+ * A phiTotal of zero or less, or of 360 and more, gives the full solid.
+ *
+ * @param {number} phiStart - Starting phi angle in degrees
+ * @param {number} phiTotal - Delta phi angle in degrees
+ * @param {number} numZPlanes - Number of z-planes, or of (r, z) corners
+ * @param {number[]} zPlane - Plane positions in millimeters, or r of the corners
+ * @param {number[]} rInner - Inner radii in millimeters, or z of the corners
+ * @param {number[]} [rOuter] - Outer radii in millimeters (z-plane form only)
+ * @param {Object} [options] - In place of rOuter for the (r, z) form
+ * @param {number|string} [options.lengthUnit='mm'] - Unit of the lengths, such as 'cm' or UNITS.cm
+ * @param {number|string} [options.angleUnit='deg'] - Unit of the angles, such as 'rad'
+ * @param {number} [options.radialSegments] - Segments around z over the phi extent
+ * @param {number} [options.heightSegments=1] - Segments along each contour edge that is not flat in z
+ * @param {number} [options.chordTolerance] - Largest distance between the surface and its chords, setting the radial segments
+ */
+class PolyconeGeometry extends SolidGeometry {
+
+  constructor(phiStart = 0, phiTotal = 360, numZPlanes, zPlane, rInner, rOuter, options = {}) {
+    super();
+
+    this.type = 'PolyconeGeometry';
+
+    // Unit solid when no profile is given, e.g. from clone()
+    if (zPlane === undefined) {
+      numZPlanes = 2;
+      zPlane = [-1, 1];
+      rInner = [0, 0];
+      rOuter = [1, 1];
+    }
+
+    // The (r, z) form takes the options in place of rOuter
+    if (rOuter !== undefined && rOuter.length === undefined) {
+      options = rOuter;
+      rOuter = undefined;
+    }
+    const { length, angle } = unitScales(options, 'PolyconeGeometry');
+    [phiStart, phiTotal] = [phiStart, phiTotal].map((a) => a * angle);
+    [zPlane, rInner] = [zPlane, rInner].map((values) => Array.from(values, (v) => v * length));
+    if (rOuter !== undefined) rOuter = Array.from(rOuter, (v) => v * length);
+
+    const zPlaneForm = rOuter !== undefined;
+    if (zPlaneForm) {
+      this.parameters = {
+        phiStart,
+        phiTotal,
+        numZPlanes,
+        zPlane: zPlane.slice(0, numZPlanes),
+        rInner: rInner.slice(0, numZPlanes),
+        rOuter: rOuter.slice(0, numZPlanes),
+      };
+    } else {
+      this.parameters = {
+        phiStart,
+        phiTotal,
+        numRZ: numZPlanes,
+        r: zPlane.slice(0, numZPlanes),
+        z: rInner.slice(0, numZPlanes),
+      };
+    }
+
+    const tessellation = tessellationOptions(options, length, 'PolyconeGeometry');
+    if (tessellation) this.parameters.tessellation = tessellation;
+
+    const contour = polyconeContour(this.type, this.parameters);
+    const phi = polyconePhi(phiStart, phiTotal);
+
+    // Edges that are not flat in z are cut into rows
+    const rows = lineSegmentsFor(tessellation);
+    const loop = polygonLoop(contour).map(([a, b]) => (a.z !== b.z ? linePoints(a, b, rows) : [a, b]));
+
+    const builder = new MeshBuilder();
+    revolve(builder, [loop], {
+      phiStart: phi.sPhi,
+      phiLength: phi.dPhi,
+      segments: radialSegmentsFor(tessellation, phi.dPhi, Math.max(...contour.map((p) => p.r))),
+    });
+    builder.applyTo(this);
+  }
+
+  createRegion() {
+    const { phiStart, phiTotal } = this.parameters;
+    const phi = polyconePhi(phiStart, phiTotal);
+    return intersectionOf([
+      new ContourRegion(polyconeContour(this.type, this.parameters)),
+      phiSegmentRegion(phi.sPhi, phi.dPhi),
+    ]);
+  }
+
+  getCubicVolume() {
+    const { phiStart, phiTotal } = this.parameters;
+    const phi = polyconePhi(phiStart, phiTotal);
+    return phi.dPhi * profileMoments(polyconeContour(this.type, this.parameters)).areaMoment;
+  }
+
+  getSurfaceArea() {
+    const { phiStart, phiTotal } = this.parameters;
+    const phi = polyconePhi(phiStart, phiTotal);
+    const { area, lengthMoment } = profileMoments(polyconeContour(this.type, this.parameters));
+    return phi.dPhi * lengthMoment + (phi.fullPhi ? 0 : 2 * area);
+  }
+
+  copy(source) {
+    super.copy(source);
+    this.parameters = JSON.parse(JSON.stringify(source.parameters));
+    return this;
+  }
+
+  static fromJSON(data) {
+    if (data.zPlane !== undefined && data.rOuter !== undefined) {
+      return new PolyconeGeometry(
+        data.phiStart,
+        data.phiTotal,
+        data.numZPlanes,
+        data.zPlane,
+        data.rInner,
+        data.rOuter,
+        data.tessellation
+      );
+    }
+    return new PolyconeGeometry(
+      data.phiStart,
+      data.phiTotal,
+      data.numRZ,
+      data.r,
+      data.z,
+      data.tessellation
+    );
+  }
+}
+
+/**
+ * Phi segment of G4Polycone and G4Polyhedra, in radians. A non-positive
+ * delta means the full circle.
+ */
+function polyconePhi(phiStart, phiTotal) {
+  if (!(phiTotal > 0)) return normalizePhi(0, TWO_PI);
+  return normalizePhi(degToRad(phiStart), degToRad(phiTotal));
+}
+
+function polyconeContour(type, parameters) {
+  return parameters.rOuter !== undefined
+    ? polyconeZPlaneContour(type, parameters)
+    : polyconeRZContour(type, parameters);
+}
+
+function polyconeZPlaneContour(type, { numZPlanes, zPlane, rInner, rOuter }) {
+  if (!(numZPlanes >= 2) || zPlane.length < numZPlanes || rInner.length < numZPlanes || rOuter.length < numZPlanes) {
+    throw new RangeError(`${type}: need at least two z-planes with matching rInner/rOuter`);
+  }
+  for (let i = 0; i < numZPlanes; i++) {
+    if (!(rInner[i] >= 0 && rInner[i] <= rOuter[i])) {
+      throw new RangeError(`${type}: invalid radii at z-plane ${i}: rInner = ${rInner[i]}, rOuter = ${rOuter[i]}`);
+    }
+    if (i > 0 && (zPlane[i] - zPlane[i - 1]) * (zPlane[numZPlanes - 1] - zPlane[0]) < 0) {
+      throw new RangeError(`${type}: z-planes must be ordered, found ${zPlane[i - 1]} then ${zPlane[i]}`);
+    }
+  }
+  return checkContour(type, zPlanesToContour(zPlane, rInner, rOuter));
+}
+
+function polyconeRZContour(type, { numRZ, r, z }) {
+  if (!(numRZ >= 3) || r.length < numRZ || z.length < numRZ) {
+    throw new RangeError(`${type}: need at least three (r, z) corners`);
+  }
+  if (r.some((ri) => ri < 0)) {
+    throw new RangeError(`${type}: (r, z) corners must have r >= 0`);
+  }
+  return checkContour(type, rzToContour(r, z));
+}
+
+// As G4Polycone, a contour needs an area above the tolerance
+function checkContour(type, contour) {
+  if (contour.length < 3 || !(profileArea(contour) >= kCarTolerance)) {
+    throw new RangeError(`${type}: the (r, z) contour encloses no area`);
+  }
+  return contour;
+}
+
+export { PolyconeGeometry, polyconePhi, polyconeZPlaneContour, polyconeRZContour };
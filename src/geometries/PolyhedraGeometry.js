@@ -0,0 +1,160 @@
+/**
+ * @chitrashensah/geant4-geometry
+ * Copyright (c) 2025 Chitrashen Sah
+ * Licensed under MIT License
+ */
+
+import { SolidGeometry } from './SolidGeometry.js';
+import { MeshBuilder } from '../utils/MeshBuilder.js';
+import { revolve } from '../utils/revolve.js';
+import { polygonLoop, profileMoments } from '../utils/profile.js';
+import { polyconePhi, polyconeZPlaneContour, polyconeRZContour } from './PolyconeGeometry.js';
+import { PolyhedraRegion, intersectionOf, phiSegmentRegion } from '../navigation/regions.js';
+import { unitScales } from '../utils/units.js';
+
+/**
+ * Polygonal solid of revolution built from z-planes or from a generic (r, z)
+ * contour. Equivalent to Geant4's G4Polyhedra, with both of its constructors:
+ *
+ *   new PolyhedraGeometry(phiStart, phiTotal, numSide, numZPlanes, zPlane, rInner, rOuter)
+ *   new PolyhedraGeometry(phiStart, phiTotal, numSide, numRZ, r, z)
+ *
+ * As in Geant4, the z-plane radii are distances to the flat sides while the
+ * (r, z) corners give the radius of the polygon corners.
+ *
+ * @param {number} phiStart - Starting phi angle in degrees
+ * @param {number} phiTotal - Delta phi angle in degrees
+ * @param {number} numSide - Number of sides over phiTotal
+ * @param {number} numZPlanes - Number of z-planes, or of (r, z) corners
+ * @param {number[]} zPlane - Plane positions in millimeters, or r of the corners
+ * @param {number[]} rInner - Inner radii in millimeters, or z of the corners
+ * @param {number[]} [rOuter] - Outer radii in millimeters (z-plane form only)
+ * @param {Object} [options] - In place of rOuter for the (r, z) form
+ * @param {number|string} [options.lengthUnit='mm'] - Unit of the lengths, such as 'cm' or UNITS.cm
+ * @param {number|string} [options.angleUnit='deg'] - Unit of the angles, such as 'rad'
+ */
+class PolyhedraGeometry extends SolidGeometry {
+
+  constructor(phiStart = 0, phiTotal = 360, numSide = 6, numZPlanes, zPlane, rInner, rOuter, options = {}) {
+    super();
+
+    this.type = 'PolyhedraGeometry';
+
+    // Unit solid when no profile is given, e.g. from clone()
+    if (zPlane === undefined) {
+      numZPlanes = 2;
+      zPlane = [-1, 1];
+      rInner = [0, 0];
+      rOuter = [1, 1];
+    }
+
+    // The (r, z) form takes the options in place of rOuter
+    if (rOuter !== undefined && rOuter.length === undefined) {
+      options = rOuter;
+      rOuter = undefined;
+    }
+    const { length, angle } = unitScales(options, 'PolyhedraGeometry');
+    [phiStart, phiTotal] = [phiStart, phiTotal].map((a) => a * angle);
+    [zPlane, rInner] = [zPlane, rInner].map((values) => Array.from(values, (v) => v * length));
+    if (rOuter !== undefined) rOuter = Array.from(rOuter, (v) => v * length);
+
+    const zPlaneForm = rOuter !== undefined;
+    if (zPlaneForm) {
+      this.parameters = {
+        phiStart,
+        phiTotal,
+        numSide,
+        numZPlanes,
+        zPlane: zPlane.slice(0, numZPlanes),
+        rInner: rInner.slice(0, numZPlanes),
+        rOuter: rOuter.slice(0, numZPlanes),
+      };
+    } else {
+      this.parameters = {
+        phiStart,
+        phiTotal,
+        numSide,
+        numRZ: numZPlanes,
+        r: zPlane.slice(0, numZPlanes),
+        z: rInner.slice(0, numZPlanes),
+      };
+    }
+
+    if (!(Number.isInteger(numSide) && numSide > 0)) {
+      throw new RangeError(`PolyhedraGeometry: invalid number of sides ${numSide}`);
+    }
+
+    const phi = polyconePhi(phiStart, phiTotal);
+    const contour = polyhedraContour(this.type, this.parameters, phi);
+
+    const builder = new MeshBuilder();
+    revolve(builder, [polygonLoop(contour)], { phiStart: phi.sPhi, phiLength: phi.dPhi, sides: numSide });
+    builder.applyTo(this);
+  }
+
+  createRegion() {
+    const { phiStart, phiTotal, numSide } = this.parameters;
+    const phi = polyconePhi(phiStart, phiTotal);
+    const contour = polyhedraContour(this.type, this.parameters, phi);
+    return intersectionOf([
+      new PolyhedraRegion(contour, phi.sPhi, phi.dPhi, numSide),
+      phiSegmentRegion(phi.sPhi, phi.dPhi),
+    ]);
+  }
+
+  // The contour gives distances to the sides: a sector of dPhi / numSide
+  // sweeps 2 tan(dPhi / numSide / 2) per unit of r instead of an angle
+  getCubicVolume() {
+    const { phiStart, phiTotal, numSide } = this.parameters;
+    const phi = polyconePhi(phiStart, phiTotal);
+    const { areaMoment } = profileMoments(polyhedraContour(this.type, this.parameters, phi));
+    return 2 * numSide * Math.tan(phi.dPhi / numSide / 2) * areaMoment;
+  }
+
+  // The phi cuts run through the corners, stretching the contour in r
+  getSurfaceArea() {
+    const { phiStart, phiTotal, numSide } = this.parameters;
+    const phi = polyconePhi(phiStart, phiTotal);
+    const half = phi.dPhi / numSide / 2;
+    const { area, lengthMoment } = profileMoments(polyhedraContour(this.type, this.parameters, phi));
+    return 2 * numSide * Math.tan(half) * lengthMoment + (phi.fullPhi ? 0 : (2 * area) / Math.cos(half));
+  }
+
+  copy(source) {
+    super.copy(source);
+    this.parameters = JSON.parse(JSON.stringify(source.parameters));
+    return this;
+  }
+
+  static fromJSON(data) {
+    if (data.zPlane !== undefined && data.rOuter !== undefined) {
+      return new PolyhedraGeometry(
+        data.phiStart,
+        data.phiTotal,
+        data.numSide,
+        data.numZPlanes,
+        data.zPlane,
+        data.rInner,
+        data.rOuter
+      );
+    }
+    return new PolyhedraGeometry(
+      data.phiStart,
+      data.phiTotal,
+      data.numSide,
+      data.numRZ,
+      data.r,
+      data.z
+    );
+  }
+}
+
+// (r, z) contour giving the distance of the sides from the axis
+function polyhedraContour(type, parameters, phi) {
+  if (parameters.rOuter !== undefined) return polyconeZPlaneContour(type, parameters);
+  // Corner radii become distances to the sides
+  const convertRad = Math.cos(phi.dPhi / parameters.numSide / 2);
+  return polyconeRZContour(type, parameters).map((p) => ({ r: p.r * convertRad, z: p.z }));
+}
+
+export { PolyhedraGeometry };
@@ -0,0 +1,185 @@
+/**
+ * @chitrashensah/geant4-geometry
+ * Copyright (c) 2025 Chitrashen Sah
+ * Licensed under MIT License
+ */
+
+import * as THREE from 'three';
+import { SolidGeometry } from './SolidGeometry.js';
+import { BoxGeometry } from './BoxGeometry.js';
+import { updateOperand, tessellateOperand, setBuffers } from './BooleanGeometry.js';
+import { TransformedRegion } from '../navigation/regions.js';
+import { registerGeometry, geometryToJSON, geometryFromJSON } from './registry.js';
+import { unitScales } from '../utils/units.js';
+
+// Columns of a reflection are orthonormal within this tolerance
+const ORTHOGONALITY_TOLERANCE = 1e-9;
+
+/**
+ * Mirror image of a solid, the equivalent of Geant4's G4ReflectedSolid.
+ * `reflection` is a THREE.Matrix4, or its 16 elements in column-major
+ * order as in Matrix4.toArray(), with a negative determinant: a mirror,
+ * possibly combined with a rotation and a translation in millimeters.
+ *
+ * Unlike a negative scale on a THREE.Mesh, the reflection is applied to
+ * the vertices with the triangle winding reversed and the normals
+ * reflected, so the faces still point out for lighting and booleans:
+ *
+ *   const left = new ReflectedGeometry(right, new THREE.Matrix4().makeScale(-1, 1, 1));
+ *   const cut = new SubtractionGeometry(block, left);
+ *
+ * The solid and the matrix stay in `parameters`.
+ *
+ * @param {THREE.BufferGeometry} [solid] - Reflected solid
+ * @param {THREE.Matrix4|number[]} [reflection] - Reflection, by default about the xy plane (G4ReflectZ3D)
+ * @param {Object} [options]
+ * @param {number|string} [options.lengthUnit='mm'] - Unit of the translation, such as 'cm' or UNITS.cm
+ * @param {boolean} [options.evaluate=true] - Reflect the solid now; when false the mesh stays empty until evaluate(), e.g. to build it with a GeometryWorkerPool
+ */
+class ReflectedGeometry extends SolidGeometry {
+
+  constructor(solid = new BoxGeometry(), reflection = new THREE.Matrix4().makeScale(1, 1, -1), options = {}) {
+    super();
+
+    if (!(solid && solid.isBufferGeometry)) throw new TypeError('ReflectedGeometry: the solid must be a BufferGeometry');
+    const { length } = unitScales(options, 'ReflectedGeometry');
+    const matrix = reflection.isMatrix4 ? reflection.toArray() : Array.from(reflection);
+    if (matrix.length !== 16 || !matrix.every(Number.isFinite)) {
+      throw new TypeError('ReflectedGeometry: the reflection must be a THREE.Matrix4 or 16 numbers');
+    }
+    [12, 13, 14].forEach((i) => (matrix[i] *= length));
+    checkReflection(new THREE.Matrix4().fromArray(matrix));
+
+    this.type = 'ReflectedGeometry';
+    this.parameters = {
+      solid,
+      matrix,
+    };
+
+    if (options.evaluate !== false) this.evaluate();
+  }
+
+  /**
+   * The reflection as a THREE.Matrix4.
+   *
+   * @returns {THREE.Matrix4}
+   */
+  getMatrix() {
+    return new THREE.Matrix4().fromArray(this.parameters.matrix);
+  }
+
+  /**
+   * Reflect the mesh of the solid again.
+   *
+   * @returns {this}
+   */
+  evaluate() {
+    setBuffers(this, reflectMesh(this.parameters.solid, this.getMatrix()));
+    this.invalidate();
+    return this;
+  }
+
+  createRegion() {
+    const { solid } = this.parameters;
+    if (!(solid instanceof SolidGeometry)) {
+      throw new TypeError(`${this.type}: navigation needs a SolidGeometry, got ${solid.type}`);
+    }
+    return new TransformedRegion(solid.getRegion(), this.getMatrix());
+  }
+
+  // A reflection keeps volumes and areas
+  getCubicVolume() {
+    const { solid } = this.parameters;
+    return solid instanceof SolidGeometry ? solid.getCubicVolume() : super.getCubicVolume();
+  }
+
+  getSurfaceArea() {
+    const { solid } = this.parameters;
+    return solid instanceof SolidGeometry ? solid.getSurfaceArea() : super.getSurfaceArea();
+  }
+
+  /**
+   * Rebuild the solid from its `parameters`, then reflect it again.
+   *
+   * @returns {this}
+   */
+  update() {
+    updateOperand(this.parameters.solid);
+    return this.evaluate();
+  }
+
+  withTessellation(tessellation = {}) {
+    const geometry = new ReflectedGeometry(tessellateOperand(this.parameters.solid, tessellation), this.parameters.matrix);
+    geometry.name = this.name;
+    return geometry;
+  }
+
+  // The reflected solid is copied too, as the operands of booleans
+  copy(source) {
+    super.copy(source);
+    this.parameters = {
+      solid: source.parameters.solid.clone(),
+      matrix: source.parameters.matrix.slice(),
+    };
+    return this;
+  }
+
+  toJSON() {
+    const data = super.toJSON();
+    data.solid = geometryToJSON(this.parameters.solid);
+    return data;
+  }
+
+  static fromJSON(data) {
+    return new ReflectedGeometry(geometryFromJSON(data.solid), data.matrix);
+  }
+}
+
+// A reflection has orthonormal columns and a determinant of -1.
+function checkReflection(matrix) {
+  const [x, y, z] = [new THREE.Vector3(), new THREE.Vector3(), new THREE.Vector3()];
+  matrix.extractBasis(x, y, z);
+  const orthonormal =
+    [x, y, z].every((axis) => Math.abs(axis.lengthSq() - 1) < ORTHOGONALITY_TOLERANCE) &&
+    [x.dot(y), y.dot(z), z.dot(x)].every((dot) => Math.abs(dot) < ORTHOGONALITY_TOLERANCE);
+  if (!orthonormal) throw new RangeError('ReflectedGeometry: the reflection must not scale or shear');
+  if (!(matrix.determinant() < 0)) {
+    throw new RangeError('ReflectedGeometry: the matrix is not a reflection, its determinant must be negative');
+  }
+}
+
+/**
+ * Mesh of `geometry` transformed by `matrix`, with the triangle winding
+ * reversed when the matrix reflects, so that the faces keep pointing out.
+ * BufferGeometry.applyMatrix4() already transforms the normals.
+ *
+ * @param {THREE.BufferGeometry} geometry
+ * @param {THREE.Matrix4} matrix
+ * @returns {THREE.BufferGeometry}
+ */
+function reflectMesh(geometry, matrix) {
+  const result = geometry.clone().applyMatrix4(matrix);
+  if (matrix.determinant() >= 0) return result;
+  if (result.index) {
+    const index = result.index.array;
+    for (let t = 0; t + 2 < index.length; t += 3) [index[t + 1], index[t + 2]] = [index[t + 2], index[t + 1]];
+    result.index.needsUpdate = true;
+  } else {
+    Object.values(result.attributes).forEach((attribute) => {
+      const { array, itemSize } = attribute;
+      for (let t = 0; t < attribute.count; t += 3) {
+        for (let k = 0; k < itemSize; k++) {
+          const b = (t + 1) * itemSize + k;
+          const c = (t + 2) * itemSize + k;
+          [array[b], array[c]] = [array[c], array[b]];
+        }
+      }
+      attribute.needsUpdate = true;
+    });
+  }
+  return result;
+}
+
+registerGeometry('ReflectedGeometry', ReflectedGeometry);
+
+export { ReflectedGeometry, reflectMesh };
@@ -0,0 +1,356 @@
+/**
+ * @chitrashensah/geant4-geometry
+ * Copyright (c) 2025 Chitrashen Sah
+ * Licensed under MIT License
+ */
+
+import * as THREE from 'three';
+import { classify, distanceAlongRay } from '../navigation/regions.js';
+import { kCarTolerance, kInfinity, kInside } from '../navigation/constants.js';
+import { createRandom } from '../utils/random.js';
+import { meshSurfaceSampler, projectToSurface } from '../utils/sampling.js';
+
+const _direction = new THREE.Vector3();
+
+// Statistics of the Monte Carlo estimates, as in G4VSolid
+const STATISTICS = 1000000;
+
+// Fraction of the mesh bounding box added on each side before sampling, so
+// that curved surfaces bulging between the mesh vertices are covered
+const BOX_MARGIN = 0.05;
+
+// Density unit of getMass() (g/cm3) in g/mm3
+const G_PER_CM3 = 1e-3;
+
+// Most points getPointInside() draws in the bounding box before giving up
+const MAX_TRIALS = 1000000;
+
+/**
+ * Base class of the Geant4 solids, the equivalent of G4VSolid. Besides the
+ * triangle mesh it answers the navigation queries of G4VSolid analytically,
+ * from `parameters`:
+ *
+ *   const sphere = new SphereGeometry(0, 10);
+ *   sphere.inside(new THREE.Vector3(0, 0, 10)); // kSurface
+ *   sphere.distanceToIn(new THREE.Vector3(-20, 0, 0), new THREE.Vector3(1, 0, 0)); // 10
+ *
+ * Subclasses describe their shape with createRegion().
+ */
+class SolidGeometry extends THREE.BufferGeometry {
+
+  constructor() {
+    super();
+
+    this.type = 'SolidGeometry';
+    this._region = null;
+    this._cubicVolume = null;
+    this._surfaceArea = null;
+    this._surfaceSampler = null;
+  }
+
+  /**
+   * Analytic description of the solid used by the navigation queries.
+   *
+   * @returns {Region}
+   */
+  createRegion() {
+    throw new Error(`${this.type}: createRegion() is not implemented`);
+  }
+
+  /**
+   * The region of createRegion(), built on first use and again after
+   * update() or copy().
+   *
+   * @returns {Region}
+   */
+  getRegion() {
+    if (!this._region) this._region = this.createRegion();
+    return this._region;
+  }
+
+  /**
+   * Position of a point relative to the solid, as G4VSolid::Inside().
+   * Points within half of kCarTolerance of the surface are on it.
+   *
+   * @param {THREE.Vector3} p - Point in millimeters
+   * @returns {number} kInside, kSurface or kOutside
+   */
+  inside(p) {
+    return classify(this.getRegion(), p.x, p.y, p.z);
+  }
+
+  /**
+   * Distance from an outside point to the solid, as
+   * G4VSolid::DistanceToIn(). With a direction it is the distance along
+   * that direction, kInfinity when the ray misses; without one it is the
+   * safety distance, a lower bound of the distance in any direction.
+   *
+   * @param {THREE.Vector3} p - Point in millimeters
+   * @param {THREE.Vector3} [v] - Direction
+   * @returns {number}
+   */
+  distanceToIn(p, v) {
+    if (v === undefined) return Math.min(kInfinity, Math.max(0, this.getRegion().safety(p.x, p.y, p.z)));
+    return distanceAlongRay(this.getRegion(), p, _direction.copy(v).normalize(), true);
+  }
+
+  /**
+   * Distance from an inside point to the surface of the solid, as
+   * G4VSolid::DistanceToOut(). With a direction it is the distance along
+   * that direction; without one it is the safety distance.
+   *
+   * @param {THREE.Vector3} p - Point in millimeters
+   * @param {THREE.Vector3} [v] - Direction
+   * @returns {number}
+   */
+  distanceToOut(p, v) {
+    if (v === undefined) return Math.max(0, -this.getRegion().safety(p.x, p.y, p.z));
+    return distanceAlongRay(this.getRegion(), p, _direction.copy(v).normalize(), false);
+  }
+
+  /**
+   * Outward unit normal at a point on the surface, as
+   * G4VSolid::SurfaceNormal(). On an edge or corner the normals of the
+   * surfaces meeting there are averaged; off the surface it is the normal
+   * of the closest surface.
+   *
+   * @param {THREE.Vector3} p - Point in millimeters
+   * @param {THREE.Vector3} [target]
+   * @returns {THREE.Vector3}
+   */
+  surfaceNormal(p, target = new THREE.Vector3()) {
+    const region = this.getRegion();
+    target.set(0, 0, 0);
+    region.collectNormals(p.x, p.y, p.z, 0.5 * kCarTolerance, target, 1);
+    if (target.lengthSq() > 0) return target.normalize();
+    return region.normal(p.x, p.y, p.z, target);
+  }
+
+  /**
+   * Volume of the solid in mm3, as G4VSolid::GetCubicVolume(). Solids with
+   * a closed form override it; otherwise it is estimateCubicVolume(),
+   * computed once.
+   *
+   * @returns {number}
+   */
+  getCubicVolume() {
+    if (this._cubicVolume === null) this._cubicVolume = this.estimateCubicVolume().value;
+    return this._cubicVolume;
+  }
+
+  /**
+   * Surface area of the solid in mm2, as G4VSolid::GetSurfaceArea(). Solids
+   * with a closed form override it; otherwise it is estimateSurfaceArea(),
+   * computed once.
+   *
+   * @returns {number}
+   */
+  getSurfaceArea() {
+    if (this._surfaceArea === null) this._surfaceArea = this.estimateSurfaceArea().value;
+    return this._surfaceArea;
+  }
+
+  /**
+   * Mass of the solid in grams for a density in g/cm3.
+   *
+   * @param {number} density - Density in g/cm3
+   * @returns {number}
+   */
+  getMass(density) {
+    return this.getCubicVolume() * density * G_PER_CM3;
+  }
+
+  /**
+   * Random point on the surface, as G4VSolid::GetPointOnSurface(), in
+   * millimeters. Box, Trd, Trap, Para, Tubs, Cons and Sphere draw it
+   * uniformly by area. Other solids draw a point on the mesh by
+   * triangle area and move it onto the exact surface, so each face is drawn
+   * by the area of its facets rather than its exact area: a bias that
+   * shrinks with the tessellation, a few percent for eight segments per
+   * turn and well under a percent at the default chord tolerance.
+   *
+   *   const random = createRandom(42);
+   *   const point = sphere.getPointOnSurface(random);
+   *
+   * @param {function(): number} [random=Math.random] - Uniform numbers in [0, 1), such as those of createRandom()
+   * @param {THREE.Vector3} [target]
+   * @returns {THREE.Vector3}
+   */
+  getPointOnSurface(random = Math.random, target = new THREE.Vector3()) {
+    if (this._surfaceSampler === null) this._surfaceSampler = meshSurfaceSampler(this);
+    const triangle = this._surfaceSampler(random, target);
+    if (!triangle) throw new Error(`${this.type}: the mesh has no surface to sample`);
+    return projectToSurface(this, target, triangle);
+  }
+
+  /**
+   * Random point inside the solid, uniform by volume, in millimeters.
+   * Solids with a closed form draw it directly; otherwise points are drawn
+   * in the bounding box until one is inside.
+   *
+   * @param {function(): number} [random=Math.random] - Uniform numbers in [0, 1)
+   * @param {THREE.Vector3} [target]
+   * @returns {THREE.Vector3}
+   */
+  getPointInside(random = Math.random, target = new THREE.Vector3()) {
+    const { min, size } = this.samplingBox(0);
+    for (let i = 0; i < MAX_TRIALS; i++) {
+      target.set(min.x + random() * size.x, min.y + random() * size.y, min.z + random() * size.z);
+      if (this.inside(target) === kInside) return target;
+    }
+    throw new Error(`${this.type}: no point inside found in ${MAX_TRIALS} trials`);
+  }
+
+  /**
+   * `count` points of getPointOnSurface() as x, y, z triples, for example
+   * for a THREE.Points cloud:
+   *
+   *   const cloud = new THREE.BufferGeometry();
+   *   cloud.setAttribute('position', new THREE.BufferAttribute(sphere.getPointsOnSurface(10000, createRandom(1)), 3));
+   *
+   * @param {number} count
+   * @param {function(): number} [random=Math.random]
+   * @returns {Float32Array}
+   */
+  getPointsOnSurface(count, random = Math.random) {
+    return this.samplePoints(count, (target) => this.getPointOnSurface(random, target));
+  }
+
+  /**
+   * `count` points of getPointInside() as x, y, z triples.
+   *
+   * @param {number} count
+   * @param {function(): number} [random=Math.random]
+   * @returns {Float32Array}
+   */
+  getPointsInside(count, random = Math.random) {
+    return this.samplePoints(count, (target) => this.getPointInside(random, target));
+  }
+
+  samplePoints(count, sample) {
+    if (!(Number.isInteger(count) && count >= 0)) throw new RangeError(`${this.type}: invalid count = ${count}`);
+    const points = new Float32Array(3 * count);
+    const point = new THREE.Vector3();
+    for (let i = 0; i < count; i++) sample(point).toArray(points, 3 * i);
+    return points;
+  }
+
+  /**
+   * Monte Carlo estimate of the volume, as G4VSolid::EstimateCubicVolume():
+   * the fraction of random points in a box around the solid that are
+   * inside it. `error` is the standard deviation of the estimate.
+   *
+   * @param {Object} [options]
+   * @param {number} [options.statistics=1000000] - Number of points
+   * @param {number} [options.seed=1] - Seed of the random numbers
+   * @returns {{value: number, error: number}}
+   */
+  estimateCubicVolume({ statistics = STATISTICS, seed = 1 } = {}) {
+    const region = this.getRegion();
+    const { min, size, volume } = this.samplingBox(0);
+    const random = createRandom(seed);
+    let hits = 0;
+    for (let i = 0; i < statistics; i++) {
+      const x = min.x + random() * size.x;
+      const y = min.y + random() * size.y;
+      const z = min.z + random() * size.z;
+      if (region.distance(x, y, z) <= 0) hits++;
+    }
+    const p = hits / statistics;
+    return { value: volume * p, error: volume * Math.sqrt((p * (1 - p)) / statistics) };
+  }
+
+  /**
+   * Monte Carlo estimate of the surface area, as
+   * G4VSolid::EstimateSurfaceArea(): the volume of the shell of random
+   * points closer than `epsilon` to the surface, divided by its thickness.
+   * `error` is the standard deviation of the estimate. The default
+   * thickness is the one of Geant4, 0.5 / cbrt(statistics) of the smallest
+   * extent.
+   *
+   * @param {Object} [options]
+   * @param {number} [options.statistics=1000000] - Number of points
+   * @param {number} [options.epsilon] - Half thickness of the shell in millimeters
+   * @param {number} [options.seed=1] - Seed of the random numbers
+   * @returns {{value: number, error: number}}
+   */
+  estimateSurfaceArea({ statistics = STATISTICS, epsilon, seed = 1 } = {}) {
+    const region = this.getRegion();
+    if (epsilon === undefined) {
+      if (this.boundingBox === null) this.computeBoundingBox();
+      const extent = this.boundingBox.getSize(new THREE.Vector3());
+      epsilon = (0.5 / Math.cbrt(statistics)) * Math.min(extent.x, extent.y, extent.z);
+    }
+    const { min, size, volume } = this.samplingBox(epsilon);
+    const random = createRandom(seed);
+    let hits = 0;
+    for (let i = 0; i < statistics; i++) {
+      const x = min.x + random() * size.x;
+      const y = min.y + random() * size.y;
+      const z = min.z + random() * size.z;
+      if (Math.abs(region.distance(x, y, z)) < epsilon) hits++;
+    }
+    const p = hits / statistics;
+    const scale = volume / (2 * epsilon);
+    return { value: scale * p, error: scale * Math.sqrt((p * (1 - p)) / statistics) };
+  }
+
+  // Box holding the solid and everything closer than `padding` to it
+  samplingBox(padding) {
+    if (this.boundingBox === null) this.computeBoundingBox();
+    const box = this.boundingBox.clone();
+    const margin = box.getSize(new THREE.Vector3()).multiplyScalar(BOX_MARGIN).addScalar(padding);
+    box.expandByVector(margin);
+    const size = box.getSize(new THREE.Vector3());
+    return { min: box.min, size, volume: size.x * size.y * size.z };
+  }
+
+  /**
+   * Rebuild the mesh from the current `parameters`:
+   *
+   *   tubs.parameters.pRMax = 20;
+   *   tubs.update();
+   *
+   * @returns {this}
+   */
+  update() {
+    const name = this.name;
+    this.copy(this.constructor.fromJSON(this.parameters));
+    this.name = name;
+    return this;
+  }
+
+  /**
+   * The same solid meshed with other tessellation settings, those of the
+   * `radialSegments`, `heightSegments` and `chordTolerance` options of the
+   * constructors:
+   *
+   *   const coarse = tubs.withTessellation({ chordTolerance: 1 });
+   *
+   * Solids with flat faces only keep their mesh.
+   *
+   * @param {Object} [tessellation={}] - Settings in millimeters; none for the default mesh
+   * @returns {SolidGeometry}
+   */
+  withTessellation(tessellation = {}) {
+    const geometry = this.constructor.fromJSON({ ...this.parameters, tessellation });
+    geometry.name = this.name;
+    return geometry;
+  }
+
+  copy(source) {
+    super.copy(source);
+    this.invalidate();
+    return this;
+  }
+
+  // Drop what was derived from the previous shape
+  invalidate() {
+    this._region = null;
+    this._cubicVolume = null;
+    this._surfaceArea = null;
+    this._surfaceSampler = null;
+  }
+}
+
+export { SolidGeometry };
@@ -5,143 +5,101 @@
  */
 
 import * as THREE from 'three';
-import { CSG } from '../CSGMesh';
+import { SolidGeometry } from './SolidGeometry.js';
+import { CSG } from '../CSGMesh.js';
+import { MeshBuilder } from '../utils/MeshBuilder.js';
+import { revolve } from '../utils/revolve.js';
+import { arcPoints } from '../utils/profile.js';
+import { ANGULAR_TOLERANCE, degToRad, normalizePhi, normalizeTheta } from '../utils/angles.js';
+import { Ball, ThetaRegion, ComplementRegion, intersectionOf, phiSegmentRegion } from '../navigation/regions.js';
+import { unitScales } from '../utils/units.js';
+import { sampleByArea } from '../utils/sampling.js';
+import { tessellationOptions, radialSegmentsFor, profileSegmentsFor } from '../utils/tessellation.js';
 
 /**
  * Spherical sector geometry with inner/outer radius and angular cuts.
  * Equivalent to Geant4's G4Sphere.
- * 
+ *
+ * The surface is generated directly from the parameters: the (r, z) profile
+ * of the shell between the theta cones is swept over the phi segment and
+ * capped by the phi planes. The former chain of CSG booleans is still
+ * available with `{ csg: true }`.
+ *
+ * The faces come out as groups labelled 'outer', 'inner', 'startTheta',
+ * 'endTheta', 'startPhi' and 'endPhi' in `userData.faceLabels`, on either
+ * path.
+ *
+ * The angles are normalised as G4Sphere does: a pDPhi of 360 or more gives
+ * the full circle, pSPhi is wrapped into [0, 360), pSTheta must lie in
+ * [0, 180] and pDTheta is clamped so that the range ends at 180 at most.
+ * Invalid radii or angles throw a RangeError.
+ *
  * @param {number} pRMin - Inner radius in millimeters
  * @param {number} pRMax - Outer radius in millimeters
  * @param {number} pSTheta - Starting theta angle in degrees
  * @param {number} pDTheta - Delta theta angle in degrees
  * @param {number} pSPhi - Starting phi angle in degrees
  * @param {number} pDPhi - Delta phi angle in degrees
+ * @param {Object} [options]
+ * @param {boolean} [options.csg=false] - Build through CSG booleans instead, kept as `parameters.csg`
+ * @param {number|string} [options.lengthUnit='mm'] - Unit of the lengths, such as 'cm' or UNITS.cm
+ * @param {number|string} [options.angleUnit='deg'] - Unit of the angles, such as 'rad'
+ * @param {number} [options.radialSegments] - Segments around z over the phi extent
+ * @param {number} [options.heightSegments] - Segments of the inner and outer arcs over the theta extent
+ * @param {number} [options.chordTolerance] - Largest distance between the spherical surfaces and their chords, setting the segments not given
  */
-class SphereGeometry extends THREE.BufferGeometry {
+class SphereGeometry extends SolidGeometry {
 
-  constructor(pRMin, pRMax, pSTheta, pDTheta, pSPhi, pDPhi) {
+  constructor(pRMin = 0, pRMax = 1, pSTheta = 0, pDTheta = 180, pSPhi = 0, pDPhi = 360, options = {}) {
     super();
 
-    this.type = 'SphereGeometry';
-
-    // Convert degrees to radians
-    const pSTheta_rad = (pSTheta * Math.PI) / 180;
-    const pDTheta_rad = (pDTheta * Math.PI) / 180;
-    const pSPhi_rad = (pSPhi * Math.PI) / 180;
-    const pDPhi_rad = (pDPhi * Math.PI) / 180;
-    const pETheta = pSTheta_rad + pDTheta_rad;
-
-    // Use millimeters directly (no conversion)
-    const pRmin = pRMin;
-    const pRmax = pRMax;
-
-    // Create base geometries
-    const sphereGeometry = new THREE.SphereGeometry(pRmax);
-    const innerSphereGeometry = new THREE.SphereGeometry(pRmin);
-
-    // Box geometry for hemisphere cuts
-    const boxGeometry = new THREE.BoxGeometry(pRmax * 2, pRmax, pRmax * 2);
-    boxGeometry.rotateX(Math.PI / 2);
-    boxGeometry.translate(0, 0, pRmax / 2);
-
-    // Cone geometries for theta cuts
-    const cone1Geometry = new THREE.CylinderGeometry(
-      pRmax * Math.tan(pSTheta_rad),
-      0.00001,
-      pRmax
-    );
-    cone1Geometry.rotateX(Math.PI / 2);
-    cone1Geometry.translate(0, 0, pRmax / 2);
+    const { length, angle } = unitScales(options, 'SphereGeometry');
+    [pRMin, pRMax] = [pRMin, pRMax].map((v) => v * length);
+    [pSTheta, pDTheta, pSPhi, pDPhi] = [pSTheta, pDTheta, pSPhi, pDPhi].map((a) => a * angle);
 
-    const cone2Geometry = new THREE.CylinderGeometry(
-      pRmax * Math.tan(pETheta),
-      0.0001,
-      pRmax
-    );
-    cone2Geometry.rotateX(Math.PI / 2);
-    cone2Geometry.translate(0, 0, pRmax / 2);
-
-    const cone3Geometry = new THREE.CylinderGeometry(
-      0.0001,
-      pRmax * Math.tan(Math.PI - pSTheta_rad),
-      pRmax
-    );
-    cone3Geometry.rotateX(Math.PI / 2);
-    cone3Geometry.translate(0, 0, -pRmax / 2);
+    this.type = 'SphereGeometry';
 
-    const cone4Geometry = new THREE.CylinderGeometry(
-      0.0001,
-      pRmax * Math.tan(Math.PI - pETheta),
-      pRmax
-    );
-    cone4Geometry.rotateX(Math.PI / 2);
-    cone4Geometry.translate(0, 0, -pRmax / 2);
-
-    // Pie shape for phi cuts
-    const pieShape = new THREE.Shape();
-    pieShape.absarc(0, 0, pRmax, pSPhi_rad, pSPhi_rad + pDPhi_rad, false);
-    pieShape.lineTo(0, 0);
-    const extrusionSettings = { depth: 2 * pRmax, bevelEnabled: false };
-    const pieGeometry = new THREE.ExtrudeGeometry(pieShape, extrusionSettings);
-    pieGeometry.translate(0, 0, -pRmax);
-
-    // Convert to CSG objects
-    const sphereCSG = CSG.fromGeometry(sphereGeometry);
-    const innerSphereCSG = CSG.fromGeometry(innerSphereGeometry);
-    const cone1CSG = CSG.fromGeometry(cone1Geometry);
-    const cone2CSG = CSG.fromGeometry(cone2Geometry);
-    const cone3CSG = CSG.fromGeometry(cone3Geometry);
-    const cone4CSG = CSG.fromGeometry(cone4Geometry);
-    const boxCSG = CSG.fromGeometry(boxGeometry);
-    const pieCSG = CSG.fromGeometry(pieGeometry);
-
-    let resultCSG = sphereCSG;
-
-    // Apply theta cuts based on angles
-    if (pSTheta_rad === 0 && pETheta > 0 && pETheta < Math.PI / 2) {
-      resultCSG = cone2CSG.intersect(sphereCSG);
-    } else if (pSTheta_rad === 0 && pETheta === Math.PI / 2) {
-      resultCSG = boxCSG.intersect(sphereCSG);
-    } else if (pSTheta_rad === 0 && pETheta > Math.PI / 2 && pETheta < Math.PI) {
-      resultCSG = sphereCSG.subtract(cone4CSG);
-    } else if (pSTheta_rad > 0 && pSTheta_rad < Math.PI / 2 && pETheta > pSTheta_rad && pETheta < Math.PI / 2) {
-      const step1CSG = cone2CSG.subtract(cone1CSG);
-      resultCSG = step1CSG.intersect(sphereCSG);
-    } else if (pSTheta_rad > 0 && pSTheta_rad < Math.PI / 2 && pETheta === Math.PI / 2) {
-      const step1CSG = boxCSG.subtract(cone1CSG);
-      resultCSG = step1CSG.intersect(sphereCSG);
-    } else if (pSTheta_rad > 0 && pSTheta_rad < Math.PI / 2 && pETheta > Math.PI / 2 && pETheta < Math.PI) {
-      const step1CSG = sphereCSG.subtract(cone1CSG);
-      resultCSG = step1CSG.subtract(cone4CSG);
-    } else if (pSTheta_rad > 0 && pSTheta_rad < Math.PI / 2 && pETheta === Math.PI) {
-      resultCSG = sphereCSG.subtract(cone1CSG);
-    } else if (pSTheta_rad === Math.PI / 2 && pETheta > Math.PI / 2 && pETheta < Math.PI) {
-      const step1CSG = sphereCSG.subtract(boxCSG);
-      resultCSG = step1CSG.subtract(cone4CSG);
-    } else if (pSTheta_rad === Math.PI / 2 && pETheta === Math.PI) {
-      resultCSG = sphereCSG.subtract(boxCSG);
-    } else if (pSTheta_rad > Math.PI / 2 && pSTheta_rad < Math.PI && pETheta > pSTheta_rad && pETheta < Math.PI) {
-      const step1CSG = cone3CSG.subtract(cone4CSG);
-      resultCSG = step1CSG.intersect(sphereCSG);
-    } else if (pSTheta_rad > Math.PI / 2 && pSTheta_rad < Math.PI && pETheta === Math.PI) {
-      resultCSG = sphereCSG.intersect(cone3CSG);
+    if (!(pRMin >= 0 && pRMin < pRMax)) {
+      throw new RangeError(`SphereGeometry: invalid radii pRMin = ${pRMin}, pRMax = ${pRMax}`);
     }
+    const tessellation = tessellationOptions(options, length, 'SphereGeometry');
+    const theta = normalizeTheta(degToRad(pSTheta), degToRad(pDTheta));
+    const phi = normalizePhi(degToRad(pSPhi), degToRad(pDPhi));
 
-    // Apply phi cut
-    if (pDPhi_rad < Math.PI * 2) {
-      resultCSG = resultCSG.intersect(pieCSG);
-    }
+    if (options.csg) {
+      super.copy(sphereFromCSG(pRMin, pRMax, theta, phi, tessellation));
+    } else {
+      const sTheta = theta.sTheta;
+      const eTheta = sTheta + theta.dTheta;
+
+      // Profile in the (r, z) half plane, counter-clockwise: outer arc from
+      // the end theta up to the start theta, the start theta cone inwards,
+      // the inner arc back down and the end theta cone outwards. Profile
+      // angles are measured from the equator, so they are pi/2 - theta.
+      const aStart = Math.PI / 2 - sTheta;
+      const aEnd = Math.PI / 2 - eTheta;
+      const segments = profileSegmentsFor(tessellation, eTheta - sTheta, pRMax);
+      const outer = arcPoints(0, 0, pRMax, aEnd, aStart, segments);
+      const inner = arcPoints(0, 0, pRMin, aStart, aEnd, segments, true);
+      const corner = ({ r, z }) => ({ r, z });
+      const profile = [
+        outer,
+        [corner(outer[outer.length - 1]), corner(inner[0])],
+        inner,
+        [corner(inner[inner.length - 1]), corner(outer[0])],
+      ];
 
-    // Apply inner sphere subtraction
-    if (pRmin > 0) {
-      resultCSG = resultCSG.subtract(innerSphereCSG);
+      const builder = new MeshBuilder();
+      revolve(builder, [profile], {
+        phiStart: phi.sPhi,
+        phiLength: phi.dPhi,
+        segments: radialSegmentsFor(tessellation, phi.dPhi, pRMax),
+        faces: [['outer', 'startTheta', 'inner', 'endTheta']],
+      });
+      builder.applyTo(this);
     }
 
-    // Convert back to geometry
-    const finalGeometry = CSG.toGeometry(resultCSG);
-    finalGeometry.type = 'SphereGeometry';
-    finalGeometry.parameters = {
+    this.parameters = {
       pRMin,
       pRMax,
       pSTheta,
@@ -149,8 +107,101 @@ class SphereGeometry extends THREE.BufferGeometry {
       pSPhi,
       pDPhi,
     };
+    if (tessellation) this.parameters.tessellation = tessellation;
+    if (options.csg) this.parameters.csg = true;
+  }
+
+  createRegion() {
+    const { pRMin, pRMax, pSTheta, pDTheta, pSPhi, pDPhi } = this.parameters;
+    const theta = normalizeTheta(degToRad(pSTheta), degToRad(pDTheta));
+    const phi = normalizePhi(degToRad(pSPhi), degToRad(pDPhi));
+    const eTheta = theta.sTheta + theta.dTheta;
+    return intersectionOf([
+      new Ball(pRMax),
+      pRMin > 0 ? new ComplementRegion(new Ball(pRMin)) : null,
+      theta.sTheta > 0 ? new ThetaRegion(theta.sTheta, 1) : null,
+      eTheta < Math.PI ? new ThetaRegion(eTheta, -1) : null,
+      phiSegmentRegion(phi.sPhi, phi.dPhi),
+    ]);
+  }
 
-    Object.assign(this, finalGeometry);
+  getCubicVolume() {
+    const { pRMin, pRMax, pSTheta, pDTheta, pSPhi, pDPhi } = this.parameters;
+    const theta = normalizeTheta(degToRad(pSTheta), degToRad(pDTheta));
+    const phi = normalizePhi(degToRad(pSPhi), degToRad(pDPhi));
+    const cosines = Math.cos(theta.sTheta) - Math.cos(theta.sTheta + theta.dTheta);
+    return (phi.dPhi * cosines * (pRMax ** 3 - pRMin ** 3)) / 3;
+  }
+
+  getSurfaceArea() {
+    const { pRMin, pRMax, pSTheta, pDTheta, pSPhi, pDPhi } = this.parameters;
+    const theta = normalizeTheta(degToRad(pSTheta), degToRad(pDTheta));
+    const phi = normalizePhi(degToRad(pSPhi), degToRad(pDPhi));
+    const eTheta = theta.sTheta + theta.dTheta;
+    const ring = pRMax * pRMax - pRMin * pRMin;
+    let area = phi.dPhi * (Math.cos(theta.sTheta) - Math.cos(eTheta)) * (pRMax * pRMax + pRMin * pRMin);
+    // Theta cones, flat when theta is pi / 2
+    if (theta.sTheta > 0) area += 0.5 * phi.dPhi * Math.sin(theta.sTheta) * ring;
+    if (eTheta < Math.PI) area += 0.5 * phi.dPhi * Math.sin(eTheta) * ring;
+    if (!phi.fullPhi) area += theta.dTheta * ring;
+    return area;
+  }
+
+  /**
+   * Random point on the surface, uniform by area over the outer and inner
+   * spheres, the theta cones and the phi planes, as G4Sphere.
+   *
+   * @param {function(): number} [random=Math.random]
+   * @param {THREE.Vector3} [target]
+   * @returns {THREE.Vector3}
+   */
+  getPointOnSurface(random = Math.random, target = new THREE.Vector3()) {
+    const { pRMin, pRMax } = this.parameters;
+    const { sTheta, eTheta, sPhi, dPhi, fullPhi } = this.angles();
+    const cosines = Math.cos(sTheta) - Math.cos(eTheta);
+    const ring = pRMax * pRMax - pRMin * pRMin;
+    const faces = [
+      [dPhi * cosines * pRMax * pRMax, () => onSphere(pRMax)],
+      [dPhi * cosines * pRMin * pRMin, () => onSphere(pRMin)],
+      [sTheta > 0 ? 0.5 * dPhi * Math.sin(sTheta) * ring : 0, () => onCone(sTheta)],
+      [eTheta < Math.PI ? 0.5 * dPhi * Math.sin(eTheta) * ring : 0, () => onCone(eTheta)],
+      [fullPhi ? 0 : 0.5 * (eTheta - sTheta) * ring, () => onPlane(sPhi)],
+      [fullPhi ? 0 : 0.5 * (eTheta - sTheta) * ring, () => onPlane(sPhi + dPhi)],
+    ];
+
+    // Radius with a density proportional to it, over flat faces
+    const flatRadius = () => Math.sqrt(pRMin * pRMin + random() * ring);
+    const onSphere = (r) => {
+      const cosTheta = Math.cos(sTheta) - random() * cosines;
+      return setSpherical(target, r, cosTheta, sPhi + random() * dPhi);
+    };
+    const onCone = (theta) => setSpherical(target, flatRadius(), Math.cos(theta), sPhi + random() * dPhi);
+    const onPlane = (phi) => setSpherical(target, flatRadius(), Math.cos(sTheta + random() * (eTheta - sTheta)), phi);
+
+    return sampleByArea(faces, random);
+  }
+
+  /**
+   * Random point inside, uniform by volume.
+   *
+   * @param {function(): number} [random=Math.random]
+   * @param {THREE.Vector3} [target]
+   * @returns {THREE.Vector3}
+   */
+  getPointInside(random = Math.random, target = new THREE.Vector3()) {
+    const { pRMin, pRMax } = this.parameters;
+    const { sTheta, eTheta, sPhi, dPhi } = this.angles();
+    const r = Math.cbrt(pRMin ** 3 + random() * (pRMax ** 3 - pRMin ** 3));
+    const cosTheta = Math.cos(sTheta) - random() * (Math.cos(sTheta) - Math.cos(eTheta));
+    return setSpherical(target, r, cosTheta, sPhi + random() * dPhi);
+  }
+
+  // Normalised angular extents in radians
+  angles() {
+    const { pSTheta, pDTheta, pSPhi, pDPhi } = this.parameters;
+    const theta = normalizeTheta(degToRad(pSTheta), degToRad(pDTheta));
+    const phi = normalizePhi(degToRad(pSPhi), degToRad(pDPhi));
+    return { sTheta: theta.sTheta, eTheta: theta.sTheta + theta.dTheta, ...phi };
   }
 
   copy(source) {
@@ -166,9 +217,161 @@ class SphereGeometry extends THREE.BufferGeometry {
       data.pSTheta,
       data.pDTheta,
       data.pSPhi,
-      data.pDPhi
+      data.pDPhi,
+      data.csg ? { ...data.tessellation, csg: true } : data.tessellation
     );
   }
 }
 
+/**
+ * Build the G4Sphere shape through CSG booleans of a full sphere, theta
+ * cones, a half-space box and a phi pie, for the angles of normalizeTheta()
+ * and normalizePhi().
+ */
+function sphereFromCSG(pRMin, pRMax, theta, phi, tessellation = null) {
+  // Theta angles within the angular tolerance of the poles or the equator
+  // are taken as those, which are cut by the box rather than by cones
+  const snapTheta = (angle) => [0, Math.PI / 2, Math.PI].find((mark) => Math.abs(angle - mark) <= ANGULAR_TOLERANCE) ?? angle;
+  const pSTheta_rad = snapTheta(theta.sTheta);
+  const pETheta = snapTheta(theta.sTheta + theta.dTheta);
+  const pSPhi_rad = phi.sPhi;
+  const pDPhi_rad = phi.dPhi;
+
+  // Use millimeters directly (no conversion)
+  const pRmin = pRMin;
+  const pRmax = pRMax;
+
+  // Segment counts of the full sphere and cones, the Three.js defaults
+  // unless tessellation settings are given
+  const widthSegments = radialSegmentsFor(tessellation, Math.PI * 2, pRmax);
+  const heightSegments = profileSegmentsFor(tessellation, Math.PI, pRmax);
+
+  // Create base geometries
+  const sphereGeometry = new THREE.SphereGeometry(pRmax, widthSegments, heightSegments);
+  const innerSphereGeometry = new THREE.SphereGeometry(pRmin, widthSegments, heightSegments);
+
+  // Box geometry for hemisphere cuts
+  const boxGeometry = new THREE.BoxGeometry(pRmax * 2, pRmax, pRmax * 2);
+  boxGeometry.rotateX(Math.PI / 2);
+  boxGeometry.translate(0, 0, pRmax / 2);
+
+  // Cone geometries for theta cuts
+  const cone1Geometry = new THREE.CylinderGeometry(
+    pRmax * Math.tan(pSTheta_rad),
+    0.00001,
+    pRmax,
+    widthSegments
+  );
+  cone1Geometry.rotateX(Math.PI / 2);
+  cone1Geometry.translate(0, 0, pRmax / 2);
+
+  const cone2Geometry = new THREE.CylinderGeometry(
+    pRmax * Math.tan(pETheta),
+    0.0001,
+    pRmax,
+    widthSegments
+  );
+  cone2Geometry.rotateX(Math.PI / 2);
+  cone2Geometry.translate(0, 0, pRmax / 2);
+
+  const cone3Geometry = new THREE.CylinderGeometry(
+    0.0001,
+    pRmax * Math.tan(Math.PI - pSTheta_rad),
+    pRmax,
+    widthSegments
+  );
+  cone3Geometry.rotateX(Math.PI / 2);
+  cone3Geometry.translate(0, 0, -pRmax / 2);
+
+  const cone4Geometry = new THREE.CylinderGeometry(
+    0.0001,
+    pRmax * Math.tan(Math.PI - pETheta),
+    pRmax,
+    widthSegments
+  );
+  cone4Geometry.rotateX(Math.PI / 2);
+  cone4Geometry.translate(0, 0, -pRmax / 2);
+
+  // Pie shape for phi cuts
+  const pieShape = new THREE.Shape();
+  pieShape.absarc(0, 0, pRmax, pSPhi_rad, pSPhi_rad + pDPhi_rad, false);
+  pieShape.lineTo(0, 0);
+  // ExtrudeGeometry samples arcs at twice their curveSegments
+  const curveSegments = tessellation ? Math.ceil(radialSegmentsFor(tessellation, pDPhi_rad, pRmax) / 2) : 12;
+  const extrusionSettings = { depth: 2 * pRmax, bevelEnabled: false, curveSegments };
+  const pieGeometry = new THREE.ExtrudeGeometry(pieShape, extrusionSettings);
+  pieGeometry.translate(0, 0, -pRmax);
+
+  // Convert to CSG objects
+  // Labelled like the faces of the analytic mesh
+  const startThetaBox = pSTheta_rad === Math.PI / 2;
+  const sphereCSG = CSG.fromGeometry(sphereGeometry, 'outer');
+  const innerSphereCSG = CSG.fromGeometry(innerSphereGeometry, 'inner');
+  const cone1CSG = CSG.fromGeometry(cone1Geometry, 'startTheta');
+  const cone2CSG = CSG.fromGeometry(cone2Geometry, 'endTheta');
+  const cone3CSG = CSG.fromGeometry(cone3Geometry, 'startTheta');
+  const cone4CSG = CSG.fromGeometry(cone4Geometry, 'endTheta');
+  const boxCSG = CSG.fromGeometry(boxGeometry, startThetaBox ? 'startTheta' : 'endTheta');
+  const pieCSG = CSG.fromGeometry(pieGeometry, 'outer');
+
+  // The flat sides of the pie are the phi cut planes; what is left of its
+  // arc, where it cuts the facets of the sphere, is part of the outer shell
+  const startPhiNormal = new THREE.Vector3(Math.sin(pSPhi_rad), -Math.cos(pSPhi_rad), 0);
+  const endPhiNormal = new THREE.Vector3(-Math.sin(pSPhi_rad + pDPhi_rad), Math.cos(pSPhi_rad + pDPhi_rad), 0);
+  pieCSG.polygons.forEach((polygon) => {
+    if (startPhiNormal.dot(polygon.plane.normal) > 1 - 1e-9) polygon.shared = 'startPhi';
+    else if (endPhiNormal.dot(polygon.plane.normal) > 1 - 1e-9) polygon.shared = 'endPhi';
+  });
+
+  let resultCSG = sphereCSG;
+
+  // Apply theta cuts based on angles
+  if (pSTheta_rad === 0 && pETheta > 0 && pETheta < Math.PI / 2) {
+    resultCSG = cone2CSG.intersect(sphereCSG);
+  } else if (pSTheta_rad === 0 && pETheta === Math.PI / 2) {
+    resultCSG = boxCSG.intersect(sphereCSG);
+  } else if (pSTheta_rad === 0 && pETheta > Math.PI / 2 && pETheta < Math.PI) {
+    resultCSG = sphereCSG.subtract(cone4CSG);
+  } else if (pSTheta_rad > 0 && pSTheta_rad < Math.PI / 2 && pETheta > pSTheta_rad && pETheta < Math.PI / 2) {
+    const step1CSG = cone2CSG.subtract(cone1CSG);
+    resultCSG = step1CSG.intersect(sphereCSG);
+  } else if (pSTheta_rad > 0 && pSTheta_rad < Math.PI / 2 && pETheta === Math.PI / 2) {
+    const step1CSG = boxCSG.subtract(cone1CSG);
+    resultCSG = step1CSG.intersect(sphereCSG);
+  } else if (pSTheta_rad > 0 && pSTheta_rad < Math.PI / 2 && pETheta > Math.PI / 2 && pETheta < Math.PI) {
+    const step1CSG = sphereCSG.subtract(cone1CSG);
+    resultCSG = step1CSG.subtract(cone4CSG);
+  } else if (pSTheta_rad > 0 && pSTheta_rad < Math.PI / 2 && pETheta === Math.PI) {
+    resultCSG = sphereCSG.subtract(cone1CSG);
+  } else if (pSTheta_rad === Math.PI / 2 && pETheta > Math.PI / 2 && pETheta < Math.PI) {
+    const step1CSG = sphereCSG.subtract(boxCSG);
+    resultCSG = step1CSG.subtract(cone4CSG);
+  } else if (pSTheta_rad === Math.PI / 2 && pETheta === Math.PI) {
+    resultCSG = sphereCSG.subtract(boxCSG);
+  } else if (pSTheta_rad > Math.PI / 2 && pSTheta_rad < Math.PI && pETheta > pSTheta_rad && pETheta < Math.PI) {
+    const step1CSG = cone3CSG.subtract(cone4CSG);
+    resultCSG = step1CSG.intersect(sphereCSG);
+  } else if (pSTheta_rad > Math.PI / 2 && pSTheta_rad < Math.PI && pETheta === Math.PI) {
+    resultCSG = sphereCSG.intersect(cone3CSG);
+  }
+
+  // Apply phi cut
+  if (!phi.fullPhi) {
+    resultCSG = resultCSG.intersect(pieCSG);
+  }
+
+  // Apply inner sphere subtraction
+  if (pRmin > 0) {
+    resultCSG = resultCSG.subtract(innerSphereCSG);
+  }
+
+  // Convert back to geometry
+  return CSG.toGeometry(resultCSG);
+}
+
+function setSpherical(target, r, cosTheta, phi) {
+  const sinTheta = Math.sqrt(Math.max(0, 1 - cosTheta * cosTheta));
+  return target.set(r * sinTheta * Math.cos(phi), r * sinTheta * Math.sin(phi), r * cosTheta);
+}
+
 export { SphereGeometry };
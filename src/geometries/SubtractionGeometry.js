@@ -0,0 +1,47 @@
+/**
+ * @chitrashensah/geant4-geometry
+ * Copyright (c) 2025 Chitrashen Sah
+ * Licensed under MIT License
+ */
+
+import { BooleanGeometry } from './BooleanGeometry.js';
+import { registerGeometry } from './registry.js';
+import { IntersectionRegion, ComplementRegion } from '../navigation/regions.js';
+
+/**
+ * The first solid with the second one removed. Equivalent to Geant4's
+ * G4SubtractionSolid; see BooleanGeometry for the placement of the
+ * operands.
+ *
+ *   // a box with a hole drilled along y
+ *   const drilled = new SubtractionGeometry(new BoxGeometry(20, 20, 20), new TubsGeometry(0, 5, 50), [90, 0, 0]);
+ *
+ * @param {THREE.BufferGeometry} first - First operand
+ * @param {THREE.BufferGeometry} second - Second operand
+ * @param {number[]} [rotation=[0, 0, 0]] - Frame rotation of the second operand in degrees
+ * @param {number[]|THREE.Vector3} [translation=[0, 0, 0]] - Position of the second operand in millimeters
+ * @param {number[]} [firstRotation=[0, 0, 0]] - Frame rotation of the first operand in degrees
+ * @param {number[]|THREE.Vector3} [firstTranslation=[0, 0, 0]] - Position of the first operand in millimeters
+ * @param {Object} [options] - `lengthUnit` and `angleUnit` of the placements, `evaluate` (see BooleanGeometry)
+ */
+class SubtractionGeometry extends BooleanGeometry {
+
+  constructor(first, second, rotation, translation, firstRotation, firstTranslation, options) {
+    super(first, second, rotation, translation, firstRotation, firstTranslation, options);
+
+    this.type = 'SubtractionGeometry';
+    if (options?.evaluate !== false) this.evaluate();
+  }
+
+  combine(first, second) {
+    return first.subtract(second);
+  }
+
+  combineRegions(first, second) {
+    return new IntersectionRegion([first, new ComplementRegion(second)]);
+  }
+}
+
+registerGeometry('SubtractionGeometry', SubtractionGeometry);
+
+export { SubtractionGeometry };
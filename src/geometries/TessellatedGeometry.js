@@ -0,0 +1,228 @@
+/**
+ * @chitrashensah/geant4-geometry
+ * Copyright (c) 2025 Chitrashen Sah
+ * Licensed under MIT License
+ */
+
+import * as THREE from 'three';
+import { SolidGeometry } from './SolidGeometry.js';
+import { MeshBuilder } from '../utils/MeshBuilder.js';
+import { FacetRegion } from '../navigation/regions.js';
+import { kCarTolerance } from '../navigation/constants.js';
+import { unitScales } from '../utils/units.js';
+import { findOpenEdges } from '../utils/watertight.js';
+
+// A cube of half length 1
+const CUBE_FACETS = [
+  [[-1, -1, -1], [-1, 1, -1], [1, 1, -1], [1, -1, -1]],
+  [[-1, -1, 1], [1, -1, 1], [1, 1, 1], [-1, 1, 1]],
+  [[-1, -1, -1], [1, -1, -1], [1, -1, 1], [-1, -1, 1]],
+  [[-1, 1, -1], [-1, 1, 1], [1, 1, 1], [1, 1, -1]],
+  [[-1, -1, -1], [-1, -1, 1], [-1, 1, 1], [-1, 1, -1]],
+  [[1, -1, -1], [1, 1, -1], [1, 1, 1], [1, -1, 1]],
+];
+
+/**
+ * Solid bounded by flat triangular and quadrangular facets, such as a part
+ * exported from CAD. Equivalent to Geant4's G4TessellatedSolid with
+ * G4TriangularFacet and G4QuadrangularFacet.
+ *
+ * Each facet lists its 3 or 4 vertices counter-clockwise seen from
+ * outside, so that its normal points out, as Geant4 requires. A
+ * quadrangular facet must be planar. The facets must close the surface:
+ * every edge is shared by two facets running it in opposite directions.
+ *
+ *   const wedge = new TessellatedGeometry([
+ *     [[0, 0, 0], [0, 10, 0], [10, 0, 0]],
+ *     [[0, 0, 0], [0, 0, 10], [0, 10, 0]],
+ *     [[0, 0, 0], [10, 0, 0], [0, 0, 10]],
+ *     [[10, 0, 0], [0, 10, 0], [0, 0, 10]],
+ *   ]);
+ *
+ * fromSTL() and fromOBJ() read the facets of STL and Wavefront OBJ files.
+ *
+ * @param {Array<Array<number[]|THREE.Vector3>>} facets - Vertices of each facet in millimeters
+ * @param {Object} [options]
+ * @param {number|string} [options.lengthUnit='mm'] - Unit of the lengths, such as 'cm' or UNITS.cm
+ */
+class TessellatedGeometry extends SolidGeometry {
+
+  constructor(facets = CUBE_FACETS, options = {}) {
+    super();
+
+    const type = new.target.name;
+    const { length } = unitScales(options, type);
+
+    this.type = 'TessellatedGeometry';
+    this.parameters = {
+      facets: facets.map((facet) => facet.map((v) => (Array.isArray(v) ? [v[0] * length, v[1] * length, v[2] * length] : [v.x * length, v.y * length, v.z * length]))),
+    };
+
+    const corners = facetPoints(this.parameters.facets);
+    checkFacets(corners, type);
+
+    const builder = new MeshBuilder();
+    corners.forEach((facet) => builder.addPolygon(facet));
+    builder.applyTo(this);
+
+    const open = findOpenEdges(this);
+    if (open.length) {
+      throw new RangeError(`${type}: the facets do not close the surface, ${open.length} edges are open`);
+    }
+    if (!(facetsVolume(corners) > 0)) {
+      throw new RangeError(`${type}: the facets face inward, their vertices must run counter-clockwise seen from outside`);
+    }
+  }
+
+  /**
+   * The facets as lists of 3D points.
+   *
+   * @returns {THREE.Vector3[][]}
+   */
+  getFacets() {
+    return facetPoints(this.parameters.facets);
+  }
+
+  createRegion() {
+    return new FacetRegion(this.getFacets());
+  }
+
+  getCubicVolume() {
+    if (this._cubicVolume === null) this._cubicVolume = facetsVolume(this.getFacets());
+    return this._cubicVolume;
+  }
+
+  getSurfaceArea() {
+    if (this._surfaceArea === null) {
+      this._surfaceArea = this.getFacets().reduce((area, facet) => area + polygonArea(facet), 0);
+    }
+    return this._surfaceArea;
+  }
+
+  copy(source) {
+    super.copy(source);
+    this.parameters = JSON.parse(JSON.stringify(source.parameters));
+    return this;
+  }
+
+  static fromJSON(data) {
+    return new TessellatedGeometry(data.facets);
+  }
+
+  /**
+   * Solid of the facets of an STL file, ASCII text or binary.
+   *
+   * @param {string|ArrayBuffer|ArrayBufferView} data
+   * @param {Object} [options] - Options of the constructor; STL files carry no unit
+   * @returns {TessellatedGeometry}
+   */
+  static fromSTL(data, options = {}) {
+    const facets = typeof data === 'string' ? asciiSTLFacets(data) : binarySTLFacets(data);
+    return new TessellatedGeometry(facets, options);
+  }
+
+  /**
+   * Solid of the faces of a Wavefront OBJ file, all objects and groups
+   * together. Faces with more than four vertices are split into triangles
+   * around their first vertex, so they must be convex.
+   *
+   * @param {string} text
+   * @param {Object} [options] - Options of the constructor; OBJ files carry no unit
+   * @returns {TessellatedGeometry}
+   */
+  static fromOBJ(text, options = {}) {
+    const vertices = [];
+    const facets = [];
+    text.split('\n').forEach((line, row) => {
+      const fields = line.trim().split(/\s+/);
+      if (fields[0] === 'v') {
+        vertices.push(fields.slice(1, 4).map(Number));
+      } else if (fields[0] === 'f') {
+        const face = fields.slice(1).map((field) => {
+          const index = parseInt(field, 10);
+          const vertex = vertices[index < 0 ? vertices.length + index : index - 1];
+          if (!vertex) throw new RangeError(`TessellatedGeometry: OBJ line ${row + 1} refers to a missing vertex`);
+          return vertex;
+        });
+        if (face.length <= 4) facets.push(face);
+        else for (let i = 2; i < face.length; i++) facets.push([face[0], face[i - 1], face[i]]);
+      }
+    });
+    return new TessellatedGeometry(facets, options);
+  }
+}
+
+function facetPoints(facets) {
+  return facets.map((facet) => facet.map(([x, y, z]) => new THREE.Vector3(x, y, z)));
+}
+
+// Sum of the signed volumes of the tetrahedra from the origin to each
+// facet, positive when the facets face out
+function facetsVolume(facets) {
+  let volume = 0;
+  facets.forEach((facet) => {
+    for (let i = 2; i < facet.length; i++) volume += facet[0].dot(facet[i - 1].clone().cross(facet[i])) / 6;
+  });
+  return volume;
+}
+
+// Twice the area of a polygon is the length of its Newell normal
+function polygonArea(corners) {
+  const normal = new THREE.Vector3();
+  corners.forEach((a, i) => {
+    const b = corners[(i + 1) % corners.length];
+    normal.x += (a.y - b.y) * (a.z + b.z);
+    normal.y += (a.z - b.z) * (a.x + b.x);
+    normal.z += (a.x - b.x) * (a.y + b.y);
+  });
+  return normal.length() / 2;
+}
+
+// The checks of G4TriangularFacet and G4QuadrangularFacet
+function checkFacets(facets, type) {
+  if (facets.length < 4) throw new RangeError(`${type}: expected at least 4 facets, got ${facets.length}`);
+  facets.forEach((facet, i) => {
+    if (facet.length !== 3 && facet.length !== 4) {
+      throw new RangeError(`${type}: facet ${i} has ${facet.length} vertices, expected 3 or 4`);
+    }
+    if (facet.some((v) => !Number.isFinite(v.x + v.y + v.z))) throw new RangeError(`${type}: facet ${i} has an invalid vertex`);
+    const area = polygonArea(facet);
+    if (!(area > 0)) throw new RangeError(`${type}: facet ${i} has no area`);
+    if (facet.length === 4) {
+      const normal = new THREE.Triangle(facet[0], facet[1], facet[2]).getNormal(new THREE.Vector3());
+      const size = Math.sqrt(area);
+      if (normal.lengthSq() === 0 || Math.abs(normal.dot(facet[3].clone().sub(facet[0]))) > kCarTolerance * Math.max(1, size)) {
+        throw new RangeError(`${type}: quadrangular facet ${i} is not planar`);
+      }
+    }
+  });
+}
+
+function asciiSTLFacets(text) {
+  const facets = [];
+  let facet = null;
+  text.split('\n').forEach((line) => {
+    const fields = line.trim().split(/\s+/);
+    if (fields[0] === 'facet') facet = [];
+    else if (fields[0] === 'vertex' && facet) facet.push(fields.slice(1, 4).map(Number));
+    else if (fields[0] === 'endfacet' && facet) facets.push(facet);
+  });
+  return facets;
+}
+
+// 80 bytes of header, the number of triangles, then for each its normal,
+// three vertices and two bytes of attributes
+function binarySTLFacets(data) {
+  const view = ArrayBuffer.isView(data) ? new DataView(data.buffer, data.byteOffset, data.byteLength) : new DataView(data);
+  if (view.byteLength < 84) throw new RangeError('TessellatedGeometry: binary STL is too short');
+  const count = view.getUint32(80, true);
+  if (view.byteLength < 84 + 50 * count) throw new RangeError(`TessellatedGeometry: binary STL of ${count} triangles is truncated`);
+  const facets = [];
+  for (let t = 0; t < count; t++) {
+    const offset = 84 + 50 * t + 12;
+    facets.push([0, 1, 2].map((k) => [0, 1, 2].map((c) => view.getFloat32(offset + 12 * k + 4 * c, true))));
+  }
+  return facets;
+}
+
+export { TessellatedGeometry };
@@ -0,0 +1,119 @@
+/**
+ * @chitrashensah/geant4-geometry
+ * Copyright (c) 2025 Chitrashen Sah
+ * Licensed under MIT License
+ */
+
+import { SolidGeometry } from './SolidGeometry.js';
+import { MeshBuilder } from '../utils/MeshBuilder.js';
+import { revolve } from '../utils/revolve.js';
+import { arcPoints } from '../utils/profile.js';
+import { TWO_PI, degToRad, normalizePhi } from '../utils/angles.js';
+import { ToroidalRegion, ComplementRegion, intersectionOf, phiSegmentRegion } from '../navigation/regions.js';
+import { unitScales } from '../utils/units.js';
+import { tessellationOptions, radialSegmentsFor, profileSegmentsFor } from '../utils/tessellation.js';
+
+/**
+ * Torus segment with inner/outer tube radius and a phi segment.
+ * Equivalent to Geant4's G4Torus.
+ *
+ * @param {number} pRmin - Inner radius of the tube in millimeters
+ * @param {number} pRmax - Outer radius of the tube in millimeters
+ * @param {number} pRtor - Swept radius of the torus in millimeters
+ * @param {number} pSPhi - Starting phi angle in degrees
+ * @param {number} pDPhi - Delta phi angle in degrees
+ * @param {Object} [options]
+ * @param {number|string} [options.lengthUnit='mm'] - Unit of the lengths, such as 'cm' or UNITS.cm
+ * @param {number|string} [options.angleUnit='deg'] - Unit of the angles, such as 'rad'
+ * @param {number} [options.radialSegments] - Segments around z over the phi extent
+ * @param {number} [options.heightSegments] - Segments around the tube
+ * @param {number} [options.chordTolerance] - Largest distance between the surface and its chords, setting the segments not given
+ */
+class TorusGeometry extends SolidGeometry {
+
+  constructor(pRmin = 0, pRmax = 1, pRtor = 2, pSPhi = 0, pDPhi = 360, options = {}) {
+    super();
+
+    const { length, angle } = unitScales(options, 'TorusGeometry');
+    [pRmin, pRmax, pRtor] = [pRmin, pRmax, pRtor].map((v) => v * length);
+    [pSPhi, pDPhi] = [pSPhi, pDPhi].map((a) => a * angle);
+
+    this.type = 'TorusGeometry';
+    this.parameters = {
+      pRmin,
+      pRmax,
+      pRtor,
+      pSPhi,
+      pDPhi,
+    };
+    const tessellation = tessellationOptions(options, length, 'TorusGeometry');
+    if (tessellation) this.parameters.tessellation = tessellation;
+
+    if (!(pRmin >= 0 && pRmin < pRmax)) {
+      throw new RangeError(`TorusGeometry: invalid radii pRmin = ${pRmin}, pRmax = ${pRmax}`);
+    }
+    if (!(pRtor >= pRmax)) {
+      throw new RangeError(`TorusGeometry: invalid swept radius pRtor = ${pRtor}, must be >= pRmax`);
+    }
+
+    const phi = normalizePhi(degToRad(pSPhi), degToRad(pDPhi));
+    const segments = profileSegmentsFor(tessellation, TWO_PI, pRmax);
+
+    // Tube cross-section: outer circle counter-clockwise, inner one as a hole
+    const loops = [[arcPoints(pRtor, 0, pRmax, -Math.PI, Math.PI, segments)]];
+    if (pRmin > 0) {
+      loops.push([arcPoints(pRtor, 0, pRmin, Math.PI, -Math.PI, segments, true)]);
+    }
+
+    const builder = new MeshBuilder();
+    revolve(builder, loops, {
+      phiStart: phi.sPhi,
+      phiLength: phi.dPhi,
+      segments: radialSegmentsFor(tessellation, phi.dPhi, pRtor + pRmax),
+      faces: [['outer'], ['inner']],
+    });
+    builder.applyTo(this);
+  }
+
+  createRegion() {
+    const { pRmin, pRmax, pRtor, pSPhi, pDPhi } = this.parameters;
+    const phi = normalizePhi(degToRad(pSPhi), degToRad(pDPhi));
+    return intersectionOf([
+      new ToroidalRegion(pRtor, pRmax),
+      pRmin > 0 ? new ComplementRegion(new ToroidalRegion(pRtor, pRmin)) : null,
+      phiSegmentRegion(phi.sPhi, phi.dPhi),
+    ]);
+  }
+
+  getCubicVolume() {
+    const { pRmin, pRmax, pRtor, pSPhi, pDPhi } = this.parameters;
+    const phi = normalizePhi(degToRad(pSPhi), degToRad(pDPhi));
+    return phi.dPhi * Math.PI * pRtor * (pRmax * pRmax - pRmin * pRmin);
+  }
+
+  getSurfaceArea() {
+    const { pRmin, pRmax, pRtor, pSPhi, pDPhi } = this.parameters;
+    const phi = normalizePhi(degToRad(pSPhi), degToRad(pDPhi));
+    const area = phi.dPhi * TWO_PI * pRtor * (pRmax + pRmin);
+    return phi.fullPhi ? area : area + TWO_PI * (pRmax * pRmax - pRmin * pRmin);
+  }
+
+  copy(source) {
+    super.copy(source);
+    this.parameters = Object.assign({}, source.parameters);
+    return this;
+  }
+
+  static fromJSON(data) {
+    return new TorusGeometry(
+      data.pRmin,
+      data.pRmax,
+      data.pRtor,
+      data.pSPhi,
+      data.pDPhi,
+      data.tessellation
+    );
+  }
+}
+
+export { TorusGeometry };
@@ -0,0 +1,163 @@
+/**
+ * @chitrashensah/geant4-geometry
+ * Copyright (c) 2025 Chitrashen Sah
+ * Licensed under MIT License
+ */
+
+import * as THREE from 'three';
+import { SolidGeometry } from './SolidGeometry.js';
+import { MeshBuilder } from '../utils/MeshBuilder.js';
+import { addHexahedron, hexahedronRegion, hexahedronPointOnSurface, hexahedronVolume, hexahedronArea, lateralFaceTwist } from '../utils/hexahedron.js';
+import { degToRad } from '../utils/angles.js';
+import { unitScales } from '../utils/units.js';
+
+// Largest allowed deviation from planarity of a side face, as in G4Trap.
+const PLANARITY_TOLERANCE = 1e-6;
+
+/**
+ * General trapezoid with planar faces: two trapezoids at -pDz and +pDz whose
+ * centres are joined by a line at polar angle pTheta and azimuth pPhi.
+ * Equivalent to Geant4's G4Trap.
+ *
+ * @param {number} pDz - Half length in z in millimeters
+ * @param {number} pTheta - Polar angle of the line joining the face centres in degrees
+ * @param {number} pPhi - Azimuthal angle of that line in degrees
+ * @param {number} pDy1 - Half length in y of the face at -pDz in millimeters
+ * @param {number} pDx1 - Half length in x of the side at -pDy1 of the face at -pDz
+ * @param {number} pDx2 - Half length in x of the side at +pDy1 of the face at -pDz
+ * @param {number} pAlp1 - Angle of the face at -pDz to the y axis in degrees
+ * @param {number} pDy2 - Half length in y of the face at +pDz in millimeters
+ * @param {number} pDx3 - Half length in x of the side at -pDy2 of the face at +pDz
+ * @param {number} pDx4 - Half length in x of the side at +pDy2 of the face at +pDz
+ * @param {number} pAlp2 - Angle of the face at +pDz to the y axis in degrees
+ * @param {Object} [options]
+ * @param {number|string} [options.lengthUnit='mm'] - Unit of the lengths, such as 'cm' or UNITS.cm
+ * @param {number|string} [options.angleUnit='deg'] - Unit of the angles, such as 'rad'
+ */
+class TrapGeometry extends SolidGeometry {
+
+  constructor(
+    pDz = 1,
+    pTheta = 0,
+    pPhi = 0,
+    pDy1 = 1,
+    pDx1 = 1,
+    pDx2 = 1,
+    pAlp1 = 0,
+    pDy2 = 1,
+    pDx3 = 1,
+    pDx4 = 1,
+    pAlp2 = 0,
+    options = {}
+  ) {
+    super();
+
+    const { length, angle } = unitScales(options, 'TrapGeometry');
+    [pDz, pDy1, pDx1, pDx2, pDy2, pDx3, pDx4] = [pDz, pDy1, pDx1, pDx2, pDy2, pDx3, pDx4].map((v) => v * length);
+    [pTheta, pPhi, pAlp1, pAlp2] = [pTheta, pPhi, pAlp1, pAlp2].map((a) => a * angle);
+
+    this.type = 'TrapGeometry';
+    this.parameters = {
+      pDz,
+      pTheta,
+      pPhi,
+      pDy1,
+      pDx1,
+      pDx2,
+      pAlp1,
+      pDy2,
+      pDx3,
+      pDx4,
+      pAlp2,
+    };
+
+    if (!(pDz > 0 && pDy1 > 0 && pDx1 > 0 && pDx2 > 0 && pDy2 > 0 && pDx3 > 0 && pDx4 > 0)) {
+      throw new RangeError(
+        `TrapGeometry: invalid dimensions pDz = ${pDz}, pDy1 = ${pDy1}, pDx1 = ${pDx1}, pDx2 = ${pDx2}, ` +
+          `pDy2 = ${pDy2}, pDx3 = ${pDx3}, pDx4 = ${pDx4}`
+      );
+    }
+
+    const vertices = this.getVertices();
+    const twist = lateralFaceTwist(vertices);
+    if (twist > PLANARITY_TOLERANCE) {
+      throw new RangeError(`TrapGeometry: side face is not planar (deviation ${twist} mm)`);
+    }
+
+    const builder = new MeshBuilder();
+    addHexahedron(builder, vertices);
+    builder.applyTo(this);
+  }
+
+  /**
+   * The eight vertices in the order of G4Trap::GetVertices.
+   *
+   * @returns {THREE.Vector3[]}
+   */
+  getVertices() {
+    const { pDz, pTheta, pPhi, pDy1, pDx1, pDx2, pAlp1, pDy2, pDx3, pDx4, pAlp2 } = this.parameters;
+    const tanTheta = Math.tan(degToRad(pTheta));
+    const dzTthetaCphi = pDz * tanTheta * Math.cos(degToRad(pPhi));
+    const dzTthetaSphi = pDz * tanTheta * Math.sin(degToRad(pPhi));
+    const dy1Talpha1 = pDy1 * Math.tan(degToRad(pAlp1));
+    const dy2Talpha2 = pDy2 * Math.tan(degToRad(pAlp2));
+
+    return [
+      new THREE.Vector3(-dzTthetaCphi - dy1Talpha1 - pDx1, -dzTthetaSphi - pDy1, -pDz),
+      new THREE.Vector3(-dzTthetaCphi - dy1Talpha1 + pDx1, -dzTthetaSphi - pDy1, -pDz),
+      new THREE.Vector3(-dzTthetaCphi + dy1Talpha1 - pDx2, -dzTthetaSphi + pDy1, -pDz),
+      new THREE.Vector3(-dzTthetaCphi + dy1Talpha1 + pDx2, -dzTthetaSphi + pDy1, -pDz),
+      new THREE.Vector3(dzTthetaCphi - dy2Talpha2 - pDx3, dzTthetaSphi - pDy2, pDz),
+      new THREE.Vector3(dzTthetaCphi - dy2Talpha2 + pDx3, dzTthetaSphi - pDy2, pDz),
+      new THREE.Vector3(dzTthetaCphi + dy2Talpha2 - pDx4, dzTthetaSphi + pDy2, pDz),
+      new THREE.Vector3(dzTthetaCphi + dy2Talpha2 + pDx4, dzTthetaSphi + pDy2, pDz),
+    ];
+  }
+
+  createRegion() {
+    return hexahedronRegion(this.getVertices());
+  }
+
+  getCubicVolume() {
+    return hexahedronVolume(this.getVertices());
+  }
+
+  getSurfaceArea() {
+    return hexahedronArea(this.getVertices());
+  }
+
+  /**
+   * Random point on the surface, uniform by area over the faces.
+   *
+   * @param {function(): number} [random=Math.random]
+   * @param {THREE.Vector3} [target]
+   * @returns {THREE.Vector3}
+   */
+  getPointOnSurface(random = Math.random, target = new THREE.Vector3()) {
+    return hexahedronPointOnSurface(this.getVertices(), random, target);
+  }
+
+  copy(source) {
+    super.copy(source);
+    this.parameters = Object.assign({}, source.parameters);
+    return this;
+  }
+
+  static fromJSON(data) {
+    return new TrapGeometry(
+      data.pDz,
+      data.pTheta,
+      data.pPhi,
+      data.pDy1,
+      data.pDx1,
+      data.pDx2,
+      data.pAlp1,
+      data.pDy2,
+      data.pDx3,
+      data.pDx4,
+      data.pAlp2
+    );
+  }
+}
+
+export { TrapGeometry };
@@ -0,0 +1,112 @@
+/**
+ * @chitrashensah/geant4-geometry
+ * Copyright (c) 2025 Chitrashen Sah
+ * Licensed under MIT License
+ */
+
+import * as THREE from 'three';
+import { SolidGeometry } from './SolidGeometry.js';
+import { MeshBuilder } from '../utils/MeshBuilder.js';
+import { addHexahedron, hexahedronRegion, hexahedronPointOnSurface, hexahedronVolume, hexahedronArea } from '../utils/hexahedron.js';
+import { unitScales } from '../utils/units.js';
+
+/**
+ * Trapezoid with x and y half lengths varying linearly along z.
+ * Equivalent to Geant4's G4Trd.
+ *
+ * @param {number} pdx1 - Half length in x at -pdz in millimeters
+ * @param {number} pdx2 - Half length in x at +pdz in millimeters
+ * @param {number} pdy1 - Half length in y at -pdz in millimeters
+ * @param {number} pdy2 - Half length in y at +pdz in millimeters
+ * @param {number} pdz - Half length in z in millimeters
+ * @param {Object} [options]
+ * @param {number|string} [options.lengthUnit='mm'] - Unit of the lengths, such as 'cm' or UNITS.cm
+ */
+class TrdGeometry extends SolidGeometry {
+
+  constructor(pdx1 = 1, pdx2 = 1, pdy1 = 1, pdy2 = 1, pdz = 1, options = {}) {
+    super();
+
+    const { length } = unitScales(options, 'TrdGeometry');
+    [pdx1, pdx2, pdy1, pdy2, pdz] = [pdx1, pdx2, pdy1, pdy2, pdz].map((v) => v * length);
+
+    this.type = 'TrdGeometry';
+    this.parameters = {
+      pdx1,
+      pdx2,
+      pdy1,
+      pdy2,
+      pdz,
+    };
+
+    if (!(pdx1 >= 0 && pdx2 >= 0 && pdy1 >= 0 && pdy2 >= 0 && pdz > 0 && pdx1 + pdx2 > 0 && pdy1 + pdy2 > 0)) {
+      throw new RangeError(
+        `TrdGeometry: invalid dimensions pdx1 = ${pdx1}, pdx2 = ${pdx2}, pdy1 = ${pdy1}, pdy2 = ${pdy2}, pdz = ${pdz}`
+      );
+    }
+
+    const builder = new MeshBuilder();
+    addHexahedron(builder, this.getVertices());
+    builder.applyTo(this);
+  }
+
+  /**
+   * The eight vertices in the order of G4Trd::GetVertices.
+   *
+   * @returns {THREE.Vector3[]}
+   */
+  getVertices() {
+    const { pdx1, pdx2, pdy1, pdy2, pdz } = this.parameters;
+    return [
+      new THREE.Vector3(-pdx1, -pdy1, -pdz),
+      new THREE.Vector3(pdx1, -pdy1, -pdz),
+      new THREE.Vector3(-pdx1, pdy1, -pdz),
+      new THREE.Vector3(pdx1, pdy1, -pdz),
+      new THREE.Vector3(-pdx2, -pdy2, pdz),
+      new THREE.Vector3(pdx2, -pdy2, pdz),
+      new THREE.Vector3(-pdx2, pdy2, pdz),
+      new THREE.Vector3(pdx2, pdy2, pdz),
+    ];
+  }
+
+  createRegion() {
+    return hexahedronRegion(this.getVertices());
+  }
+
+  getCubicVolume() {
+    return hexahedronVolume(this.getVertices());
+  }
+
+  getSurfaceArea() {
+    return hexahedronArea(this.getVertices());
+  }
+
+  /**
+   * Random point on the surface, uniform by area over the faces.
+   *
+   * @param {function(): number} [random=Math.random]
+   * @param {THREE.Vector3} [target]
+   * @returns {THREE.Vector3}
+   */
+  getPointOnSurface(random = Math.random, target = new THREE.Vector3()) {
+    return hexahedronPointOnSurface(this.getVertices(), random, target);
+  }
+
+  copy(source) {
+    super.copy(source);
+    this.parameters = Object.assign({}, source.parameters);
+    return this;
+  }
+
+  static fromJSON(data) {
+    return new TrdGeometry(
+      data.pdx1,
+      data.pdx2,
+      data.pdy1,
+      data.pdy2,
+      data.pdz
+    );
+  }
+}
+
+export { TrdGeometry };
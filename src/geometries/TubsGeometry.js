@@ -0,0 +1,139 @@
+/**
+ * @chitrashensah/geant4-geometry
+ * Copyright (c) 2025 Chitrashen Sah
+ * Licensed under MIT License
+ */
+
+import * as THREE from 'three';
+import { SolidGeometry } from './SolidGeometry.js';
+import { MeshBuilder } from '../utils/MeshBuilder.js';
+import { revolve } from '../utils/revolve.js';
+import { linePoints } from '../utils/profile.js';
+import { degToRad, normalizePhi } from '../utils/angles.js';
+import { ConicalRegion, ComplementRegion, intersectionOf, zSlab, phiSegmentRegion } from '../navigation/regions.js';
+import { unitScales } from '../utils/units.js';
+import { pointOnConicalSection } from '../utils/sampling.js';
+import { tessellationOptions, radialSegmentsFor, lineSegmentsFor } from '../utils/tessellation.js';
+
+/**
+ * Cylindrical section geometry with inner/outer radius and a phi segment.
+ * Equivalent to Geant4's G4Tubs.
+ *
+ * @param {number} pRMin - Inner radius in millimeters
+ * @param {number} pRMax - Outer radius in millimeters
+ * @param {number} pDz - Half length in z in millimeters
+ * @param {number} pSPhi - Starting phi angle in degrees
+ * @param {number} pDPhi - Delta phi angle in degrees
+ * @param {Object} [options]
+ * @param {number|string} [options.lengthUnit='mm'] - Unit of the lengths, such as 'cm' or UNITS.cm
+ * @param {number|string} [options.angleUnit='deg'] - Unit of the angles, such as 'rad'
+ * @param {number} [options.radialSegments] - Segments around z over the phi extent
+ * @param {number} [options.heightSegments=1] - Segments along z on the inner and outer walls
+ * @param {number} [options.chordTolerance] - Largest distance between the outer surface and its chords, setting the radial segments
+ */
+class TubsGeometry extends SolidGeometry {
+
+  constructor(pRMin = 0, pRMax = 1, pDz = 1, pSPhi = 0, pDPhi = 360, options = {}) {
+    super();
+
+    const { length, angle } = unitScales(options, 'TubsGeometry');
+    [pRMin, pRMax, pDz] = [pRMin, pRMax, pDz].map((v) => v * length);
+    [pSPhi, pDPhi] = [pSPhi, pDPhi].map((a) => a * angle);
+
+    this.type = 'TubsGeometry';
+    this.parameters = {
+      pRMin,
+      pRMax,
+      pDz,
+      pSPhi,
+      pDPhi,
+    };
+    const tessellation = tessellationOptions(options, length, 'TubsGeometry');
+    if (tessellation) this.parameters.tessellation = tessellation;
+
+    if (!(pDz > 0)) {
+      throw new RangeError(`TubsGeometry: invalid half length pDz = ${pDz}`);
+    }
+    if (!(pRMin >= 0 && pRMin < pRMax)) {
+      throw new RangeError(`TubsGeometry: invalid radii pRMin = ${pRMin}, pRMax = ${pRMax}`);
+    }
+
+    const phi = normalizePhi(degToRad(pSPhi), degToRad(pDPhi));
+
+    // Profile in the (r, z) half plane, counter-clockwise, the walls cut
+    // into rows along z
+    const rows = lineSegmentsFor(tessellation);
+    const profile = [
+      [{ r: pRMin, z: -pDz }, { r: pRMax, z: -pDz }],
+      linePoints({ r: pRMax, z: -pDz }, { r: pRMax, z: pDz }, rows),
+      [{ r: pRMax, z: pDz }, { r: pRMin, z: pDz }],
+      linePoints({ r: pRMin, z: pDz }, { r: pRMin, z: -pDz }, rows),
+    ];
+
+    const builder = new MeshBuilder();
+    revolve(builder, [profile], {
+      phiStart: phi.sPhi,
+      phiLength: phi.dPhi,
+      segments: radialSegmentsFor(tessellation, phi.dPhi, pRMax),
+      faces: [['-z', 'outer', '+z', 'inner']],
+    });
+    builder.applyTo(this);
+  }
+
+  createRegion() {
+    const { pRMin, pRMax, pDz, pSPhi, pDPhi } = this.parameters;
+    const phi = normalizePhi(degToRad(pSPhi), degToRad(pDPhi));
+    return intersectionOf([
+      new ConicalRegion(0, pRMax),
+      pRMin > 0 ? new ComplementRegion(new ConicalRegion(0, pRMin)) : null,
+      ...zSlab(-pDz, pDz),
+      phiSegmentRegion(phi.sPhi, phi.dPhi),
+    ]);
+  }
+
+  getCubicVolume() {
+    const { pRMin, pRMax, pDz, pSPhi, pDPhi } = this.parameters;
+    const phi = normalizePhi(degToRad(pSPhi), degToRad(pDPhi));
+    return phi.dPhi * pDz * (pRMax * pRMax - pRMin * pRMin);
+  }
+
+  getSurfaceArea() {
+    const { pRMin, pRMax, pDz, pSPhi, pDPhi } = this.parameters;
+    const phi = normalizePhi(degToRad(pSPhi), degToRad(pDPhi));
+    const area = phi.dPhi * (pRMin + pRMax) * (2 * pDz + pRMax - pRMin);
+    return phi.fullPhi ? area : area + 4 * pDz * (pRMax - pRMin);
+  }
+
+  /**
+   * Random point on the surface, uniform by area over the walls, the end
+   * caps and the phi planes.
+   *
+   * @param {function(): number} [random=Math.random]
+   * @param {THREE.Vector3} [target]
+   * @returns {THREE.Vector3}
+   */
+  getPointOnSurface(random = Math.random, target = new THREE.Vector3()) {
+    const { pRMin, pRMax, pDz, pSPhi, pDPhi } = this.parameters;
+    const phi = normalizePhi(degToRad(pSPhi), degToRad(pDPhi));
+    return pointOnConicalSection({ rMin1: pRMin, rMax1: pRMax, rMin2: pRMin, rMax2: pRMax, dz: pDz, ...phi }, random, target);
+  }
+
+  copy(source) {
+    super.copy(source);
+    this.parameters = Object.assign({}, source.parameters);
+    return this;
+  }
+
+  static fromJSON(data) {
+    return new TubsGeometry(
+      data.pRMin,
+      data.pRMax,
+      data.pDz,
+      data.pSPhi,
+      data.pDPhi,
+      data.tessellation
+    );
+  }
+}
+
+export { TubsGeometry };
@@ -0,0 +1,46 @@
+/**
+ * @chitrashensah/geant4-geometry
+ * Copyright (c) 2025 Chitrashen Sah
+ * Licensed under MIT License
+ */
+
+import { BooleanGeometry } from './BooleanGeometry.js';
+import { registerGeometry } from './registry.js';
+import { UnionRegion } from '../navigation/regions.js';
+
+/**
+ * Union of two solids. Equivalent to Geant4's G4UnionSolid; see
+ * BooleanGeometry for the placement of the operands.
+ *
+ *   // a box with a rod through it along y
+ *   const cross = new UnionGeometry(new BoxGeometry(20, 20, 20), new TubsGeometry(0, 5, 50), [90, 0, 0]);
+ *
+ * @param {THREE.BufferGeometry} first - First operand
+ * @param {THREE.BufferGeometry} second - Second operand
+ * @param {number[]} [rotation=[0, 0, 0]] - Frame rotation of the second operand in degrees
+ * @param {number[]|THREE.Vector3} [translation=[0, 0, 0]] - Position of the second operand in millimeters
+ * @param {number[]} [firstRotation=[0, 0, 0]] - Frame rotation of the first operand in degrees
+ * @param {number[]|THREE.Vector3} [firstTranslation=[0, 0, 0]] - Position of the first operand in millimeters
+ * @param {Object} [options] - `lengthUnit` and `angleUnit` of the placements, `evaluate` (see BooleanGeometry)
+ */
+class UnionGeometry extends BooleanGeometry {
+
+  constructor(first, second, rotation, translation, firstRotation, firstTranslation, options) {
+    super(first, second, rotation, translation, firstRotation, firstTranslation, options);
+
+    this.type = 'UnionGeometry';
+    if (options?.evaluate !== false) this.evaluate();
+  }
+
+  combine(first, second) {
+    return first.union(second);
+  }
+
+  combineRegions(first, second) {
+    return new UnionRegion([first, second]);
+  }
+}
+
+registerGeometry('UnionGeometry', UnionGeometry);
+
+export { UnionGeometry };
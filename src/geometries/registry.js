@@ -0,0 +1,103 @@
+/**
+ * @chitrashensah/geant4-geometry
+ * Copyright (c) 2025 Chitrashen Sah
+ * Licensed under MIT License
+ */
+
+import * as THREE from 'three';
+import { BoxGeometry } from './BoxGeometry.js';
+import { TubsGeometry } from './TubsGeometry.js';
+import { ConsGeometry } from './ConsGeometry.js';
+import { SphereGeometry } from './SphereGeometry.js';
+import { PolyconeGeometry } from './PolyconeGeometry.js';
+import { PolyhedraGeometry } from './PolyhedraGeometry.js';
+import { TrdGeometry } from './TrdGeometry.js';
+import { TrapGeometry } from './TrapGeometry.js';
+import { ParaGeometry } from './ParaGeometry.js';
+import { GenericTrapGeometry } from './GenericTrapGeometry.js';
+import { TorusGeometry } from './TorusGeometry.js';
+import { EllipsoidGeometry } from './EllipsoidGeometry.js';
+import { EllipticalTubeGeometry } from './EllipticalTubeGeometry.js';
+import { EllipticalConeGeometry } from './EllipticalConeGeometry.js';
+import { ParaboloidGeometry } from './ParaboloidGeometry.js';
+import { HypeGeometry } from './HypeGeometry.js';
+import { TessellatedGeometry } from './TessellatedGeometry.js';
+import { ExtrudedGeometry } from './ExtrudedGeometry.js';
+
+// Geometry classes of this package by `type`. Classes built from other
+// geometries register themselves in their own module.
+const GEOMETRIES = new Map([
+  ['BoxGeometry', BoxGeometry],
+  ['TubsGeometry', TubsGeometry],
+  ['ConsGeometry', ConsGeometry],
+  ['SphereGeometry', SphereGeometry],
+  ['PolyconeGeometry', PolyconeGeometry],
+  ['PolyhedraGeometry', PolyhedraGeometry],
+  ['TrdGeometry', TrdGeometry],
+  ['TrapGeometry', TrapGeometry],
+  ['ParaGeometry', ParaGeometry],
+  ['GenericTrapGeometry', GenericTrapGeometry],
+  ['TorusGeometry', TorusGeometry],
+  ['EllipsoidGeometry', EllipsoidGeometry],
+  ['EllipticalTubeGeometry', EllipticalTubeGeometry],
+  ['EllipticalConeGeometry', EllipticalConeGeometry],
+  ['ParaboloidGeometry', ParaboloidGeometry],
+  ['HypeGeometry', HypeGeometry],
+  ['TessellatedGeometry', TessellatedGeometry],
+  ['ExtrudedGeometry', ExtrudedGeometry],
+]);
+
+function registerGeometry(type, geometryClass) {
+  GEOMETRIES.set(type, geometryClass);
+}
+
+/**
+ * Geometry class of this package registered for `type`, if any.
+ *
+ * @param {string} type
+ * @returns {Function|undefined}
+ */
+function geometryClassOf(type) {
+  return GEOMETRIES.get(type);
+}
+
+/**
+ * Type under which `geometryClass` is registered, if any.
+ *
+ * @param {Function} geometryClass
+ * @returns {string|undefined}
+ */
+function geometryTypeOf(geometryClass) {
+  for (const [type, candidate] of GEOMETRIES) {
+    if (candidate === geometryClass) return type;
+  }
+  return undefined;
+}
+
+/**
+ * JSON of a geometry used as operand of another one. Geometries of this
+ * package are written by their parameters, any other geometry by its
+ * buffers.
+ *
+ * @param {THREE.BufferGeometry} geometry
+ * @returns {Object}
+ */
+function geometryToJSON(geometry) {
+  if (GEOMETRIES.get(geometry.type) === geometry.constructor) return geometry.toJSON();
+  return new THREE.BufferGeometry().copy(geometry).toJSON();
+}
+
+/**
+ * Inverse of geometryToJSON().
+ *
+ * @param {Object} data
+ * @returns {THREE.BufferGeometry}
+ */
+function geometryFromJSON(data) {
+  const geometryClass = GEOMETRIES.get(data.type);
+  const geometry = geometryClass ? geometryClass.fromJSON(data) : new THREE.BufferGeometryLoader().parse(data);
+  if (data.name) geometry.name = data.name;
+  return geometry;
+}
+
+export { registerGeometry, geometryClassOf, geometryTypeOf, geometryToJSON, geometryFromJSON };
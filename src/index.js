@@ -7,5 +7,68 @@
  */
 
 // Export geometries
+export { SolidGeometry } from './geometries/SolidGeometry.js';
+export { BoxGeometry } from './geometries/BoxGeometry.js';
 export { SphereGeometry } from './geometries/SphereGeometry.js';
-export {CSG} from './CSGMesh.js';
\ No newline at end of file
+export { TubsGeometry } from './geometries/TubsGeometry.js';
+export { ConsGeometry } from './geometries/ConsGeometry.js';
+export { PolyconeGeometry } from './geometries/PolyconeGeometry.js';
+export { PolyhedraGeometry } from './geometries/PolyhedraGeometry.js';
+export { TrdGeometry } from './geometries/TrdGeometry.js';
+export { TrapGeometry } from './geometries/TrapGeometry.js';
+export { ParaGeometry } from './geometries/ParaGeometry.js';
+export { GenericTrapGeometry } from './geometries/GenericTrapGeometry.js';
+export { TorusGeometry } from './geometries/TorusGeometry.js';
+export { EllipsoidGeometry } from './geometries/EllipsoidGeometry.js';
+export { EllipticalTubeGeometry } from './geometries/EllipticalTubeGeometry.js';
+export { EllipticalConeGeometry } from './geometries/EllipticalConeGeometry.js';
+export { ParaboloidGeometry } from './geometries/ParaboloidGeometry.js';
+export { HypeGeometry } from './geometries/HypeGeometry.js';
+export { TessellatedGeometry } from './geometries/TessellatedGeometry.js';
+export { ExtrudedGeometry } from './geometries/ExtrudedGeometry.js';
+export { BooleanGeometry } from './geometries/BooleanGeometry.js';
+export { UnionGeometry } from './geometries/UnionGeometry.js';
+export { SubtractionGeometry } from './geometries/SubtractionGeometry.js';
+export { IntersectionGeometry } from './geometries/IntersectionGeometry.js';
+export { MultiUnionGeometry } from './geometries/MultiUnionGeometry.js';
+export { ReflectedGeometry } from './geometries/ReflectedGeometry.js';
+export { geometryToJSON, geometryFromJSON } from './geometries/registry.js';
+
+// Export volumes
+export { LogicalVolume } from './volumes/LogicalVolume.js';
+export { PhysicalVolume } from './volumes/PhysicalVolume.js';
+export { ReplicaVolume } from './volumes/ReplicaVolume.js';
+export { DivisionVolume } from './volumes/DivisionVolume.js';
+export { ParameterisedVolume } from './volumes/ParameterisedVolume.js';
+export { checkOverlaps } from './volumes/checkOverlaps.js';
+export { placeReflected } from './volumes/placeReflected.js';
+
+// Export materials
+export { Element } from './materials/Element.js';
+export { Material } from './materials/Material.js';
+export { findNistElement, findNistMaterial, nistMaterialNames } from './materials/nist.js';
+export { materialFromDefinitions } from './materials/definitions.js';
+
+// Export units
+export { UNITS, unitScales } from './utils/units.js';
+export { evaluate } from './utils/expression.js';
+export { createRandom } from './utils/random.js';
+
+// Export navigation
+export { Navigator } from './navigation/Navigator.js';
+export { kOutside, kSurface, kInside, kInfinity, kCarTolerance, kRadTolerance, kAngTolerance } from './navigation/constants.js';
+export { kXAxis, kYAxis, kZAxis, kRho, kRadial3D, kPhi, kUndefined } from './navigation/constants.js';
+
+// Export loaders
+export { GDMLLoader } from './loaders/GDMLLoader.js';
+export { TextGeometryLoader } from './loaders/TextGeometryLoader.js';
+
+// Export exporters
+export { GDMLExporter } from './exporters/GDMLExporter.js';
+
+// Export workers
+export { GeometryWorkerPool, buildGeometry } from './workers/GeometryWorkerPool.js';
+
+export {CSG} from './CSGMesh.js';
+export { findOpenEdges } from './utils/watertight.js';
+export { createLOD } from './utils/lod.js';
\ No newline at end of file
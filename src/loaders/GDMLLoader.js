@@ -0,0 +1,680 @@
+/**
+ * @chitrashensah/geant4-geometry
+ * Copyright (c) 2025 Chitrashen Sah
+ * Licensed under MIT License
+ */
+
+import * as THREE from 'three';
+import { parseXML } from './xml.js';
+import { evaluate } from '../utils/expression.js';
+import { UNITS } from '../utils/units.js';
+import { placementMatrix } from '../utils/placement.js';
+import { materialFromDefinitions } from '../materials/definitions.js';
+import { BoxGeometry } from '../geometries/BoxGeometry.js';
+import { TubsGeometry } from '../geometries/TubsGeometry.js';
+import { ConsGeometry } from '../geometries/ConsGeometry.js';
+import { SphereGeometry } from '../geometries/SphereGeometry.js';
+import { PolyconeGeometry } from '../geometries/PolyconeGeometry.js';
+import { PolyhedraGeometry } from '../geometries/PolyhedraGeometry.js';
+import { TrdGeometry } from '../geometries/TrdGeometry.js';
+import { TrapGeometry } from '../geometries/TrapGeometry.js';
+import { ParaGeometry } from '../geometries/ParaGeometry.js';
+import { GenericTrapGeometry } from '../geometries/GenericTrapGeometry.js';
+import { TorusGeometry } from '../geometries/TorusGeometry.js';
+import { EllipsoidGeometry } from '../geometries/EllipsoidGeometry.js';
+import { EllipticalTubeGeometry } from '../geometries/EllipticalTubeGeometry.js';
+import { EllipticalConeGeometry } from '../geometries/EllipticalConeGeometry.js';
+import { ParaboloidGeometry } from '../geometries/ParaboloidGeometry.js';
+import { HypeGeometry } from '../geometries/HypeGeometry.js';
+import { TessellatedGeometry } from '../geometries/TessellatedGeometry.js';
+import { ExtrudedGeometry } from '../geometries/ExtrudedGeometry.js';
+import { UnionGeometry } from '../geometries/UnionGeometry.js';
+import { SubtractionGeometry } from '../geometries/SubtractionGeometry.js';
+import { IntersectionGeometry } from '../geometries/IntersectionGeometry.js';
+import { MultiUnionGeometry } from '../geometries/MultiUnionGeometry.js';
+import { ReflectedGeometry } from '../geometries/ReflectedGeometry.js';
+import { SolidGeometry } from '../geometries/SolidGeometry.js';
+import { setBuffers } from '../geometries/BooleanGeometry.js';
+import { geometryTypeOf } from '../geometries/registry.js';
+import { GeometryWorkerPool } from '../workers/GeometryWorkerPool.js';
+import { operandsOf } from '../workers/transfer.js';
+
+const RAD_TO_DEG = 180 / Math.PI;
+
+const BOOLEAN_CLASSES = {
+  union: UnionGeometry,
+  subtraction: SubtractionGeometry,
+  intersection: IntersectionGeometry,
+};
+
+const G_PER_CM3 = UNITS.g / UNITS.cm3;
+
+/**
+ * Loader for GDML (Geometry Description Markup Language) files.
+ *
+ * `parse()` reads the `<define>`, `<materials>`, `<solids>`, `<structure>`
+ * and `<setup>` sections, resolves constants, expressions and units, creates
+ * the matching geometry classes of this package and returns a THREE.Group
+ * holding the world volume. Every physical volume becomes a THREE.Mesh (a
+ * THREE.Group for assemblies) carrying its placement, with the daughters as
+ * children. Logical volumes share their geometry and material between
+ * placements.
+ *
+ * Parsing needs neither the DOM nor the network, so it runs in the browser
+ * and in Node alike. External entities in the DOCTYPE are not fetched. In
+ * Node, read the file yourself and call `parse()`:
+ *
+ *   const group = new GDMLLoader().parse(fs.readFileSync('detector.gdml', 'utf8'));
+ *
+ * The world volume itself is not drawn.
+ */
+class GDMLLoader extends THREE.Loader {
+
+  constructor(manager) {
+    super(manager);
+  }
+
+  load(url, onLoad, onProgress, onError) {
+    const scope = this;
+    const loader = new THREE.FileLoader(this.manager);
+    loader.setPath(this.path);
+    loader.setRequestHeader(this.requestHeader);
+    loader.setWithCredentials(this.withCredentials);
+    loader.load(
+      url,
+      function (text) {
+        try {
+          onLoad(scope.parse(text));
+        } catch (e) {
+          if (onError) {
+            onError(e);
+          } else {
+            console.error(e);
+          }
+          scope.manager.itemError(url);
+        }
+      },
+      onProgress,
+      onError
+    );
+  }
+
+  /**
+   * Parse GDML text into a THREE.Group.
+   *
+   * The returned group's `userData` holds the parsed `constants`,
+   * `elements` (isotopes and elements), `materials`, `solids` and
+   * `volumes` (all Maps keyed by name) and the name of the `world` volume.
+   *
+   * @param {string} text
+   * @returns {THREE.Group}
+   */
+  parse(text) {
+    return this.read(text, new GDMLState());
+  }
+
+  /**
+   * parse() with every solid meshed in the workers of a GeometryWorkerPool,
+   * off the calling thread: the primitives and tessellated solids first,
+   * then the boolean solids, multi-unions and reflections. The meshes are
+   * empty until the promise resolves.
+   *
+   *   const detector = await new GDMLLoader().parseAsync(text, { onProgress: ({ loaded, total }) => ... });
+   *
+   * @param {string} text
+   * @param {Object} [options]
+   * @param {GeometryWorkerPool} [options.pool] - By default a pool of its own, disposed when done
+   * @param {AbortSignal} [options.signal]
+   * @param {function({loaded: number, total: number})} [options.onProgress] - Solids built so far
+   * @returns {Promise<THREE.Group>}
+   */
+  async parseAsync(text, { pool, signal, onProgress } = {}) {
+    const state = new GDMLState();
+    state.deferred = [];
+    state.constructions = [];
+    const group = this.read(text, state);
+
+    // Compositions used as operands come back with the outer ones
+    const operands = new Set(state.deferred.flatMap((geometry) => operandsOf(geometry.parameters)));
+    const outermost = state.deferred.filter((geometry) => !operands.has(geometry));
+    const total = state.constructions.length + outermost.length;
+    let loaded = 0;
+    const done = () => {
+      loaded++;
+      if (onProgress) onProgress({ loaded, total });
+    };
+    const workers = pool ?? new GeometryWorkerPool();
+    try {
+      // The compositions are described by the parameters of their operands
+      await Promise.all(
+        state.constructions.map(async ({ geometry, node, description }) => {
+          let built;
+          try {
+            built = await workers.build(description, { signal });
+          } catch (e) {
+            throw signal?.aborted ? e : state.solidError(node, e);
+          }
+          setBuffers(geometry, built);
+          geometry.parameters = built.parameters;
+          geometry.invalidate();
+          done();
+        })
+      );
+      await Promise.all(outermost.map((geometry) => workers.evaluate(geometry, { signal }).then(done)));
+    } finally {
+      if (!pool) workers.dispose();
+    }
+    return group;
+  }
+
+  read(text, state) {
+    const root = parseXML(text);
+    if (root.tag !== 'gdml') {
+      throw new Error(`GDMLLoader: expected <gdml> root element, found <${root.tag}>`);
+    }
+
+    section(root, 'define').forEach((node) => state.readDefine(node));
+    section(root, 'materials').forEach((node) => state.readMaterial(node));
+    section(root, 'solids').forEach((node) => state.readSolid(node));
+    section(root, 'structure').forEach((node) => state.readVolume(node));
+
+    const setups = root.children.filter((node) => node.tag === 'setup');
+    const setup = setups.find((node) => node.attributes.name === 'Default') || setups[0];
+    if (!setup) throw new Error('GDMLLoader: no <setup> element');
+    const worldNode = setup.children.find((node) => node.tag === 'world');
+    if (!worldNode) throw new Error(`GDMLLoader: <setup> at line ${setup.line} has no <world>`);
+    const worldName = worldNode.attributes.ref;
+
+    const world = state.instantiate(worldName);
+    if (world.isMesh) {
+      world.material = world.material.clone();
+      world.material.visible = false;
+    }
+
+    const group = new THREE.Group();
+    group.name = setup.attributes.name || 'Default';
+    group.add(world);
+    group.userData = {
+      constants: state.constants,
+      elements: state.elements,
+      materials: state.materials,
+      solids: state.solids,
+      volumes: state.volumes,
+      world: worldName,
+    };
+    return group;
+  }
+}
+
+// Children of every top level element called `tag`.
+function section(root, tag) {
+  return root.children.filter((node) => node.tag === tag).flatMap((node) => node.children);
+}
+
+/**
+ * Definitions collected while reading one GDML document.
+ */
+class GDMLState {
+
+  constructor() {
+    this.constants = new Map();
+    this.positions = new Map();
+    this.rotations = new Map();
+    this.scales = new Map();
+    this.elements = new Map();
+    this.materials = new Map();
+    this.threeMaterials = new Map();
+    this.solids = new Map();
+    this.volumes = new Map();
+    // Compositions left for parseAsync() to evaluate, null to evaluate them at once
+    this.deferred = null;
+    // Solids left for parseAsync() to build, with their constructor arguments
+    this.constructions = null;
+    this.lookup = (name) => {
+      if (this.constants.has(name)) return this.constants.get(name);
+      return Object.hasOwn(UNITS, name) ? UNITS[name] : undefined;
+    };
+  }
+
+  evaluate(expression, node) {
+    try {
+      return evaluate(expression, this.lookup);
+    } catch (e) {
+      throw new Error(`GDMLLoader: ${e.message} (<${node.tag}> at line ${node.line})`);
+    }
+  }
+
+  // Attribute `name` of `node` as a number, multiplied by `unit`.
+  number(node, name, unit = 1, fallback = 0) {
+    const value = node.attributes[name];
+    if (value === undefined || value.trim() === '') return fallback;
+    return this.evaluate(value, node) * unit;
+  }
+
+  // Like number(), but undefined when the attribute is absent.
+  optional(node, name, unit = 1) {
+    return node.attributes[name] === undefined ? undefined : this.number(node, name, unit);
+  }
+
+  unit(node, attribute, fallback) {
+    const value = node.attributes[attribute];
+    return this.evaluate(value === undefined ? fallback : value, node);
+  }
+
+  lengthUnit(node) {
+    return this.unit(node, 'lunit', 'mm');
+  }
+
+  angleUnit(node) {
+    return this.unit(node, 'aunit', 'rad');
+  }
+
+  vector(node, unit) {
+    return [this.number(node, 'x', unit), this.number(node, 'y', unit), this.number(node, 'z', unit)];
+  }
+
+  readDefine(node) {
+    const name = node.attributes.name;
+    switch (node.tag) {
+      case 'constant':
+      case 'variable':
+        this.constants.set(name, this.number(node, 'value'));
+        break;
+      case 'quantity':
+        this.constants.set(name, this.number(node, 'value', this.unit(node, 'unit', '1')));
+        break;
+      case 'expression':
+        this.constants.set(name, this.evaluate(node.text.trim(), node));
+        break;
+      case 'position':
+        this.positions.set(name, this.vector(node, this.unit(node, 'unit', 'mm')));
+        break;
+      case 'rotation':
+        this.rotations.set(name, this.vector(node, this.unit(node, 'unit', 'rad')));
+        break;
+      case 'scale':
+        this.scales.set(name, [this.number(node, 'x', 1, 1), this.number(node, 'y', 1, 1), this.number(node, 'z', 1, 1)]);
+        break;
+      default:
+        // <matrix> and loops are not needed to build the geometry
+        break;
+    }
+  }
+
+  readMaterial(node) {
+    const name = node.attributes.name;
+    if (node.tag === 'isotope' || node.tag === 'element') {
+      const atom = node.children.find((child) => child.tag === 'atom');
+      this.elements.set(name, {
+        name,
+        type: node.tag,
+        formula: node.attributes.formula,
+        Z: this.optional(node, 'Z'),
+        N: this.optional(node, 'N'),
+        atomicMass: atom ? this.optional(atom, 'value') : undefined,
+        components: this.components(node),
+      });
+      return;
+    }
+    if (node.tag !== 'material') return;
+
+    const child = (tag) => node.children.find((element) => element.tag === tag);
+    const quantity = (tag, unit, scale) => {
+      const element = child(tag);
+      return element ? this.number(element, 'value', this.unit(element, 'unit', unit)) / scale : undefined;
+    };
+    const atom = child('atom');
+    const material = {
+      name,
+      formula: node.attributes.formula,
+      state: node.attributes.state,
+      Z: this.optional(node, 'Z'),
+      density: quantity('D', 'g/cm3', G_PER_CM3),
+      temperature: quantity('T', 'K', UNITS.kelvin),
+      pressure: quantity('P', 'pascal', UNITS.atmosphere),
+      atomicMass: atom ? this.optional(atom, 'value') : undefined,
+      components: this.components(node),
+    };
+    this.materials.set(name, material);
+  }
+
+  components(node) {
+    return node.children
+      .filter((child) => child.tag === 'composite' || child.tag === 'fraction')
+      .map((child) => ({
+        ref: child.attributes.ref,
+        [child.tag === 'composite' ? 'n' : 'fraction']: this.number(child, 'n'),
+      }));
+  }
+
+  threeMaterial(name) {
+    if (!this.threeMaterials.has(name)) {
+      const source = materialFromDefinitions(name, this.materials, this.elements);
+      const material = source ? source.toThreeMaterial() : new THREE.MeshStandardMaterial({ color: 0x808080 });
+      material.name = name || '';
+      material.userData.gdml = this.materials.get(name);
+      this.threeMaterials.set(name, material);
+    }
+    return this.threeMaterials.get(name);
+  }
+
+  readSolid(node) {
+    const name = node.attributes.name;
+    let geometry;
+    try {
+      geometry = this.createSolid(node);
+    } catch (e) {
+      throw this.solidError(node, e);
+    }
+    geometry.name = name;
+    this.solids.set(name, geometry);
+  }
+
+  // `error` raised by the solid of `node`, telling where it is defined.
+  solidError(node, error) {
+    if (error.message.startsWith('GDMLLoader:')) return error;
+    return new Error(`GDMLLoader: solid '${node.attributes.name}' (<${node.tag}> at line ${node.line}): ${error.message}`);
+  }
+
+  // A new `GeometryClass` made with `args`; while parseAsync() collects
+  // the solids, an empty geometry of the class that it fills once a worker
+  // has built it.
+  construct(node, GeometryClass, ...args) {
+    if (!this.constructions) return new GeometryClass(...args);
+    const geometry = Reflect.construct(SolidGeometry, [], GeometryClass);
+    geometry.type = geometryTypeOf(GeometryClass);
+    this.constructions.push({ geometry, node, description: { type: geometry.type, arguments: args } });
+    return geometry;
+  }
+
+  createSolid(node) {
+    const l = this.lengthUnit(node);
+    const a = this.angleUnit(node) * RAD_TO_DEG;
+    const n = (attr, unit = 1, fallback = 0) => this.number(node, attr, unit, fallback);
+    const planes = (tag) => node.children.filter((child) => child.tag === tag);
+    const make = (GeometryClass, ...args) => this.construct(node, GeometryClass, ...args);
+
+    switch (node.tag) {
+      case 'box':
+        return make(BoxGeometry, n('x', l) / 2, n('y', l) / 2, n('z', l) / 2);
+      case 'tube':
+        return make(TubsGeometry, n('rmin', l), n('rmax', l), n('z', l) / 2, n('startphi', a), n('deltaphi', a));
+      case 'cone':
+        return make(
+          ConsGeometry,
+          n('rmin1', l),
+          n('rmax1', l),
+          n('rmin2', l),
+          n('rmax2', l),
+          n('z', l) / 2,
+          n('startphi', a),
+          n('deltaphi', a)
+        );
+      case 'sphere':
+        return make(
+          SphereGeometry,
+          n('rmin', l),
+          n('rmax', l),
+          n('starttheta', a),
+          n('deltatheta', a),
+          n('startphi', a),
+          n('deltaphi', a)
+        );
+      case 'orb':
+        return make(SphereGeometry, 0, n('r', l), 0, 180, 0, 360);
+      case 'polycone':
+      case 'polyhedra': {
+        const zplanes = planes('zplane');
+        const z = zplanes.map((p) => this.number(p, 'z', l));
+        const rmin = zplanes.map((p) => this.number(p, 'rmin', l));
+        const rmax = zplanes.map((p) => this.number(p, 'rmax', l));
+        return node.tag === 'polycone'
+          ? make(PolyconeGeometry, n('startphi', a), n('deltaphi', a), z.length, z, rmin, rmax)
+          : make(PolyhedraGeometry, n('startphi', a), n('deltaphi', a), n('numsides'), z.length, z, rmin, rmax);
+      }
+      case 'genericPolycone':
+      case 'genericPolyhedra': {
+        const points = planes('rzpoint');
+        const r = points.map((p) => this.number(p, 'r', l));
+        const z = points.map((p) => this.number(p, 'z', l));
+        return node.tag === 'genericPolycone'
+          ? make(PolyconeGeometry, n('startphi', a), n('deltaphi', a), r.length, r, z)
+          : make(PolyhedraGeometry, n('startphi', a), n('deltaphi', a), n('numsides'), r.length, r, z);
+      }
+      case 'trd':
+        return make(TrdGeometry, n('x1', l) / 2, n('x2', l) / 2, n('y1', l) / 2, n('y2', l) / 2, n('z', l) / 2);
+      case 'trap':
+        return make(
+          TrapGeometry,
+          n('z', l) / 2,
+          n('theta', a),
+          n('phi', a),
+          n('y1', l) / 2,
+          n('x1', l) / 2,
+          n('x2', l) / 2,
+          n('alpha1', a),
+          n('y2', l) / 2,
+          n('x3', l) / 2,
+          n('x4', l) / 2,
+          n('alpha2', a)
+        );
+      case 'para':
+        return make(ParaGeometry, n('x', l) / 2, n('y', l) / 2, n('z', l) / 2, n('alpha', a), n('theta', a), n('phi', a));
+      case 'arb8': {
+        const vertices = [];
+        for (let i = 1; i <= 8; i++) vertices.push([n(`v${i}x`, l), n(`v${i}y`, l)]);
+        return make(GenericTrapGeometry, n('dz', l), vertices);
+      }
+      case 'torus':
+        return make(TorusGeometry, n('rmin', l), n('rmax', l), n('rtor', l), n('startphi', a), n('deltaphi', a));
+      case 'ellipsoid':
+        return make(EllipsoidGeometry, n('ax', l), n('by', l), n('cz', l), n('zcut1', l), n('zcut2', l));
+      case 'eltube':
+        return make(EllipticalTubeGeometry, n('dx', l), n('dy', l), n('dz', l));
+      case 'elcone':
+        return make(EllipticalConeGeometry, n('dx'), n('dy'), n('zmax', l), n('zcut', l));
+      case 'paraboloid':
+        return make(ParaboloidGeometry, n('dz', l), n('rlo', l), n('rhi', l));
+      case 'hype':
+        return make(HypeGeometry, n('rmin', l), n('rmax', l), n('inst', a), n('outst', a), n('z', l) / 2);
+      case 'tessellated':
+        return this.createTessellated(node);
+      case 'xtru': {
+        const polygon = planes('twoDimVertex').map((v) => [this.number(v, 'x', l), this.number(v, 'y', l)]);
+        const sections = planes('section')
+          .map((s) => ({
+            order: this.number(s, 'zOrder'),
+            z: this.number(s, 'zPosition', l),
+            offset: [this.number(s, 'xOffset', l), this.number(s, 'yOffset', l)],
+            scale: this.number(s, 'scalingFactor', 1, 1),
+          }))
+          .sort((s1, s2) => s1.order - s2.order);
+        return make(ExtrudedGeometry, polygon, sections.map(({ z, offset, scale }) => ({ z, offset, scale })));
+      }
+      case 'union':
+      case 'subtraction':
+      case 'intersection':
+        return this.createBoolean(node);
+      case 'multiUnion':
+        return this.createMultiUnion(node);
+      case 'reflectedSolid': {
+        // Translation * inverse frame rotation * scale, as G4GDMLReadSolids
+        const rad = this.angleUnit(node);
+        const matrix = placementMatrix({
+          position: [n('dx', l), n('dy', l), n('dz', l)],
+          rotation: [n('rx', rad), n('ry', rad), n('rz', rad)],
+          scale: [n('sx', 1, 1), n('sy', 1, 1), n('sz', 1, 1)],
+        });
+        const solid = new ReflectedGeometry(this.solid(node.attributes.solid, node), matrix, { evaluate: !this.deferred });
+        this.deferred?.push(solid);
+        return solid;
+      }
+      default:
+        throw new Error(`GDMLLoader: unsupported solid <${node.tag}> at line ${node.line}`);
+    }
+  }
+
+  // Reference attribute of the child element `tag`.
+  ref(node, tag) {
+    const child = node.children.find((c) => c.tag === tag);
+    return child && child.attributes.ref;
+  }
+
+  solid(name, node) {
+    const geometry = this.solids.get(name);
+    if (!geometry) throw new Error(`GDMLLoader: unknown solid '${name}' (<${node.tag}> at line ${node.line})`);
+    return geometry;
+  }
+
+  // Position and rotation of a placement given inline or by reference.
+  transform(node, prefix = '') {
+    let position = [0, 0, 0];
+    let rotation = [0, 0, 0];
+    let scale = [1, 1, 1];
+    node.children.forEach((child) => {
+      switch (child.tag) {
+        case `${prefix}position`:
+          position = this.vector(child, this.unit(child, 'unit', 'mm'));
+          break;
+        case `${prefix}rotation`:
+          rotation = this.vector(child, this.unit(child, 'unit', 'rad'));
+          break;
+        case `${prefix}positionref`:
+          position = this.reference(this.positions, child);
+          break;
+        case `${prefix}rotationref`:
+          rotation = this.reference(this.rotations, child);
+          break;
+        case 'scale':
+          if (!prefix) scale = [this.number(child, 'x', 1, 1), this.number(child, 'y', 1, 1), this.number(child, 'z', 1, 1)];
+          break;
+        case 'scaleref':
+          if (!prefix) scale = this.reference(this.scales, child);
+          break;
+        default:
+          break;
+      }
+    });
+    return { position, rotation, scale };
+  }
+
+  reference(map, node) {
+    const value = map.get(node.attributes.ref);
+    if (!value) {
+      throw new Error(`GDMLLoader: unknown reference '${node.attributes.ref}' (<${node.tag}> at line ${node.line})`);
+    }
+    return value;
+  }
+
+  createBoolean(node) {
+    const first = this.solid(this.ref(node, 'first'), node);
+    const second = this.solid(this.ref(node, 'second'), node);
+    const { position, rotation } = this.transform(node);
+    const firstPlacement = this.transform(node, 'first');
+    const BooleanClass = BOOLEAN_CLASSES[node.tag];
+    const solid = new BooleanClass(
+      first,
+      second,
+      rotation.map((angle) => angle * RAD_TO_DEG),
+      position,
+      firstPlacement.rotation.map((angle) => angle * RAD_TO_DEG),
+      firstPlacement.position,
+      { evaluate: !this.deferred }
+    );
+    this.deferred?.push(solid);
+    return solid;
+  }
+
+  // Facets refer to <position> defines; RELATIVE vertices are offsets from
+  // the first one.
+  createTessellated(node) {
+    const facets = node.children
+      .filter((child) => child.tag === 'triangular' || child.tag === 'quadrangular')
+      .map((facet) => {
+        const l = this.lengthUnit(facet);
+        const count = facet.tag === 'triangular' ? 3 : 4;
+        const vertices = [];
+        for (let i = 1; i <= count; i++) {
+          const name = facet.attributes[`vertex${i}`];
+          const position = this.positions.get(name);
+          if (!position) throw new Error(`GDMLLoader: unknown vertex '${name}' (<${facet.tag}> at line ${facet.line})`);
+          vertices.push(position.map((v) => v * l));
+        }
+        if (facet.attributes.type === 'RELATIVE') {
+          vertices.slice(1).forEach((v) => v.forEach((_, k) => (v[k] += vertices[0][k])));
+        }
+        return vertices;
+      });
+    return this.construct(node, TessellatedGeometry, facets);
+  }
+
+  createMultiUnion(node) {
+    const nodes = node.children
+      .filter((child) => child.tag === 'multiUnionNode')
+      .map((child) => {
+        const { position, rotation } = this.transform(child);
+        return {
+          geometry: this.solid(this.ref(child, 'solid'), child),
+          rotation: rotation.map((angle) => angle * RAD_TO_DEG),
+          translation: position,
+        };
+      });
+    const solid = new MultiUnionGeometry(nodes, { evaluate: !this.deferred });
+    this.deferred?.push(solid);
+    return solid;
+  }
+
+  readVolume(node) {
+    if (node.tag !== 'volume' && node.tag !== 'assembly') return;
+    const name = node.attributes.name;
+    const solidRef = this.ref(node, 'solidref');
+    const materialRef = this.ref(node, 'materialref');
+    this.volumes.set(name, {
+      name,
+      assembly: node.tag === 'assembly',
+      solid: node.tag === 'volume' ? this.solid(solidRef, node) : null,
+      material: materialRef,
+      physvols: node.children
+        .filter((child) => child.tag === 'physvol')
+        .map((child) => ({
+          name: child.attributes.name,
+          copyNumber: this.number(child, 'copynumber'),
+          volume: this.ref(child, 'volumeref'),
+          line: child.line,
+          ...this.transform(child),
+        })),
+      auxiliary: node.children
+        .filter((child) => child.tag === 'auxiliary')
+        .map((child) => ({ type: child.attributes.auxtype, value: child.attributes.auxvalue })),
+    });
+  }
+
+  /**
+   * Build the object tree for logical volume `name`.
+   */
+  instantiate(name, path = []) {
+    const volume = this.volumes.get(name);
+    if (!volume) throw new Error(`GDMLLoader: unknown volume '${name}'`);
+    if (path.includes(name)) throw new Error(`GDMLLoader: volume '${name}' contains itself`);
+
+    const object = volume.assembly ? new THREE.Group() : new THREE.Mesh(volume.solid, this.threeMaterial(volume.material));
+    object.name = name;
+    object.userData.logicalVolume = name;
+    if (!volume.assembly) object.userData.material = volume.material;
+    if (volume.auxiliary.length) object.userData.auxiliary = volume.auxiliary;
+
+    volume.physvols.forEach((physvol) => {
+      if (!this.volumes.has(physvol.volume)) {
+        throw new Error(`GDMLLoader: unknown volume '${physvol.volume}' (<physvol> at line ${physvol.line})`);
+      }
+      const child = this.instantiate(physvol.volume, path.concat(name));
+      child.name = physvol.name || physvol.volume;
+      child.userData.copyNumber = physvol.copyNumber;
+      placementMatrix(physvol).decompose(child.position, child.quaternion, child.scale);
+      object.add(child);
+    });
+    return object;
+  }
+}
+
+export { GDMLLoader };
@@ -0,0 +1,635 @@
+/**
+ * @chitrashensah/geant4-geometry
+ * Copyright (c) 2025 Chitrashen Sah
+ * Licensed under MIT License
+ */
+
+import * as THREE from 'three';
+import { evaluate } from '../utils/expression.js';
+import { UNITS } from '../utils/units.js';
+import { placementMatrix } from '../utils/placement.js';
+import { materialFromDefinitions } from '../materials/definitions.js';
+import { BoxGeometry } from '../geometries/BoxGeometry.js';
+import { TubsGeometry } from '../geometries/TubsGeometry.js';
+import { ConsGeometry } from '../geometries/ConsGeometry.js';
+import { SphereGeometry } from '../geometries/SphereGeometry.js';
+import { PolyconeGeometry } from '../geometries/PolyconeGeometry.js';
+import { PolyhedraGeometry } from '../geometries/PolyhedraGeometry.js';
+import { TrdGeometry } from '../geometries/TrdGeometry.js';
+import { TrapGeometry } from '../geometries/TrapGeometry.js';
+import { ParaGeometry } from '../geometries/ParaGeometry.js';
+import { TorusGeometry } from '../geometries/TorusGeometry.js';
+import { EllipsoidGeometry } from '../geometries/EllipsoidGeometry.js';
+import { EllipticalTubeGeometry } from '../geometries/EllipticalTubeGeometry.js';
+import { EllipticalConeGeometry } from '../geometries/EllipticalConeGeometry.js';
+import { ParaboloidGeometry } from '../geometries/ParaboloidGeometry.js';
+import { HypeGeometry } from '../geometries/HypeGeometry.js';
+import { UnionGeometry } from '../geometries/UnionGeometry.js';
+import { SubtractionGeometry } from '../geometries/SubtractionGeometry.js';
+import { IntersectionGeometry } from '../geometries/IntersectionGeometry.js';
+
+const RAD_TO_DEG = 180 / Math.PI;
+const G_PER_CM3 = UNITS.g / UNITS.cm3;
+
+const BOOLEAN_CLASSES = {
+  UNION: UnionGeometry,
+  SUBTRACTION: SubtractionGeometry,
+  INTERSECTION: IntersectionGeometry,
+};
+
+// Names in UNITS that are plain numbers rather than units.
+const NUMBERS = new Set(['pi', 'twopi', 'halfpi', 'e']);
+
+// Tags accepted but not needed to build the geometry.
+const IGNORED_TAGS = new Set([':MATE_MEE', ':MATE_TEMPERATURE', ':MATE_PRESSURE', ':CHECK_OVERLAPS']);
+
+// Placements this loader does not build.
+const UNSUPPORTED_TAGS = new Set([':PLACE_PARAM', ':DIV_NDIV', ':DIV_WIDTH', ':DIV_NDIV_WIDTH', ':REPL', ':INCLUDE', '#INCLUDE']);
+
+/**
+ * Loader for the plain-text geometry format of Geant4 (G4tgb `.tg` files).
+ *
+ * Supported tags:
+ * - `:P` / `:PS` numeric and string parameters, used as `$name`
+ * - `:ISOT`, `:ELEM`, `:ELEM_FROM_ISOT`, `:MATE`, `:MIXT`,
+ *   `:MIXT_BY_WEIGHT`, `:MIXT_BY_NATOMS`, `:MIXT_BY_VOLUME`, `:MATE_STATE`
+ * - `:ROTM` with three angles (rotations about x, y and z), six angles
+ *   (theta and phi of the rotated x, y and z axes) or the nine matrix
+ *   elements (the rotated x, y and z axes)
+ * - `:SOLID name TYPE ...` and `:VOLU name TYPE ... material` or
+ *   `:VOLU name solid material`, for the types BOX, TUBE, TUBS, CONE, CONS,
+ *   SPHERE, ORB, TRD, PARA, TRAP, TORUS, POLYCONE, POLYHEDRA,
+ *   ELLIPTICALTUBE, ELLIPSOID, ELLIPTICAL_CONE, PARABOLOID, HYPE and the
+ *   booleans UNION, SUBTRACTION, INTERSECTION (`solid1 solid2 rotm x y z`)
+ * - `:PLACE volume copyNo parent rotm x y z`
+ * - `:VIS volume ON|OFF` and `:COLOUR` (or `:COLOR`) `volume r g b`
+ *
+ * As in Geant4, plain numbers are millimeters, degrees and g/cm3; an
+ * expression naming a unit (`10*cm`, `pi/4*rad`) is taken as written. The
+ * volume that is never placed is the world; like in GDMLLoader it is not
+ * drawn. Errors give the line of the offending entry.
+ *
+ * Parsing needs neither the DOM nor the network. In Node, combine it with
+ * GDMLExporter for batch conversion:
+ *
+ *   const detector = new TextGeometryLoader().parse(fs.readFileSync('detector.tg', 'utf8'));
+ *   fs.writeFileSync('detector.gdml', new GDMLExporter().parse(detector));
+ */
+class TextGeometryLoader extends THREE.Loader {
+
+  constructor(manager) {
+    super(manager);
+  }
+
+  load(url, onLoad, onProgress, onError) {
+    const scope = this;
+    const loader = new THREE.FileLoader(this.manager);
+    loader.setPath(this.path);
+    loader.setRequestHeader(this.requestHeader);
+    loader.setWithCredentials(this.withCredentials);
+    loader.load(
+      url,
+      function (text) {
+        try {
+          onLoad(scope.parse(text));
+        } catch (e) {
+          if (onError) {
+            onError(e);
+          } else {
+            console.error(e);
+          }
+          scope.manager.itemError(url);
+        }
+      },
+      onProgress,
+      onError
+    );
+  }
+
+  /**
+   * Parse text geometry into a THREE.Group holding the world volume.
+   *
+   * The returned group's `userData` holds the `parameters`, `elements`,
+   * `materials`, `solids` and `volumes` (all Maps keyed by name) and the
+   * name of the `world` volume, in the same form as GDMLLoader.
+   *
+   * @param {string} text
+   * @returns {THREE.Group}
+   */
+  parse(text) {
+    const state = new TextGeometryState();
+    splitLines(text).forEach((entry) => state.read(entry));
+    return state.build();
+  }
+}
+
+/**
+ * Split text into entries of words with their line number. `//` starts a
+ * comment, double quotes group words containing blanks.
+ */
+function splitLines(text) {
+  const entries = [];
+  text.split(/\r?\n/).forEach((content, index) => {
+    const line = index + 1;
+    const words = [];
+    let word = null;
+    let quoted = false;
+    for (let i = 0; i < content.length; i++) {
+      const c = content[i];
+      if (quoted) {
+        if (c === '"') quoted = false;
+        else word += c;
+      } else if (c === '"') {
+        quoted = true;
+        word = word ?? '';
+      } else if (c === '/' && content[i + 1] === '/') {
+        break;
+      } else if (/\s/.test(c)) {
+        if (word !== null) words.push(word);
+        word = null;
+      } else {
+        word = (word ?? '') + c;
+      }
+    }
+    if (quoted) throw new Error(`TextGeometryLoader: unterminated quote (line ${line})`);
+    if (word !== null) words.push(word);
+    if (words.length) entries.push({ words, line });
+  });
+  return entries;
+}
+
+/**
+ * Definitions collected while reading one text geometry file.
+ */
+class TextGeometryState {
+
+  constructor() {
+    this.parameters = new Map();
+    this.elements = new Map();
+    this.materials = new Map();
+    this.rotations = new Map();
+    this.solidEntries = new Map();
+    this.solids = new Map();
+    this.volumes = new Map();
+    this.placements = [];
+    this.visibility = new Map();
+    this.colours = new Map();
+    this.threeMaterials = new Map();
+  }
+
+  error(message, line) {
+    return new Error(`TextGeometryLoader: ${message} (line ${line})`);
+  }
+
+  // Text of a word with `$name` parameters replaced.
+  substitute(word, line) {
+    return word.replace(/\$(\w+)/g, (match, name) => {
+      if (!this.parameters.has(name)) throw this.error(`unknown parameter '${name}'`, line);
+      const value = this.parameters.get(name);
+      return match === word ? value : `(${value})`;
+    });
+  }
+
+  name(word, line) {
+    return this.substitute(word, line);
+  }
+
+  // Value of an expression. Without a unit in it the value is multiplied
+  // by `unit`, the default unit of the quantity.
+  number(word, line, unit = 1) {
+    const expression = this.substitute(word, line);
+    let value;
+    try {
+      value = evaluate(expression, (name) => (Object.hasOwn(UNITS, name) ? UNITS[name] : undefined));
+    } catch (e) {
+      throw this.error(e.message, line);
+    }
+    const names = expression.match(/(?<![\w.])[A-Za-z_]\w*/g) || [];
+    const hasUnit = names.some((name) => Object.hasOwn(UNITS, name) && !NUMBERS.has(name));
+    return hasUnit ? value : value * unit;
+  }
+
+  length(word, line) {
+    return this.number(word, line, UNITS.mm);
+  }
+
+  // Angles are handed to the geometry classes in degrees.
+  angle(word, line) {
+    return this.number(word, line, UNITS.deg) * RAD_TO_DEG;
+  }
+
+  density(word, line) {
+    return this.number(word, line, G_PER_CM3) / G_PER_CM3;
+  }
+
+  expect(entry, count, usage) {
+    if (entry.words.length !== count) {
+      throw this.error(`${entry.words[0]} expects ${usage}, got ${entry.words.length - 1} values`, entry.line);
+    }
+  }
+
+  read(entry) {
+    const { words, line } = entry;
+    const tag = words[0].toUpperCase();
+    if (!tag.startsWith(':') && !tag.startsWith('#')) throw this.error(`expected a tag, found '${words[0]}'`, line);
+
+    switch (tag) {
+      case ':P':
+        this.expect(entry, 3, 'a name and a value');
+        this.number(words[2], line);
+        this.parameters.set(words[1], this.substitute(words[2], line));
+        break;
+      case ':PS':
+        this.expect(entry, 3, 'a name and a value');
+        this.parameters.set(words[1], this.substitute(words[2], line));
+        break;
+      case ':ISOT':
+        this.expect(entry, 5, 'name Z N A');
+        this.elements.set(words[1], {
+          name: words[1],
+          type: 'isotope',
+          Z: this.number(words[2], line),
+          N: this.number(words[3], line),
+          atomicMass: this.number(words[4], line),
+          components: [],
+        });
+        break;
+      case ':ELEM':
+        this.expect(entry, 5, 'name symbol Z A');
+        this.elements.set(words[1], {
+          name: words[1],
+          type: 'element',
+          formula: words[2],
+          Z: this.number(words[3], line),
+          atomicMass: this.number(words[4], line),
+          components: [],
+        });
+        break;
+      case ':ELEM_FROM_ISOT':
+        this.elements.set(words[1], {
+          name: words[1],
+          type: 'element',
+          formula: words[2],
+          components: this.components(entry, 3, 'fraction'),
+        });
+        break;
+      case ':MATE':
+        this.expect(entry, 5, 'name Z A density');
+        this.materials.set(words[1], {
+          name: words[1],
+          Z: this.number(words[2], line),
+          atomicMass: this.number(words[3], line),
+          density: this.density(words[4], line),
+          components: [],
+        });
+        break;
+      case ':MIXT':
+      case ':MIXT_BY_WEIGHT':
+      case ':MIXT_BY_NATOMS':
+      case ':MIXT_BY_VOLUME': {
+        const byVolume = tag === ':MIXT_BY_VOLUME';
+        const components = this.components(entry, 3, tag === ':MIXT_BY_NATOMS' ? 'n' : 'fraction');
+        this.materials.set(words[1], {
+          name: words[1],
+          density: this.density(words[2], line),
+          components: byVolume ? this.massFractions(components, line) : components,
+        });
+        break;
+      }
+      case ':MATE_STATE':
+        this.expect(entry, 3, 'a material and a state');
+        this.material(words[1], line).state = words[2].toLowerCase();
+        break;
+      case ':ROTM':
+        this.rotations.set(words[1], this.rotation(entry));
+        break;
+      case ':SOLID':
+        if (words.length < 3) throw this.error(':SOLID expects a name and a type', line);
+        this.solidEntries.set(this.name(words[1], line), { type: words[2], values: words.slice(3), line });
+        break;
+      case ':VOLU': {
+        if (words.length < 4) throw this.error(':VOLU expects a name, a solid and a material', line);
+        const name = this.name(words[1], line);
+        let solid = this.name(words[2], line);
+        if (words.length > 4) {
+          this.solidEntries.set(name, { type: words[2], values: words.slice(3, -1), line });
+          solid = name;
+        }
+        this.volumes.set(name, { name, solid, material: this.name(words[words.length - 1], line), line });
+        break;
+      }
+      case ':PLACE':
+        this.expect(entry, 8, 'volume copyNo parent rotm x y z');
+        this.placements.push({
+          volume: this.name(words[1], line),
+          copyNumber: this.number(words[2], line),
+          parent: this.name(words[3], line),
+          rotation: this.name(words[4], line),
+          position: [this.length(words[5], line), this.length(words[6], line), this.length(words[7], line)],
+          line,
+        });
+        break;
+      case ':VIS':
+        this.expect(entry, 3, 'a volume and ON or OFF');
+        this.visibility.set(this.name(words[1], line), !/^(OFF|0|FALSE)$/i.test(words[2]));
+        break;
+      case ':COLOUR':
+      case ':COLOR':
+        if (words.length !== 5 && words.length !== 6) throw this.error(`${words[0]} expects a volume and r g b`, line);
+        this.colours.set(
+          this.name(words[1], line),
+          words.slice(2).map((word) => this.number(word, line))
+        );
+        break;
+      default:
+        if (IGNORED_TAGS.has(tag)) break;
+        if (UNSUPPORTED_TAGS.has(tag)) throw this.error(`${words[0]} is not supported`, line);
+        throw this.error(`unknown tag ${words[0]}`, line);
+    }
+  }
+
+  // Components given as count followed by (name, value) pairs.
+  components(entry, start, key) {
+    const { words, line } = entry;
+    const count = this.number(words[start], line);
+    if (!Number.isInteger(count) || words.length !== start + 1 + 2 * count) {
+      throw this.error(`${words[0]} expects ${count} components as name and value pairs`, line);
+    }
+    const components = [];
+    for (let i = start + 1; i < words.length; i += 2) {
+      components.push({ ref: this.name(words[i], line), [key]: this.number(words[i + 1], line) });
+    }
+    return components;
+  }
+
+  // Volume fractions to mass fractions, using the component densities.
+  massFractions(components, line) {
+    const masses = components.map((component) => this.material(component.ref, line).density * component.fraction);
+    const total = masses.reduce((sum, mass) => sum + mass, 0);
+    return components.map((component, i) => ({ ref: component.ref, fraction: masses[i] / total }));
+  }
+
+  material(name, line) {
+    const material = this.materials.get(name);
+    if (!material) throw this.error(`unknown material '${name}'`, line);
+    return material;
+  }
+
+  // Rotation of a :ROTM entry as frame rotation angles about x, y and z in
+  // radians, the form used by GDML.
+  rotation(entry) {
+    const { words, line } = entry;
+    const values = words.slice(2);
+    if (values.length === 3) return values.map((word) => this.number(word, line, UNITS.deg));
+
+    let axes;
+    if (values.length === 6) {
+      const angles = values.map((word) => this.number(word, line, UNITS.deg));
+      axes = [0, 2, 4].map((i) => {
+        const [theta, phi] = [angles[i], angles[i + 1]];
+        return new THREE.Vector3(Math.sin(theta) * Math.cos(phi), Math.sin(theta) * Math.sin(phi), Math.cos(theta));
+      });
+    } else if (values.length === 9) {
+      const m = values.map((word) => this.number(word, line));
+      axes = [0, 3, 6].map((i) => new THREE.Vector3(m[i], m[i + 1], m[i + 2]));
+    } else {
+      throw this.error(`:ROTM expects 3, 6 or 9 values, got ${values.length}`, line);
+    }
+    const matrix = new THREE.Matrix4().makeBasis(...axes);
+    const euler = new THREE.Euler().setFromRotationMatrix(matrix, 'XYZ');
+    return [-euler.x, -euler.y, -euler.z];
+  }
+
+  rotationNamed(name, line) {
+    const rotation = this.rotations.get(name);
+    if (!rotation) throw this.error(`unknown rotation matrix '${name}'`, line);
+    return rotation;
+  }
+
+  solid(name, line, path = []) {
+    if (this.solids.has(name)) return this.solids.get(name);
+    const entry = this.solidEntries.get(name);
+    if (!entry) throw this.error(`unknown solid '${name}'`, line);
+    if (path.includes(name)) throw this.error(`solid '${name}' contains itself`, entry.line);
+
+    let geometry;
+    try {
+      geometry = this.createSolid(entry, path.concat(name));
+    } catch (e) {
+      if (e.message.startsWith('TextGeometryLoader:')) throw e;
+      throw this.error(`solid '${name}': ${e.message}`, entry.line);
+    }
+    geometry.name = name;
+    this.solids.set(name, geometry);
+    return geometry;
+  }
+
+  createSolid(entry, path) {
+    const { values, line } = entry;
+    const type = entry.type.toUpperCase();
+    const count = (expected) => {
+      if (values.length !== expected) {
+        throw this.error(`${type} expects ${expected} parameters, got ${values.length}`, line);
+      }
+    };
+    const l = (i) => this.length(values[i], line);
+    const a = (i) => this.angle(values[i], line);
+
+    switch (type) {
+      case 'BOX':
+        count(3);
+        return new BoxGeometry(l(0), l(1), l(2));
+      case 'TUBE':
+        count(3);
+        return new TubsGeometry(l(0), l(1), l(2));
+      case 'TUBS':
+        count(5);
+        return new TubsGeometry(l(0), l(1), l(2), a(3), a(4));
+      case 'CONE':
+        count(5);
+        return new ConsGeometry(l(0), l(1), l(2), l(3), l(4));
+      case 'CONS':
+        count(7);
+        return new ConsGeometry(l(0), l(1), l(2), l(3), l(4), a(5), a(6));
+      case 'SPHERE':
+        count(6);
+        return new SphereGeometry(l(0), l(1), a(4), a(5), a(2), a(3));
+      case 'ORB':
+        count(1);
+        return new SphereGeometry(0, l(0));
+      case 'TRD':
+        count(5);
+        return new TrdGeometry(l(0), l(1), l(2), l(3), l(4));
+      case 'PARA':
+        count(6);
+        return new ParaGeometry(l(0), l(1), l(2), a(3), a(4), a(5));
+      case 'TRAP':
+        count(11);
+        return new TrapGeometry(l(0), a(1), a(2), l(3), l(4), l(5), a(6), l(7), l(8), l(9), a(10));
+      case 'TORUS':
+        count(5);
+        return new TorusGeometry(l(0), l(1), l(2), a(3), a(4));
+      case 'POLYCONE':
+      case 'POLYHEDRA':
+        return this.createPolySolid(type, values, line);
+      case 'ELLIPTICALTUBE':
+        count(3);
+        return new EllipticalTubeGeometry(l(0), l(1), l(2));
+      case 'ELLIPSOID':
+        count(5);
+        return new EllipsoidGeometry(l(0), l(1), l(2), l(3), l(4));
+      case 'ELLIPTICAL_CONE':
+        count(4);
+        return new EllipticalConeGeometry(l(0), l(1), l(2), l(3));
+      case 'PARABOLOID':
+        count(3);
+        return new ParaboloidGeometry(l(0), l(1), l(2));
+      case 'HYPE':
+        count(5);
+        return new HypeGeometry(l(0), l(1), a(2), a(3), l(4));
+      case 'UNION':
+      case 'SUBTRACTION':
+      case 'INTERSECTION': {
+        count(6);
+        const first = this.solid(this.name(values[0], line), line, path);
+        const second = this.solid(this.name(values[1], line), line, path);
+        const rotation = this.rotationNamed(this.name(values[2], line), line);
+        const BooleanClass = BOOLEAN_CLASSES[type];
+        return new BooleanClass(first, second, rotation.map((angle) => angle * RAD_TO_DEG), [l(3), l(4), l(5)]);
+      }
+      default:
+        throw this.error(`unsupported solid type ${entry.type}`, line);
+    }
+  }
+
+  // POLYCONE sphi dphi n (z rmin rmax)... or sphi dphi n (r z)..., and
+  // POLYHEDRA with the number of sides after dphi.
+  createPolySolid(type, values, line) {
+    const polyhedra = type === 'POLYHEDRA';
+    const first = polyhedra ? 4 : 3;
+    if (values.length < first) throw this.error(`${type} expects at least ${first} parameters`, line);
+    const sPhi = this.angle(values[0], line);
+    const dPhi = this.angle(values[1], line);
+    const sides = polyhedra ? this.number(values[2], line) : undefined;
+    const n = this.number(values[first - 1], line);
+    const rest = values.slice(first).map((word) => this.length(word, line));
+
+    if (rest.length === 3 * n) {
+      const z = [];
+      const rmin = [];
+      const rmax = [];
+      for (let i = 0; i < rest.length; i += 3) {
+        z.push(rest[i]);
+        rmin.push(rest[i + 1]);
+        rmax.push(rest[i + 2]);
+      }
+      return polyhedra
+        ? new PolyhedraGeometry(sPhi, dPhi, sides, n, z, rmin, rmax)
+        : new PolyconeGeometry(sPhi, dPhi, n, z, rmin, rmax);
+    }
+    if (rest.length === 2 * n) {
+      const r = rest.filter((v, i) => i % 2 === 0);
+      const z = rest.filter((v, i) => i % 2 === 1);
+      return polyhedra ? new PolyhedraGeometry(sPhi, dPhi, sides, n, r, z) : new PolyconeGeometry(sPhi, dPhi, n, r, z);
+    }
+    throw this.error(`${type} expects ${n} (z, rmin, rmax) triplets or (r, z) pairs`, line);
+  }
+
+  threeMaterial(volume) {
+    const visible = this.visibility.get(volume.name) ?? true;
+    const colour = this.colours.get(volume.name);
+    const key = JSON.stringify([volume.material, visible, colour]);
+    if (!this.threeMaterials.has(key)) {
+      const source = materialFromDefinitions(volume.material, this.materials, this.elements);
+      const material = source ? source.toThreeMaterial() : new THREE.MeshStandardMaterial({ color: 0x808080 });
+      material.name = volume.material;
+      material.visible = visible;
+      if (colour) {
+        material.color.setRGB(colour[0], colour[1], colour[2]);
+        if (colour.length > 3) {
+          material.opacity = colour[3];
+          material.transparent = colour[3] < 1;
+          material.depthWrite = !material.transparent;
+        }
+      }
+      material.userData.gdml = this.materials.get(volume.material);
+      this.threeMaterials.set(key, material);
+    }
+    return this.threeMaterials.get(key);
+  }
+
+  // Name of the volume that is never placed, found by climbing up from the
+  // placements.
+  worldName() {
+    const placed = new Map(this.placements.map((placement) => [placement.volume, placement]));
+    const tops = new Set();
+    this.placements.forEach((placement) => {
+      let name = placement.parent;
+      const seen = new Set();
+      while (placed.has(name) && !seen.has(name)) {
+        seen.add(name);
+        name = placed.get(name).parent;
+      }
+      tops.add(name);
+    });
+    if (!this.placements.length && this.volumes.size === 1) tops.add(this.volumes.keys().next().value);
+    if (tops.size !== 1) {
+      throw new Error(
+        tops.size ? `TextGeometryLoader: more than one world volume: ${[...tops].join(', ')}` : 'TextGeometryLoader: no world volume'
+      );
+    }
+    return tops.values().next().value;
+  }
+
+  build() {
+    this.volumes.forEach((volume) => this.solid(volume.solid, volume.line));
+    const worldName = this.worldName();
+    if (!this.volumes.has(worldName)) {
+      const placement = this.placements.find((p) => p.parent === worldName);
+      throw this.error(`unknown volume '${worldName}'`, placement.line);
+    }
+    const world = this.instantiate(worldName, []);
+    world.material = world.material.clone();
+    world.material.visible = false;
+
+    const group = new THREE.Group();
+    group.name = worldName;
+    group.add(world);
+    group.userData = {
+      parameters: this.parameters,
+      elements: this.elements,
+      materials: this.materials,
+      solids: this.solids,
+      volumes: this.volumes,
+      world: worldName,
+    };
+    return group;
+  }
+
+  /**
+   * Build the object tree for volume `name`, placed at `line`.
+   */
+  instantiate(name, path, line) {
+    const volume = this.volumes.get(name);
+    if (!volume) throw this.error(`unknown volume '${name}'`, line);
+    if (path.includes(name)) throw this.error(`volume '${name}' contains itself`, line);
+
+    const mesh = new THREE.Mesh(this.solids.get(volume.solid), this.threeMaterial(volume));
+    mesh.name = name;
+    mesh.userData.logicalVolume = name;
+    mesh.userData.material = volume.material;
+
+    this.placements
+      .filter((placement) => placement.parent === name)
+      .forEach((placement) => {
+        const child = this.instantiate(placement.volume, path.concat(name), placement.line);
+        child.userData.copyNumber = placement.copyNumber;
+        const rotation = this.rotationNamed(placement.rotation, placement.line);
+        placementMatrix({ position: placement.position, rotation }).decompose(child.position, child.quaternion, child.scale);
+        mesh.add(child);
+      });
+    return mesh;
+  }
+}
+
+export { TextGeometryLoader };
@@ -0,0 +1,129 @@
+/**
+ * @chitrashensah/geant4-geometry
+ * Copyright (c) 2025 Chitrashen Sah
+ * Licensed under MIT License
+ */
+
+/**
+ * Minimal XML reader for GDML, usable in Node where DOMParser is missing.
+ * It handles elements, attributes, text, comments, CDATA, processing
+ * instructions and the DOCTYPE declaration. External entities are never
+ * fetched; references to them are left in the text as they are.
+ */
+
+const ENTITIES = {
+  lt: '<',
+  gt: '>',
+  amp: '&',
+  quot: '"',
+  apos: "'",
+};
+
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-fA-F]+|#[0-9]+|[a-zA-Z]+);/g, (match, name) => {
+    if (name[0] === '#') {
+      const code = name[1] === 'x' ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10);
+      return String.fromCodePoint(code);
+    }
+    return ENTITIES[name] ?? match;
+  });
+}
+
+function lineAt(text, offset) {
+  let line = 1;
+  for (let i = 0; i < offset && i < text.length; i++) {
+    if (text.charCodeAt(i) === 10) line++;
+  }
+  return line;
+}
+
+/**
+ * Parse `text` into a tree of `{ tag, attributes, children, text, line }`
+ * nodes and return the root element.
+ *
+ * @param {string} text
+ * @returns {{tag: string, attributes: Object<string, string>, children: Array, text: string, line: number}}
+ */
+function parseXML(text) {
+  const root = { tag: '#document', attributes: {}, children: [], text: '', line: 1 };
+  const stack = [root];
+  const fail = (message, offset) => {
+    throw new SyntaxError(`XML: ${message} at line ${lineAt(text, offset)}`);
+  };
+
+  // Line numbers are counted incrementally as the reader moves forward
+  let line = 1;
+  let counted = 0;
+  const lineOf = (offset) => {
+    for (; counted < offset; counted++) {
+      if (text.charCodeAt(counted) === 10) line++;
+    }
+    return line;
+  };
+
+  let i = 0;
+  while (i < text.length) {
+    const lt = text.indexOf('<', i);
+    const top = stack[stack.length - 1];
+    if (lt === -1) {
+      top.text += decodeEntities(text.slice(i));
+      break;
+    }
+    if (lt > i) top.text += decodeEntities(text.slice(i, lt));
+
+    if (text.startsWith('<!--', lt)) {
+      const end = text.indexOf('-->', lt + 4);
+      if (end === -1) fail('unterminated comment', lt);
+      i = end + 3;
+    } else if (text.startsWith('<![CDATA[', lt)) {
+      const end = text.indexOf(']]>', lt + 9);
+      if (end === -1) fail('unterminated CDATA section', lt);
+      top.text += text.slice(lt + 9, end);
+      i = end + 3;
+    } else if (text.startsWith('<?', lt)) {
+      const end = text.indexOf('?>', lt + 2);
+      if (end === -1) fail('unterminated processing instruction', lt);
+      i = end + 2;
+    } else if (text.startsWith('<!', lt)) {
+      // DOCTYPE, possibly with an internal subset in brackets
+      let depth = 0;
+      let j = lt + 2;
+      for (; j < text.length; j++) {
+        const c = text[j];
+        if (c === '[') depth++;
+        else if (c === ']') depth--;
+        else if (c === '>' && depth === 0) break;
+      }
+      if (j >= text.length) fail('unterminated declaration', lt);
+      i = j + 1;
+    } else if (text[lt + 1] === '/') {
+      const end = text.indexOf('>', lt);
+      if (end === -1) fail('unterminated end tag', lt);
+      const tag = text.slice(lt + 2, end).trim();
+      const node = stack.pop();
+      if (!node || node.tag !== tag) fail(`unexpected </${tag}>`, lt);
+      i = end + 1;
+    } else {
+      const tagPattern = /<([^\s/>]+)((?:\s+[^\s=/>]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>/y;
+      tagPattern.lastIndex = lt;
+      const match = tagPattern.exec(text);
+      if (!match) fail('malformed start tag', lt);
+      const node = { tag: match[1], attributes: {}, children: [], text: '', line: lineOf(lt) };
+      const attrPattern = /([^\s=/>]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+      let attr;
+      while ((attr = attrPattern.exec(match[2])) !== null) {
+        node.attributes[attr[1]] = decodeEntities(attr[2] ?? attr[3]);
+      }
+      top.children.push(node);
+      if (!match[3]) stack.push(node);
+      i = tagPattern.lastIndex;
+    }
+  }
+
+  if (stack.length > 1) fail(`unclosed <${stack[stack.length - 1].tag}>`, text.length);
+  const element = root.children[0];
+  if (!element) fail('no root element', 0);
+  return element;
+}
+
+export { parseXML };
@@ -0,0 +1,57 @@
+/**
+ * @chitrashensah/geant4-geometry
+ * Copyright (c) 2025 Chitrashen Sah
+ * Licensed under MIT License
+ */
+
+// Fine structure constant and classical electron radius in millimeters
+const ALPHA = 1 / 137.035999084;
+const ELECTRON_RADIUS = 2.8179403262e-12;
+
+// Radiation logarithms of the light elements, tabulated by Tsai
+const LRAD_LIGHT = [5.31, 4.79, 4.74, 4.71];
+const LPRAD_LIGHT = [6.144, 5.621, 5.805, 5.924];
+
+/**
+ * A chemical element, the equivalent of Geant4's G4Element.
+ *
+ *   const oxygen = new Element('Oxygen', 'O', 8, 15.999);
+ *
+ * @param {string} name
+ * @param {string} symbol
+ * @param {number} Z - Atomic number
+ * @param {number} A - Molar mass in g/mole
+ */
+class Element {
+
+  constructor(name, symbol, Z, A) {
+    if (!(Number.isInteger(Z) && Z >= 1)) {
+      throw new RangeError(`Element: atomic number of '${name}' must be a positive integer, got ${Z}`);
+    }
+    if (!(A > 0)) {
+      throw new RangeError(`Element: molar mass of '${name}' must be positive, got ${A}`);
+    }
+
+    this.name = name;
+    this.symbol = symbol;
+    this.Z = Z;
+    this.A = A;
+  }
+
+  /**
+   * Radiation length cross section of one atom in mm², Tsai's formula as
+   * G4Element::ComputeLradTsaiFactor(), including the Coulomb correction.
+   *
+   * @returns {number}
+   */
+  getRadTsai() {
+    const Z = this.Z;
+    const az2 = (ALPHA * Z) ** 2;
+    const coulomb = az2 * (1 / (1 + az2) + 0.20206 - 0.0369 * az2 + 0.0083 * az2 ** 2 - 0.002 * az2 ** 3);
+    const lrad = Z <= 4 ? LRAD_LIGHT[Z - 1] : Math.log(184.15 / Math.cbrt(Z));
+    const lprad = Z <= 4 ? LPRAD_LIGHT[Z - 1] : Math.log(1194 / Math.cbrt(Z * Z));
+    return 4 * ALPHA * ELECTRON_RADIUS ** 2 * (Z * Z * (lrad - coulomb) + Z * lprad);
+  }
+}
+
+export { Element };
@@ -0,0 +1,174 @@
+/**
+ * @chitrashensah/geant4-geometry
+ * Copyright (c) 2025 Chitrashen Sah
+ * Licensed under MIT License
+ */
+
+import * as THREE from 'three';
+import { materialAppearance } from './appearance.js';
+
+const STATES = ['solid', 'liquid', 'gas'];
+
+// Densities below this are gases when no state is given, as kGasThreshold
+const GAS_THRESHOLD = 0.01;
+
+// Avogadro's number per mole
+const AVOGADRO = 6.02214076e23;
+
+/**
+ * A material made of elements, the equivalent of Geant4's G4Material. The
+ * composition is given either by numbers of atoms in a molecule or by
+ * mass fractions, and other materials can be mixed in by mass fraction:
+ *
+ *   const scintillator = new Material('Scintillator', 1.032)
+ *     .addElementByNumberOfAtoms(findNistElement('C'), 9)
+ *     .addElementByNumberOfAtoms(findNistElement('H'), 10);
+ *
+ *   const mix = new Material('Mix', 1.5)
+ *     .addMaterial(findNistMaterial('G4_WATER'), 0.4)
+ *     .addMaterial(findNistMaterial('G4_Si'), 0.6);
+ *
+ * Mass fractions that do not add up to one are normalised, as Geant4 does
+ * after warning.
+ *
+ * @param {string} name
+ * @param {number} density - Density in g/cm3
+ * @param {Object} [options]
+ * @param {string} [options.state] - 'solid', 'liquid' or 'gas'; by default gas below 10 mg/cm3
+ * @param {number} [options.temperature=293.15] - Temperature in kelvin
+ * @param {number} [options.pressure=1] - Pressure in atmospheres
+ */
+class Material {
+
+  constructor(name, density, { state, temperature = 293.15, pressure = 1 } = {}) {
+    if (!(density > 0)) {
+      throw new RangeError(`Material: density of '${name}' must be positive, got ${density}`);
+    }
+    if (state !== undefined && !STATES.includes(state)) {
+      throw new RangeError(`Material: state of '${name}' must be one of ${STATES.join(', ')}, got '${state}'`);
+    }
+
+    this.name = name;
+    this.density = density;
+    this.state = state ?? (density > GAS_THRESHOLD ? 'solid' : 'gas');
+    this.temperature = temperature;
+    this.pressure = pressure;
+
+    // Element to number of atoms, or element to mass fraction
+    this.atoms = new Map();
+    this.fractions = new Map();
+  }
+
+  /**
+   * @param {Element} element
+   * @param {number} nAtoms - Atoms of the element in a molecule
+   * @returns {this}
+   */
+  addElementByNumberOfAtoms(element, nAtoms) {
+    if (!(Number.isInteger(nAtoms) && nAtoms > 0)) {
+      throw new RangeError(`Material: number of ${element.symbol} atoms in '${this.name}' must be a positive integer, got ${nAtoms}`);
+    }
+    if (this.fractions.size > 0) {
+      throw new RangeError(`Material: '${this.name}' is made by mass fractions, not numbers of atoms`);
+    }
+    this.atoms.set(element, (this.atoms.get(element) || 0) + nAtoms);
+    return this;
+  }
+
+  /**
+   * @param {Element} element
+   * @param {number} fraction - Mass fraction, in (0, 1]
+   * @returns {this}
+   */
+  addElementByMassFraction(element, fraction) {
+    checkFraction(this, element.name, fraction);
+    this.fractions.set(element, (this.fractions.get(element) || 0) + fraction);
+    return this;
+  }
+
+  /**
+   * Mix in another material, whose elements are added by mass fraction.
+   *
+   * @param {Material} material
+   * @param {number} fraction - Mass fraction, in (0, 1]
+   * @returns {this}
+   */
+  addMaterial(material, fraction) {
+    checkFraction(this, material.name, fraction);
+    material.getMassFractions().forEach(({ element, fraction: part }) => {
+      this.fractions.set(element, (this.fractions.get(element) || 0) + fraction * part);
+    });
+    return this;
+  }
+
+  /**
+   * Elements of the material with their mass fractions, adding up to one.
+   *
+   * @returns {{element: Element, fraction: number}[]}
+   */
+  getMassFractions() {
+    const masses = this.atoms.size > 0
+      ? [...this.atoms].map(([element, n]) => [element, n * element.A])
+      : [...this.fractions];
+    const total = masses.reduce((sum, [, mass]) => sum + mass, 0);
+    return masses.map(([element, mass]) => ({ element, fraction: mass / total }));
+  }
+
+  /**
+   * Number of atoms of each element per mm³.
+   *
+   * @returns {{element: Element, density: number}[]}
+   */
+  getAtomDensities() {
+    const gramsPerMm3 = this.density * 1e-3;
+    return this.getMassFractions().map(({ element, fraction }) => ({
+      element,
+      density: (AVOGADRO * gramsPerMm3 * fraction) / element.A,
+    }));
+  }
+
+  /**
+   * Radiation length in millimeters, as G4Material::GetRadlen().
+   *
+   * @returns {number}
+   */
+  getRadiationLength() {
+    const inverse = this.getAtomDensities().reduce((sum, { element, density }) => sum + density * element.getRadTsai(), 0);
+    return inverse > 0 ? 1 / inverse : Infinity;
+  }
+
+  /**
+   * A MeshStandardMaterial showing this material: a colour and
+   * transparency chosen from its name, composition, density and state.
+   * `parameters` override the chosen ones.
+   *
+   * @param {Object} [parameters] - MeshStandardMaterial parameters
+   * @returns {THREE.MeshStandardMaterial}
+   */
+  toThreeMaterial(parameters = {}) {
+    const { color, opacity, metalness, roughness, visible } = materialAppearance(this);
+    const material = new THREE.MeshStandardMaterial({
+      color,
+      opacity,
+      transparent: opacity < 1,
+      depthWrite: opacity === 1,
+      metalness,
+      roughness,
+      visible,
+      ...parameters,
+    });
+    material.name = this.name;
+    return material;
+  }
+}
+
+function checkFraction(material, name, fraction) {
+  if (!(fraction > 0 && fraction <= 1)) {
+    throw new RangeError(`Material: fraction of '${name}' in '${material.name}' must be in (0, 1], got ${fraction}`);
+  }
+  if (material.atoms.size > 0) {
+    throw new RangeError(`Material: '${material.name}' is made by numbers of atoms, not mass fractions`);
+  }
+}
+
+export { Material };
@@ -0,0 +1,94 @@
+/**
+ * @chitrashensah/geant4-geometry
+ * Copyright (c) 2025 Chitrashen Sah
+ * Licensed under MIT License
+ */
+
+// Colour, opacity and metalness of the materials detectors are usually
+// made of: crystals and glasses see-through, plastics pale, metals shiny.
+const NAMED = {
+  G4_WATER: [0x2f6fdf, 0.35, 0],
+  G4_lAr: [0x7fd0ff, 0.3, 0],
+  G4_lKr: [0x9fc8ff, 0.3, 0],
+  G4_lXe: [0xb0b8ff, 0.3, 0],
+  G4_lN2: [0xd0e8ff, 0.3, 0],
+  G4_lO2: [0xa0c8ff, 0.3, 0],
+  G4_lH2: [0xe8f4ff, 0.3, 0],
+  G4_PbWO4: [0xf2dc6a, 0.6, 0],
+  G4_BGO: [0xf0ecc0, 0.6, 0],
+  G4_CESIUM_IODIDE: [0xe0f0ff, 0.6, 0],
+  G4_SODIUM_IODIDE: [0xe8f4ff, 0.6, 0],
+  G4_BARIUM_FLUORIDE: [0xeceeff, 0.6, 0],
+  G4_CALCIUM_FLUORIDE: [0xf0f4ff, 0.6, 0],
+  G4_LITHIUM_FLUORIDE: [0xf4f8ff, 0.6, 0],
+  G4_PbF2: [0xe0ecf8, 0.6, 0],
+  G4_CADMIUM_TUNGSTATE: [0xf0f0d0, 0.6, 0],
+  G4_PLASTIC_SC_VINYLTOLUENE: [0x7fe0c0, 0.5, 0],
+  G4_POLYSTYRENE: [0xf0f0f0, 0.7, 0],
+  G4_PLEXIGLASS: [0xe0f4ff, 0.3, 0],
+  G4_LUCITE: [0xe0f4ff, 0.3, 0],
+  G4_MYLAR: [0xd8d8e0, 0.6, 0],
+  G4_KAPTON: [0xd08a20, 0.8, 0],
+  G4_TEFLON: [0xfafafa, 1, 0],
+  G4_GLASS_PLATE: [0xc8ecec, 0.3, 0],
+  G4_GLASS_LEAD: [0xd8e8d0, 0.4, 0],
+  G4_Pyrex_Glass: [0xd0f0f0, 0.3, 0],
+  G4_SILICON_DIOXIDE: [0xe8f8ff, 0.3, 0],
+  G4_CONCRETE: [0xa9a9a0, 1, 0],
+  G4_GRAPHITE: [0x303030, 1, 0.2],
+  G4_Si: [0x3c4a68, 1, 0.5],
+  G4_Ge: [0x707078, 1, 0.6],
+  'G4_STAINLESS-STEEL': [0x9ea3a8, 1, 0.8],
+  G4_BRASS: [0xc9a640, 1, 0.8],
+  G4_BRONZE: [0xb0793a, 1, 0.8],
+};
+
+// Colours of metals, for materials mostly made of one
+const METALS = {
+  Be: 0xb8b8a8, Mg: 0xd0d0d0, Al: 0xc8c8d0, Ti: 0x9a9aa0, V: 0xa0a0a8,
+  Cr: 0xb8bcc4, Mn: 0x9c9c9c, Fe: 0x8a8d91, Co: 0x8c90a0, Ni: 0xa8a498,
+  Cu: 0xb87333, Zn: 0xa8b0b8, Zr: 0xb0b0b0, Nb: 0x9898a8, Mo: 0x9ca0a4,
+  Ag: 0xc0c0c0, Cd: 0xa8acb0, In: 0xb0b0b8, Sn: 0xb8b8b8, Ta: 0x7c8088,
+  W: 0x4a4a50, Pt: 0xd0d0d4, Au: 0xffd700, Hg: 0xb8b8c0, Pb: 0x575d6a,
+  Bi: 0x9c9ca8, U: 0x5a6a4a,
+};
+
+const ORGANIC = new Set(['H', 'C', 'N', 'O']);
+
+/**
+ * Colour, opacity, metalness, roughness and visibility that make a material
+ * recognisable in a scene. Known materials have their own colour; others
+ * are chosen by state and composition: gases nearly invisible, liquids
+ * translucent, metals shiny, plastics pale and anything else grey, darker
+ * for denser materials. Vacuum (G4_Galactic) is hidden.
+ *
+ * @param {Material} material
+ * @returns {{color: number, opacity: number, metalness: number, roughness: number, visible: boolean}}
+ */
+function materialAppearance(material) {
+  if (material.density < 1e-10) {
+    return { color: 0xffffff, opacity: 0, metalness: 0, roughness: 1, visible: false };
+  }
+  const [color, opacity, metalness] = NAMED[material.name] || guessAppearance(material);
+  const roughness = metalness >= 0.5 ? 0.35 : opacity < 1 ? 0.2 : 0.7;
+  return { color, opacity, metalness, roughness, visible: true };
+}
+
+function guessAppearance(material) {
+  if (material.state === 'gas') return [0xd0e8ff, 0.1, 0];
+
+  const fractions = material.getMassFractions();
+  const main = fractions.reduce((best, entry) => (best && best.fraction >= entry.fraction ? best : entry), null);
+  if (main && main.fraction >= 0.5 && Object.hasOwn(METALS, main.element.symbol)) {
+    return [METALS[main.element.symbol], 1, 0.8];
+  }
+  if (material.state === 'liquid') return [0x4f8fdf, 0.4, 0];
+  if (fractions.length > 0 && material.density < 2 && fractions.every(({ element }) => ORGANIC.has(element.symbol))) {
+    return [0xe8e4d8, 0.8, 0];
+  }
+
+  const shade = Math.round(255 * Math.min(0.8, Math.max(0.25, 0.8 - 0.04 * material.density)));
+  return [shade * 0x010101, 1, 0];
+}
+
+export { materialAppearance };
@@ -0,0 +1,93 @@
+/**
+ * @chitrashensah/geant4-geometry
+ * Copyright (c) 2025 Chitrashen Sah
+ * Licensed under MIT License
+ */
+
+import { Element } from './Element.js';
+import { Material } from './Material.js';
+import { findNistElement, findNistMaterial } from './nist.js';
+
+const STATES = new Set(['solid', 'liquid', 'gas']);
+
+/**
+ * Material named `name` from the definitions read by GDMLLoader and
+ * TextGeometryLoader (`userData.materials` and `userData.elements`).
+ * Names that are not defined are looked up in the NIST table. Null when
+ * the material, or one of its components, cannot be resolved.
+ *
+ * @param {string} name
+ * @param {Map<string, Object>} materials - Material definitions by name
+ * @param {Map<string, Object>} [elements] - Element and isotope definitions by name
+ * @returns {Material|null}
+ */
+function materialFromDefinitions(name, materials, elements = new Map()) {
+  return buildMaterial(name, materials, elements, new Set());
+}
+
+// `building` holds the materials being built, to stop at a material
+// containing itself.
+function buildMaterial(name, materials, elements, building) {
+  const definition = materials.get(name);
+  if (!definition) return findNistMaterial(name);
+  if (building.has(name) || !(definition.density > 0)) return null;
+  building.add(name);
+  const material = buildComposition(name, definition, materials, elements, building);
+  building.delete(name);
+  return material;
+}
+
+function buildComposition(name, definition, materials, elements, building) {
+  const state = STATES.has(definition.state) ? definition.state : undefined;
+  const { temperature, pressure } = definition;
+  const material = new Material(name, definition.density, { state, temperature, pressure });
+  if (definition.components.length === 0) {
+    const Z = Math.round(definition.Z);
+    const nist = findNistElement(Z);
+    if (!nist) return null;
+    const element = definition.atomicMass > 0 ? new Element(name, nist.symbol, Z, definition.atomicMass) : nist;
+    return material.addElementByNumberOfAtoms(element, 1);
+  }
+
+  for (const component of definition.components) {
+    if (component.n !== undefined) {
+      const element = elementFromDefinitions(component.ref, elements);
+      if (!element) return null;
+      material.addElementByNumberOfAtoms(element, component.n);
+    } else if (elements.has(component.ref) || !(materials.has(component.ref) || findNistMaterial(component.ref))) {
+      // Elements first, as G4GDMLReadMaterials looks them up
+      const element = elementFromDefinitions(component.ref, elements);
+      if (!element) return null;
+      material.addElementByMassFraction(element, component.fraction);
+    } else {
+      const part = buildMaterial(component.ref, materials, elements, building);
+      if (!part) return null;
+      material.addMaterial(part, component.fraction);
+    }
+  }
+  return material;
+}
+
+// Element named `name`, its atomic number and molar mass taken from its
+// definition, its isotopes or the NIST table.
+function elementFromDefinitions(name, elements) {
+  const definition = elements.get(name);
+  if (!definition) return findNistElement(name);
+
+  let Z = definition.Z;
+  let A = definition.atomicMass;
+  if (Z === undefined && definition.components.length > 0) {
+    const isotopes = definition.components.map((component) => elements.get(component.ref));
+    if (isotopes.some((isotope) => !isotope || isotope.Z === undefined)) return null;
+    const total = definition.components.reduce((sum, component) => sum + component.fraction, 0);
+    Z = isotopes[0].Z;
+    A = isotopes.every((isotope) => isotope.atomicMass > 0)
+      ? isotopes.reduce((sum, isotope, i) => sum + isotope.atomicMass * definition.components[i].fraction, 0) / total
+      : undefined;
+  }
+  const nist = findNistElement(Math.round(Z));
+  if (!nist) return null;
+  return new Element(name, definition.formula || nist.symbol, nist.Z, A > 0 ? A : nist.A);
+}
+
+export { materialFromDefinitions };
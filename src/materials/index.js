@@ -0,0 +1,11 @@
+/**
+ * @chitrashensah/geant4-geometry
+ * Copyright (c) 2025 Chitrashen Sah
+ * Licensed under MIT License
+ */
+
+export { Element } from './Element.js';
+export { Material } from './Material.js';
+export { findNistElement, findNistMaterial, nistMaterialNames } from './nist.js';
+export { materialFromDefinitions } from './definitions.js';
+export { materialAppearance } from './appearance.js';
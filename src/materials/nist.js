@@ -0,0 +1,195 @@
+/**
+ * @chitrashensah/geant4-geometry
+ * Copyright (c) 2025 Chitrashen Sah
+ * Licensed under MIT License
+ */
+
+import { Element } from './Element.js';
+import { Material } from './Material.js';
+
+// Symbol, molar mass in g/mole and density in g/cm3 of the elementary NIST
+// materials G4_H to G4_Cf, as in G4NistMaterialBuilder, by atomic number.
+const ELEMENTS = [
+  ['H', 1.00794, 8.3748e-5], ['He', 4.002602, 1.66322e-4], ['Li', 6.941, 0.534],
+  ['Be', 9.012182, 1.848], ['B', 10.811, 2.37], ['C', 12.0107, 2.0],
+  ['N', 14.0067, 1.1652e-3], ['O', 15.9994, 1.33151e-3], ['F', 18.9984032, 1.58029e-3],
+  ['Ne', 20.1797, 8.38505e-4], ['Na', 22.98977, 0.971], ['Mg', 24.305, 1.74],
+  ['Al', 26.981538, 2.699], ['Si', 28.0855, 2.33], ['P', 30.973761, 2.2],
+  ['S', 32.065, 2.0], ['Cl', 35.453, 2.99473e-3], ['Ar', 39.948, 1.66201e-3],
+  ['K', 39.0983, 0.862], ['Ca', 40.078, 1.55], ['Sc', 44.95591, 2.989],
+  ['Ti', 47.867, 4.54], ['V', 50.9415, 6.11], ['Cr', 51.9961, 7.18],
+  ['Mn', 54.938049, 7.44], ['Fe', 55.845, 7.874], ['Co', 58.9332, 8.9],
+  ['Ni', 58.6934, 8.902], ['Cu', 63.546, 8.96], ['Zn', 65.409, 7.133],
+  ['Ga', 69.723, 5.904], ['Ge', 72.64, 5.323], ['As', 74.9216, 5.73],
+  ['Se', 78.96, 4.5], ['Br', 79.904, 7.0721e-3], ['Kr', 83.798, 3.47832e-3],
+  ['Rb', 85.4678, 1.532], ['Sr', 87.62, 2.54], ['Y', 88.90585, 4.469],
+  ['Zr', 91.224, 6.506], ['Nb', 92.90638, 8.57], ['Mo', 95.94, 10.22],
+  ['Tc', 97.9072, 11.5], ['Ru', 101.07, 12.41], ['Rh', 102.9055, 12.41],
+  ['Pd', 106.42, 12.02], ['Ag', 107.8682, 10.5], ['Cd', 112.411, 8.65],
+  ['In', 114.818, 7.31], ['Sn', 118.71, 7.31], ['Sb', 121.76, 6.691],
+  ['Te', 127.6, 6.24], ['I', 126.90447, 4.93], ['Xe', 131.293, 5.48536e-3],
+  ['Cs', 132.90545, 1.873], ['Ba', 137.327, 3.5], ['La', 138.9055, 6.154],
+  ['Ce', 140.116, 6.657], ['Pr', 140.90765, 6.71], ['Nd', 144.24, 6.9],
+  ['Pm', 144.9127, 7.22], ['Sm', 150.36, 7.46], ['Eu', 151.964, 5.243],
+  ['Gd', 157.25, 7.9004], ['Tb', 158.92534, 8.229], ['Dy', 162.5, 8.55],
+  ['Ho', 164.93032, 8.795], ['Er', 167.259, 9.066], ['Tm', 168.93421, 9.321],
+  ['Yb', 173.04, 6.73], ['Lu', 174.967, 9.84], ['Hf', 178.49, 13.31],
+  ['Ta', 180.9479, 16.654], ['W', 183.84, 19.3], ['Re', 186.207, 21.02],
+  ['Os', 190.23, 22.57], ['Ir', 192.217, 22.42], ['Pt', 195.078, 21.45],
+  ['Au', 196.96655, 19.32], ['Hg', 200.59, 13.546], ['Tl', 204.3833, 11.72],
+  ['Pb', 207.2, 11.35], ['Bi', 208.98038, 9.747], ['Po', 208.9824, 9.32],
+  ['At', 209.9871, 9.32], ['Rn', 222.0176, 9.00662e-3], ['Fr', 223.0197, 1.0],
+  ['Ra', 226.0254, 5.0], ['Ac', 227.0277, 10.07], ['Th', 232.0381, 11.72],
+  ['Pa', 231.03588, 15.37], ['U', 238.02891, 18.95], ['Np', 237.0482, 20.25],
+  ['Pu', 244.0642, 19.84], ['Am', 243.0614, 13.67], ['Cm', 247.0704, 13.51],
+  ['Bk', 247.0703, 14.0], ['Cf', 251.0796, 10.0],
+];
+
+const LIQUID_ELEMENTS = new Set(['Hg']);
+
+// Compounds and mixtures of the NIST and HEP tables of Geant4: density in
+// g/cm3, state and composition, by numbers of atoms when all are integers
+// and by mass fractions otherwise.
+const COMPOUNDS = {
+  G4_AIR: [0.00120479, 'gas', { C: 0.000124, N: 0.755268, O: 0.231781, Ar: 0.012827 }],
+  G4_ALUMINUM_OXIDE: [3.97, 'solid', { Al: 2, O: 3 }],
+  G4_BARIUM_FLUORIDE: [4.89, 'solid', { Ba: 1, F: 2 }],
+  G4_BGO: [7.13, 'solid', { Bi: 4, Ge: 3, O: 12 }],
+  G4_BONE_COMPACT_ICRU: [1.85, 'solid', { H: 0.064, C: 0.278, N: 0.027, O: 0.41, Mg: 0.002, P: 0.07, S: 0.002, Ca: 0.147 }],
+  G4_BORON_CARBIDE: [2.52, 'solid', { B: 4, C: 1 }],
+  G4_BORON_OXIDE: [1.812, 'solid', { B: 2, O: 3 }],
+  G4_BRASS: [8.52, 'solid', { Cu: 62, Zn: 35, Pb: 3 }],
+  G4_BRONZE: [8.82, 'solid', { Cu: 89, Zn: 9, Pb: 2 }],
+  G4_BUTANE: [0.00249343, 'gas', { C: 4, H: 10 }],
+  G4_CADMIUM_TUNGSTATE: [7.9, 'solid', { Cd: 1, W: 1, O: 4 }],
+  G4_CALCIUM_CARBONATE: [2.8, 'solid', { Ca: 1, C: 1, O: 3 }],
+  G4_CALCIUM_FLUORIDE: [3.18, 'solid', { Ca: 1, F: 2 }],
+  G4_CARBON_DIOXIDE: [0.00184212, 'gas', { C: 1, O: 2 }],
+  G4_CELLULOSE_CELLOPHANE: [1.42, 'solid', { C: 6, H: 10, O: 5 }],
+  G4_CESIUM_IODIDE: [4.51, 'solid', { Cs: 1, I: 1 }],
+  G4_CONCRETE: [2.3, 'solid', {
+    H: 0.01, C: 0.001, O: 0.529107, Na: 0.016, Mg: 0.002, Al: 0.033872, Si: 0.337021, K: 0.013, Ca: 0.044, Fe: 0.014,
+  }],
+  G4_CR39: [1.32, 'solid', { H: 18, C: 12, O: 7 }],
+  G4_ETHYL_ALCOHOL: [0.7893, 'liquid', { C: 2, H: 6, O: 1 }],
+  G4_FERRIC_OXIDE: [5.2, 'solid', { Fe: 2, O: 3 }],
+  G4_GADOLINIUM_OXYSULFIDE: [7.44, 'solid', { Gd: 2, O: 2, S: 1 }],
+  G4_Galactic: [1e-25, 'gas', { H: 1 }],
+  G4_GLASS_LEAD: [6.22, 'solid', { O: 0.156453, Si: 0.080866, Ti: 0.008092, As: 0.002651, Pb: 0.751938 }],
+  G4_GLASS_PLATE: [2.4, 'solid', { O: 0.4598, Na: 0.0964, Si: 0.3365, Ca: 0.1073 }],
+  G4_GRAPHITE: [2.21, 'solid', { C: 1 }],
+  G4_GRAPHITE_POROUS: [1.7, 'solid', { C: 1 }],
+  G4_KAPTON: [1.42, 'solid', { C: 22, H: 10, N: 2, O: 5 }],
+  G4_LEAD_OXIDE: [9.53, 'solid', { O: 0.07168, Pb: 0.92832 }],
+  G4_LITHIUM_FLUORIDE: [2.635, 'solid', { Li: 1, F: 1 }],
+  G4_LITHIUM_HYDRIDE: [0.82, 'solid', { Li: 1, H: 1 }],
+  G4_LUCITE: [1.19, 'solid', { C: 5, H: 8, O: 2 }],
+  G4_METHANE: [0.000667151, 'gas', { C: 1, H: 4 }],
+  G4_MYLAR: [1.4, 'solid', { C: 10, H: 8, O: 4 }],
+  'G4_NYLON-6-6': [1.14, 'solid', { C: 6, H: 11, N: 1, O: 1 }],
+  G4_OCTADECANOL: [0.812, 'solid', { H: 38, C: 18, O: 1 }],
+  G4_PARAFFIN: [0.93, 'solid', { C: 25, H: 52 }],
+  G4_PbF2: [7.77, 'solid', { Pb: 1, F: 2 }],
+  G4_PbWO4: [8.28, 'solid', { Pb: 1, W: 1, O: 4 }],
+  G4_PLASTIC_SC_VINYLTOLUENE: [1.032, 'solid', { H: 0.085, C: 0.915 }],
+  G4_PLEXIGLASS: [1.19, 'solid', { C: 5, H: 8, O: 2 }],
+  G4_POLYCARBONATE: [1.2, 'solid', { C: 16, H: 14, O: 3 }],
+  G4_POLYETHYLENE: [0.94, 'solid', { C: 1, H: 2 }],
+  G4_POLYPROPYLENE: [0.9, 'solid', { C: 3, H: 6 }],
+  G4_POLYSTYRENE: [1.06, 'solid', { C: 8, H: 8 }],
+  G4_POLYVINYL_CHLORIDE: [1.3, 'solid', { C: 2, H: 3, Cl: 1 }],
+  G4_PROPANE: [0.00187939, 'gas', { C: 3, H: 8 }],
+  G4_Pyrex_Glass: [2.23, 'solid', { B: 0.040064, O: 0.539562, Na: 0.028191, Al: 0.011644, Si: 0.37722, K: 0.003321 }],
+  G4_SILICON_DIOXIDE: [2.32, 'solid', { Si: 1, O: 2 }],
+  G4_SODIUM_IODIDE: [3.667, 'solid', { Na: 1, I: 1 }],
+  'G4_STAINLESS-STEEL': [8.0, 'solid', { Fe: 74, Cr: 18, Ni: 8 }],
+  G4_TEFLON: [2.2, 'solid', { C: 2, F: 4 }],
+  G4_TISSUE_SOFT_ICRP: [1.03, 'solid', {
+    H: 0.104472, C: 0.23219, N: 0.02488, O: 0.630238, Na: 0.00113, Mg: 0.00013, P: 0.00133,
+    S: 0.00199, Cl: 0.00134, K: 0.00199, Ca: 0.00023, Fe: 0.00005, Zn: 0.00003,
+  }],
+  G4_TITANIUM_DIOXIDE: [4.26, 'solid', { Ti: 1, O: 2 }],
+  G4_URANIUM_OXIDE: [10.96, 'solid', { U: 1, O: 2 }],
+  G4_WATER: [1.0, 'liquid', { H: 2, O: 1 }],
+  G4_WATER_VAPOR: [0.000756182, 'gas', { H: 2, O: 1 }],
+  G4_lAr: [1.396, 'liquid', { Ar: 1 }],
+  G4_lH2: [0.0708, 'liquid', { H: 1 }],
+  G4_lKr: [2.418, 'liquid', { Kr: 1 }],
+  G4_lN2: [0.807, 'liquid', { N: 1 }],
+  G4_lO2: [1.141, 'liquid', { O: 1 }],
+  G4_lXe: [2.953, 'liquid', { Xe: 1 }],
+};
+
+// Elements and materials are built once, on first use
+const elements = new Map();
+const materials = new Map();
+
+/**
+ * NIST element by symbol or atomic number, as
+ * G4NistManager::FindOrBuildElement(). Null for an unknown element.
+ *
+ * @param {string|number} symbol - Symbol such as 'Pb', or atomic number
+ * @returns {Element|null}
+ */
+function findNistElement(symbol) {
+  const Z = typeof symbol === 'number' ? symbol : ELEMENTS.findIndex(([s]) => s === symbol) + 1;
+  if (!(Number.isInteger(Z) && Z >= 1 && Z <= ELEMENTS.length)) return null;
+  if (!elements.has(Z)) {
+    const [s, A] = ELEMENTS[Z - 1];
+    elements.set(Z, new Element(s, s, Z, A));
+  }
+  return elements.get(Z);
+}
+
+/**
+ * NIST material by name, as G4NistManager::FindOrBuildMaterial(): the
+ * elements `G4_H` to `G4_Cf` and the compounds listed by
+ * `nistMaterialNames()`. The same Material is returned on every call. Null
+ * for an unknown name.
+ *
+ * @param {string} name - Name such as 'G4_Si' or 'G4_PbWO4'
+ * @returns {Material|null}
+ */
+function findNistMaterial(name) {
+  if (typeof name !== 'string' || !name.startsWith('G4_')) return null;
+  if (!materials.has(name)) {
+    const material = buildMaterial(name);
+    if (!material) return null;
+    materials.set(name, material);
+  }
+  return materials.get(name);
+}
+
+/**
+ * Names of all materials `findNistMaterial()` knows.
+ *
+ * @returns {string[]}
+ */
+function nistMaterialNames() {
+  return [...ELEMENTS.map(([symbol]) => `G4_${symbol}`), ...Object.keys(COMPOUNDS)];
+}
+
+function buildMaterial(name) {
+  const element = findNistElement(name.slice(3));
+  if (element) {
+    const [symbol, , density] = ELEMENTS[element.Z - 1];
+    const state = LIQUID_ELEMENTS.has(symbol) ? 'liquid' : undefined;
+    return new Material(name, density, { state }).addElementByNumberOfAtoms(element, 1);
+  }
+  if (!Object.hasOwn(COMPOUNDS, name)) return null;
+
+  const [density, state, composition] = COMPOUNDS[name];
+  const options = name === 'G4_Galactic' ? { state, temperature: 2.73, pressure: 3e-18 / 101325 } : { state };
+  const material = new Material(name, density, options);
+  const byAtoms = Object.values(composition).every(Number.isInteger);
+  Object.entries(composition).forEach(([symbol, value]) => {
+    if (byAtoms) {
+      material.addElementByNumberOfAtoms(findNistElement(symbol), value);
+    } else {
+      material.addElementByMassFraction(findNistElement(symbol), value);
+    }
+  });
+  return material;
+}
+
+export { findNistElement, findNistMaterial, nistMaterialNames };
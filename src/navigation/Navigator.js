@@ -0,0 +1,180 @@
+/**
+ * @chitrashensah/geant4-geometry
+ * Copyright (c) 2025 Chitrashen Sah
+ * Licensed under MIT License
+ */
+
+import { kInside, kOutside, kInfinity, kCarTolerance } from './constants.js';
+
+/**
+ * Navigation in a volume tree, the equivalent of Geant4's G4Navigator.
+ * `locate()` finds the deepest volume containing a point and `trace()`
+ * follows a straight ray from boundary to boundary:
+ *
+ *   const navigator = new Navigator(world);
+ *   for (const step of navigator.trace(origin, direction)) {
+ *     console.log(step.path.map((volume) => volume.name).join('/'), step.length, step.material);
+ *   }
+ *
+ * As in Geant4, daughters must lie inside their mother and must not
+ * overlap; the first daughter containing a point wins. A point on the
+ * surface of a volume is in it, unless a direction is given that leaves the
+ * volume right away. Replicated daughters (ReplicaVolume and its
+ * subclasses) are searched copy by copy; the path holds the copy found.
+ *
+ * @param {PhysicalVolume} [world] - World volume
+ */
+class Navigator {
+
+  constructor(world = null) {
+    this.world = null;
+    if (world) this.setWorldVolume(world);
+  }
+
+  /**
+   * @param {PhysicalVolume} world
+   * @returns {this}
+   */
+  setWorldVolume(world) {
+    if (!(world && world.isPhysicalVolume)) throw new TypeError('Navigator: the world must be a PhysicalVolume');
+    checkSolids(world.logicalVolume, new Set());
+    this.world = world;
+    return this;
+  }
+
+  /**
+   * Deepest volume containing `point`, as
+   * G4Navigator::LocateGlobalPointAndSetup(). With a direction, a volume
+   * whose surface the point is on is entered only if the ray goes into it.
+   *
+   * The result holds the `path` of placements from the world down, the
+   * placed `volume`, its `logicalVolume`, `material` and `copyNumber`, and
+   * the point and direction in the frame of the volume. It is null outside
+   * the world.
+   *
+   * @param {THREE.Vector3} point - Global point in millimeters
+   * @param {THREE.Vector3} [direction]
+   * @returns {Object|null}
+   */
+  locate(point, direction) {
+    if (!this.world) throw new Error('Navigator: no world volume set');
+    let volume = this.world;
+    let localPoint = point.clone().applyMatrix4(volume.matrixInverse);
+    let localDirection = direction ? direction.clone().transformDirection(volume.matrixInverse) : null;
+    if (!contains(volume, localPoint, localDirection)) return null;
+
+    const path = [volume];
+    let daughters = volume.logicalVolume.getPlacements();
+    for (let i = 0; i < daughters.length; i++) {
+      const daughter = daughters[i];
+      const p = localPoint.clone().applyMatrix4(daughter.matrixInverse);
+      const v = localDirection ? localDirection.clone().transformDirection(daughter.matrixInverse) : null;
+      if (contains(daughter, p, v)) {
+        volume = daughter;
+        localPoint = p;
+        localDirection = v;
+        path.push(volume);
+        daughters = volume.logicalVolume.getPlacements();
+        i = -1;
+      }
+    }
+
+    const logicalVolume = volume.logicalVolume;
+    return {
+      path,
+      volume,
+      logicalVolume,
+      material: logicalVolume.material,
+      copyNumber: volume.copyNumber,
+      localPoint,
+      localDirection,
+    };
+  }
+
+  /**
+   * Length of the step from `point` along `direction` to the next
+   * boundary, as G4Navigator::ComputeStep(): the distance to leave the
+   * current volume or to enter one of its daughters, whichever is shorter.
+   * kInfinity outside the world.
+   *
+   * @param {THREE.Vector3} point - Global point in millimeters
+   * @param {THREE.Vector3} direction
+   * @returns {number}
+   */
+  computeStep(point, direction) {
+    const location = this.locate(point, direction.clone().normalize());
+    return location ? stepLength(location) : kInfinity;
+  }
+
+  /**
+   * Follow a straight ray through the volume tree until it leaves the
+   * world. Each step reports the `path` of placements from the world down
+   * to the `volume` it crosses, the `material`, the global `position` where
+   * it starts and its `length`. A ray starting outside the world gives no
+   * steps.
+   *
+   * @param {THREE.Vector3} origin - Global point in millimeters
+   * @param {THREE.Vector3} direction
+   * @param {Object} [options]
+   * @param {number} [options.maxSteps=10000] - Stop after this many steps
+   * @returns {Object[]}
+   */
+  trace(origin, direction, { maxSteps = 10000 } = {}) {
+    const v = direction.clone().normalize();
+    const p = origin.clone();
+    const steps = [];
+
+    let location = this.locate(p, v);
+    while (location && steps.length < maxSteps) {
+      const length = stepLength(location);
+      if (length >= kInfinity) break;
+      if (length > 0) {
+        steps.push({
+          path: location.path,
+          volume: location.volume,
+          material: location.material,
+          copyNumber: location.copyNumber,
+          position: p.clone(),
+          length,
+        });
+        p.addScaledVector(v, length);
+      } else {
+        // A track stuck on a boundary is pushed on, as G4Navigator does
+        p.addScaledVector(v, kCarTolerance);
+      }
+      location = this.locate(p, v);
+    }
+    return steps;
+  }
+}
+
+// Whether a point (and ray) in the frame of `volume` is in it.
+function contains(volume, p, v) {
+  const solid = volume.logicalVolume.solid;
+  const state = solid.inside(p);
+  if (state === kInside) return true;
+  if (state === kOutside) return false;
+  return !v || solid.distanceToOut(p, v) > 0;
+}
+
+function stepLength({ volume, localPoint, localDirection }) {
+  const logical = volume.logicalVolume;
+  let step = logical.solid.distanceToOut(localPoint, localDirection);
+  logical.getPlacements().forEach((daughter) => {
+    const p = localPoint.clone().applyMatrix4(daughter.matrixInverse);
+    const v = localDirection.clone().transformDirection(daughter.matrixInverse);
+    step = Math.min(step, daughter.logicalVolume.solid.distanceToIn(p, v));
+  });
+  return step;
+}
+
+function checkSolids(logical, checked) {
+  if (checked.has(logical)) return;
+  checked.add(logical);
+  if (typeof logical.solid.getRegion !== 'function') {
+    throw new TypeError(`Navigator: volume '${logical.name}' has a ${logical.solid.type}, navigation needs solids of this library`);
+  }
+  logical.getPlacements().forEach((daughter) => checkSolids(daughter.logicalVolume, checked));
+}
+
+export { Navigator };
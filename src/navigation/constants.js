@@ -0,0 +1,31 @@
+/**
+ * @chitrashensah/geant4-geometry
+ * Copyright (c) 2025 Chitrashen Sah
+ * Licensed under MIT License
+ */
+
+// Result of Inside(), with the values of Geant4's EInside.
+const kOutside = 0;
+const kSurface = 1;
+const kInside = 2;
+
+// Distance returned when a ray misses the solid, as G4 kInfinity.
+const kInfinity = 9.0e99;
+
+// Surface tolerances of G4GeometryTolerance, in millimeters and radians. A
+// point is on the surface when it lies within half a tolerance of it.
+const kCarTolerance = 1e-9;
+const kRadTolerance = 1e-9;
+const kAngTolerance = 1e-9;
+
+// Axes of replicated volumes, with the values of Geant4's EAxis.
+const kXAxis = 0;
+const kYAxis = 1;
+const kZAxis = 2;
+const kRho = 3;
+const kRadial3D = 4;
+const kPhi = 5;
+const kUndefined = 6;
+
+export { kOutside, kSurface, kInside, kInfinity, kCarTolerance, kRadTolerance, kAngTolerance };
+export { kXAxis, kYAxis, kZAxis, kRho, kRadial3D, kPhi, kUndefined };
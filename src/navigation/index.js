@@ -0,0 +1,34 @@
+/**
+ * @chitrashensah/geant4-geometry
+ * Copyright (c) 2025 Chitrashen Sah
+ * Licensed under MIT License
+ */
+
+export { kOutside, kSurface, kInside, kInfinity, kCarTolerance, kRadTolerance, kAngTolerance } from './constants.js';
+export { kXAxis, kYAxis, kZAxis, kRho, kRadial3D, kPhi, kUndefined } from './constants.js';
+export {
+  Region,
+  HalfSpace,
+  Ball,
+  ConicalRegion,
+  ThetaRegion,
+  ToroidalRegion,
+  ConicRegion,
+  ContourRegion,
+  PolyhedraRegion,
+  TwistedSideRegion,
+  ScaledRegion,
+  TransformedRegion,
+  IntersectionRegion,
+  UnionRegion,
+  ComplementRegion,
+  FacetRegion,
+  polygonHalfSpace,
+  intersectionOf,
+  zSlab,
+  phiSegmentRegion,
+  classify,
+  distanceAlongRay,
+} from './regions.js';
+export { Navigator } from './Navigator.js';
+export { solveQuadratic, polynomialRoots } from './roots.js';
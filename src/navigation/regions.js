@@ -0,0 +1,1059 @@
+/**
+ * @chitrashensah/geant4-geometry
+ * Copyright (c) 2025 Chitrashen Sah
+ * Licensed under MIT License
+ */
+
+import * as THREE from 'three';
+import { solveQuadratic, polynomialRoots } from './roots.js';
+import { kOutside, kSurface, kInside, kInfinity, kCarTolerance, kRadTolerance } from './constants.js';
+
+const HALF_TOLERANCE = 0.5 * kCarTolerance;
+
+/**
+ * Analytic description of a solid for the navigation queries: a tree of
+ * simple regions (half-spaces, quadrics, contours) combined by
+ * intersection, union and complement, built from the parameters of a
+ * geometry rather than from its triangle mesh.
+ *
+ * Every region answers four questions about a point (x, y, z) or a ray
+ * from (px, py, pz) along (vx, vy, vz):
+ *
+ *  - distance(): signed distance to its boundary, negative inside. It is
+ *    exact or accurate to second order near the boundary, which is what the
+ *    surface tolerance needs.
+ *  - safety(): signed lower bound of that distance, as the Geant4 safety
+ *    distances must never overshoot.
+ *  - intersect(): ray parameters where the ray may cross the boundary,
+ *    pushed onto `out`. Extra values are harmless, missing ones are not.
+ *  - normal(): outward unit normal of the closest boundary surface.
+ */
+class Region {
+
+  safety(x, y, z) {
+    return this.distance(x, y, z);
+  }
+
+  /**
+   * Add the outward normals of the boundary surfaces within `tolerance` of
+   * the point to `sum`, multiplied by `sign`.
+   */
+  collectNormals(x, y, z, tolerance, sum, sign) {
+    if (Math.abs(this.distance(x, y, z)) > tolerance) return;
+    this.normal(x, y, z, _normal);
+    sum.addScaledVector(_normal, sign);
+  }
+}
+
+const _normal = new THREE.Vector3();
+const _gradient = new THREE.Vector3();
+const _scaled = new THREE.Vector3();
+
+/**
+ * Half-space n . p <= d.
+ */
+class HalfSpace extends Region {
+
+  constructor(nx, ny, nz, d) {
+    super();
+    const length = Math.hypot(nx, ny, nz);
+    this.nx = nx / length;
+    this.ny = ny / length;
+    this.nz = nz / length;
+    this.d = d / length;
+  }
+
+  distance(x, y, z) {
+    return this.nx * x + this.ny * y + this.nz * z - this.d;
+  }
+
+  intersect(px, py, pz, vx, vy, vz, out) {
+    const dot = this.nx * vx + this.ny * vy + this.nz * vz;
+    if (dot !== 0) out.push(-this.distance(px, py, pz) / dot);
+  }
+
+  normal(x, y, z, target) {
+    return target.set(this.nx, this.ny, this.nz);
+  }
+}
+
+/**
+ * Ball |p| <= radius about the origin.
+ */
+class Ball extends Region {
+
+  constructor(radius) {
+    super();
+    this.radius = radius;
+  }
+
+  distance(x, y, z) {
+    return Math.hypot(x, y, z) - this.radius;
+  }
+
+  intersect(px, py, pz, vx, vy, vz, out) {
+    solveQuadratic(
+      vx * vx + vy * vy + vz * vz,
+      2 * (px * vx + py * vy + pz * vz),
+      px * px + py * py + pz * pz - this.radius * this.radius,
+      out
+    );
+  }
+
+  normal(x, y, z, target) {
+    const length = Math.hypot(x, y, z);
+    return length > 0 ? target.set(x / length, y / length, z / length) : target.set(0, 0, 1);
+  }
+}
+
+/**
+ * Region r <= slope * z + radius about the z axis: the inside of a cone,
+ * or of a cylinder when the slope is zero.
+ */
+class ConicalRegion extends Region {
+
+  constructor(slope, radius) {
+    super();
+    this.slope = slope;
+    this.radius = radius;
+    this.scale = 1 / Math.hypot(1, slope);
+  }
+
+  // Distance to the generating line in the (r, z) half plane
+  distance(x, y, z) {
+    return (Math.hypot(x, y) - this.slope * z - this.radius) * this.scale;
+  }
+
+  intersect(px, py, pz, vx, vy, vz, out) {
+    coneRoots(this.slope, this.radius, px, py, pz, vx, vy, vz, out);
+  }
+
+  normal(x, y, z, target) {
+    const r = Math.hypot(x, y);
+    const k = this.scale;
+    return r > 0 ? target.set((x / r) * k, (y / r) * k, -this.slope * k) : target.set(k, 0, -this.slope * k);
+  }
+}
+
+// Crossings of a ray with the cone r = slope * z + radius. The mirrored
+// nappe adds roots that do no harm.
+function coneRoots(slope, radius, px, py, pz, vx, vy, vz, out) {
+  const w = slope * pz + radius;
+  solveQuadratic(
+    vx * vx + vy * vy - slope * slope * vz * vz,
+    2 * (px * vx + py * vy - slope * vz * w),
+    px * px + py * py - w * w,
+    out
+  );
+}
+
+/**
+ * Region on one side of the cone of polar angle `theta` with its apex at
+ * the origin: theta' >= theta when `sense` is +1, theta' <= theta when it
+ * is -1. These are the theta cuts of G4Sphere.
+ */
+class ThetaRegion extends Region {
+
+  constructor(theta, sense) {
+    super();
+    this.theta = theta;
+    this.sense = sense;
+    this.cos = Math.cos(theta);
+    this.sin = Math.sin(theta);
+  }
+
+  distance(x, y, z) {
+    const rho = Math.hypot(x, y, z);
+    const delta = this.sense * (this.theta - Math.atan2(Math.hypot(x, y), z));
+    return Math.abs(delta) <= Math.PI / 2 ? rho * Math.sin(delta) : Math.sign(delta) * rho;
+  }
+
+  intersect(px, py, pz, vx, vy, vz, out) {
+    if (Math.abs(this.cos) < 1e-15) {
+      if (vz !== 0) out.push(-pz / vz);
+      return;
+    }
+    const t2 = (this.sin * this.sin) / (this.cos * this.cos);
+    solveQuadratic(
+      vx * vx + vy * vy - t2 * vz * vz,
+      2 * (px * vx + py * vy - t2 * pz * vz),
+      px * px + py * py - t2 * pz * pz,
+      out
+    );
+  }
+
+  normal(x, y, z, target) {
+    const r = Math.hypot(x, y);
+    const cosPhi = r > 0 ? x / r : 1;
+    const sinPhi = r > 0 ? y / r : 0;
+    const s = -this.sense;
+    return target.set(s * this.cos * cosPhi, s * this.cos * sinPhi, -s * this.sin);
+  }
+}
+
+/**
+ * Inside of a torus tube: points within `radius` of the circle of radius
+ * `sweptRadius` in the xy plane.
+ */
+class ToroidalRegion extends Region {
+
+  constructor(sweptRadius, radius) {
+    super();
+    this.sweptRadius = sweptRadius;
+    this.radius = radius;
+  }
+
+  distance(x, y, z) {
+    return Math.hypot(Math.hypot(x, y) - this.sweptRadius, z) - this.radius;
+  }
+
+  // Quartic (|p + t v|^2 + R^2 - r^2)^2 = 4 R^2 ((px + t vx)^2 + (py + t vy)^2)
+  intersect(px, py, pz, vx, vy, vz, out) {
+    const R2 = this.sweptRadius * this.sweptRadius;
+    const a = vx * vx + vy * vy + vz * vz;
+    const b = px * vx + py * vy + pz * vz;
+    const c = px * px + py * py + pz * pz + R2 - this.radius * this.radius;
+    const roots = polynomialRoots([
+      a * a,
+      4 * a * b,
+      4 * b * b + 2 * a * c - 4 * R2 * (vx * vx + vy * vy),
+      4 * b * c - 8 * R2 * (px * vx + py * vy),
+      c * c - 4 * R2 * (px * px + py * py),
+    ]);
+    roots.forEach((t) => out.push(t));
+  }
+
+  normal(x, y, z, target) {
+    const r = Math.hypot(x, y);
+    const cx = r > 0 ? (x / r) * this.sweptRadius : this.sweptRadius;
+    const cy = r > 0 ? (y / r) * this.sweptRadius : 0;
+    target.set(x - cx, y - cy, z);
+    return target.lengthSq() > 0 ? target.normalize() : target.set(0, 0, 1);
+  }
+}
+
+/**
+ * Region r^2 <= alpha * z^2 + beta * z + gamma about the z axis, bounded by
+ * a paraboloid (alpha = 0) or a hyperboloid of one sheet (beta = 0).
+ */
+class ConicRegion extends Region {
+
+  constructor(alpha, beta, gamma) {
+    super();
+    this.alpha = alpha;
+    this.beta = beta;
+    this.gamma = gamma;
+  }
+
+  distance(x, y, z) {
+    const r = Math.hypot(x, y);
+    const d = conicDistance(this.alpha, this.beta, this.gamma, r, z);
+    return r * r > this.alpha * z * z + this.beta * z + this.gamma ? d : -d;
+  }
+
+  intersect(px, py, pz, vx, vy, vz, out) {
+    const { alpha, beta, gamma } = this;
+    solveQuadratic(
+      vx * vx + vy * vy - alpha * vz * vz,
+      2 * (px * vx + py * vy - alpha * pz * vz) - beta * vz,
+      px * px + py * py - alpha * pz * pz - beta * pz - gamma,
+      out
+    );
+  }
+
+  normal(x, y, z, target) {
+    target.set(2 * x, 2 * y, -(2 * this.alpha * z + this.beta));
+    return target.lengthSq() > 0 ? target.normalize() : target.set(0, 0, 1);
+  }
+}
+
+// Distance from (rho, zeta) to the curve r^2 = alpha z^2 + beta z + gamma
+// in the (r, z) plane. The closest point satisfies r - rho = 2 mu r and
+// z - zeta = -mu (2 alpha z + beta) for some multiplier mu, which turns
+// the curve equation into a quartic in mu; the degenerate multipliers
+// 1 / 2 and -1 / (2 alpha) are tried separately.
+function conicDistance(alpha, beta, gamma, rho, zeta) {
+  let best = Infinity;
+  const candidate = (r, z) => {
+    best = Math.min(best, Math.hypot(r - rho, z - zeta));
+  };
+  const curveZ = (r) => solveQuadratic(alpha, beta, gamma - r * r);
+
+  // (1 - 2 mu)^2, (1 + 2 alpha mu)^2 and (zeta - beta mu) as polynomials
+  // in mu, lowest degree first
+  const u = [1, -2];
+  const w = [1, 2 * alpha];
+  const s = [zeta, -beta];
+  const u2 = multiply(u, u);
+  const w2 = multiply(w, w);
+  const terms = [
+    multiply([rho * rho], w2),
+    multiply([-alpha], multiply(multiply(s, s), u2)),
+    multiply([-beta], multiply(multiply(s, w), u2)),
+    multiply([-gamma], multiply(u2, w2)),
+  ];
+  const poly = [0, 0, 0, 0, 0];
+  terms.forEach((term) => term.forEach((ci, i) => (poly[i] += ci)));
+  polynomialRoots(poly.reverse()).forEach((mu) => {
+    const du = 1 - 2 * mu;
+    const dw = 1 + 2 * alpha * mu;
+    if (du !== 0 && dw !== 0) candidate(rho / du, (zeta - beta * mu) / dw);
+  });
+
+  if (rho === 0 && 1 + alpha !== 0) {
+    const z = (zeta - beta / 2) / (1 + alpha);
+    const g = alpha * z * z + beta * z + gamma;
+    if (g >= 0) candidate(Math.sqrt(g), z);
+  }
+  if (alpha !== 0 && Math.abs(zeta + beta / (2 * alpha)) <= 1e-12 * (1 + Math.abs(zeta))) {
+    const r = rho / (1 + 1 / alpha);
+    curveZ(r).forEach((z) => candidate(r, z));
+  }
+  return best;
+}
+
+function multiply(a, b) {
+  const out = new Array(a.length + b.length - 1).fill(0);
+  a.forEach((ai, i) => b.forEach((bj, j) => (out[i + j] += ai * bj)));
+  return out;
+}
+
+/**
+ * Closed polygon in a (u, z) plane, counter-clockwise, with the signed
+ * distance to its edges. Edges lying on the u = 0 axis bound the polygon
+ * but are not surfaces of the solid, so distances ignore them.
+ */
+class Contour {
+
+  constructor(points) {
+    this.points = points;
+    this.edges = points.map((a, i) => {
+      const b = points[(i + 1) % points.length];
+      const du = b.r - a.r;
+      const dz = b.z - a.z;
+      const length = Math.hypot(du, dz);
+      return {
+        u0: a.r,
+        z0: a.z,
+        du,
+        dz,
+        length2: length * length,
+        nu: dz / length,
+        nz: -du / length,
+        onAxis: a.r === 0 && b.r === 0,
+      };
+    });
+  }
+
+  contains(u, z) {
+    let inside = false;
+    this.edges.forEach((e) => {
+      const z1 = e.z0 + e.dz;
+      if (e.z0 > z !== z1 > z && u < e.u0 + ((z - e.z0) / e.dz) * e.du) inside = !inside;
+    });
+    return inside;
+  }
+
+  edgeDistance(e, u, z) {
+    const s = Math.min(1, Math.max(0, ((u - e.u0) * e.du + (z - e.z0) * e.dz) / e.length2));
+    return Math.hypot(u - e.u0 - s * e.du, z - e.z0 - s * e.dz);
+  }
+
+  distance(u, z) {
+    let best = Infinity;
+    this.edges.forEach((e) => {
+      if (!e.onAxis) best = Math.min(best, this.edgeDistance(e, u, z));
+    });
+    return this.contains(u, z) ? -best : best;
+  }
+
+  // Edges within `tolerance` of the point, or the closest one
+  nearEdges(u, z, tolerance) {
+    let closest = null;
+    let best = Infinity;
+    const near = [];
+    this.edges.forEach((e) => {
+      if (e.onAxis) return;
+      const d = this.edgeDistance(e, u, z);
+      if (d <= tolerance) near.push(e);
+      if (d < best) {
+        best = d;
+        closest = e;
+      }
+    });
+    return near.length ? near : [closest];
+  }
+}
+
+/**
+ * Solid of revolution of a closed (r, z) contour about the z axis, as the
+ * sections of G4Polycone.
+ */
+class ContourRegion extends Region {
+
+  constructor(points) {
+    super();
+    this.contour = new Contour(points);
+  }
+
+  distance(x, y, z) {
+    return this.contour.distance(Math.hypot(x, y), z);
+  }
+
+  intersect(px, py, pz, vx, vy, vz, out) {
+    this.contour.edges.forEach((e) => {
+      if (e.onAxis) return;
+      if (e.dz === 0) {
+        if (vz !== 0) out.push((e.z0 - pz) / vz);
+      } else {
+        const slope = e.du / e.dz;
+        coneRoots(slope, e.u0 - slope * e.z0, px, py, pz, vx, vy, vz, out);
+      }
+    });
+  }
+
+  normal(x, y, z, target) {
+    const r = Math.hypot(x, y);
+    const cosPhi = r > 0 ? x / r : 1;
+    const sinPhi = r > 0 ? y / r : 0;
+    target.set(0, 0, 0);
+    this.contour.nearEdges(r, z, HALF_TOLERANCE).forEach((e) => {
+      target.x += e.nu * cosPhi;
+      target.y += e.nu * sinPhi;
+      target.z += e.nz;
+    });
+    return target.normalize();
+  }
+}
+
+/**
+ * Polyhedral solid of G4Polyhedra: the (r, z) contour gives distances to
+ * the flat sides, so within each of the `numSide` phi sectors the solid is
+ * a prism of that contour along the sector's side. The phi segment itself
+ * is cut by a separate phiSegmentRegion().
+ */
+class PolyhedraRegion extends Region {
+
+  constructor(points, sPhi, dPhi, numSide) {
+    super();
+    this.contour = new Contour(points);
+    this.sPhi = sPhi;
+    this.dPhi = dPhi;
+    this.numSide = numSide;
+    const width = dPhi / numSide;
+    this.sectors = Array.from({ length: numSide }, (_, k) => {
+      const start = sPhi + k * width;
+      const mid = start + width / 2;
+      const end = start + width;
+      return {
+        cos: Math.cos(mid),
+        sin: Math.sin(mid),
+        wedge: [Math.sin(start), -Math.cos(start), -Math.sin(end), Math.cos(end)],
+        convex: width <= Math.PI,
+      };
+    });
+  }
+
+  sectorIndex(x, y) {
+    let phi = Math.atan2(y, x) - this.sPhi;
+    phi -= 2 * Math.PI * Math.floor(phi / (2 * Math.PI));
+    const k = Math.floor((phi / this.dPhi) * this.numSide);
+    if (k < this.numSide) return k;
+    // Outside the segment: the nearer end sector
+    return phi - this.dPhi < 2 * Math.PI - phi ? this.numSide - 1 : 0;
+  }
+
+  prismDistance(sector, x, y, z) {
+    return this.contour.distance(x * sector.cos + y * sector.sin, z);
+  }
+
+  // Lower bound of the distance to the sector's wedge, zero inside
+  wedgeSafety(sector, x, y) {
+    const [a, b, c, d] = sector.wedge;
+    const h1 = a * x + b * y;
+    const h2 = c * x + d * y;
+    return sector.convex ? Math.max(h1, h2) : Math.min(h1, h2);
+  }
+
+  distance(x, y, z) {
+    return this.prismDistance(this.sectors[this.sectorIndex(x, y)], x, y, z);
+  }
+
+  // The solid is the union of each sector's wedge cut by its prism
+  safety(x, y, z) {
+    const inside = this.distance(x, y, z) < 0;
+    let best = Infinity;
+    this.sectors.forEach((sector) => {
+      const d = this.prismDistance(sector, x, y, z);
+      best = Math.min(best, Math.max(this.wedgeSafety(sector, x, y), inside ? -d : d));
+    });
+    return inside ? -best : best;
+  }
+
+  intersect(px, py, pz, vx, vy, vz, out) {
+    this.contour.edges.forEach((e) => {
+      if (e.onAxis) return;
+      if (e.dz === 0) {
+        if (vz !== 0) out.push((e.z0 - pz) / vz);
+        return;
+      }
+      // Side plane u = slope * z + radius of every sector
+      const slope = e.du / e.dz;
+      const radius = e.u0 - slope * e.z0;
+      this.sectors.forEach((sector) => {
+        const dot = vx * sector.cos + vy * sector.sin - slope * vz;
+        if (dot !== 0) out.push((radius - (px * sector.cos + py * sector.sin - slope * pz)) / dot);
+      });
+    });
+  }
+
+  normal(x, y, z, target) {
+    return this.sectorNormal(this.sectors[this.sectorIndex(x, y)], x, y, z, target);
+  }
+
+  sectorNormal(sector, x, y, z, target) {
+    target.set(0, 0, 0);
+    this.contour.nearEdges(x * sector.cos + y * sector.sin, z, HALF_TOLERANCE).forEach((e) => {
+      target.x += e.nu * sector.cos;
+      target.y += e.nu * sector.sin;
+      target.z += e.nz;
+    });
+    return target.normalize();
+  }
+
+  // Points on an edge between two sides take the normals of both
+  collectNormals(x, y, z, tolerance, sum, sign) {
+    if (Math.abs(this.distance(x, y, z)) > tolerance) return;
+    this.sectors.forEach((sector) => {
+      if (this.wedgeSafety(sector, x, y) > tolerance) return;
+      if (Math.abs(this.prismDistance(sector, x, y, z)) > tolerance) return;
+      sum.addScaledVector(this.sectorNormal(sector, x, y, z, _normal), sign);
+    });
+  }
+}
+
+/**
+ * Inside of a side face of G4GenericTrap: the face joins the bottom edge
+ * a0 -> a1 at z = -dz to the top edge b0 -> b1 at z = +dz, and is twisted
+ * when the two are not parallel. The edges run clockwise seen from +z, so
+ * the solid lies to their right at every z. `bounds` is the bounding box of
+ * the solid, used to turn the face function into a safe distance.
+ */
+class TwistedSideRegion extends Region {
+
+  constructor(a0, a1, b0, b1, dz, bounds) {
+    super();
+    // Edge start A(z) = A0 + z A1 and direction E(z) = E0 + z E1
+    const eb = [a1[0] - a0[0], a1[1] - a0[1]];
+    const et = [b1[0] - b0[0], b1[1] - b0[1]];
+    this.A0 = [(a0[0] + b0[0]) / 2, (a0[1] + b0[1]) / 2];
+    this.A1 = [(b0[0] - a0[0]) / (2 * dz), (b0[1] - a0[1]) / (2 * dz)];
+    this.E0 = [(eb[0] + et[0]) / 2, (eb[1] + et[1]) / 2];
+    this.E1 = [(et[0] - eb[0]) / (2 * dz), (et[1] - eb[1]) / (2 * dz)];
+    this.bounds = bounds;
+  }
+
+  // f = E x (P - A): negative to the right of the edge
+  value(x, y, z) {
+    const ex = this.E0[0] + z * this.E1[0];
+    const ey = this.E0[1] + z * this.E1[1];
+    return ex * (y - this.A0[1] - z * this.A1[1]) - ey * (x - this.A0[0] - z * this.A1[0]);
+  }
+
+  gradient(x, y, z, target) {
+    const ex = this.E0[0] + z * this.E1[0];
+    const ey = this.E0[1] + z * this.E1[1];
+    const wx = x - this.A0[0] - z * this.A1[0];
+    const wy = y - this.A0[1] - z * this.A1[1];
+    return target.set(-ey, ex, this.E1[0] * wy - ex * this.A1[1] - this.E1[1] * wx + ey * this.A1[0]);
+  }
+
+  distance(x, y, z) {
+    const f = this.value(x, y, z);
+    const length = this.gradient(x, y, z, _gradient).length();
+    return length > 0 ? f / length : f === 0 ? 0 : this.safety(x, y, z);
+  }
+
+  // The gradient is affine, so its largest length over the box holding the
+  // solid and the point is reached at a corner of that box
+  safety(x, y, z) {
+    const { min, max } = this.bounds;
+    const lo = [Math.min(min[0], x), Math.min(min[1], y), Math.min(min[2], z)];
+    const hi = [Math.max(max[0], x), Math.max(max[1], y), Math.max(max[2], z)];
+    let lipschitz = 0;
+    for (let i = 0; i < 8; i++) {
+      const length = this.gradient(i & 1 ? hi[0] : lo[0], i & 2 ? hi[1] : lo[1], i & 4 ? hi[2] : lo[2], _gradient).length();
+      lipschitz = Math.max(lipschitz, length);
+    }
+    return lipschitz > 0 ? this.value(x, y, z) / lipschitz : 0;
+  }
+
+  // f is quadratic along a ray
+  intersect(px, py, pz, vx, vy, vz, out) {
+    const ex0 = this.E0[0] + pz * this.E1[0];
+    const ex1 = vz * this.E1[0];
+    const ey0 = this.E0[1] + pz * this.E1[1];
+    const ey1 = vz * this.E1[1];
+    const wx0 = px - this.A0[0] - pz * this.A1[0];
+    const wx1 = vx - vz * this.A1[0];
+    const wy0 = py - this.A0[1] - pz * this.A1[1];
+    const wy1 = vy - vz * this.A1[1];
+    solveQuadratic(ex1 * wy1 - ey1 * wx1, ex0 * wy1 + ex1 * wy0 - ey0 * wx1 - ey1 * wx0, ex0 * wy0 - ey0 * wx0, out);
+  }
+
+  normal(x, y, z, target) {
+    this.gradient(x, y, z, target);
+    return target.lengthSq() > 0 ? target.normalize() : target.set(0, 0, 1);
+  }
+}
+
+/**
+ * A region stretched by (sx, sy, sz), as the ellipsoid is a stretched
+ * ball. Ray parameters do not change under the stretch.
+ */
+class ScaledRegion extends Region {
+
+  constructor(region, sx, sy, sz) {
+    super();
+    this.region = region;
+    this.sx = sx;
+    this.sy = sy;
+    this.sz = sz;
+    this.minScale = Math.min(sx, sy, sz);
+  }
+
+  // First order: a plane at distance d in the unit frame is at distance
+  // d / |S^-1 n| once stretched
+  distance(x, y, z) {
+    const u = x / this.sx;
+    const v = y / this.sy;
+    const w = z / this.sz;
+    const d = this.region.distance(u, v, w);
+    const n = this.region.normal(u, v, w, _scaled);
+    return d / Math.hypot(n.x / this.sx, n.y / this.sy, n.z / this.sz);
+  }
+
+  safety(x, y, z) {
+    return this.region.safety(x / this.sx, y / this.sy, z / this.sz) * this.minScale;
+  }
+
+  intersect(px, py, pz, vx, vy, vz, out) {
+    this.region.intersect(px / this.sx, py / this.sy, pz / this.sz, vx / this.sx, vy / this.sy, vz / this.sz, out);
+  }
+
+  normal(x, y, z, target) {
+    this.region.normal(x / this.sx, y / this.sy, z / this.sz, target);
+    return target.set(target.x / this.sx, target.y / this.sy, target.z / this.sz).normalize();
+  }
+}
+
+/**
+ * A region moved by a rigid transformation, given as a matrix from the
+ * region's frame to the outer one.
+ */
+class TransformedRegion extends Region {
+
+  constructor(region, matrix) {
+    super();
+    this.region = region;
+    this.matrix = matrix.clone();
+    this.inverse = matrix.clone().invert();
+  }
+
+  distance(x, y, z) {
+    const p = this.toLocal(x, y, z);
+    return this.region.distance(p.x, p.y, p.z);
+  }
+
+  safety(x, y, z) {
+    const p = this.toLocal(x, y, z);
+    return this.region.safety(p.x, p.y, p.z);
+  }
+
+  intersect(px, py, pz, vx, vy, vz, out) {
+    const p = this.toLocal(px, py, pz);
+    const v = new THREE.Vector3(vx, vy, vz).transformDirection(this.inverse);
+    this.region.intersect(p.x, p.y, p.z, v.x, v.y, v.z, out);
+  }
+
+  normal(x, y, z, target) {
+    const p = this.toLocal(x, y, z);
+    return this.region.normal(p.x, p.y, p.z, target).transformDirection(this.matrix);
+  }
+
+  collectNormals(x, y, z, tolerance, sum, sign) {
+    const p = this.toLocal(x, y, z);
+    const local = new THREE.Vector3();
+    this.region.collectNormals(p.x, p.y, p.z, tolerance, local, sign);
+    const length = local.length();
+    if (length > 0) sum.add(local.transformDirection(this.matrix).multiplyScalar(length));
+  }
+
+  toLocal(x, y, z) {
+    return new THREE.Vector3(x, y, z).applyMatrix4(this.inverse);
+  }
+}
+
+/**
+ * Points inside every one of `regions`.
+ */
+class IntersectionRegion extends Region {
+
+  constructor(regions) {
+    super();
+    this.regions = regions;
+  }
+
+  distance(x, y, z) {
+    return this.regions.reduce((d, region) => Math.max(d, region.distance(x, y, z)), -Infinity);
+  }
+
+  safety(x, y, z) {
+    return this.regions.reduce((d, region) => Math.max(d, region.safety(x, y, z)), -Infinity);
+  }
+
+  intersect(px, py, pz, vx, vy, vz, out) {
+    this.regions.forEach((region) => region.intersect(px, py, pz, vx, vy, vz, out));
+  }
+
+  normal(x, y, z, target) {
+    return closestRegion(this.regions, x, y, z, 1).normal(x, y, z, target);
+  }
+
+  // A boundary belongs to the intersection where it lies inside the others
+  collectNormals(x, y, z, tolerance, sum, sign) {
+    const distances = this.regions.map((region) => region.distance(x, y, z));
+    this.regions.forEach((region, i) => {
+      if (distances.every((d, j) => j === i || d <= tolerance)) region.collectNormals(x, y, z, tolerance, sum, sign);
+    });
+  }
+}
+
+/**
+ * Points inside any one of `regions`.
+ */
+class UnionRegion extends Region {
+
+  constructor(regions) {
+    super();
+    this.regions = regions;
+  }
+
+  // As G4UnionSolid::Inside, a point on the surfaces of two regions that
+  // face each other is inside the union
+  distance(x, y, z) {
+    const distances = this.regions.map((region) => region.distance(x, y, z));
+    const d = Math.min(Infinity, ...distances);
+    if (Math.abs(d) <= HALF_TOLERANCE) {
+      const normals = [];
+      this.regions.forEach((region, i) => {
+        if (Math.abs(distances[i]) <= HALF_TOLERANCE) normals.push(region.normal(x, y, z, new THREE.Vector3()));
+      });
+      for (let i = 0; i < normals.length; i++) {
+        for (let j = i + 1; j < normals.length; j++) {
+          if (normals[i].clone().add(normals[j]).lengthSq() < 1000 * kRadTolerance) return -kCarTolerance;
+        }
+      }
+    }
+    return d;
+  }
+
+  safety(x, y, z) {
+    return this.regions.reduce((d, region) => Math.min(d, region.safety(x, y, z)), Infinity);
+  }
+
+  intersect(px, py, pz, vx, vy, vz, out) {
+    this.regions.forEach((region) => region.intersect(px, py, pz, vx, vy, vz, out));
+  }
+
+  normal(x, y, z, target) {
+    return closestRegion(this.regions, x, y, z, -1).normal(x, y, z, target);
+  }
+
+  // A boundary belongs to the union where it lies outside the others
+  collectNormals(x, y, z, tolerance, sum, sign) {
+    const distances = this.regions.map((region) => region.distance(x, y, z));
+    this.regions.forEach((region, i) => {
+      if (distances.every((d, j) => j === i || d >= -tolerance)) region.collectNormals(x, y, z, tolerance, sum, sign);
+    });
+  }
+}
+
+/**
+ * Points outside `region`.
+ */
+class ComplementRegion extends Region {
+
+  constructor(region) {
+    super();
+    this.region = region;
+  }
+
+  distance(x, y, z) {
+    return -this.region.distance(x, y, z);
+  }
+
+  safety(x, y, z) {
+    return -this.region.safety(x, y, z);
+  }
+
+  intersect(px, py, pz, vx, vy, vz, out) {
+    this.region.intersect(px, py, pz, vx, vy, vz, out);
+  }
+
+  normal(x, y, z, target) {
+    return this.region.normal(x, y, z, target).negate();
+  }
+
+  collectNormals(x, y, z, tolerance, sum, sign) {
+    this.region.collectNormals(x, y, z, tolerance, sum, -sign);
+  }
+}
+
+/**
+ * Inside of a closed surface of flat facets, the region of
+ * G4TessellatedSolid. The facets are convex polygons whose corners run
+ * counter-clockwise seen from outside. The distance is the one to the
+ * nearest facet, negative where the facets wind once around the point.
+ */
+class FacetRegion extends Region {
+
+  constructor(facets) {
+    super();
+    this.box = new THREE.Box3();
+    this.triangles = [];
+    facets.forEach((corners, facet) => {
+      corners.forEach((corner) => this.box.expandByPoint(corner));
+      for (let i = 2; i < corners.length; i++) {
+        const triangle = new THREE.Triangle(corners[0], corners[i - 1], corners[i]);
+        if (triangle.getArea() === 0) continue;
+        const normal = triangle.getNormal(new THREE.Vector3());
+        this.triangles.push({ triangle, normal, facet });
+      }
+    });
+  }
+
+  // Nearest triangle to the point and the distance to it
+  nearest(x, y, z) {
+    _point.set(x, y, z);
+    let best = null;
+    let distance = Infinity;
+    this.triangles.forEach((entry) => {
+      const d = entry.triangle.closestPointToPoint(_point, _closest).distanceToSquared(_point);
+      if (d < distance) {
+        distance = d;
+        best = entry;
+      }
+    });
+    return { entry: best, distance: Math.sqrt(distance) };
+  }
+
+  // Generalized winding number: the solid angle of the surface seen from
+  // the point, over 4 pi. One inside, zero outside.
+  winding(x, y, z) {
+    _point.set(x, y, z);
+    let sum = 0;
+    this.triangles.forEach(({ triangle }) => {
+      const a = _a.subVectors(triangle.a, _point);
+      const b = _b.subVectors(triangle.b, _point);
+      const c = _c.subVectors(triangle.c, _point);
+      const la = a.length();
+      const lb = b.length();
+      const lc = c.length();
+      const det = a.dot(_cross.crossVectors(b, c));
+      sum += 2 * Math.atan2(det, la * lb * lc + a.dot(b) * lc + b.dot(c) * la + c.dot(a) * lb);
+    });
+    return sum / (4 * Math.PI);
+  }
+
+  distance(x, y, z) {
+    const { distance } = this.nearest(x, y, z);
+    if (distance <= HALF_TOLERANCE || !this.box.containsPoint(_point.set(x, y, z))) return distance;
+    return this.winding(x, y, z) > 0.5 ? -distance : distance;
+  }
+
+  // Crossings of every triangle, by the Moller-Trumbore test
+  intersect(px, py, pz, vx, vy, vz, out) {
+    _point.set(px, py, pz);
+    _direction.set(vx, vy, vz);
+    this.triangles.forEach(({ triangle }) => {
+      const e1 = _a.subVectors(triangle.b, triangle.a);
+      const e2 = _b.subVectors(triangle.c, triangle.a);
+      const h = _cross.crossVectors(_direction, e2);
+      const det = e1.dot(h);
+      if (det === 0) return;
+      const s = _c.subVectors(_point, triangle.a);
+      const u = s.dot(h) / det;
+      if (u < -kCarTolerance || u > 1 + kCarTolerance) return;
+      const q = s.cross(e1);
+      const v = _direction.dot(q) / det;
+      if (v < -kCarTolerance || u + v > 1 + kCarTolerance) return;
+      out.push(e2.dot(q) / det);
+    });
+  }
+
+  normal(x, y, z, target) {
+    const { entry } = this.nearest(x, y, z);
+    return entry ? target.copy(entry.normal) : target.set(0, 0, 1);
+  }
+
+  // Points on an edge take the normals of the facets meeting there, once
+  // per facet
+  collectNormals(x, y, z, tolerance, sum, sign) {
+    _point.set(x, y, z);
+    const facets = new Set();
+    this.triangles.forEach(({ triangle, normal, facet }) => {
+      if (facets.has(facet) || triangle.closestPointToPoint(_point, _closest).distanceTo(_point) > tolerance) return;
+      facets.add(facet);
+      sum.addScaledVector(normal, sign);
+    });
+  }
+}
+
+const _point = new THREE.Vector3();
+const _direction = new THREE.Vector3();
+const _closest = new THREE.Vector3();
+const _a = new THREE.Vector3();
+const _b = new THREE.Vector3();
+const _c = new THREE.Vector3();
+const _cross = new THREE.Vector3();
+
+// The region setting the distance of an intersection (sense +1, largest)
+// or a union (sense -1, smallest)
+function closestRegion(regions, x, y, z, sense) {
+  let best = regions[0];
+  let bestDistance = -Infinity;
+  regions.forEach((region) => {
+    const d = sense * region.distance(x, y, z);
+    if (d > bestDistance) {
+      bestDistance = d;
+      best = region;
+    }
+  });
+  return best;
+}
+
+/**
+ * Half-space behind a planar polygon whose corners run counter-clockwise
+ * seen from outside, or null when the polygon has no area.
+ *
+ * @param {THREE.Vector3[]} corners
+ * @returns {HalfSpace|null}
+ */
+function polygonHalfSpace(corners) {
+  // Newell's normal
+  let nx = 0;
+  let ny = 0;
+  let nz = 0;
+  corners.forEach((a, k) => {
+    const b = corners[(k + 1) % corners.length];
+    nx += (a.y - b.y) * (a.z + b.z);
+    ny += (a.z - b.z) * (a.x + b.x);
+    nz += (a.x - b.x) * (a.y + b.y);
+  });
+  if (corners.length < 3 || (nx === 0 && ny === 0 && nz === 0)) return null;
+  const d = corners.reduce((sum, c) => sum + nx * c.x + ny * c.y + nz * c.z, 0) / corners.length;
+  return new HalfSpace(nx, ny, nz, d);
+}
+
+/**
+ * Intersection of the given regions, skipping null entries.
+ *
+ * @param {Array<Region|null>} regions
+ * @returns {Region}
+ */
+function intersectionOf(regions) {
+  const list = regions.filter(Boolean);
+  return list.length === 1 ? list[0] : new IntersectionRegion(list);
+}
+
+/**
+ * Slab zMin <= z <= zMax, as two half-spaces.
+ *
+ * @returns {HalfSpace[]}
+ */
+function zSlab(zMin, zMax) {
+  return [new HalfSpace(0, 0, -1, -zMin), new HalfSpace(0, 0, 1, zMax)];
+}
+
+/**
+ * Phi segment [sPhi, sPhi + dPhi] (radians) about the z axis, or null for
+ * the full circle. Segments wider than pi are the union of the two
+ * half-spaces.
+ *
+ * @returns {Region|null}
+ */
+function phiSegmentRegion(sPhi, dPhi) {
+  if (dPhi >= 2 * Math.PI - kRadTolerance) return null;
+  const ePhi = sPhi + dPhi;
+  const start = new HalfSpace(Math.sin(sPhi), -Math.cos(sPhi), 0, 0);
+  const end = new HalfSpace(-Math.sin(ePhi), Math.cos(ePhi), 0, 0);
+  return dPhi <= Math.PI ? new IntersectionRegion([start, end]) : new UnionRegion([start, end]);
+}
+
+/**
+ * Position of a point relative to a region: kInside, kSurface (within half
+ * of kCarTolerance of the boundary) or kOutside.
+ *
+ * @returns {number}
+ */
+function classify(region, x, y, z) {
+  const d = region.distance(x, y, z);
+  if (d > HALF_TOLERANCE) return kOutside;
+  return d < -HALF_TOLERANCE ? kInside : kSurface;
+}
+
+/**
+ * Distance along the unit direction `v` from `p` to where the ray enters
+ * (`entering`) or leaves the region. The boundary crossings split the ray
+ * into pieces that are each entirely inside or outside; the answer is the
+ * start of the first piece inside (or outside). Running along the surface
+ * counts as neither entering nor leaving. A ray that never enters returns
+ * kInfinity.
+ *
+ * @param {Region} region
+ * @param {THREE.Vector3} p
+ * @param {THREE.Vector3} v
+ * @param {boolean} entering
+ * @returns {number}
+ */
+function distanceAlongRay(region, p, v, entering) {
+  const roots = [];
+  region.intersect(p.x, p.y, p.z, v.x, v.y, v.z, roots);
+  const crossings = roots.filter((t) => t > 0 && t < kInfinity).sort((a, b) => a - b);
+
+  let start = 0;
+  for (let i = 0; i <= crossings.length; i++) {
+    const end = i < crossings.length ? crossings[i] : start + Math.max(1, start);
+    const mid = 0.5 * (start + end);
+    const state = classify(region, p.x + mid * v.x, p.y + mid * v.y, p.z + mid * v.z);
+    if (entering ? state === kInside : state === kOutside) return start < HALF_TOLERANCE ? 0 : start;
+    start = end;
+  }
+  return kInfinity;
+}
+
+export {
+  Region,
+  HalfSpace,
+  Ball,
+  ConicalRegion,
+  ThetaRegion,
+  ToroidalRegion,
+  ConicRegion,
+  ContourRegion,
+  PolyhedraRegion,
+  TwistedSideRegion,
+  ScaledRegion,
+  TransformedRegion,
+  IntersectionRegion,
+  UnionRegion,
+  ComplementRegion,
+  FacetRegion,
+  polygonHalfSpace,
+  intersectionOf,
+  zSlab,
+  phiSegmentRegion,
+  classify,
+  distanceAlongRay,
+};
@@ -0,0 +1,99 @@
+/**
+ * @chitrashensah/geant4-geometry
+ * Copyright (c) 2025 Chitrashen Sah
+ * Licensed under MIT License
+ */
+
+/**
+ * Real roots of a * x^2 + b * x + c, pushed onto `out`. Uses the stable form
+ * of the quadratic formula; a zero `a` leaves the linear root.
+ *
+ * @param {number} a
+ * @param {number} b
+ * @param {number} c
+ * @param {number[]} [out=[]]
+ * @returns {number[]} out
+ */
+function solveQuadratic(a, b, c, out = []) {
+  if (a === 0) {
+    if (b !== 0) out.push(-c / b);
+    return out;
+  }
+  const disc = b * b - 4 * a * c;
+  if (disc < 0) return out;
+  const q = -0.5 * (b + (b < 0 ? -1 : 1) * Math.sqrt(disc));
+  out.push(q / a);
+  if (q !== 0) out.push(c / q);
+  return out;
+}
+
+/**
+ * Real roots of a polynomial, in increasing order. The roots of the
+ * derivative split the real line into monotonic pieces, each searched by
+ * bisection, so double roots (tangent rays) are only reported when the
+ * polynomial actually changes sign.
+ *
+ * @param {number[]} coefficients - Highest degree first
+ * @returns {number[]}
+ */
+function polynomialRoots(coefficients) {
+  let start = 0;
+  while (start < coefficients.length && coefficients[start] === 0) start++;
+  const c = coefficients.slice(start);
+  const degree = c.length - 1;
+  if (degree < 1) return [];
+  if (degree <= 2) {
+    const roots = degree === 1 ? [-c[1] / c[0]] : solveQuadratic(c[0], c[1], c[2]);
+    return roots.sort((x, y) => x - y);
+  }
+
+  // Cauchy bound on the magnitude of the roots
+  let bound = 0;
+  for (let i = 1; i <= degree; i++) bound = Math.max(bound, Math.abs(c[i] / c[0]));
+  bound += 1;
+
+  const derivative = c.slice(0, degree).map((ci, i) => ci * (degree - i));
+  const breaks = [-bound, ...polynomialRoots(derivative).filter((x) => x > -bound && x < bound), bound];
+
+  const roots = [];
+  for (let i = 0; i + 1 < breaks.length; i++) {
+    let lo = breaks[i];
+    let hi = breaks[i + 1];
+    let fLo = horner(c, lo);
+    const fHi = horner(c, hi);
+    if (fLo === 0) {
+      if (!roots.length || roots[roots.length - 1] !== lo) roots.push(lo);
+      continue;
+    }
+    if (fHi === 0) {
+      roots.push(hi);
+      continue;
+    }
+    if (fLo < 0 === fHi < 0) continue;
+    while (hi - lo > 1e-15 * Math.max(Math.abs(lo), Math.abs(hi)) && hi - lo > 1e-300) {
+      const mid = 0.5 * (lo + hi);
+      if (mid <= lo || mid >= hi) break;
+      const fMid = horner(c, mid);
+      if (fMid === 0) {
+        lo = hi = mid;
+        break;
+      }
+      if (fMid < 0 === fLo < 0) {
+        lo = mid;
+        fLo = fMid;
+      } else {
+        hi = mid;
+      }
+    }
+    roots.push(0.5 * (lo + hi));
+  }
+  return roots;
+}
+
+function horner(c, x) {
+  let value = c[0];
+  for (let i = 1; i < c.length; i++) value = value * x + c[i];
+  return value;
+}
+
+export { solveQuadratic, polynomialRoots };
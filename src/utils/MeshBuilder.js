@@ -0,0 +1,143 @@
+/**
+ * @chitrashensah/geant4-geometry
+ * Copyright (c) 2025 Chitrashen Sah
+ * Licensed under MIT License
+ */
+
+import * as THREE from 'three';
+
+/**
+ * Accumulates indexed vertex data for the analytic geometries and writes it
+ * into a BufferGeometry. Triangles are expected counter-clockwise as seen
+ * from outside the solid, i.e. the Three.js front-face convention.
+ *
+ * Triangles added after `setFace(label)` belong to the face of that label,
+ * such as 'outer' or 'startPhi'; the faces come out as geometry groups.
+ */
+class MeshBuilder {
+
+  constructor() {
+    this.positions = [];
+    this.normals = [];
+    this.uvs = [];
+    this.indices = [];
+    this.faceLabels = [];
+    // Face of each triangle, an index into faceLabels
+    this.triangleFaces = [];
+    this.face = -1;
+  }
+
+  /**
+   * Label the triangles added from now on.
+   *
+   * @param {string} label
+   * @returns {this}
+   */
+  setFace(label) {
+    this.face = this.faceLabels.indexOf(label);
+    if (this.face < 0) this.face = this.faceLabels.push(label) - 1;
+    return this;
+  }
+
+  get vertexCount() {
+    return this.positions.length / 3;
+  }
+
+  /**
+   * Add a vertex and return its index.
+   */
+  addVertex(x, y, z, nx, ny, nz, u = 0, v = 0) {
+    this.positions.push(x, y, z);
+    this.normals.push(nx, ny, nz);
+    this.uvs.push(u, v);
+    return this.vertexCount - 1;
+  }
+
+  addTriangle(a, b, c) {
+    this.indices.push(a, b, c);
+    this.triangleFaces.push(this.face);
+  }
+
+  /**
+   * Add a flat convex polygon with a shared face normal. The corners are
+   * given as THREE.Vector3 in counter-clockwise order seen from outside.
+   * Returns false when the polygon has no area.
+   */
+  addPolygon(corners, uvs) {
+    const normal = new THREE.Vector3();
+    for (let i = 0; i < corners.length; i++) {
+      const a = corners[i];
+      const b = corners[(i + 1) % corners.length];
+      normal.x += (a.y - b.y) * (a.z + b.z);
+      normal.y += (a.z - b.z) * (a.x + b.x);
+      normal.z += (a.x - b.x) * (a.y + b.y);
+    }
+    if (normal.lengthSq() === 0) return false;
+    normal.normalize();
+
+    const base = this.vertexCount;
+    corners.forEach((p, i) => {
+      const uv = uvs ? uvs[i] : { x: 0, y: 0 };
+      this.addVertex(p.x, p.y, p.z, normal.x, normal.y, normal.z, uv.x, uv.y);
+    });
+    for (let i = 2; i < corners.length; i++) {
+      this.addTriangle(base, base + i - 1, base + i);
+    }
+    return true;
+  }
+
+  /**
+   * Stretch the vertices added so far along the axes, turning the normals
+   * with the inverse stretch. Unlike BufferGeometry.scale(), this leaves the
+   * geometry untransformed, so that it keeps serializing its parameters.
+   *
+   * @returns {this}
+   */
+  scale(sx, sy, sz) {
+    const { positions, normals } = this;
+    for (let i = 0; i < positions.length; i += 3) {
+      positions[i] *= sx;
+      positions[i + 1] *= sy;
+      positions[i + 2] *= sz;
+      const nx = normals[i] / sx;
+      const ny = normals[i + 1] / sy;
+      const nz = normals[i + 2] / sz;
+      const length = Math.hypot(nx, ny, nz) || 1;
+      normals[i] = nx / length;
+      normals[i + 1] = ny / length;
+      normals[i + 2] = nz / length;
+    }
+    return this;
+  }
+
+  /**
+   * Write the accumulated buffers into `geometry` and return it. Labelled
+   * triangles are sorted into one group per face, with the labels in
+   * `geometry.userData.faceLabels` by material index; triangles added
+   * before the first `setFace()` are labelled 'surface'.
+   */
+  applyTo(geometry) {
+    geometry.clearGroups();
+    if (this.faceLabels.length === 0) {
+      geometry.setIndex(this.indices);
+    } else {
+      const labels = this.triangleFaces.includes(-1) ? this.faceLabels.concat('surface') : this.faceLabels;
+      const index = [];
+      labels.forEach((_, face) => {
+        const start = index.length;
+        this.triangleFaces.forEach((f, t) => {
+          if ((f < 0 ? labels.length - 1 : f) === face) index.push(this.indices[3 * t], this.indices[3 * t + 1], this.indices[3 * t + 2]);
+        });
+        if (index.length > start) geometry.addGroup(start, index.length - start, face);
+      });
+      geometry.setIndex(index);
+      geometry.userData = { ...geometry.userData, faceLabels: labels.slice() };
+    }
+    geometry.setAttribute('position', new THREE.Float32BufferAttribute(this.positions, 3));
+    geometry.setAttribute('normal', new THREE.Float32BufferAttribute(this.normals, 3));
+    geometry.setAttribute('uv', new THREE.Float32BufferAttribute(this.uvs, 2));
+    return geometry;
+  }
+}
+
+export { MeshBuilder };
@@ -0,0 +1,65 @@
+/**
+ * @chitrashensah/geant4-geometry
+ * Copyright (c) 2025 Chitrashen Sah
+ * Licensed under MIT License
+ */
+
+const TWO_PI = 2 * Math.PI;
+
+// Angular tolerance used by Geant4 (kAngTolerance = 1e-9 rad).
+const ANGULAR_TOLERANCE = 1e-9;
+
+function degToRad(deg) {
+  return (deg * Math.PI) / 180;
+}
+
+/**
+ * Normalise a phi segment the way G4Tubs::CheckPhiAngles does: a delta of
+ * 2*pi or more gives the full circle starting at zero, otherwise the start
+ * angle is wrapped into [0, 2*pi) and shifted down by 2*pi when the segment
+ * would cross that bound.
+ *
+ * @param {number} sPhi - Starting phi angle in radians
+ * @param {number} dPhi - Delta phi angle in radians
+ * @returns {{sPhi: number, dPhi: number, fullPhi: boolean}}
+ */
+function normalizePhi(sPhi, dPhi) {
+  if (dPhi >= TWO_PI - ANGULAR_TOLERANCE * 0.5) {
+    return { sPhi: 0, dPhi: TWO_PI, fullPhi: true };
+  }
+  if (!(dPhi > 0)) {
+    throw new RangeError(`Invalid dPhi: ${dPhi} rad, must be positive`);
+  }
+  let start = sPhi;
+  if (start) {
+    start = start < 0 ? TWO_PI - (Math.abs(start) % TWO_PI) : start % TWO_PI;
+    if (start + dPhi > TWO_PI) start -= TWO_PI;
+  }
+  return { sPhi: start, dPhi, fullPhi: false };
+}
+
+/**
+ * Normalise a theta range the way G4Sphere::CheckThetaAngles does: the start
+ * angle must lie in [0, pi] and the range is clamped so that it ends at pi
+ * at most.
+ *
+ * @param {number} sTheta - Starting theta angle in radians
+ * @param {number} dTheta - Delta theta angle in radians
+ * @returns {{sTheta: number, dTheta: number, fullTheta: boolean}}
+ */
+function normalizeTheta(sTheta, dTheta) {
+  if (!(sTheta >= 0 && sTheta <= Math.PI)) {
+    throw new RangeError(`Invalid sTheta: ${sTheta} rad, outside 0-PI range`);
+  }
+  let delta;
+  if (dTheta + sTheta >= Math.PI) {
+    delta = Math.PI - sTheta;
+  } else if (dTheta > 0) {
+    delta = dTheta;
+  } else {
+    throw new RangeError(`Invalid dTheta: ${dTheta} rad, must be positive`);
+  }
+  return { sTheta, dTheta: delta, fullTheta: sTheta === 0 && delta >= Math.PI };
+}
+
+export { TWO_PI, ANGULAR_TOLERANCE, degToRad, normalizePhi, normalizeTheta };
@@ -0,0 +1,185 @@
+/**
+ * @chitrashensah/geant4-geometry
+ * Copyright (c) 2025 Chitrashen Sah
+ * Licensed under MIT License
+ */
+
+import { UNITS } from './units.js';
+
+/**
+ * Safe arithmetic evaluator for the expressions found in GDML and Geant4
+ * macro files, such as `2.5*cm`, `pi/4*rad` or `halfZ - 3*mm`. Nothing is
+ * passed to `eval` or `Function`: the text is tokenised and evaluated by a
+ * small recursive-descent parser.
+ *
+ * Supported are numbers, named constants, parentheses, unary + and -, the
+ * binary operators + - * / and ^ (or **, right associative) and the
+ * functions listed in FUNCTIONS.
+ */
+
+const FUNCTIONS = {
+  abs: Math.abs,
+  sqrt: Math.sqrt,
+  pow: Math.pow,
+  exp: Math.exp,
+  log: Math.log,
+  log10: Math.log10,
+  sin: Math.sin,
+  cos: Math.cos,
+  tan: Math.tan,
+  asin: Math.asin,
+  acos: Math.acos,
+  atan: Math.atan,
+  atan2: Math.atan2,
+  sinh: Math.sinh,
+  cosh: Math.cosh,
+  tanh: Math.tanh,
+  min: Math.min,
+  max: Math.max,
+  floor: Math.floor,
+  ceil: Math.ceil,
+};
+
+const TOKEN_PATTERN = /\s*(?:(\d+\.?\d*(?:[eE][+-]?\d+)?|\.\d+(?:[eE][+-]?\d+)?)|([A-Za-z_][A-Za-z0-9_]*)|(\*\*|[-+*/^(),]))/y;
+
+function tokenize(expression) {
+  const tokens = [];
+  let position = 0;
+  while (position < expression.length) {
+    if (/^\s*$/.test(expression.slice(position))) break;
+    TOKEN_PATTERN.lastIndex = position;
+    const match = TOKEN_PATTERN.exec(expression);
+    if (!match) {
+      const character = expression.slice(position).trim()[0];
+      throw new SyntaxError(`Unexpected character '${character}' in expression "${expression}"`);
+    }
+    if (match[1] !== undefined) tokens.push({ type: 'number', value: parseFloat(match[1]) });
+    else if (match[2] !== undefined) tokens.push({ type: 'name', value: match[2] });
+    else tokens.push({ type: 'op', value: match[3] === '**' ? '^' : match[3] });
+    position = TOKEN_PATTERN.lastIndex;
+  }
+  return tokens;
+}
+
+/**
+ * Evaluate `expression` with the named `constants`, which may be a plain
+ * object, a Map or a lookup function returning undefined for unknown names.
+ * Names that are not constants are looked up in UNITS, so the result is in
+ * the internal units (millimeter, radian, ...). Numbers are returned
+ * unchanged.
+ *
+ *   evaluate('halfZ - 3*mm', { halfZ: 20 }); // 17
+ *   evaluate('2.5*cm') / UNITS.m; // 0.025
+ *
+ * @param {string|number} expression
+ * @param {Object<string, number>|Map<string, number>|function(string): (number|undefined)} [constants]
+ * @returns {number}
+ */
+function evaluate(expression, constants = {}) {
+  if (typeof expression === 'number') return expression;
+  const text = String(expression);
+  const find =
+    typeof constants === 'function'
+      ? constants
+      : constants instanceof Map
+        ? (name) => constants.get(name)
+        : (name) => (Object.prototype.hasOwnProperty.call(constants, name) ? constants[name] : undefined);
+  const lookup = (name) => {
+    const value = find(name);
+    return value === undefined && Object.hasOwn(UNITS, name) ? UNITS[name] : value;
+  };
+
+  const tokens = tokenize(text);
+  let pos = 0;
+  const peek = () => tokens[pos];
+  const isOp = (value) => peek() && peek().type === 'op' && peek().value === value;
+  const expect = (value) => {
+    if (!isOp(value)) {
+      throw new SyntaxError(`Expected '${value}' in expression "${text}"`);
+    }
+    pos++;
+  };
+
+  const parseExpression = () => {
+    let value = parseTerm();
+    while (isOp('+') || isOp('-')) {
+      const op = tokens[pos++].value;
+      const rhs = parseTerm();
+      value = op === '+' ? value + rhs : value - rhs;
+    }
+    return value;
+  };
+
+  const parseTerm = () => {
+    let value = parseUnary();
+    while (isOp('*') || isOp('/')) {
+      const op = tokens[pos++].value;
+      const rhs = parseUnary();
+      value = op === '*' ? value * rhs : value / rhs;
+    }
+    return value;
+  };
+
+  const parseUnary = () => {
+    if (isOp('-')) {
+      pos++;
+      return -parseUnary();
+    }
+    if (isOp('+')) {
+      pos++;
+      return parseUnary();
+    }
+    return parsePower();
+  };
+
+  const parsePower = () => {
+    const base = parsePrimary();
+    if (isOp('^')) {
+      pos++;
+      return Math.pow(base, parseUnary());
+    }
+    return base;
+  };
+
+  const parsePrimary = () => {
+    const token = peek();
+    if (!token) throw new SyntaxError(`Unexpected end of expression "${text}"`);
+    pos++;
+    if (token.type === 'number') return token.value;
+    if (token.type === 'name') {
+      if (isOp('(')) {
+        pos++;
+        const fn = FUNCTIONS[token.value];
+        if (!fn) throw new ReferenceError(`Unknown function '${token.value}' in expression "${text}"`);
+        const args = [];
+        if (!isOp(')')) {
+          args.push(parseExpression());
+          while (isOp(',')) {
+            pos++;
+            args.push(parseExpression());
+          }
+        }
+        expect(')');
+        return fn(...args);
+      }
+      const value = lookup(token.value);
+      if (value === undefined) throw new ReferenceError(`Unknown name '${token.value}' in expression "${text}"`);
+      return value;
+    }
+    if (token.value === '(') {
+      const value = parseExpression();
+      expect(')');
+      return value;
+    }
+    throw new SyntaxError(`Unexpected '${token.value}' in expression "${text}"`);
+  };
+
+  if (!tokens.length) throw new SyntaxError('Empty expression');
+  const value = parseExpression();
+  if (pos < tokens.length) {
+    throw new SyntaxError(`Unexpected '${tokens[pos].value}' in expression "${text}"`);
+  }
+  return value;
+}
+
+export { evaluate, FUNCTIONS };
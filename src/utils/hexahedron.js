@@ -0,0 +1,155 @@
+/**
+ * @chitrashensah/geant4-geometry
+ * Copyright (c) 2025 Chitrashen Sah
+ * Licensed under MIT License
+ */
+
+import * as THREE from 'three';
+import { IntersectionRegion, polygonHalfSpace } from '../navigation/regions.js';
+import { pointOnTriangle, sampleByArea } from './sampling.js';
+
+// Faces of a hexahedron given in Geant4 vertex order
+// (-x-y-z, +x-y-z, -x+y-z, +x+y-z, -x-y+z, +x-y+z, -x+y+z, +x+y+z),
+// counter-clockwise seen from outside.
+const HEXAHEDRON_FACES = [
+  [0, 2, 3, 1], // -z
+  [4, 5, 7, 6], // +z
+  [0, 1, 5, 4], // -y
+  [2, 6, 7, 3], // +y
+  [0, 4, 6, 2], // -x
+  [1, 3, 7, 5], // +x
+];
+
+const HEXAHEDRON_FACE_LABELS = ['-z', '+z', '-y', '+y', '-x', '+x'];
+
+const UV_SQUARE = [
+  { x: 0, y: 0 },
+  { x: 1, y: 0 },
+  { x: 1, y: 1 },
+  { x: 0, y: 1 },
+];
+
+/**
+ * Add a hexahedron with planar faces to `builder`. Faces that collapse to a
+ * line or a point are dropped, so wedges and pyramids come out closed. The
+ * faces are labelled '-z', '+z', '-y', '+y', '-x' and '+x'.
+ *
+ * @param {MeshBuilder} builder
+ * @param {THREE.Vector3[]} pt - The eight vertices in Geant4 order
+ */
+function addHexahedron(builder, pt) {
+  HEXAHEDRON_FACES.forEach((face, f) => {
+    builder.setFace(HEXAHEDRON_FACE_LABELS[f]);
+    const corners = [];
+    const uvs = [];
+    face.forEach((i, k) => {
+      const p = pt[i];
+      if (corners.some((c) => c.equals(p))) return;
+      corners.push(p);
+      uvs.push(UV_SQUARE[k]);
+    });
+    if (corners.length >= 3) builder.addPolygon(corners, uvs);
+  });
+}
+
+/**
+ * Region bounded by the face planes of a convex hexahedron, for the
+ * navigation queries. Faces that collapse to a line or a point are
+ * dropped.
+ *
+ * @param {THREE.Vector3[]} pt - The eight vertices in Geant4 order
+ * @returns {IntersectionRegion}
+ */
+function hexahedronRegion(pt) {
+  const planes = [];
+  HEXAHEDRON_FACES.forEach((face) => {
+    const corners = [];
+    face.forEach((i) => {
+      if (!corners.some((c) => c.equals(pt[i]))) corners.push(pt[i]);
+    });
+    const plane = polygonHalfSpace(corners);
+    if (plane) planes.push(plane);
+  });
+  return new IntersectionRegion(planes);
+}
+
+// Area vector (Newell) of the face `face` of hexahedron `pt`
+function faceVector(pt, face) {
+  const n = new THREE.Vector3();
+  face.forEach((i, k) => {
+    const a = pt[i];
+    const b = pt[face[(k + 1) % face.length]];
+    n.x += (a.y - b.y) * (a.z + b.z);
+    n.y += (a.z - b.z) * (a.x + b.x);
+    n.z += (a.x - b.x) * (a.y + b.y);
+  });
+  return n.multiplyScalar(0.5);
+}
+
+/**
+ * Volume of a hexahedron with planar faces, by the divergence theorem.
+ *
+ * @param {THREE.Vector3[]} pt - The eight vertices in Geant4 order
+ * @returns {number}
+ */
+function hexahedronVolume(pt) {
+  return HEXAHEDRON_FACES.reduce((sum, face) => sum + faceVector(pt, face).dot(pt[face[0]]), 0) / 3;
+}
+
+/**
+ * Surface area of a hexahedron with planar faces.
+ *
+ * @param {THREE.Vector3[]} pt - The eight vertices in Geant4 order
+ * @returns {number}
+ */
+function hexahedronArea(pt) {
+  return HEXAHEDRON_FACES.reduce((sum, face) => sum + faceVector(pt, face).length(), 0);
+}
+
+/**
+ * Random point on the surface of a hexahedron with planar faces, uniform
+ * by area: each face is two triangles drawn by their area.
+ *
+ * @param {THREE.Vector3[]} pt - The eight vertices in Geant4 order
+ * @param {function(): number} random
+ * @param {THREE.Vector3} target
+ * @returns {THREE.Vector3} target
+ */
+function hexahedronPointOnSurface(pt, random, target) {
+  const triangles = HEXAHEDRON_FACES.flatMap(([a, b, c, d]) => [
+    [pt[a], pt[b], pt[c]],
+    [pt[a], pt[c], pt[d]],
+  ]);
+  return sampleByArea(
+    triangles.map(([a, b, c]) => [new THREE.Triangle(a, b, c).getArea(), () => pointOnTriangle(a, b, c, random, target)]),
+    random
+  );
+}
+
+/**
+ * Largest distance of a face corner from the plane through the other three,
+ * for each of the four lateral faces. Used to reject twisted trapezoids the
+ * way G4Trap does.
+ */
+function lateralFaceTwist(pt) {
+  let max = 0;
+  HEXAHEDRON_FACES.slice(2).forEach(([a, b, c, d]) => {
+    const u = pt[b].clone().sub(pt[a]);
+    const v = pt[d].clone().sub(pt[a]);
+    const n = u.cross(v);
+    if (n.lengthSq() === 0) return;
+    n.normalize();
+    max = Math.max(max, Math.abs(n.dot(pt[c].clone().sub(pt[a]))));
+  });
+  return max;
+}
+
+export {
+  HEXAHEDRON_FACES,
+  addHexahedron,
+  hexahedronRegion,
+  hexahedronVolume,
+  hexahedronArea,
+  hexahedronPointOnSurface,
+  lateralFaceTwist,
+};
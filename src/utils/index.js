@@ -0,0 +1,21 @@
+/**
+ * @chitrashensah/geant4-geometry
+ * Copyright (c) 2025 Chitrashen Sah
+ * Licensed under MIT License
+ */
+
+export { MeshBuilder } from './MeshBuilder.js';
+export { revolve, phiSegmentsFor, arcSegmentsFor } from './revolve.js';
+export { TWO_PI, ANGULAR_TOLERANCE, degToRad, normalizePhi, normalizeTheta } from './angles.js';
+export { profileArea, profileMoments, zPlanesToContour, rzToContour, polygonLoop, arcPoints, linePoints } from './profile.js';
+export { HEXAHEDRON_FACES, addHexahedron, hexahedronRegion, hexahedronVolume, hexahedronArea, hexahedronPointOnSurface, lateralFaceTwist } from './hexahedron.js';
+export { integrate, integratePeriodic, ellipsePerimeter } from './measure.js';
+export { createRandom } from './random.js';
+export { evaluate } from './expression.js';
+export { UNITS, unitScales } from './units.js';
+export { placementMatrix } from './placement.js';
+export { watertightGeometry, findOpenEdges, meshVolume } from './watertight.js';
+export { tessellationOptions, chordSegmentsFor, radialSegmentsFor, profileSegmentsFor, curveSegmentsFor, lineSegmentsFor } from './tessellation.js';
+export { createLOD } from './lod.js';
+export { trianglesOf, meshSurfaceSampler, pointOnTriangle, sampleByArea, pointOnConicalSection, projectToSurface } from './sampling.js';
+export { instanceMatrix, childPlacements } from './instances.js';
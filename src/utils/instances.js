@@ -0,0 +1,57 @@
+/**
+ * @chitrashensah/geant4-geometry
+ * Copyright (c) 2025 Chitrashen Sah
+ * Licensed under MIT License
+ */
+
+import * as THREE from 'three';
+
+/**
+ * @param {THREE.InstancedMesh} mesh
+ * @param {number} instance
+ * @returns {THREE.Matrix4} Matrix of the instance in the frame of the mesh
+ */
+function instanceMatrix(mesh, instance) {
+  const matrix = new THREE.Matrix4();
+  mesh.getMatrixAt(instance, matrix);
+  return matrix;
+}
+
+/**
+ * Placements drawn by the children of `object`: one per child, and one per
+ * instance of a THREE.InstancedMesh child, with its matrix in the frame of
+ * `object` and its copy number (`userData.copyNumbers[i]` for instances).
+ *
+ * Given an `instance` of an instanced `object`, the placements are in the
+ * frame of that instance and keep only the instances of the children whose
+ * `userData.parentInstances` entry is that instance, as built by
+ * PhysicalVolume.toObject3D() for volumes placed in replicated volumes.
+ *
+ * @param {THREE.Object3D} object
+ * @param {number} [instance=-1] - Instance of `object`, -1 for none
+ * @returns {Array<{object: THREE.Object3D, matrix: THREE.Matrix4, copyNumber: number, instance: number}>}
+ */
+function childPlacements(object, instance = -1) {
+  const frame = instance >= 0 ? instanceMatrix(object, instance).invert() : new THREE.Matrix4();
+  return object.children.flatMap((child) => {
+    child.updateMatrix();
+    const matrix = frame.clone().multiply(child.matrix);
+    const copyNumber = child.userData.copyNumber || 0;
+    if (!child.isInstancedMesh) return [{ object: child, matrix, copyNumber, instance: -1 }];
+
+    const { copyNumbers, parentInstances } = child.userData;
+    const placements = [];
+    for (let i = 0; i < child.count; i++) {
+      if (instance >= 0 && parentInstances && parentInstances[i] !== instance) continue;
+      placements.push({
+        object: child,
+        matrix: matrix.clone().multiply(instanceMatrix(child, i)),
+        copyNumber: copyNumbers ? copyNumbers[i] : copyNumber,
+        instance: i,
+      });
+    }
+    return placements;
+  });
+}
+
+export { instanceMatrix, childPlacements };
@@ -0,0 +1,44 @@
+/**
+ * @chitrashensah/geant4-geometry
+ * Copyright (c) 2025 Chitrashen Sah
+ * Licensed under MIT License
+ */
+
+import * as THREE from 'three';
+
+/**
+ * Levels of detail of a solid for THREE.LOD: one mesh per level, each
+ * tessellated with the settings of its level (see
+ * SolidGeometry.withTessellation()) and shown from its `distance` on:
+ *
+ *   const lod = createLOD(sphere, [
+ *     { distance: 0, chordTolerance: 0.05 },
+ *     { distance: 500, chordTolerance: 1 },
+ *     { distance: 2000, radialSegments: 8, heightSegments: 4 },
+ *   ], material);
+ *   scene.add(lod);
+ *
+ * @param {SolidGeometry} geometry
+ * @param {Array<{distance?: number, hysteresis?: number, radialSegments?: number, heightSegments?: number, chordTolerance?: number}>} levels
+ * @param {THREE.Material} [material]
+ * @returns {THREE.LOD}
+ */
+function createLOD(geometry, levels, material = new THREE.MeshStandardMaterial({ color: 0x808080 })) {
+  if (typeof geometry?.withTessellation !== 'function') {
+    throw new TypeError('createLOD: the geometry must be a SolidGeometry');
+  }
+  if (!Array.isArray(levels) || levels.length === 0) {
+    throw new RangeError('createLOD: at least one level is needed');
+  }
+
+  const lod = new THREE.LOD();
+  lod.name = geometry.name;
+  levels.forEach(({ distance = 0, hysteresis = 0, ...tessellation }) => {
+    const mesh = new THREE.Mesh(geometry.withTessellation(tessellation), material);
+    mesh.name = geometry.name;
+    lod.addLevel(mesh, distance, hysteresis);
+  });
+  return lod;
+}
+
+export { createLOD };
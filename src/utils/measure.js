@@ -0,0 +1,64 @@
+/**
+ * @chitrashensah/geant4-geometry
+ * Copyright (c) 2025 Chitrashen Sah
+ * Licensed under MIT License
+ */
+
+/**
+ * Integral of `f` over [a, b] by the composite Simpson rule.
+ *
+ * @param {function(number): number} f
+ * @param {number} a
+ * @param {number} b
+ * @param {number} [intervals=256] - Even number of intervals
+ * @returns {number}
+ */
+function integrate(f, a, b, intervals = 256) {
+  const h = (b - a) / intervals;
+  let sum = f(a) + f(b);
+  for (let i = 1; i < intervals; i++) sum += (i % 2 ? 4 : 2) * f(a + i * h);
+  return (sum * h) / 3;
+}
+
+/**
+ * Integral of a 2*pi periodic `f` over a full period. The trapezoidal rule
+ * converges exponentially fast for smooth periodic functions.
+ *
+ * @param {function(number): number} f
+ * @param {number} [points=512]
+ * @returns {number}
+ */
+function integratePeriodic(f, points = 512) {
+  let sum = 0;
+  for (let i = 0; i < points; i++) sum += f((2 * Math.PI * i) / points);
+  return (sum * 2 * Math.PI) / points;
+}
+
+/**
+ * Perimeter of an ellipse, as G4GeomTools::EllipsePerimeter(), from the
+ * complete elliptic integral of the second kind evaluated with the
+ * arithmetic-geometric mean.
+ *
+ * @param {number} a - Semi-axis
+ * @param {number} b - Semi-axis
+ * @returns {number}
+ */
+function ellipsePerimeter(a, b) {
+  const major = Math.max(Math.abs(a), Math.abs(b));
+  const minor = Math.min(Math.abs(a), Math.abs(b));
+  if (minor === 0) return 4 * major;
+  // P = 2 pi / agm(a, b) * (a^2 - sum 2^(n-1) c_n^2), c_0^2 = a^2 - b^2
+  let x = major;
+  let y = minor;
+  let sum = 0.5 * (major * major - minor * minor);
+  let power = 0.5;
+  while (x - y > 1e-15 * x) {
+    const c = (x - y) / 2;
+    [x, y] = [(x + y) / 2, Math.sqrt(x * y)];
+    power *= 2;
+    sum += power * c * c;
+  }
+  return (2 * Math.PI * (major * major - sum)) / x;
+}
+
+export { integrate, integratePeriodic, ellipsePerimeter };
@@ -0,0 +1,52 @@
+/**
+ * @chitrashensah/geant4-geometry
+ * Copyright (c) 2025 Chitrashen Sah
+ * Licensed under MIT License
+ */
+
+import * as THREE from 'three';
+
+/**
+ * Matrix of a Geant4 placement given as position and rotation angles.
+ * Geant4 rotations rotate the frame, so the object is turned by the inverse
+ * of Rz * Ry * Rx.
+ *
+ * @param {Object} placement
+ * @param {number[]} placement.position - [x, y, z] in millimeters
+ * @param {number[]} placement.rotation - [x, y, z] angles in radians
+ * @param {number[]} [placement.scale=[1, 1, 1]]
+ * @returns {THREE.Matrix4}
+ */
+function placementMatrix({ position, rotation, scale = [1, 1, 1] }) {
+  const matrix = new THREE.Matrix4().makeRotationFromEuler(
+    new THREE.Euler(-rotation[0], -rotation[1], -rotation[2], 'XYZ')
+  );
+  matrix.scale(new THREE.Vector3(...scale));
+  matrix.setPosition(...position);
+  return matrix;
+}
+
+/**
+ * Inverse of placementMatrix(): the position, frame rotation and scale of
+ * `matrix`. A reflection is put in the scale, mirroring the axis that
+ * leaves the rotation closest to the identity, so that a plain mirror such
+ * as a scale of [1, 1, -1] comes out without rotation.
+ *
+ * @param {THREE.Matrix4} matrix
+ * @returns {{position: number[], rotation: number[], scale: number[]}} Rotation angles in radians
+ */
+function placementOf(matrix) {
+  const position = new THREE.Vector3().setFromMatrixPosition(matrix);
+  const scale = new THREE.Vector3().setFromMatrixScale(matrix);
+  const rotation = new THREE.Matrix4().extractRotation(matrix);
+  if (matrix.determinant() < 0) {
+    const e = rotation.elements;
+    const axis = [1, 2].reduce((best, k) => (e[5 * k] < e[5 * best] ? k : best), 0);
+    for (let i = 0; i < 3; i++) e[4 * axis + i] = -e[4 * axis + i];
+    scale.setComponent(axis, -scale.getComponent(axis));
+  }
+  const euler = new THREE.Euler().setFromRotationMatrix(rotation, 'XYZ');
+  return { position: position.toArray(), rotation: [-euler.x, -euler.y, -euler.z], scale: scale.toArray() };
+}
+
+export { placementMatrix, placementOf };
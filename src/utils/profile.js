@@ -0,0 +1,140 @@
+/**
+ * @chitrashensah/geant4-geometry
+ * Copyright (c) 2025 Chitrashen Sah
+ * Licensed under MIT License
+ */
+
+/**
+ * Signed area of a closed (r, z) polygon; positive when counter-clockwise.
+ */
+function profileArea(points) {
+  let area = 0;
+  for (let i = 0; i < points.length; i++) {
+    const a = points[i];
+    const b = points[(i + 1) % points.length];
+    area += a.r * b.z - b.r * a.z;
+  }
+  return area / 2;
+}
+
+/**
+ * Integrals over a counter-clockwise (r, z) polygon giving the size of the
+ * solid it sweeps: `area`, `areaMoment` (the integral of r over the area,
+ * the volume swept per radian) and `lengthMoment` (the integral of r along
+ * the boundary, the surface swept per radian).
+ *
+ * @param {Array<{r: number, z: number}>} points
+ * @returns {{area: number, areaMoment: number, lengthMoment: number}}
+ */
+function profileMoments(points) {
+  let areaMoment = 0;
+  let lengthMoment = 0;
+  for (let i = 0; i < points.length; i++) {
+    const a = points[i];
+    const b = points[(i + 1) % points.length];
+    areaMoment += (a.r + b.r) * (a.r * b.z - b.r * a.z);
+    lengthMoment += ((a.r + b.r) / 2) * Math.hypot(b.r - a.r, b.z - a.z);
+  }
+  return { area: profileArea(points), areaMoment: areaMoment / 6, lengthMoment };
+}
+
+/**
+ * Corners of the (r, z) contour described by z-planes, built the way
+ * G4ReduciblePolygon does: outer radii in plane order followed by the inner
+ * radii in reverse. The result is counter-clockwise without repeated points.
+ *
+ * @param {number[]} zPlane - Plane positions in z
+ * @param {number[]} rInner - Inner radius at each plane
+ * @param {number[]} rOuter - Outer radius at each plane
+ * @returns {Array<{r: number, z: number}>}
+ */
+function zPlanesToContour(zPlane, rInner, rOuter) {
+  const points = [];
+  for (let i = 0; i < zPlane.length; i++) points.push({ r: rOuter[i], z: zPlane[i] });
+  for (let i = zPlane.length - 1; i >= 0; i--) points.push({ r: rInner[i], z: zPlane[i] });
+  return cleanContour(points);
+}
+
+/**
+ * Corners of a generic (r, z) contour, counter-clockwise without repeated
+ * points.
+ *
+ * @param {number[]} r - r coordinate of each corner
+ * @param {number[]} z - z coordinate of each corner
+ * @returns {Array<{r: number, z: number}>}
+ */
+function rzToContour(r, z) {
+  return cleanContour(r.map((ri, i) => ({ r: ri, z: z[i] })));
+}
+
+function cleanContour(points) {
+  const out = [];
+  points.forEach((p) => {
+    const last = out[out.length - 1];
+    if (!last || last.r !== p.r || last.z !== p.z) out.push(p);
+  });
+  while (out.length > 1 && out[0].r === out[out.length - 1].r && out[0].z === out[out.length - 1].z) {
+    out.pop();
+  }
+  return profileArea(out) < 0 ? out.reverse() : out;
+}
+
+/**
+ * Turn a list of corners into a profile loop for `revolve`, with every edge
+ * as its own segment so that all corners stay sharp.
+ */
+function polygonLoop(points) {
+  return points.map((p, i) => [p, points[(i + 1) % points.length]]);
+}
+
+/**
+ * Points along a circular arc in the (r, z) plane with their normals. Angles
+ * are measured from the +r axis towards +z; the normal points away from the
+ * centre, or towards it when `inward` is set.
+ *
+ * @param {number} cr - r of the centre
+ * @param {number} cz - z of the centre
+ * @param {number} radius - Arc radius
+ * @param {number} a0 - Start angle in radians
+ * @param {number} a1 - End angle in radians
+ * @param {number} segments - Number of arc segments
+ * @param {boolean} [inward=false]
+ * @returns {Array<{r: number, z: number, nr: number, nz: number}>}
+ */
+function arcPoints(cr, cz, radius, a0, a1, segments, inward = false) {
+  const sign = inward ? -1 : 1;
+  const points = [];
+  for (let i = 0; i <= segments; i++) {
+    const a = a0 + ((a1 - a0) * i) / segments;
+    const cos = Math.cos(a);
+    const sin = Math.sin(a);
+    points.push({
+      r: Math.max(0, cr + radius * cos),
+      z: cz + radius * sin,
+      nr: sign * cos,
+      nz: sign * sin,
+    });
+  }
+  return points;
+}
+
+/**
+ * Points splitting the straight profile edge a -> b into `segments` equal
+ * parts.
+ *
+ * @param {{r: number, z: number}} a
+ * @param {{r: number, z: number}} b
+ * @param {number} [segments=1]
+ * @returns {Array<{r: number, z: number}>}
+ */
+function linePoints(a, b, segments = 1) {
+  const points = [a];
+  for (let i = 1; i < segments; i++) {
+    const t = i / segments;
+    points.push({ r: a.r + (b.r - a.r) * t, z: a.z + (b.z - a.z) * t });
+  }
+  points.push(b);
+  return points;
+}
+
+export { profileArea, profileMoments, zPlanesToContour, rzToContour, polygonLoop, arcPoints, linePoints };
@@ -0,0 +1,28 @@
+/**
+ * @chitrashensah/geant4-geometry
+ * Copyright (c) 2025 Chitrashen Sah
+ * Licensed under MIT License
+ */
+
+/**
+ * Uniform random numbers in [0, 1) from a 32-bit seed (mulberry32), so that
+ * sampled results are reproducible:
+ *
+ *   const random = createRandom(42);
+ *   random(); // same sequence on every run
+ *
+ * @param {number} [seed=1]
+ * @returns {function(): number}
+ */
+function createRandom(seed = 1) {
+  let state = seed >>> 0;
+  return function random() {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+export { createRandom };
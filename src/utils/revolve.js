@@ -0,0 +1,256 @@
+/**
+ * @chitrashensah/geant4-geometry
+ * Copyright (c) 2025 Chitrashen Sah
+ * Licensed under MIT License
+ */
+
+import * as THREE from 'three';
+import { TWO_PI } from './angles.js';
+
+const EPSILON = 1e-12;
+
+// Default number of phi segments for a full turn, as in THREE.CylinderGeometry.
+const DEFAULT_PHI_SEGMENTS = 32;
+
+// Default number of segments for curved profile edges, per half turn of
+// arc as in THREE.SphereGeometry, or for a whole curve otherwise.
+const DEFAULT_CURVE_SEGMENTS = 16;
+
+/**
+ * Number of phi segments used for an angular extent of `phiLength` radians.
+ */
+function phiSegmentsFor(phiLength, segmentsPerTurn = DEFAULT_PHI_SEGMENTS) {
+  return Math.max(1, Math.ceil((segmentsPerTurn * phiLength) / TWO_PI - 1e-9));
+}
+
+/**
+ * Number of segments used for a profile arc spanning `angle` radians.
+ */
+function arcSegmentsFor(angle) {
+  return phiSegmentsFor(angle, 2 * DEFAULT_CURVE_SEGMENTS);
+}
+
+// Outward normal of the profile edge a -> b for a counter-clockwise loop.
+function edgeNormal(a, b) {
+  const dr = b.r - a.r;
+  const dz = b.z - a.z;
+  const len = Math.hypot(dr, dz);
+  return len > 0 ? { nr: dz / len, nz: -dr / len } : { nr: 0, nz: 0 };
+}
+
+// Per-point normals along a smooth polyline: explicit normals win, otherwise
+// the normals of the adjacent edges are averaged.
+function polylineNormals(points) {
+  return points.map((p, i) => {
+    if (p.nr !== undefined && p.nz !== undefined) return { nr: p.nr, nz: p.nz };
+    const prev = i > 0 ? edgeNormal(points[i - 1], p) : null;
+    const next = i < points.length - 1 ? edgeNormal(p, points[i + 1]) : null;
+    const nr = (prev ? prev.nr : 0) + (next ? next.nr : 0);
+    const nz = (prev ? prev.nz : 0) + (next ? next.nz : 0);
+    const len = Math.hypot(nr, nz) || 1;
+    return { nr: nr / len, nz: nz / len };
+  });
+}
+
+function samePoint(a, b) {
+  return Math.abs(a.r - b.r) < EPSILON && Math.abs(a.z - b.z) < EPSILON;
+}
+
+// Flatten a loop of segments into its distinct corner points.
+function loopPoints(loop) {
+  const points = [];
+  loop.forEach((segment) => {
+    segment.forEach((p) => {
+      if (!points.length || !samePoint(points[points.length - 1], p)) points.push(p);
+    });
+  });
+  while (points.length > 1 && samePoint(points[0], points[points.length - 1])) points.pop();
+  return points;
+}
+
+/**
+ * Sweep closed profile loops in the (r, z) half plane around the z axis and
+ * add the resulting surface to `builder`.
+ *
+ * The first loop is the outer contour and must run counter-clockwise with r
+ * as abscissa and z as ordinate; any further loops are holes and run
+ * clockwise. Each loop is a list of segments, every segment a polyline of
+ * `{ r, z }` points (optionally with an explicit `nr`, `nz` normal) whose
+ * last point is the first point of the next segment. Normals are smooth
+ * within a segment and sharp between segments. Edges lying on the z axis
+ * produce no surface.
+ *
+ * With `sides` set the sweep is faceted like G4Polyhedra: the radii are
+ * distances to the flat sides, and the corners sit at phiStart + k * dPhi / sides.
+ * When the sweep does not close on itself the profile is capped at both
+ * phi ends.
+ *
+ * `faces` labels the surface swept by each segment (see
+ * MeshBuilder.setFace()), one array of labels per loop; the phi caps are
+ * then labelled 'startPhi' and 'endPhi'.
+ *
+ * @param {MeshBuilder} builder
+ * @param {Array<Array<Array<{r: number, z: number}>>>} loops
+ * @param {Object} [options]
+ * @param {number} [options.phiStart=0] - Start angle in radians
+ * @param {number} [options.phiLength=2*PI] - Angular extent in radians
+ * @param {number} [options.segments] - Number of phi segments
+ * @param {number} [options.sides] - Number of flat sides (faceted sweep)
+ * @param {string[][]} [options.faces] - Face label of each segment of each loop
+ */
+function revolve(builder, loops, options = {}) {
+  const phiStart = options.phiStart ?? 0;
+  const phiLength = options.phiLength ?? TWO_PI;
+  const faceted = options.sides !== undefined;
+  const segments = faceted ? options.sides : options.segments ?? phiSegmentsFor(phiLength);
+  const closed = phiLength >= TWO_PI - 1e-9;
+  const dPhi = phiLength / segments;
+  const cornerScale = faceted ? 1 / Math.cos(dPhi / 2) : 1;
+
+  // Each quad strip connects two columns of vertices at angles phiA, phiB.
+  const strips = [];
+  for (let k = 0; k < segments; k++) {
+    const phiA = phiStart + k * dPhi;
+    const phiB = phiStart + (k + 1) * dPhi;
+    strips.push({ phiA, phiB, normalPhi: faceted ? (phiA + phiB) / 2 : null, uA: k / segments, uB: (k + 1) / segments });
+  }
+
+  const faces = options.faces;
+  loops.forEach((loop, l) => {
+    const total = loop.reduce((sum, segment) => {
+      for (let i = 1; i < segment.length; i++) {
+        sum += Math.hypot(segment[i].r - segment[i - 1].r, segment[i].z - segment[i - 1].z);
+      }
+      return sum;
+    }, 0) || 1;
+    let travelled = 0;
+
+    // A faceted sweep has flat faces, so every profile edge stands alone.
+    const polylines = faceted
+      ? loop.flatMap((segment, k) => segment.slice(1).map((p, i) => Object.assign([segment[i], p], { segment: k })))
+      : loop.map((segment, k) => Object.assign(segment.slice(), { segment: k }));
+
+    polylines.forEach((points) => {
+      if (faces) builder.setFace(faces[l][points.segment]);
+      const normals = polylineNormals(points);
+      const vs = [travelled / total];
+      for (let i = 1; i < points.length; i++) {
+        travelled += Math.hypot(points[i].r - points[i - 1].r, points[i].z - points[i - 1].z);
+        vs.push(travelled / total);
+      }
+
+      if (faceted) {
+        addFacetedEdge(builder, points, normals, strips, cornerScale, vs);
+      } else {
+        addSmoothPolyline(builder, points, normals, strips, phiStart, phiLength, segments, vs);
+      }
+    });
+  });
+
+  if (!closed) {
+    if (faces) builder.setFace('startPhi');
+    addPhiCap(builder, loops, phiStart, cornerScale, false);
+    if (faces) builder.setFace('endPhi');
+    addPhiCap(builder, loops, phiStart + phiLength, cornerScale, true);
+  }
+}
+
+function addSmoothPolyline(builder, points, normals, strips, phiStart, phiLength, segments, vs) {
+  // Grid of (segments + 1) columns by points.length rows.
+  const grid = [];
+  for (let k = 0; k <= segments; k++) {
+    const phi = phiStart + (k / segments) * phiLength;
+    const cos = Math.cos(phi);
+    const sin = Math.sin(phi);
+    const column = points.map((p, i) => {
+      const n = normals[i];
+      return builder.addVertex(p.r * cos, p.r * sin, p.z, n.nr * cos, n.nr * sin, n.nz, k / segments, vs[i]);
+    });
+    grid.push(column);
+  }
+  for (let i = 0; i < points.length - 1; i++) {
+    const p = points[i];
+    const q = points[i + 1];
+    if (samePoint(p, q) || (p.r < EPSILON && q.r < EPSILON)) continue;
+    for (let k = 0; k < strips.length; k++) {
+      const a = grid[k][i];
+      const b = grid[k][i + 1];
+      const c = grid[k + 1][i + 1];
+      const d = grid[k + 1][i];
+      if (p.r >= EPSILON) builder.addTriangle(a, d, c);
+      if (q.r >= EPSILON) builder.addTriangle(a, c, b);
+    }
+  }
+}
+
+function addFacetedEdge(builder, points, normals, strips, cornerScale, vs) {
+  const [p, q] = points;
+  if (samePoint(p, q) || (p.r < EPSILON && q.r < EPSILON)) return;
+  const n = normals[0];
+  strips.forEach((strip) => {
+    const nx = n.nr * Math.cos(strip.normalPhi);
+    const ny = n.nr * Math.sin(strip.normalPhi);
+    const corner = (pt, phi, u, v) =>
+      builder.addVertex(
+        pt.r * cornerScale * Math.cos(phi),
+        pt.r * cornerScale * Math.sin(phi),
+        pt.z,
+        nx,
+        ny,
+        n.nz,
+        u,
+        v
+      );
+    const a = corner(p, strip.phiA, strip.uA, vs[0]);
+    const b = corner(q, strip.phiA, strip.uA, vs[1]);
+    const c = corner(q, strip.phiB, strip.uB, vs[1]);
+    const d = corner(p, strip.phiB, strip.uB, vs[0]);
+    if (p.r >= EPSILON) builder.addTriangle(a, d, c);
+    if (q.r >= EPSILON) builder.addTriangle(a, c, b);
+  });
+}
+
+// Planar cap closing the profile at angle `phi`. The start cap faces -phi,
+// the end cap +phi.
+function addPhiCap(builder, loops, phi, scale, isEnd) {
+  const contours = loops.map(loopPoints).filter((points) => points.length >= 3);
+  if (!contours.length) return;
+  const shapes = contours.map((points) => points.map((p) => new THREE.Vector2(p.r, p.z)));
+  const triangles = THREE.ShapeUtils.triangulateShape(shapes[0], shapes.slice(1));
+  const flat = [].concat(...shapes);
+
+  let rMax = 0;
+  let zMin = Infinity;
+  let zMax = -Infinity;
+  flat.forEach((p) => {
+    rMax = Math.max(rMax, p.x);
+    zMin = Math.min(zMin, p.y);
+    zMax = Math.max(zMax, p.y);
+  });
+  const du = rMax || 1;
+  const dv = zMax - zMin || 1;
+
+  const cos = Math.cos(phi);
+  const sin = Math.sin(phi);
+  const sign = isEnd ? 1 : -1;
+  const indices = flat.map((p) =>
+    builder.addVertex(p.x * scale * cos, p.x * scale * sin, p.y, -sin * sign, cos * sign, 0, p.x / du, (p.y - zMin) / dv)
+  );
+  // The triangulation winds every triangle alike, so take the winding from
+  // the whole cap: the slivers over collinear points of a wall (several
+  // heightSegments) have no reliable area of their own.
+  const area = triangles.reduce((sum, [i, j, k]) => {
+    const a = flat[i];
+    const b = flat[j];
+    const c = flat[k];
+    return sum + (b.x - a.x) * (c.y - a.y) - (c.x - a.x) * (b.y - a.y);
+  }, 0);
+  // Counter-clockwise in (r, z) faces -phi.
+  const ccw = area > 0;
+  triangles.forEach(([i, j, k]) => {
+    if (ccw !== isEnd) builder.addTriangle(indices[i], indices[j], indices[k]);
+    else builder.addTriangle(indices[i], indices[k], indices[j]);
+  });
+}
+
+export { revolve, phiSegmentsFor, arcSegmentsFor, DEFAULT_PHI_SEGMENTS, DEFAULT_CURVE_SEGMENTS };
@@ -0,0 +1,184 @@
+/**
+ * @chitrashensah/geant4-geometry
+ * Copyright (c) 2025 Chitrashen Sah
+ * Licensed under MIT License
+ */
+
+import * as THREE from 'three';
+import { kInside, kSurface, kInfinity } from '../navigation/constants.js';
+
+/**
+ * Triangles of a mesh, indexed or not.
+ *
+ * @param {THREE.BufferGeometry} geometry
+ * @returns {THREE.Triangle[]}
+ */
+function trianglesOf(geometry) {
+  const position = geometry.attributes.position;
+  const index = geometry.index;
+  const count = index ? index.count : position.count;
+  const vertex = (i) => new THREE.Vector3().fromBufferAttribute(position, index ? index.getX(i) : i);
+  const triangles = [];
+  for (let i = 0; i + 2 < count; i += 3) {
+    triangles.push(new THREE.Triangle(vertex(i), vertex(i + 1), vertex(i + 2)));
+  }
+  return triangles;
+}
+
+/**
+ * Sampler of points spread evenly over the triangles of a mesh, each
+ * triangle drawn by its area. `sample(random, target)` sets `target` and
+ * returns its triangle, or null when the mesh has no area.
+ *
+ * @param {THREE.BufferGeometry} geometry
+ * @returns {function(function(): number, THREE.Vector3): (THREE.Triangle|null)}
+ */
+function meshSurfaceSampler(geometry) {
+  const triangles = trianglesOf(geometry);
+  const areas = [];
+  let total = 0;
+  triangles.forEach((triangle) => {
+    total += triangle.getArea();
+    areas.push(total);
+  });
+  return (random, target) => {
+    if (total === 0) return null;
+    const drawn = random() * total;
+    let low = 0;
+    let high = areas.length - 1;
+    while (low < high) {
+      const middle = (low + high) >> 1;
+      if (areas[middle] <= drawn) low = middle + 1;
+      else high = middle;
+    }
+    const triangle = triangles[low];
+    pointOnTriangle(triangle.a, triangle.b, triangle.c, random, target);
+    return triangle;
+  };
+}
+
+/**
+ * Random point of the triangle `a`, `b`, `c`, uniform by area.
+ *
+ * @param {THREE.Vector3} a
+ * @param {THREE.Vector3} b
+ * @param {THREE.Vector3} c
+ * @param {function(): number} random
+ * @param {THREE.Vector3} target
+ * @returns {THREE.Vector3} target
+ */
+function pointOnTriangle(a, b, c, random, target) {
+  let u = random();
+  let v = random();
+  if (u + v > 1) {
+    u = 1 - u;
+    v = 1 - v;
+  }
+  return target.set(
+    a.x + u * (b.x - a.x) + v * (c.x - a.x),
+    a.y + u * (b.y - a.y) + v * (c.y - a.y),
+    a.z + u * (b.z - a.z) + v * (c.z - a.z)
+  );
+}
+
+/**
+ * Draw one of `faces`, pairs of an area and a sampler, by area and return
+ * what its sampler returns.
+ *
+ * @param {Array<[number, function(): *]>} faces
+ * @param {function(): number} random
+ * @returns {*}
+ */
+function sampleByArea(faces, random) {
+  let drawn = random() * faces.reduce((total, [area]) => total + area, 0);
+  for (const [area, sample] of faces) {
+    if (drawn < area) return sample();
+    drawn -= area;
+  }
+  // Rounding: the last face with an area
+  return faces.filter(([area]) => area > 0).pop()[1]();
+}
+
+/**
+ * Fraction in [0, 1] for a uniform `u`, with a density growing linearly
+ * from `a` at 0 to `b` at 1: where a wall whose width or radius goes from
+ * `a` to `b` is cut by a uniform share of its area.
+ *
+ * @param {number} a
+ * @param {number} b
+ * @param {number} u
+ * @returns {number}
+ */
+function linearFraction(a, b, u) {
+  if (Math.abs(b - a) <= 1e-12 * Math.max(a, b)) return u;
+  return (Math.sqrt(a * a + u * (b * b - a * a)) - a) / (b - a);
+}
+
+/**
+ * Random point on the surface of a conical section, as G4Cons (and G4Tubs
+ * when the radii do not change), uniform by area: the outer and inner
+ * walls, the end caps and the phi planes.
+ *
+ * @param {Object} section
+ * @param {number} section.rMin1 - Inner radius at -dz
+ * @param {number} section.rMax1 - Outer radius at -dz
+ * @param {number} section.rMin2 - Inner radius at +dz
+ * @param {number} section.rMax2 - Outer radius at +dz
+ * @param {number} section.dz - Half length
+ * @param {number} section.sPhi - Start of the phi segment in radians
+ * @param {number} section.dPhi - Phi extent in radians
+ * @param {boolean} section.fullPhi
+ * @param {function(): number} random
+ * @param {THREE.Vector3} target
+ * @returns {THREE.Vector3} target
+ */
+function pointOnConicalSection({ rMin1, rMax1, rMin2, rMax2, dz, sPhi, dPhi, fullPhi }, random, target) {
+  const set = (r, z, phi) => target.set(r * Math.cos(phi), r * Math.sin(phi), z);
+  const wall = (r1, r2) => {
+    const t = linearFraction(r1, r2, random());
+    return set(r1 + t * (r2 - r1), dz * (2 * t - 1), sPhi + random() * dPhi);
+  };
+  const cap = (rMin, rMax, z) => set(Math.sqrt(rMin * rMin + random() * (rMax * rMax - rMin * rMin)), z, sPhi + random() * dPhi);
+  const plane = (phi) => {
+    const t = linearFraction(rMax1 - rMin1, rMax2 - rMin2, random());
+    const rMin = rMin1 + t * (rMin2 - rMin1);
+    const rMax = rMax1 + t * (rMax2 - rMax1);
+    return set(rMin + random() * (rMax - rMin), dz * (2 * t - 1), phi);
+  };
+  const wallArea = (r1, r2) => 0.5 * dPhi * (r1 + r2) * Math.hypot(r2 - r1, 2 * dz);
+  const planeArea = fullPhi ? 0 : dz * (rMax1 - rMin1 + rMax2 - rMin2);
+  return sampleByArea(
+    [
+      [wallArea(rMax1, rMax2), () => wall(rMax1, rMax2)],
+      [wallArea(rMin1, rMin2), () => wall(rMin1, rMin2)],
+      [0.5 * dPhi * (rMax1 * rMax1 - rMin1 * rMin1), () => cap(rMin1, rMax1, -dz)],
+      [0.5 * dPhi * (rMax2 * rMax2 - rMin2 * rMin2), () => cap(rMin2, rMax2, dz)],
+      [planeArea, () => plane(sPhi)],
+      [planeArea, () => plane(sPhi + dPhi)],
+    ],
+    random
+  );
+}
+
+/**
+ * Move `point`, on a triangle of the mesh of `solid`, along the normal of
+ * the triangle onto the exact surface of the solid, which the chords of
+ * curved faces cut. The point stays where it is when the surface is
+ * farther than the size of the triangle.
+ *
+ * @param {SolidGeometry} solid
+ * @param {THREE.Vector3} point
+ * @param {THREE.Triangle} triangle
+ * @returns {THREE.Vector3} point
+ */
+function projectToSurface(solid, point, triangle) {
+  const state = solid.inside(point);
+  if (state === kSurface) return point;
+  const normal = triangle.getNormal(new THREE.Vector3());
+  const reach = Math.max(triangle.a.distanceTo(triangle.b), triangle.b.distanceTo(triangle.c), triangle.c.distanceTo(triangle.a));
+  const distance = state === kInside ? solid.distanceToOut(point, normal) : -solid.distanceToIn(point, normal.clone().negate());
+  if (Math.abs(distance) < Math.min(reach, kInfinity)) point.addScaledVector(normal, distance);
+  return point;
+}
+
+export { trianglesOf, meshSurfaceSampler, pointOnTriangle, sampleByArea, pointOnConicalSection, projectToSurface };
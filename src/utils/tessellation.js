@@ -0,0 +1,155 @@
+/**
+ * @chitrashensah/geant4-geometry
+ * Copyright (c) 2025 Chitrashen Sah
+ * Licensed under MIT License
+ */
+
+import { phiSegmentsFor, arcSegmentsFor, DEFAULT_CURVE_SEGMENTS } from './revolve.js';
+
+// Most segments a chord tolerance may ask for along one arc or curve, so
+// that a tiny tolerance cannot exhaust memory.
+const MAX_SEGMENTS = 1024;
+
+/**
+ * Tessellation settings from the options of a geometry constructor, the
+ * chord tolerance scaled by `length` to millimeters. Null when none is
+ * given, so that the mesh keeps its default segment counts.
+ *
+ * - `radialSegments`: segments around the z axis over the phi extent, as
+ *   in THREE.CylinderGeometry.
+ * - `heightSegments`: segments along the profile: across the theta extent
+ *   of a sphere, around the tube of a torus, along curved profiles and
+ *   along z on straight walls.
+ * - `chordTolerance`: largest distance allowed between a curve and its
+ *   chords; the counts not given follow from the radii and extents.
+ *
+ * @param {Object} options
+ * @param {number} [options.radialSegments]
+ * @param {number} [options.heightSegments]
+ * @param {number} [options.chordTolerance] - In the length unit of the options
+ * @param {number} [length=1] - Length unit in millimeters
+ * @param {string} [type='tessellationOptions'] - Class name for error messages
+ * @returns {{radialSegments?: number, heightSegments?: number, chordTolerance?: number}|null}
+ */
+function tessellationOptions(options = {}, length = 1, type = 'tessellationOptions') {
+  const settings = {};
+  ['radialSegments', 'heightSegments'].forEach((key) => {
+    const value = options[key];
+    if (value === undefined) return;
+    if (!(Number.isInteger(value) && value > 0)) {
+      throw new RangeError(`${type}: invalid ${key} = ${value}`);
+    }
+    settings[key] = value;
+  });
+  if (options.chordTolerance !== undefined) {
+    const tolerance = options.chordTolerance * length;
+    if (!(tolerance > 0 && Number.isFinite(tolerance))) {
+      throw new RangeError(`${type}: invalid chordTolerance = ${options.chordTolerance}`);
+    }
+    settings.chordTolerance = tolerance;
+  }
+  return Object.keys(settings).length > 0 ? settings : null;
+}
+
+/**
+ * Number of segments keeping the chords of an arc of `radius` spanning
+ * `angle` radians within `tolerance` of it.
+ */
+function chordSegmentsFor(angle, radius, tolerance) {
+  if (!(angle > 0 && radius > 0)) return 1;
+  const minimum = angle >= Math.PI ? 3 : 1;
+  if (tolerance >= radius) return minimum;
+  const step = 2 * Math.acos(1 - tolerance / radius);
+  return Math.min(MAX_SEGMENTS, Math.max(minimum, Math.ceil(angle / step - 1e-9)));
+}
+
+/**
+ * Number of phi segments of a sweep of `phiLength` radians whose largest
+ * radius is `radius`.
+ *
+ * @param {Object|null} settings - From tessellationOptions()
+ * @param {number} phiLength
+ * @param {number} radius
+ * @returns {number}
+ */
+function radialSegmentsFor(settings, phiLength, radius) {
+  if (settings?.radialSegments !== undefined) return settings.radialSegments;
+  if (settings?.chordTolerance !== undefined) return chordSegmentsFor(phiLength, radius, settings.chordTolerance);
+  return phiSegmentsFor(phiLength);
+}
+
+/**
+ * Number of segments of a circular profile arc of `radius` spanning `angle`
+ * radians.
+ *
+ * @param {Object|null} settings - From tessellationOptions()
+ * @param {number} angle
+ * @param {number} radius
+ * @returns {number}
+ */
+function profileSegmentsFor(settings, angle, radius) {
+  if (settings?.heightSegments !== undefined) return settings.heightSegments;
+  if (settings?.chordTolerance !== undefined) return chordSegmentsFor(angle, radius, settings.chordTolerance);
+  return arcSegmentsFor(angle);
+}
+
+/**
+ * Number of segments of a smooth profile curve `curve(t)` -> `{ r, z }`
+ * sampled at even steps of t from t0 to t1. With a chord tolerance the
+ * count is the smallest whose chords all stay within it, measured at the
+ * middle of each step; otherwise it is `segments`.
+ *
+ * @param {Object|null} settings - From tessellationOptions()
+ * @param {function(number): {r: number, z: number}} curve
+ * @param {number} t0
+ * @param {number} t1
+ * @param {number} [segments=DEFAULT_CURVE_SEGMENTS] - Default count
+ * @returns {number}
+ */
+function curveSegmentsFor(settings, curve, t0, t1, segments = DEFAULT_CURVE_SEGMENTS) {
+  if (settings?.heightSegments !== undefined) return settings.heightSegments;
+  if (settings?.chordTolerance === undefined) return segments;
+
+  const fits = (n) => {
+    let a = curve(t0);
+    for (let i = 1; i <= n; i++) {
+      const b = curve(t0 + ((t1 - t0) * i) / n);
+      const m = curve(t0 + ((t1 - t0) * (i - 0.5)) / n);
+      if (distanceToChord(m, a, b) > settings.chordTolerance) return false;
+      a = b;
+    }
+    return true;
+  };
+
+  // Double up to a count that fits, then bisect down to the smallest
+  let high = 1;
+  while (high < MAX_SEGMENTS && !fits(high)) high *= 2;
+  if (high >= MAX_SEGMENTS) return MAX_SEGMENTS;
+  let low = Math.floor(high / 2);
+  while (high - low > 1) {
+    const middle = Math.floor((low + high) / 2);
+    if (fits(middle)) high = middle;
+    else low = middle;
+  }
+  return high;
+}
+
+/**
+ * Number of segments along a straight profile edge.
+ *
+ * @param {Object|null} settings - From tessellationOptions()
+ * @returns {number}
+ */
+function lineSegmentsFor(settings) {
+  return settings?.heightSegments ?? 1;
+}
+
+function distanceToChord(p, a, b) {
+  const dr = b.r - a.r;
+  const dz = b.z - a.z;
+  const length = Math.hypot(dr, dz);
+  if (length === 0) return Math.hypot(p.r - a.r, p.z - a.z);
+  return Math.abs((p.r - a.r) * dz - (p.z - a.z) * dr) / length;
+}
+
+export { tessellationOptions, chordSegmentsFor, radialSegmentsFor, profileSegmentsFor, curveSegmentsFor, lineSegmentsFor };
@@ -0,0 +1,235 @@
+/**
+ * @chitrashensah/geant4-geometry
+ * Copyright (c) 2025 Chitrashen Sah
+ * Licensed under MIT License
+ */
+
+// Constants and units of CLHEP known to the expressions of GDML and text
+// geometry files, with the values of its SystemOfUnits.h and
+// PhysicalConstants.h. The internal units are those of Geant4: millimeter,
+// nanosecond, MeV, positron charge, kelvin, mole and candela; the other
+// units derive from them, so a kilogram is a joule second^2 / meter^2.
+// Densities come out in g/cm3 after dividing by `g/cm3`.
+
+// Elementary charge in coulomb, which fixes the joule, the coulomb and the
+// SI units built on them
+const E_SI = 1.602176634e-19;
+const METER = 1000;
+const SECOND = 1e9;
+const JOULE = 1e-6 / E_SI;
+const KILOGRAM = (JOULE * SECOND * SECOND) / (METER * METER);
+const GRAM = 1e-3 * KILOGRAM;
+const CM3 = 1000;
+const COULOMB = 1 / E_SI;
+const AMPERE = COULOMB / SECOND;
+const VOLT = 1e-6;
+const PASCAL = JOULE / METER ** 3;
+const TESLA = (VOLT * SECOND) / (METER * METER);
+const HENRY = (VOLT * SECOND) / AMPERE;
+const C_LIGHT = (299792458 * METER) / SECOND;
+const H_PLANCK = 6.62607015e-34 * JOULE * SECOND;
+const MU0 = (4 * Math.PI * 1e-7 * HENRY) / METER;
+const EPSILON0 = 1 / (C_LIGHT * C_LIGHT * MU0);
+const ELM_COUPLING = 1 / (4 * Math.PI * EPSILON0);
+const HBARC = (H_PLANCK / (2 * Math.PI)) * C_LIGHT;
+const ELECTRON_MASS_C2 = 0.510998910;
+const AMU_C2 = 931.494028;
+const ATMOSPHERE = 101325 * PASCAL;
+
+const UNITS = {
+  pi: Math.PI,
+  twopi: 2 * Math.PI,
+  halfpi: Math.PI / 2,
+  e: Math.E,
+
+  nm: 1e-6,
+  nanometer: 1e-6,
+  um: 1e-3,
+  micrometer: 1e-3,
+  mm: 1,
+  millimeter: 1,
+  cm: 10,
+  centimeter: 10,
+  m: METER,
+  meter: METER,
+  km: 1e6,
+  kilometer: 1e6,
+  pc: 3.0856775807e19,
+  parsec: 3.0856775807e19,
+  angstrom: 1e-7,
+  fermi: 1e-12,
+
+  rad: 1,
+  radian: 1,
+  mrad: 1e-3,
+  milliradian: 1e-3,
+  urad: 1e-6,
+  deg: Math.PI / 180,
+  degree: Math.PI / 180,
+
+  mg: 1e-3 * GRAM,
+  milligram: 1e-3 * GRAM,
+  g: GRAM,
+  gram: GRAM,
+  kg: KILOGRAM,
+  kilogram: KILOGRAM,
+  mole: 1,
+
+  mm2: 1,
+  millimeter2: 1,
+  cm2: 100,
+  centimeter2: 100,
+  m2: 1e6,
+  meter2: 1e6,
+  km2: 1e12,
+  kilometer2: 1e12,
+  barn: 1e-22,
+  millibarn: 1e-25,
+  microbarn: 1e-28,
+  nanobarn: 1e-31,
+  picobarn: 1e-34,
+
+  mm3: 1,
+  millimeter3: 1,
+  cm3: CM3,
+  centimeter3: CM3,
+  m3: 1e9,
+  meter3: 1e9,
+  km3: 1e18,
+  kilometer3: 1e18,
+  L: 1e6,
+  liter: 1e6,
+  dL: 1e5,
+  cL: 1e4,
+  mL: 1e3,
+
+  sr: 1,
+  steradian: 1,
+
+  ns: 1,
+  nanosecond: 1,
+  ps: 1e-3,
+  picosecond: 1e-3,
+  us: 1e3,
+  microsecond: 1e3,
+  ms: 1e6,
+  millisecond: 1e6,
+  s: SECOND,
+  second: SECOND,
+  minute: 60 * SECOND,
+  hour: 3600 * SECOND,
+  day: 86400 * SECOND,
+  year: 365 * 86400 * SECOND,
+  Hz: 1 / SECOND,
+  hertz: 1 / SECOND,
+  kHz: 1e3 / SECOND,
+  kilohertz: 1e3 / SECOND,
+  MHz: 1e6 / SECOND,
+  megahertz: 1e6 / SECOND,
+
+  eV: 1e-6,
+  electronvolt: 1e-6,
+  keV: 1e-3,
+  kiloelectronvolt: 1e-3,
+  MeV: 1,
+  megaelectronvolt: 1,
+  GeV: 1e3,
+  gigaelectronvolt: 1e3,
+  TeV: 1e6,
+  teraelectronvolt: 1e6,
+  PeV: 1e9,
+  petaelectronvolt: 1e9,
+  joule: JOULE,
+  watt: JOULE / SECOND,
+  newton: JOULE / METER,
+
+  eplus: 1,
+  e_SI: E_SI,
+  coulomb: COULOMB,
+  ampere: AMPERE,
+  milliampere: 1e-3 * AMPERE,
+  microampere: 1e-6 * AMPERE,
+  nanoampere: 1e-9 * AMPERE,
+  megavolt: 1,
+  kilovolt: 1e-3,
+  volt: VOLT,
+  ohm: VOLT / AMPERE,
+  farad: COULOMB / VOLT,
+  weber: VOLT * SECOND,
+  henry: HENRY,
+  tesla: TESLA,
+  gauss: 1e-4 * TESLA,
+  kilogauss: 0.1 * TESLA,
+
+  hep_pascal: PASCAL,
+  pascal: PASCAL,
+  Pa: PASCAL,
+  bar: 1e5 * PASCAL,
+  atmosphere: ATMOSPHERE,
+  atm: ATMOSPHERE,
+
+  kelvin: 1,
+  K: 1,
+  candela: 1,
+  becquerel: 1 / SECOND,
+  curie: 3.7e10 / SECOND,
+  gray: JOULE / KILOGRAM,
+  perCent: 0.01,
+  perThousand: 0.001,
+  perMillion: 1e-6,
+
+  Avogadro: 6.02214076e23,
+  c_light: C_LIGHT,
+  c_squared: C_LIGHT * C_LIGHT,
+  h_Planck: H_PLANCK,
+  hbar_Planck: H_PLANCK / (2 * Math.PI),
+  hbarc: HBARC,
+  hbarc_squared: HBARC * HBARC,
+  electron_charge: -1,
+  e_squared: 1,
+  electron_mass_c2: ELECTRON_MASS_C2,
+  proton_mass_c2: 938.272013,
+  neutron_mass_c2: 939.56536,
+  amu_c2: AMU_C2,
+  amu: AMU_C2 / (C_LIGHT * C_LIGHT),
+  mu0: MU0,
+  epsilon0: EPSILON0,
+  elm_coupling: ELM_COUPLING,
+  fine_structure_const: ELM_COUPLING / HBARC,
+  classic_electr_radius: ELM_COUPLING / ELECTRON_MASS_C2,
+  k_Boltzmann: 8.617333e-11,
+  STP_Temperature: 273.15,
+  STP_Pressure: ATMOSPHERE,
+  kGasThreshold: (10e-3 * GRAM) / CM3,
+  universe_mean_density: (1e-25 * GRAM) / CM3,
+};
+
+/**
+ * Factors turning lengths given in `lengthUnit` into millimeters and angles
+ * given in `angleUnit` into degrees, the units the geometry constructors
+ * work in. A unit is a value of UNITS, such as `UNITS.cm`, or its name:
+ *
+ *   unitScales({ lengthUnit: 'cm', angleUnit: 'rad' }); // { length: 10, angle: 57.29... }
+ *
+ * @param {Object} [options]
+ * @param {number|string} [options.lengthUnit='mm']
+ * @param {number|string} [options.angleUnit='deg']
+ * @param {string} [type='unitScales'] - Class name for error messages
+ * @returns {{length: number, angle: number}}
+ */
+function unitScales({ lengthUnit = 'mm', angleUnit = 'deg' } = {}, type = 'unitScales') {
+  return {
+    length: unitValue(lengthUnit, 'length', type) / UNITS.mm,
+    angle: unitValue(angleUnit, 'angle', type) / UNITS.deg,
+  };
+}
+
+function unitValue(unit, kind, type) {
+  const value = typeof unit === 'string' && Object.hasOwn(UNITS, unit) ? UNITS[unit] : unit;
+  if (!(typeof value === 'number' && value > 0 && Number.isFinite(value))) {
+    throw new RangeError(`${type}: invalid ${kind} unit '${unit}'`);
+  }
+  return value;
+}
+
+export { UNITS, unitScales };
@@ -0,0 +1,468 @@
+/**
+ * @chitrashensah/geant4-geometry
+ * Copyright (c) 2025 Chitrashen Sah
+ * Licensed under MIT License
+ */
+
+import * as THREE from 'three';
+
+// Faces closer than this to parallel (1 - cos of the angle) are coplanar
+const COPLANAR = 1e-9;
+
+/**
+ * Merges points closer than a tolerance into one, keeping the first.
+ * Points are hashed on a grid of the tolerance and compared with the
+ * points of the neighbouring cells.
+ */
+class Welder {
+
+  constructor(tolerance) {
+    this.tolerance = tolerance;
+    this.positions = [];
+    this.cells = new Map();
+  }
+
+  /**
+   * Index of the welded point at `p`, added when there is none.
+   */
+  add(p) {
+    const { tolerance, positions, cells } = this;
+    const ix = Math.round(p.x / tolerance);
+    const iy = Math.round(p.y / tolerance);
+    const iz = Math.round(p.z / tolerance);
+    for (let dx = -1; dx <= 1; dx++) {
+      for (let dy = -1; dy <= 1; dy++) {
+        for (let dz = -1; dz <= 1; dz++) {
+          const cell = cells.get(`${ix + dx},${iy + dy},${iz + dz}`);
+          if (!cell) continue;
+          for (const id of cell) {
+            const q = positions[id];
+            if ((q.x - p.x) ** 2 + (q.y - p.y) ** 2 + (q.z - p.z) ** 2 <= tolerance * tolerance) return id;
+          }
+        }
+      }
+    }
+    const id = positions.length;
+    positions.push(new THREE.Vector3(p.x, p.y, p.z));
+    const key = `${ix},${iy},${iz}`;
+    if (cells.has(key)) cells.get(key).push(id);
+    else cells.set(key, [id]);
+    return id;
+  }
+}
+
+/**
+ * Closed, indexed BufferGeometry from the polygons of a CSG solid. The
+ * polygons are cleaned before they are triangulated:
+ *
+ * - vertices closer than `tolerance` are welded,
+ * - slivers thinner than `tolerance` are dropped, and so are fins: pairs
+ *   of faces on the same corners wound opposite ways,
+ * - adjacent coplanar fragments of the same group (`shared`) are merged
+ *   back into convex polygons,
+ * - T-junctions are removed by inserting the vertices lying on an edge of
+ *   the neighbouring polygon into it,
+ * - the loops of edges still open, cracks the BSP leaves where nearly
+ *   coincident planes split the solid, are filled.
+ *
+ * Vertices are shared between triangles that agree on the normal, uv,
+ * colour and label, so creases keep one vertex per face while the surface
+ * stays closed once positions are compared. Labelled polygons come out as
+ * groups, like from CSG.toGeometry().
+ *
+ * @param {Array} polygons - CSG polygons, convex, with `vertices`, `plane` and `shared`
+ * @param {number} tolerance - Weld distance in millimeters
+ * @returns {THREE.BufferGeometry}
+ */
+function watertightGeometry(polygons, tolerance) {
+  const welder = new Welder(tolerance);
+  const positions = welder.positions;
+
+  let faces = [];
+  polygons.forEach((polygon) => {
+    const corners = [];
+    polygon.vertices.forEach((vertex) => {
+      const id = welder.add(vertex.pos);
+      if (corners.length === 0 || corners[corners.length - 1].id !== id) corners.push({ id, vertex });
+    });
+    while (corners.length > 1 && corners[0].id === corners[corners.length - 1].id) corners.pop();
+    const face = { corners, normal: polygon.plane.normal, shared: polygon.shared };
+    if (!isSliver(face, positions, tolerance)) faces.push(face);
+  });
+
+  faces = mergeCoplanar(removeFins(faces), positions, tolerance);
+  for (let pass = 0; pass < 4 && removeTJunctions(faces, positions, tolerance); pass++);
+  fillCracks(faces, positions);
+  faces = removeFins(faces);
+
+  return buildGeometry(faces, positions, tolerance);
+}
+
+/**
+ * Edges of `geometry` that are not matched by an edge running the other
+ * way, after welding positions closer than `tolerance`. Empty for a
+ * closed, consistently wound surface.
+ *
+ * @param {THREE.BufferGeometry} geometry
+ * @param {number} [tolerance] - Weld distance, by default 1e-6 of the largest coordinate, as CSG.toGeometry()
+ * @returns {{start: THREE.Vector3, end: THREE.Vector3}[]}
+ */
+function findOpenEdges(geometry, tolerance) {
+  const position = geometry.attributes.position;
+  if (tolerance === undefined) {
+    geometry.computeBoundingBox();
+    const { min, max } = geometry.boundingBox;
+    tolerance = 1e-6 * Math.max(-min.x, -min.y, -min.z, max.x, max.y, max.z) || 1e-6;
+  }
+  const welder = new Welder(tolerance);
+  const point = new THREE.Vector3();
+  const ids = Array.from({ length: position.count }, (_, i) => welder.add(point.fromBufferAttribute(position, i)));
+  const index = geometry.index ? geometry.index.array : ids.map((_, i) => i);
+
+  const edges = new Map();
+  for (let t = 0; t < index.length; t += 3) {
+    for (let i = 0; i < 3; i++) {
+      const from = ids[index[t + i]];
+      const to = ids[index[t + ((i + 1) % 3)]];
+      if (from !== to) edges.set(`${from},${to}`, (edges.get(`${from},${to}`) || 0) + 1);
+    }
+  }
+  const open = [];
+  edges.forEach((count, edge) => {
+    const [from, to] = edge.split(',');
+    if ((edges.get(`${to},${from}`) || 0) !== count) {
+      open.push({ start: welder.positions[from].clone(), end: welder.positions[to].clone() });
+    }
+  });
+  return open;
+}
+
+/**
+ * Volume enclosed by the mesh of `geometry`: the sum of the signed volumes
+ * of the tetrahedra from the origin to each triangle, positive when the
+ * triangles face out. Meaningful for closed meshes only, see findOpenEdges().
+ *
+ * @param {THREE.BufferGeometry} geometry
+ * @returns {number} Volume in the cube of the position unit
+ */
+function meshVolume(geometry) {
+  const position = geometry.attributes.position;
+  if (!position) return 0;
+  const count = geometry.index ? geometry.index.count : position.count;
+  const vertex = (i) => new THREE.Vector3().fromBufferAttribute(position, geometry.index ? geometry.index.getX(i) : i);
+  let volume = 0;
+  for (let t = 0; t + 2 < count; t += 3) volume += vertex(t).dot(vertex(t + 1).cross(vertex(t + 2))) / 6;
+  return volume;
+}
+
+// Newell normal of a loop of welded corners, its length twice the area
+function areaVector(corners, positions) {
+  const normal = new THREE.Vector3();
+  corners.forEach(({ id }, i) => {
+    const a = positions[id];
+    const b = positions[corners[(i + 1) % corners.length].id];
+    normal.x += (a.y - b.y) * (a.z + b.z);
+    normal.y += (a.z - b.z) * (a.x + b.x);
+    normal.z += (a.x - b.x) * (a.y + b.y);
+  });
+  return normal;
+}
+
+// Fewer than three corners, or no wider than `tolerance` anywhere
+function isSliver(face, positions, tolerance) {
+  const { corners } = face;
+  if (corners.length < 3) return true;
+  let longest = 0;
+  corners.forEach(({ id }, i) => {
+    longest = Math.max(longest, positions[id].distanceTo(positions[corners[(i + 1) % corners.length].id]));
+  });
+  return areaVector(corners, positions).length() <= tolerance * longest;
+}
+
+// Distance of `b` from the line through `a` and `c`, signed positive when
+// a, b, c turn counter-clockwise about `normal`.
+function turn(a, b, c, normal) {
+  const ab = new THREE.Vector3().subVectors(b, a);
+  const bc = new THREE.Vector3().subVectors(c, b);
+  const chord = a.distanceTo(c);
+  return chord > 0 ? ab.cross(bc).dot(normal) / chord : 0;
+}
+
+// Faces without those whose reverse is also a face
+function removeFins(faces) {
+  const keyOf = (ids) => {
+    const start = ids.indexOf(Math.min(...ids));
+    return ids.slice(start).concat(ids.slice(0, start)).join(',');
+  };
+  const unpaired = new Map();
+  faces.forEach((face) => {
+    const ids = face.corners.map(({ id }) => id);
+    const reverse = unpaired.get(keyOf(ids.slice().reverse()));
+    if (reverse && reverse.length) {
+      reverse.pop().fin = face.fin = true;
+    } else {
+      const key = keyOf(ids);
+      if (unpaired.has(key)) unpaired.get(key).push(face);
+      else unpaired.set(key, [face]);
+    }
+  });
+  return faces.filter((face) => !face.fin);
+}
+
+// Merge faces across their shared edges while the result stays convex
+function mergeCoplanar(faces, positions, tolerance) {
+  const edges = new Map();
+  const register = (face) => {
+    face.corners.forEach(({ id }, i) => edges.set(`${id},${face.corners[(i + 1) % face.corners.length].id}`, face));
+  };
+  faces.forEach(register);
+
+  const result = [];
+  const queue = faces.slice().reverse();
+  while (queue.length) {
+    const face = queue.pop();
+    if (face.merged) continue;
+    let merged = null;
+    for (let i = 0; i < face.corners.length && !merged; i++) {
+      const a = face.corners[i].id;
+      const b = face.corners[(i + 1) % face.corners.length].id;
+      const other = edges.get(`${b},${a}`);
+      if (!other || other === face || other.merged || other.shared !== face.shared) continue;
+      if (face.normal.dot(other.normal) < 1 - COPLANAR) continue;
+      merged = mergeAcross(face, i, other, positions, tolerance);
+      if (merged) {
+        face.merged = other.merged = true;
+        register(merged);
+        queue.push(merged);
+      }
+    }
+    if (!merged) result.push(face);
+  }
+  return result.filter((face) => !face.merged);
+}
+
+// Face made of `face` and `other`, which shares the edge starting at corner
+// `i` of `face`. Null when the union is not convex.
+function mergeAcross(face, i, other, positions, tolerance) {
+  const a = face.corners[i].id;
+  const m = other.corners.length;
+  const j = (other.corners.findIndex(({ id }) => id === a) + m - 1) % m;
+  // face from b round to a, then other from a round to b without both ends
+  const first = face.corners.slice(i + 1).concat(face.corners.slice(0, i + 1));
+  const second = other.corners.slice(j + 1).concat(other.corners.slice(0, j + 1));
+  let corners = first.concat(second.slice(1, -1));
+  if (new Set(corners.map(({ id }) => id)).size !== corners.length) return null;
+
+  const normal = face.normal;
+  for (let k = 0; k < corners.length && corners.length > 3; ) {
+    const prev = positions[corners[(k + corners.length - 1) % corners.length].id];
+    const next = positions[corners[(k + 1) % corners.length].id];
+    const t = turn(prev, positions[corners[k].id], next, normal);
+    if (t < -tolerance) return null;
+    if (t <= tolerance) {
+      corners = corners.slice(0, k).concat(corners.slice(k + 1));
+      k = Math.max(0, k - 1);
+    } else {
+      k++;
+    }
+  }
+  return { corners, normal, shared: face.shared };
+}
+
+// Insert into each open edge the welded vertices lying on it. Returns
+// whether any was inserted.
+function removeTJunctions(faces, positions, tolerance) {
+  const counts = new Map();
+  faces.forEach(({ corners }) => corners.forEach(({ id }, i) => {
+    const key = `${id},${corners[(i + 1) % corners.length].id}`;
+    counts.set(key, (counts.get(key) || 0) + 1);
+  }));
+  const isOpen = (a, b) => !counts.has(`${b},${a}`);
+  // Ends of the open edges, with the vertices they are linked to by one
+  const links = new Map();
+  const link = (a, b) => (links.get(a) || links.set(a, new Set()).get(a)).add(b);
+  counts.forEach((count, key) => {
+    const [a, b] = key.split(',').map(Number);
+    if (isOpen(a, b)) link(a, b) && link(b, a);
+  });
+  if (links.size === 0) return false;
+  const points = [...links.keys()];
+
+  let inserted = false;
+  const box = new THREE.Box3();
+  const closest = new THREE.Vector3();
+  faces.forEach((face) => {
+    const corners = [];
+    const own = new Set(face.corners.map(({ id }) => id));
+    face.corners.forEach((corner, i) => {
+      corners.push(corner);
+      const next = face.corners[(i + 1) % face.corners.length];
+      if (!isOpen(corner.id, next.id)) return;
+      const start = positions[corner.id];
+      const end = positions[next.id];
+      const segment = new THREE.Line3(start, end);
+      box.setFromPoints([start, end]).expandByScalar(tolerance);
+      const onEdge = [];
+      points.forEach((id) => {
+        if (own.has(id) || !box.containsPoint(positions[id])) return;
+        const t = segment.closestPointToPointParameter(positions[id], true);
+        segment.at(t, closest);
+        if (t > 0 && t < 1 && closest.distanceTo(positions[id]) <= tolerance) onEdge.push({ id, t });
+      });
+      // Only the vertices of the chain of open edges running back along
+      // this one, not those near it by chance
+      const chain = new Set([corner.id, next.id]);
+      for (let grown = true; grown; ) {
+        grown = false;
+        onEdge.forEach(({ id }) => {
+          if (!chain.has(id) && [...chain].some((end) => links.get(id).has(end))) grown = chain.add(id);
+        });
+      }
+      onEdge.filter(({ id }) => chain.has(id)).sort((p, q) => p.t - q.t).forEach(({ id, t }) => {
+        corners.push({ id, vertex: corner.vertex.interpolate(next.vertex, t) });
+        inserted = true;
+      });
+    });
+    face.corners = corners;
+  });
+  return inserted;
+}
+
+// Close each loop of open edges with a face running the other way round.
+// An edge is open as many times as it outnumbers the edge running back.
+// Loops without area are left open.
+function fillCracks(faces, positions) {
+  const counts = new Map();
+  const owners = new Map();
+  faces.forEach((face) => face.corners.forEach((corner, i) => {
+    const key = `${corner.id},${face.corners[(i + 1) % face.corners.length].id}`;
+    counts.set(key, (counts.get(key) || 0) + 1);
+    owners.set(corner.id, { vertex: corner.vertex, shared: face.shared });
+  }));
+  const next = new Map();
+  counts.forEach((count, key) => {
+    const [a, b] = key.split(',').map(Number);
+    for (let k = counts.get(`${b},${a}`) || 0; k < count; k++) {
+      if (next.has(a)) next.get(a).push(b);
+      else next.set(a, [b]);
+    }
+  });
+
+  const fill = (loop) => {
+    const corners = loop.reverse().map((id) => ({ id, vertex: owners.get(id).vertex }));
+    const normal = areaVector(corners, positions);
+    if (normal.lengthSq() > 0) faces.push({ corners, normal: normal.normalize(), shared: owners.get(loop[0]).shared });
+  };
+
+  // Walk the open edges, cutting off a loop whenever the walk comes back
+  // to a vertex it went through
+  next.forEach((_, start) => {
+    const path = [start];
+    const at = new Map([[start, 0]]);
+    for (let ends = next.get(start); ends && ends.length; ends = next.get(path[path.length - 1])) {
+      const id = ends.pop();
+      if (at.has(id)) {
+        const loop = path.splice(at.get(id) + 1);
+        loop.forEach((corner) => at.delete(corner));
+        fill([id].concat(loop));
+      } else {
+        at.set(id, path.length);
+        path.push(id);
+      }
+    }
+  });
+}
+
+// Triangles of a convex face: a fan from a corner whose neighbours are
+// corners too, or else from an added centre vertex, so that vertices lying
+// on the edges give no flat triangles.
+function triangulate(face, positions, tolerance) {
+  const { corners, normal } = face;
+  const n = corners.length;
+  const isCorner = corners.map((_, i) => Math.abs(turn(
+    positions[corners[(i + n - 1) % n].id],
+    positions[corners[i].id],
+    positions[corners[(i + 1) % n].id],
+    normal
+  )) > tolerance);
+  const apex = isCorner.findIndex((corner, i) => corner && isCorner[(i + n - 1) % n] && isCorner[(i + 1) % n]);
+
+  const triangles = [];
+  if (apex >= 0) {
+    for (let k = 1; k < n - 1; k++) {
+      triangles.push([corners[apex], corners[(apex + k) % n], corners[(apex + k + 1) % n]]);
+    }
+    return triangles;
+  }
+  const centre = new THREE.Vector3();
+  corners.forEach(({ id }) => centre.add(positions[id]));
+  centre.divideScalar(n);
+  let vertex = corners[0].vertex;
+  for (let k = 1; k < n; k++) vertex = vertex.interpolate(corners[k].vertex, 1 / (k + 1));
+  vertex.pos.x = centre.x;
+  vertex.pos.y = centre.y;
+  vertex.pos.z = centre.z;
+  const middle = { id: positions.push(centre) - 1, vertex };
+  for (let k = 0; k < n; k++) triangles.push([middle, corners[k], corners[(k + 1) % n]]);
+  return triangles;
+}
+
+function buildGeometry(faces, positions, tolerance) {
+  const position = [];
+  const normal = [];
+  const uv = [];
+  const color = [];
+  const faceId = [];
+  const vertices = new Map();
+  const groups = new Map();
+  faces.forEach(({ shared }) => groups.has(shared) || groups.set(shared, []));
+  const labels = [...groups.keys()];
+  const hasUv = faces.some(({ corners }) => corners[0].vertex.uv);
+  const hasColor = faces.some(({ corners }) => corners[0].vertex.color);
+
+  const indexOf = ({ id, vertex }, group) => {
+    const { normal: n, uv: t, color: c } = vertex;
+    const key = [group, id, n.x, n.y, n.z].concat(hasUv && t ? [t.x, t.y] : [], hasColor && c ? [c.x, c.y, c.z] : [])
+      .map((v) => +v.toFixed(6)).join(',');
+    if (!vertices.has(key)) {
+      const p = positions[id];
+      vertices.set(key, position.length / 3);
+      position.push(p.x, p.y, p.z);
+      normal.push(n.x, n.y, n.z);
+      hasUv && uv.push(t ? t.x : 0, t ? t.y : 0);
+      hasColor && color.push(c ? c.x : 0, c ? c.y : 0, c ? c.z : 0);
+      faceId.push(group);
+    }
+    return vertices.get(key);
+  };
+
+  faces.forEach((face) => {
+    const group = labels.indexOf(face.shared);
+    const indices = groups.get(face.shared);
+    triangulate(face, positions, tolerance).forEach((triangle) => {
+      triangle.forEach((corner) => indices.push(indexOf(corner, group)));
+    });
+  });
+
+  const geometry = new THREE.BufferGeometry();
+  geometry.setAttribute('position', new THREE.Float32BufferAttribute(position, 3));
+  geometry.setAttribute('normal', new THREE.Float32BufferAttribute(normal, 3));
+  hasUv && geometry.setAttribute('uv', new THREE.Float32BufferAttribute(uv, 2));
+  hasColor && geometry.setAttribute('color', new THREE.Float32BufferAttribute(color, 3));
+
+  // Labelled faces: a group, a label and a face id per label
+  const index = [];
+  const labelled = labels.some((label) => label !== undefined);
+  [...groups.values()].forEach((indices, i) => {
+    labelled && geometry.addGroup(index.length, indices.length, i);
+    for (let k = 0; k < indices.length; k++) index.push(indices[k]);
+  });
+  geometry.setIndex(index);
+  if (labelled) {
+    geometry.setAttribute('faceId', new THREE.Float32BufferAttribute(faceId, 1));
+    geometry.userData.faceLabels = labels.map((label) => (label === undefined ? null : label));
+  }
+  return geometry;
+}
+
+export { watertightGeometry, findOpenEdges, meshVolume };
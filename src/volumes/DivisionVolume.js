@@ -0,0 +1,113 @@
+/**
+ * @chitrashensah/geant4-geometry
+ * Copyright (c) 2025 Chitrashen Sah
+ * Licensed under MIT License
+ */
+
+import { ReplicaVolume } from './ReplicaVolume.js';
+import { BoxGeometry } from '../geometries/BoxGeometry.js';
+import { TubsGeometry } from '../geometries/TubsGeometry.js';
+import { kXAxis, kYAxis, kZAxis, kRho, kPhi, kCarTolerance } from '../navigation/constants.js';
+
+const BOX_HALF_LENGTHS = ['pX', 'pY', 'pZ'];
+
+/**
+ * Division of a mother volume into equal slices along an axis, the copies
+ * cut to the shape of the mother. Equivalent to Geant4's G4PVDivision.
+ *
+ * The mother is a BoxGeometry divided along kXAxis, kYAxis or kZAxis, or a
+ * TubsGeometry divided along kRho, kPhi or kZAxis. The division starts
+ * `offset` from the low edge of the mother. Give the number of divisions
+ * or their width and 0 for the other, computed from the extent of the
+ * mother, or both:
+ *
+ *   new DivisionVolume('Strip', stripLogical, sensorLogical, kXAxis, 128, 0);
+ *   new DivisionVolume('Sector', sectorLogical, barrelLogical, kPhi, 0, 15);
+ *
+ * As in Geant4 the solid of the divided volume is replaced: the copies
+ * place volumes with the material, visualisation attributes and daughters
+ * of `logicalVolume` and the slice of the mother as solid.
+ *
+ * @param {string} name
+ * @param {LogicalVolume} logicalVolume - Divided volume
+ * @param {LogicalVolume} motherLogical - Volume divided
+ * @param {number} axis
+ * @param {number} nDivisions - Number of copies, 0 to fit as many as the width allows
+ * @param {number} width - Width of a copy, in millimeters or degrees along kPhi, 0 to share the extent
+ * @param {number} [offset=0]
+ */
+class DivisionVolume extends ReplicaVolume {
+
+  constructor(name, logicalVolume, motherLogical, axis, nDivisions, width, offset = 0) {
+    if (!(motherLogical && motherLogical.isLogicalVolume)) {
+      throw new TypeError(`DivisionVolume: '${name}' must divide a LogicalVolume`);
+    }
+    const extent = divisionExtent(name, motherLogical.solid, axis);
+    if (!(offset >= 0 && offset < extent)) {
+      throw new RangeError(`DivisionVolume: invalid offset ${offset} of '${name}'`);
+    }
+    if (!(nDivisions > 0 || width > 0)) {
+      throw new RangeError(`DivisionVolume: '${name}' needs a number of divisions or a width`);
+    }
+    if (!(width > 0)) width = (extent - offset) / nDivisions;
+    if (!(nDivisions > 0)) nDivisions = Math.floor((extent - offset) / width + kCarTolerance);
+    if (offset + nDivisions * width > extent + kCarTolerance) {
+      throw new RangeError(`DivisionVolume: ${nDivisions} divisions of width ${width} of '${name}' exceed its mother`);
+    }
+
+    super(name, logicalVolume, motherLogical, axis, nDivisions, width, offset);
+    this.motherSolid = motherLogical.solid;
+    this._slice = null;
+  }
+
+  computeCopy(copyNo) {
+    const { axis, width, offset, motherSolid } = this;
+    const parameters = motherSolid.parameters;
+    if (motherSolid instanceof BoxGeometry) {
+      const half = BOX_HALF_LENGTHS[axis];
+      const translation = [0, 0, 0];
+      translation[axis] = -parameters[half] + offset + width * (copyNo + 0.5);
+      return { rotation: null, translation, solid: this.slice(() => BoxGeometry.fromJSON({ ...parameters, [half]: width / 2 })) };
+    }
+    if (axis === kRho) {
+      const rMin = parameters.pRMin + offset + width * copyNo;
+      return { rotation: null, translation: null, solid: TubsGeometry.fromJSON({ ...parameters, pRMin: rMin, pRMax: rMin + width }) };
+    }
+    if (axis === kPhi) {
+      const solid = this.slice(() => TubsGeometry.fromJSON({ ...parameters, pSPhi: parameters.pSPhi + offset, pDPhi: width }));
+      return { rotation: [0, 0, -width * copyNo], translation: null, solid };
+    }
+    return {
+      rotation: null,
+      translation: [0, 0, -parameters.pDz + offset + width * (copyNo + 0.5)],
+      solid: this.slice(() => TubsGeometry.fromJSON({ ...parameters, pDz: width / 2 })),
+    };
+  }
+
+  updateCopies() {
+    this._slice = null;
+    return super.updateCopies();
+  }
+
+  // The solid shared by all the copies, built once.
+  slice(build) {
+    if (!this._slice) this._slice = build();
+    return this._slice;
+  }
+}
+
+// Length, or angle along kPhi, of the mother along the axis of division.
+function divisionExtent(name, solid, axis) {
+  const parameters = solid.parameters;
+  if (solid instanceof BoxGeometry && [kXAxis, kYAxis, kZAxis].includes(axis)) {
+    return 2 * parameters[BOX_HALF_LENGTHS[axis]];
+  }
+  if (solid instanceof TubsGeometry) {
+    if (axis === kRho) return parameters.pRMax - parameters.pRMin;
+    if (axis === kPhi) return parameters.pDPhi;
+    if (axis === kZAxis) return 2 * parameters.pDz;
+  }
+  throw new RangeError(`DivisionVolume: cannot divide the ${solid.type} of '${name}' along axis ${axis}`);
+}
+
+export { DivisionVolume };
@@ -0,0 +1,154 @@
+/**
+ * @chitrashensah/geant4-geometry
+ * Copyright (c) 2025 Chitrashen Sah
+ * Licensed under MIT License
+ */
+
+import { Material } from '../materials/Material.js';
+import { findNistMaterial } from '../materials/nist.js';
+import { findOpenEdges, meshVolume } from '../utils/watertight.js';
+
+// Grams in a cubic millimeter of a density of 1 g/cm3
+const G_PER_CM3 = 1e-3;
+
+/**
+ * A solid with its material, visualisation attributes and the placements of
+ * its daughters. Equivalent to Geant4's G4LogicalVolume.
+ *
+ * The material is kept as given, a Material or a name (`'G4_AIR'`). The
+ * visualisation attributes play the role of G4VisAttributes: `color`,
+ * `opacity`, `visible` and `wireframe`.
+ *
+ * @param {THREE.BufferGeometry} solid - Shape of the volume
+ * @param {*} [material=null] - Material of the volume
+ * @param {string} [name='']
+ * @param {Object} [visAttributes={}]
+ */
+class LogicalVolume {
+
+  constructor(solid, material = null, name = '', visAttributes = {}) {
+    if (!(solid && solid.isBufferGeometry)) {
+      throw new TypeError(`LogicalVolume: solid of '${name}' must be a BufferGeometry`);
+    }
+
+    this.isLogicalVolume = true;
+    this.name = name;
+    this.solid = solid;
+    this.material = material;
+    this.visAttributes = { ...visAttributes };
+    this.daughters = [];
+  }
+
+  /**
+   * Add a placement inside this volume. PhysicalVolume does it when given
+   * its mother.
+   *
+   * @param {PhysicalVolume} daughter
+   * @returns {this}
+   */
+  addDaughter(daughter) {
+    if (daughter.logicalVolume === this || daughter.logicalVolume.contains(this)) {
+      throw new Error(`LogicalVolume: placing '${daughter.name}' in '${this.name}' makes '${this.name}' contain itself`);
+    }
+    daughter.motherLogical = this;
+    this.daughters.push(daughter);
+    return this;
+  }
+
+  /**
+   * @param {PhysicalVolume} daughter
+   * @returns {this}
+   */
+  removeDaughter(daughter) {
+    const index = this.daughters.indexOf(daughter);
+    if (index !== -1) {
+      this.daughters.splice(index, 1);
+      daughter.motherLogical = null;
+    }
+    return this;
+  }
+
+  /**
+   * The placements of the daughters, with the copies of replicated
+   * daughters (ReplicaVolume and its subclasses) in their place.
+   *
+   * @returns {PhysicalVolume[]}
+   */
+  getPlacements() {
+    return this.daughters.flatMap((daughter) => (daughter.isReplicated ? daughter.getCopies() : daughter));
+  }
+
+  /**
+   * Whether `volume` is placed somewhere below this volume.
+   *
+   * @param {LogicalVolume} volume
+   * @returns {boolean}
+   */
+  contains(volume) {
+    return this.daughters.some((daughter) => daughter.logicalVolume === volume || daughter.logicalVolume.contains(volume));
+  }
+
+  /**
+   * The Material of the volume: the material itself, or the NIST material
+   * of that name. Null for other materials.
+   *
+   * @returns {Material|null}
+   */
+  resolveMaterial() {
+    if (this.material instanceof Material) return this.material;
+    return findNistMaterial(this.material);
+  }
+
+  /**
+   * Mass of the volume and everything placed in it, in grams, as
+   * G4LogicalVolume::GetMass(): the solid filled with the material, minus
+   * the material displaced by the daughters, plus their own mass. Solids
+   * without a closed-form volume are estimated by Monte Carlo, and plain
+   * BufferGeometry solids take the volume their closed mesh encloses.
+   *
+   *   world.logicalVolume.getMass((material) => materials.get(material).density);
+   *
+   * @param {function(*): number} [density] - Density in g/cm3 of a material; by default its `density`
+   *   property, or that of the NIST material of that name
+   * @returns {number}
+   */
+  getMass(density = defaultDensity) {
+    return treeMass(this, density, new Map());
+  }
+}
+
+function defaultDensity(material) {
+  if (typeof material === 'string') {
+    const nist = findNistMaterial(material);
+    return nist ? nist.density : undefined;
+  }
+  return material && material.density;
+}
+
+function treeMass(logical, density, masses) {
+  if (masses.has(logical)) return masses.get(logical);
+  const rho = density(logical.material);
+  if (!Number.isFinite(rho)) {
+    const material = logical.material && typeof logical.material === 'object' ? logical.material.name : logical.material;
+    throw new Error(`LogicalVolume: no density for material '${material}' of '${logical.name}'`);
+  }
+  let mass = solidMass(logical, rho);
+  logical.getPlacements().forEach((daughter) => {
+    mass += treeMass(daughter.logicalVolume, density, masses) - solidMass(daughter.logicalVolume, rho);
+  });
+  masses.set(logical, mass);
+  return mass;
+}
+
+// Mass of the solid of `logical` filled at `rho` g/cm3. Geometries other
+// than solids are measured by their mesh, which must then be closed.
+function solidMass(logical, rho) {
+  const solid = logical.solid;
+  if (typeof solid.getMass === 'function') return solid.getMass(rho);
+  if (!solid.attributes.position || findOpenEdges(solid).length > 0) {
+    throw new Error(`LogicalVolume: the ${solid.type} of '${logical.name}' is not a closed mesh and has no volume`);
+  }
+  return Math.abs(meshVolume(solid)) * rho * G_PER_CM3;
+}
+
+export { LogicalVolume };
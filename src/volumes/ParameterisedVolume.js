@@ -0,0 +1,48 @@
+/**
+ * @chitrashensah/geant4-geometry
+ * Copyright (c) 2025 Chitrashen Sah
+ * Licensed under MIT License
+ */
+
+import { ReplicaVolume } from './ReplicaVolume.js';
+import { kUndefined } from '../navigation/constants.js';
+
+/**
+ * `nReplicas` copies of a logical volume placed by a function of the copy
+ * number, the role of G4VPVParameterisation in Geant4's
+ * G4PVParameterised. The function returns the frame `rotation` in degrees
+ * and `translation` of the copy in the mother, and optionally its own
+ * `solid`, `color` and `material`:
+ *
+ *   new ParameterisedVolume('Crystal', crystalLogical, ringLogical, 360, (copyNo) => ({
+ *     rotation: [0, 0, -copyNo],
+ *     translation: [500 * Math.cos((copyNo * Math.PI) / 180), 500 * Math.sin((copyNo * Math.PI) / 180), 0],
+ *     color: copyNo % 2 ? 0xff8800 : 0x0088ff,
+ *   }));
+ *
+ * Copies sharing a solid are drawn by one THREE.InstancedMesh, each with
+ * its colour.
+ *
+ * @param {string} name
+ * @param {LogicalVolume} logicalVolume - Placed volume
+ * @param {LogicalVolume|null} motherLogical
+ * @param {number} nReplicas - Number of copies
+ * @param {function(number): Object} parameterisation - Placement of a copy from its number
+ */
+class ParameterisedVolume extends ReplicaVolume {
+
+  constructor(name, logicalVolume, motherLogical, nReplicas, parameterisation) {
+    if (typeof parameterisation !== 'function') {
+      throw new TypeError(`ParameterisedVolume: the parameterisation of '${name}' must be a function`);
+    }
+    super(name, logicalVolume, motherLogical, kUndefined, nReplicas, 0, 0);
+    this.parameterisation = parameterisation;
+  }
+
+  computeCopy(copyNo) {
+    const { rotation = null, translation = null, solid, color, material } = this.parameterisation(copyNo) || {};
+    return { rotation, translation, solid, color, material };
+  }
+}
+
+export { ParameterisedVolume };
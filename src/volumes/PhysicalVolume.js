@@ -0,0 +1,270 @@
+/**
+ * @chitrashensah/geant4-geometry
+ * Copyright (c) 2025 Chitrashen Sah
+ * Licensed under MIT License
+ */
+
+import * as THREE from 'three';
+import { LogicalVolume } from './LogicalVolume.js';
+import { degToRad } from '../utils/angles.js';
+import { placementMatrix, placementOf } from '../utils/placement.js';
+import { childPlacements } from '../utils/instances.js';
+import { placeReflected } from './placeReflected.js';
+
+const RAD_TO_DEG = 180 / Math.PI;
+const SCALE_TOLERANCE = 1e-9;
+
+/**
+ * Placement of a logical volume inside its mother, with a copy number.
+ * Equivalent to Geant4's G4PVPlacement.
+ *
+ * As for the G4PVPlacement constructor taking a G4RotationMatrix,
+ * `rotation` rotates the frame of the placed volume: the angles (in
+ * degrees) are applied about x, then y, then z, and the volume is turned by
+ * the inverse. The world volume is a placement without mother.
+ *
+ *   const world = new PhysicalVolume(null, null, worldLogical, 'World');
+ *   new PhysicalVolume([90, 0, 0], [0, 0, 50], tubeLogical, 'Tube', worldLogical, 1);
+ *
+ * @param {number[]|null} rotation - Frame rotation in degrees, null for none
+ * @param {number[]|THREE.Vector3|null} translation - Position in the mother in millimeters
+ * @param {LogicalVolume} logicalVolume - Placed volume
+ * @param {string} [name='']
+ * @param {LogicalVolume|null} [motherLogical=null] - Mother volume, null for the world
+ * @param {number} [copyNumber=0]
+ */
+class PhysicalVolume {
+
+  constructor(rotation, translation, logicalVolume, name = '', motherLogical = null, copyNumber = 0) {
+    if (!(logicalVolume && logicalVolume.isLogicalVolume)) {
+      throw new TypeError(`PhysicalVolume: '${name}' must place a LogicalVolume`);
+    }
+
+    this.isPhysicalVolume = true;
+    this.name = name;
+    this.logicalVolume = logicalVolume;
+    this.motherLogical = null;
+    this.copyNumber = copyNumber;
+    this.rotation = rotation ? rotation.slice(0, 3) : [0, 0, 0];
+    this.translation = toArray(translation || [0, 0, 0]);
+    this.updateMatrix();
+
+    if (motherLogical) motherLogical.addDaughter(this);
+  }
+
+  /**
+   * Recompute `matrix`, from the placed volume to its mother, and its
+   * inverse after changing `rotation` or `translation`.
+   *
+   * @returns {this}
+   */
+  updateMatrix() {
+    this.matrix = placementMatrix({ position: this.translation, rotation: this.rotation.map(degToRad) });
+    this.matrixInverse = this.matrix.clone().invert();
+    return this;
+  }
+
+  /**
+   * Build the volume tree as Three.js objects: a THREE.Mesh per placement
+   * with the daughters as children, sharing one material per logical
+   * volume. Its colour comes from the Material, or NIST material, of the
+   * volume and is changed by the visualisation attributes.
+   *
+   * Replicated daughters (ReplicaVolume and its subclasses) become a
+   * THREE.Group holding a THREE.InstancedMesh per solid of their copies,
+   * with the copy numbers in `userData.copyNumbers` and the colours of
+   * copies with their own as instance colours. The volumes placed in the
+   * copies are InstancedMesh children of it, drawn in every copy, with the
+   * instance of their copy in `userData.parentInstances`.
+   *
+   * @returns {THREE.Mesh}
+   */
+  toObject3D() {
+    return toMesh(this, new Map());
+  }
+
+  /**
+   * Copy number of the volume hit by a raycast on a tree built by
+   * toObject3D(): that of the instance hit for the copies of replicated
+   * volumes.
+   *
+   *   const [hit] = raycaster.intersectObject(detector, true);
+   *   if (hit) console.log(hit.object.name, PhysicalVolume.copyNumberOf(hit));
+   *
+   * @param {{object: THREE.Object3D, instanceId?: number}} intersection
+   * @returns {number}
+   */
+  static copyNumberOf({ object, instanceId }) {
+    const copyNumbers = object.userData.copyNumbers;
+    if (copyNumbers && instanceId !== undefined) return copyNumbers[instanceId];
+    return object.userData.copyNumber || 0;
+  }
+
+  /**
+   * Volume tree of a THREE.Mesh hierarchy as built by GDMLLoader and
+   * TextGeometryLoader: each mesh is a placement of its geometry, meshes
+   * with the same geometry, material and `userData.logicalVolume` share a
+   * logical volume. The material is `userData.material` or the name of the
+   * mesh material. Children of groups (GDML assemblies) are placed directly
+   * in the enclosing mesh, as Geant4 does with an assembly imprint. Each
+   * instance of a THREE.InstancedMesh is a placement of its own. Mirrored
+   * meshes (a negative scale, as from a GDML `<scale>`) are placed with
+   * placeReflected().
+   *
+   * @param {THREE.Mesh} object - World volume
+   * @returns {PhysicalVolume}
+   */
+  static fromObject3D(object) {
+    if (!object.isMesh) throw new TypeError(`PhysicalVolume: '${object.name}' is not a THREE.Mesh`);
+    object.updateMatrix();
+    return fromMesh(object, object.matrix, null, new Map(), object.userData.copyNumber || 0, -1);
+  }
+}
+
+function toArray(vector) {
+  return Array.isArray(vector) ? vector.slice(0, 3) : [vector.x, vector.y, vector.z];
+}
+
+function materialName(material) {
+  return material && typeof material === 'object' ? material.name : material;
+}
+
+// The appearance of the material, changed by the visualisation attributes.
+function threeMaterial(logical) {
+  const source = logical.resolveMaterial();
+  const material = source ? source.toThreeMaterial() : new THREE.MeshStandardMaterial({ color: 0x808080 });
+  const { color, opacity, visible, wireframe } = logical.visAttributes;
+  if (color !== undefined) material.color.set(color);
+  if (opacity !== undefined) {
+    material.opacity = opacity;
+    material.transparent = opacity < 1;
+    material.depthWrite = opacity === 1;
+  }
+  if (visible !== undefined) material.visible = visible;
+  if (wireframe !== undefined) material.wireframe = wireframe;
+  material.name = materialName(logical.material) || '';
+  return material;
+}
+
+function toMesh(physical, materials) {
+  const logical = physical.logicalVolume;
+  if (!materials.has(logical)) materials.set(logical, threeMaterial(logical));
+
+  const object = new THREE.Mesh(logical.solid, materials.get(logical));
+  object.name = physical.name;
+  object.userData.logicalVolume = logical.name;
+  object.userData.material = materialName(logical.material);
+  object.userData.copyNumber = physical.copyNumber;
+  physical.matrix.decompose(object.position, object.quaternion, object.scale);
+  logical.daughters.forEach((daughter) => object.add(daughter.isReplicated ? toInstances(daughter, materials) : toMesh(daughter, materials)));
+  return object;
+}
+
+function toInstances(replica, materials) {
+  const group = new THREE.Group();
+  group.name = replica.name;
+  addInstances(group, replica.getCopies().map((copy) => ({ volume: copy, matrix: copy.matrix, parent: -1 })), materials);
+  return group;
+}
+
+// Add to `parent` an InstancedMesh per solid and look of the `placements`
+// ({ volume, matrix, parent }, matrices in the frame of the group), then
+// the volumes placed in them as InstancedMesh children.
+function addInstances(parent, placements, materials) {
+  const batches = [];
+  placements.forEach((placement) => {
+    const logical = placement.volume.logicalVolume;
+    const batch = batches.find(({ template }) => template.solid === logical.solid && sameLook(template, logical));
+    if (batch) batch.placements.push(placement);
+    else batches.push({ template: logical, placements: [placement] });
+  });
+
+  batches.forEach(({ template, placements: batch }) => {
+    if (!materials.has(template)) materials.set(template, threeMaterial(template));
+    let material = materials.get(template);
+    const colored = batch.some(({ volume }) => volume.logicalVolume.visAttributes.color !== template.visAttributes.color);
+    if (colored) {
+      // Instance colours multiply the colour of the material
+      material = material.clone();
+      material.color.set(0xffffff);
+    }
+
+    const mesh = new THREE.InstancedMesh(template.solid, material, batch.length);
+    mesh.name = batch[0].volume.name;
+    mesh.userData.logicalVolume = template.name;
+    mesh.userData.material = materialName(template.material);
+    mesh.userData.copyNumbers = Int32Array.from(batch, ({ volume }) => volume.copyNumber);
+    if (batch[0].parent >= 0) mesh.userData.parentInstances = Int32Array.from(batch, ({ parent }) => parent);
+
+    const baseColor = materials.get(template).color;
+    const color = new THREE.Color();
+    const content = [];
+    batch.forEach(({ volume, matrix }, i) => {
+      mesh.setMatrixAt(i, matrix);
+      if (colored) {
+        const own = volume.logicalVolume.visAttributes.color;
+        mesh.setColorAt(i, own === undefined ? baseColor : color.set(own));
+      }
+      volume.logicalVolume.getPlacements().forEach((daughter) => {
+        content.push({ volume: daughter, matrix: matrix.clone().multiply(daughter.matrix), parent: i });
+      });
+    });
+    if (content.length) addInstances(mesh, content, materials);
+    parent.add(mesh);
+  });
+}
+
+// Whether two logical volumes can be drawn with one material, up to the
+// colour.
+function sameLook(a, b) {
+  return a.material === b.material && ['opacity', 'visible', 'wireframe'].every((key) => a.visAttributes[key] === b.visAttributes[key]);
+}
+
+function fromMesh(mesh, matrix, mother, logicals, copyNumber, instance) {
+  const { position, rotation, scale } = placementOf(matrix);
+  if (scale.some((s) => Math.abs(Math.abs(s) - 1) > SCALE_TOLERANCE)) {
+    throw new RangeError(`PhysicalVolume: scaled placement of '${mesh.name}' is not supported`);
+  }
+
+  const volumeName = mesh.userData.logicalVolume || mesh.name;
+  const material = mesh.userData.material ?? (mesh.material && mesh.material.name);
+  const key = `${mesh.geometry.uuid}/${material}/${volumeName}`;
+  let logical = logicals.get(key);
+  const placedBefore = logical !== undefined;
+  if (!placedBefore) {
+    logical = new LogicalVolume(mesh.geometry, material, volumeName, visAttributes(mesh.material));
+    logicals.set(key, logical);
+  }
+
+  if (scale.some((s) => s < 0)) {
+    // The reflected volume copies the daughters there are when it is made
+    if (!placedBefore) addDaughters(mesh, new THREE.Matrix4(), logical, logicals, instance);
+    return placeReflected(matrix, mesh.name, logical, mother, copyNumber);
+  }
+  const angles = rotation.map((angle) => angle * RAD_TO_DEG);
+  const physical = new PhysicalVolume(angles, position, logical, mesh.name, mother, copyNumber);
+  if (!placedBefore) addDaughters(mesh, new THREE.Matrix4(), logical, logicals, instance);
+  return physical;
+}
+
+// Place the children of `object`, a mesh (or its instance `instance`) or
+// an assembly at `matrix` in it.
+function addDaughters(object, matrix, mother, logicals, instance = -1) {
+  childPlacements(object, instance).forEach((placement) => {
+    const childMatrix = matrix.clone().multiply(placement.matrix);
+    if (placement.object.isMesh) {
+      fromMesh(placement.object, childMatrix, mother, logicals, placement.copyNumber, placement.instance);
+    } else {
+      addDaughters(placement.object, childMatrix, mother, logicals);
+    }
+  });
+}
+
+function visAttributes(material) {
+  if (!material || Array.isArray(material)) return {};
+  const attributes = { visible: material.visible, wireframe: !!material.wireframe, opacity: material.opacity };
+  if (material.color) attributes.color = material.color.getHex();
+  return attributes;
+}
+
+export { PhysicalVolume };
@@ -0,0 +1,149 @@
+/**
+ * @chitrashensah/geant4-geometry
+ * Copyright (c) 2025 Chitrashen Sah
+ * Licensed under MIT License
+ */
+
+import * as THREE from 'three';
+import { LogicalVolume } from './LogicalVolume.js';
+import { PhysicalVolume } from './PhysicalVolume.js';
+import { TubsGeometry } from '../geometries/TubsGeometry.js';
+import { kXAxis, kYAxis, kZAxis, kRho, kPhi } from '../navigation/constants.js';
+
+const REPLICA_AXES = [kXAxis, kYAxis, kZAxis, kRho, kPhi];
+
+/**
+ * `nReplicas` copies of a logical volume side by side along an axis,
+ * filling their mother. Equivalent to Geant4's G4PVReplica.
+ *
+ * As in Geant4, copy `i` is placed
+ * - along kXAxis, kYAxis or kZAxis at `-width * (nReplicas - 1) / 2 + width * i`
+ *   (the offset is not used),
+ * - along kPhi turned about z by `offset + width * (i + 0.5)` degrees, the
+ *   replicated solid being a phi segment centred on phi = 0,
+ * - along kRho in place, as a ring from `offset + width * i` to
+ *   `offset + width * (i + 1)` cut from the replicated TubsGeometry.
+ *
+ *   const layers = new ReplicaVolume('Layer', layerLogical, stackLogical, kZAxis, 50, 4);
+ *
+ * The copies are PhysicalVolume placements numbered from 0 (see
+ * getCopies()); the navigator and the mass see them as daughters of the
+ * mother, and toObject3D() draws them as THREE.InstancedMesh objects.
+ * The mother should have no other daughter.
+ *
+ * @param {string} name
+ * @param {LogicalVolume} logicalVolume - Replicated volume
+ * @param {LogicalVolume|null} motherLogical - Volume filled by the copies
+ * @param {number} axis - kXAxis, kYAxis, kZAxis, kRho or kPhi
+ * @param {number} nReplicas - Number of copies
+ * @param {number} width - Width of a copy, in millimeters, or degrees along kPhi
+ * @param {number} [offset=0] - Start of the first copy along kRho and kPhi
+ */
+class ReplicaVolume {
+
+  constructor(name, logicalVolume, motherLogical, axis, nReplicas, width, offset = 0) {
+    const type = new.target.name;
+    if (!(logicalVolume && logicalVolume.isLogicalVolume)) {
+      throw new TypeError(`${type}: '${name}' must replicate a LogicalVolume`);
+    }
+    if (!(Number.isInteger(nReplicas) && nReplicas > 0)) {
+      throw new RangeError(`${type}: invalid number of copies ${nReplicas} of '${name}'`);
+    }
+    if (new.target === ReplicaVolume) {
+      if (!REPLICA_AXES.includes(axis)) throw new RangeError(`ReplicaVolume: invalid axis ${axis} of '${name}'`);
+      if (!(width > 0)) throw new RangeError(`ReplicaVolume: invalid width ${width} of '${name}'`);
+      if (axis === kRho && !(logicalVolume.solid instanceof TubsGeometry)) {
+        throw new TypeError(`ReplicaVolume: '${name}' along kRho must replicate a TubsGeometry`);
+      }
+    }
+
+    this.isPhysicalVolume = true;
+    this.isReplicated = true;
+    this.name = name;
+    this.logicalVolume = logicalVolume;
+    this.motherLogical = null;
+    this.copyNumber = 0;
+    this.axis = axis;
+    this.nReplicas = nReplicas;
+    this.width = width;
+    this.offset = offset;
+    // The copies carry their own placement, the replica sits in the frame
+    // of its mother
+    this.matrix = new THREE.Matrix4();
+    this.matrixInverse = new THREE.Matrix4();
+    this._copies = null;
+
+    if (motherLogical) motherLogical.addDaughter(this);
+  }
+
+  /**
+   * Placement of copy `copyNo`: its frame `rotation` in degrees and
+   * `translation` in the mother, and the `solid`, `color` or `material`
+   * of the copy when they differ from the replicated volume.
+   *
+   * @param {number} copyNo
+   * @returns {{rotation: number[]|null, translation: number[]|null, solid?: THREE.BufferGeometry, color?: *, material?: *}}
+   */
+  computeCopy(copyNo) {
+    const { axis, nReplicas, width, offset } = this;
+    if (axis === kPhi) return { rotation: [0, 0, -(offset + width * (copyNo + 0.5))], translation: null };
+    if (axis === kRho) {
+      const rMin = offset + width * copyNo;
+      const solid = TubsGeometry.fromJSON({ ...this.logicalVolume.solid.parameters, pRMin: rMin, pRMax: rMin + width });
+      return { rotation: null, translation: null, solid };
+    }
+    const translation = [0, 0, 0];
+    translation[axis] = -width * 0.5 * (nReplicas - 1) + width * copyNo;
+    return { rotation: null, translation };
+  }
+
+  /**
+   * The copies as PhysicalVolume placements in the mother, numbered from
+   * 0 and built once; call updateCopies() after changing the replica.
+   * Copies with their own solid, colour or material place a logical volume
+   * of their own, sharing the daughters of the replicated one.
+   *
+   * @returns {PhysicalVolume[]}
+   */
+  getCopies() {
+    if (!this._copies) {
+      const logicals = new Map();
+      this._copies = Array.from({ length: this.nReplicas }, (_, copyNo) => {
+        const { rotation = null, translation = null, solid, color, material } = this.computeCopy(copyNo);
+        const logical = this.copyLogical(solid, color, material, logicals);
+        const copy = new PhysicalVolume(rotation, translation, logical, this.name, null, copyNo);
+        copy.motherLogical = this.motherLogical;
+        copy.replica = this;
+        return copy;
+      });
+    }
+    return this._copies;
+  }
+
+  /**
+   * Forget the copies, to build them again from the current parameters.
+   *
+   * @returns {this}
+   */
+  updateCopies() {
+    this._copies = null;
+    return this;
+  }
+
+  // Logical volume of a copy, shared by the copies with the same solid
+  // and the look of the replicated volume.
+  copyLogical(solid, color, material, logicals) {
+    const base = this.logicalVolume;
+    if ((solid === undefined || solid === base.solid) && color === undefined && material === undefined) return base;
+    const shared = color === undefined && material === undefined;
+    if (shared && logicals.has(solid)) return logicals.get(solid);
+
+    const visAttributes = color === undefined ? base.visAttributes : { ...base.visAttributes, color };
+    const logical = new LogicalVolume(solid ?? base.solid, material ?? base.material, base.name, visAttributes);
+    logical.daughters = base.daughters;
+    if (shared) logicals.set(solid, logical);
+    return logical;
+  }
+}
+
+export { ReplicaVolume };
@@ -0,0 +1,237 @@
+/**
+ * @chitrashensah/geant4-geometry
+ * Copyright (c) 2025 Chitrashen Sah
+ * Licensed under MIT License
+ */
+
+import * as THREE from 'three';
+import { SolidGeometry } from '../geometries/SolidGeometry.js';
+import { PhysicalVolume } from './PhysicalVolume.js';
+import { kInside, kOutside, kSurface, kCarTolerance } from '../navigation/constants.js';
+import { createRandom } from '../utils/random.js';
+import { trianglesOf, meshSurfaceSampler } from '../utils/sampling.js';
+
+/**
+ * Look for daughters overlapping their siblings or sticking out of their
+ * mother, as G4PVPlacement::CheckOverlaps() does for each placement:
+ * `resolution` points are sampled on the surface of every daughter and
+ * tested against the mother and the other daughters. A point outside the
+ * mother is an extrusion, a point inside a sibling an overlap; so is a
+ * sibling lying wholly inside the daughter.
+ *
+ *   const issues = checkOverlaps(world, { resolution: 2000, tolerance: 0.01 });
+ *   issues.forEach(({ kind, volume, other, depth }) => console.log(kind, volume.name, other?.name, depth));
+ *
+ * The points come from getPointOnSurface() for solids of this library and
+ * are spread over the mesh of other geometries; the inside tests and
+ * depths use the navigation queries of the solids, or the triangle mesh for
+ * other geometries.
+ *
+ * Each logical volume is checked once. Replicated daughters
+ * (ReplicaVolume and its subclasses) fill their mother by construction and
+ * are not checked, as in Geant4; the volumes placed in them are. An issue gives its `kind`
+ * ('overlap' or 'extrusion'), the daughter `volume`, the sibling `other`
+ * (null for an extrusion), the `mother` logical volume, the largest
+ * `depth` found in millimeters, the number of offending samples `count`
+ * and up to `maxPoints` of them as `points`, in world coordinates through
+ * the first placement of the mother. An overlap found from both siblings
+ * is reported once, with `volume` the one placed first in the mother.
+ * Issues are sorted deepest first.
+ *
+ * @param {PhysicalVolume|LogicalVolume|THREE.Object3D} volumeTree - World volume, or a mesh tree from the loaders
+ * @param {Object} [options]
+ * @param {number} [options.resolution=1000] - Points sampled on each daughter
+ * @param {number} [options.tolerance=0] - Depths up to this are accepted, in millimeters
+ * @param {number} [options.maxPoints=10] - Points kept per issue
+ * @param {number} [options.seed=1] - Seed of the sampling
+ * @returns {Array<{kind: string, volume: PhysicalVolume, other: PhysicalVolume|null, mother: LogicalVolume, depth: number, count: number, points: THREE.Vector3[]}>}
+ */
+function checkOverlaps(volumeTree, { resolution = 1000, tolerance = 0, maxPoints = 10, seed = 1 } = {}) {
+  if (!(Number.isInteger(resolution) && resolution > 0)) {
+    throw new RangeError(`checkOverlaps: invalid resolution = ${resolution}`);
+  }
+  if (!(tolerance >= 0)) throw new RangeError(`checkOverlaps: invalid tolerance = ${tolerance}`);
+
+  const world = worldOf(volumeTree);
+  const random = createRandom(seed);
+  const queries = new Map();
+  const queriesOf = (logical) => {
+    if (!queries.has(logical)) queries.set(logical, solidQueries(logical.solid));
+    return queries.get(logical);
+  };
+  const samplers = new Map();
+  const surfacePoints = (logical, count) => {
+    if (!samplers.has(logical)) samplers.set(logical, surfaceSampler(logical.solid));
+    return samplers.get(logical)(count, random);
+  };
+
+  const issues = [];
+  const visited = new Set();
+  const visit = (logical, matrixWorld) => {
+    if (visited.has(logical)) return;
+    visited.add(logical);
+    checkDaughters(logical, matrixWorld);
+    logical.daughters.forEach((daughter) => {
+      const placement = daughter.isReplicated ? daughter.getCopies()[0] : daughter;
+      visit(placement.logicalVolume, matrixWorld.clone().multiply(placement.matrix));
+    });
+  };
+
+  const checkDaughters = (mother, matrixWorld) => {
+    const placements = mother.daughters.filter((daughter) => !daughter.isReplicated);
+    const found = new Map();
+    const report = (kind, volume, other, depth, point) => {
+      if (!(depth > tolerance)) return;
+      const key = `${placements.indexOf(volume)}/${other ? placements.indexOf(other) : 'mother'}`;
+      let issue = found.get(key);
+      if (!issue) {
+        issue = { kind, volume, other, mother, depth: 0, count: 0, points: [] };
+        found.set(key, issue);
+      }
+      issue.depth = Math.max(issue.depth, depth);
+      issue.count++;
+      if (issue.points.length < maxPoints) issue.points.push(point.clone().applyMatrix4(matrixWorld));
+    };
+
+    const motherSolid = queriesOf(mother);
+    const local = new THREE.Vector3();
+    placements.forEach((daughter) => {
+      const siblings = placements.filter((sibling) => sibling !== daughter);
+      surfacePoints(daughter.logicalVolume, resolution).forEach((point) => {
+        // In the frame of the mother
+        const p = point.clone().applyMatrix4(daughter.matrix);
+        if (motherSolid.inside(p) === kOutside) report('extrusion', daughter, null, motherSolid.distanceToIn(p), p);
+
+        siblings.forEach((sibling) => {
+          const solid = queriesOf(sibling.logicalVolume);
+          local.copy(p).applyMatrix4(sibling.matrixInverse);
+          if (solid.inside(local) === kInside) report('overlap', daughter, sibling, solid.distanceToOut(local), p);
+        });
+      });
+
+      // A sibling wholly inside the daughter has no surface point in it:
+      // test one of its points
+      const solid = queriesOf(daughter.logicalVolume);
+      siblings.forEach((sibling) => {
+        const [point] = surfacePoints(sibling.logicalVolume, 1);
+        if (!point) return;
+        const p = point.applyMatrix4(sibling.matrix);
+        local.copy(p).applyMatrix4(daughter.matrixInverse);
+        if (solid.inside(local) === kInside) report('overlap', daughter, sibling, solid.distanceToOut(local), p);
+      });
+    });
+
+    // Each pair once, as the daughter placed first and the later one: an
+    // overlap found from both sides keeps the larger depth, and the points
+    // of the deeper side first
+    const pairs = new Map();
+    found.forEach((issue) => {
+      if (issue.kind === 'extrusion') {
+        issues.push(issue);
+        return;
+      }
+      const [first, second] = [issue.volume, issue.other].sort((a, b) => placements.indexOf(a) - placements.indexOf(b));
+      const key = `${placements.indexOf(first)}/${placements.indexOf(second)}`;
+      const other = pairs.get(key);
+      if (!other) {
+        pairs.set(key, { ...issue, volume: first, other: second });
+      } else {
+        const [deeper, shallower] = issue.depth > other.depth ? [issue, other] : [other, issue];
+        other.depth = deeper.depth;
+        other.count += issue.count;
+        other.points = deeper.points.concat(shallower.points).slice(0, maxPoints);
+      }
+    });
+    issues.push(...pairs.values());
+  };
+
+  visit(world.logicalVolume, world.matrix.clone());
+  return issues.sort((a, b) => b.depth - a.depth);
+}
+
+function worldOf(volumeTree) {
+  if (volumeTree?.isPhysicalVolume) return volumeTree;
+  if (volumeTree?.isLogicalVolume) return new PhysicalVolume(null, null, volumeTree, volumeTree.name);
+  if (volumeTree?.isObject3D) {
+    const mesh = volumeTree.isMesh ? volumeTree : volumeTree.children.find((child) => child.isMesh);
+    if (mesh) return PhysicalVolume.fromObject3D(mesh);
+  }
+  throw new TypeError('checkOverlaps: expected a PhysicalVolume, a LogicalVolume or a THREE.Mesh tree');
+}
+
+/**
+ * Inside tests and safety distances of a geometry: its own for solids of
+ * this library, from its triangle mesh otherwise.
+ */
+function solidQueries(geometry) {
+  if (geometry instanceof SolidGeometry) {
+    try {
+      geometry.getRegion();
+      return geometry;
+    } catch (error) {
+      // Booleans of other geometries have no region
+      if (!(error instanceof TypeError)) throw error;
+    }
+  }
+  return meshQueries(geometry);
+}
+
+// Directions of the rays counting crossings of the mesh, away from the axes
+// so that they rarely graze an edge
+const RAY_DIRECTIONS = [new THREE.Vector3(0.5257, 0.3089, 0.7926).normalize(), new THREE.Vector3(-0.6171, 0.7071, -0.3453).normalize()];
+
+// Queries of a closed triangle mesh: inside by the parity of the crossings
+// of two rays, safety as the distance to the nearest triangle.
+function meshQueries(geometry) {
+  const triangles = trianglesOf(geometry);
+  const box = new THREE.Box3();
+  triangles.forEach((triangle) => box.expandByPoint(triangle.a).expandByPoint(triangle.b).expandByPoint(triangle.c));
+  const ray = new THREE.Ray();
+  const hit = new THREE.Vector3();
+  const closest = new THREE.Vector3();
+
+  const distance = (p) => {
+    let smallest = Infinity;
+    triangles.forEach((triangle) => {
+      smallest = Math.min(smallest, triangle.closestPointToPoint(p, closest).distanceTo(p));
+    });
+    return smallest;
+  };
+  const crossings = (p, direction) => {
+    ray.set(p, direction);
+    return triangles.filter((triangle) => ray.intersectTriangle(triangle.a, triangle.b, triangle.c, false, hit)).length;
+  };
+
+  return {
+    inside(p) {
+      if (!box.containsPoint(p) && box.distanceToPoint(p) > 0.5 * kCarTolerance) return kOutside;
+      if (distance(p) <= 0.5 * kCarTolerance) return kSurface;
+      const odd = RAY_DIRECTIONS.filter((direction) => crossings(p, direction) % 2 === 1).length;
+      return odd === RAY_DIRECTIONS.length ? kInside : kOutside;
+    },
+    distanceToIn: distance,
+    distanceToOut: distance,
+  };
+}
+
+/**
+ * Sampler of points on the surface of a geometry: getPointOnSurface() for
+ * solids of this library, points spread over the mesh otherwise.
+ */
+function surfaceSampler(geometry) {
+  if (solidQueries(geometry) === geometry) {
+    return (count, random) => Array.from({ length: count }, () => geometry.getPointOnSurface(random));
+  }
+  const sample = meshSurfaceSampler(geometry);
+  return (count, random) => {
+    const points = [];
+    for (let i = 0; i < count; i++) {
+      const point = new THREE.Vector3();
+      if (!sample(random, point)) break;
+      points.push(point);
+    }
+    return points;
+  };
+}
+
+export { checkOverlaps };
@@ -0,0 +1,89 @@
+/**
+ * @chitrashensah/geant4-geometry
+ * Copyright (c) 2025 Chitrashen Sah
+ * Licensed under MIT License
+ */
+
+import * as THREE from 'three';
+import { LogicalVolume } from './LogicalVolume.js';
+import { PhysicalVolume } from './PhysicalVolume.js';
+import { ReflectedGeometry } from '../geometries/ReflectedGeometry.js';
+import { placementOf } from '../utils/placement.js';
+
+const RAD_TO_DEG = 180 / Math.PI;
+const REFLECT_Z = new THREE.Matrix4().makeScale(1, 1, -1);
+
+// Reflected logical volumes by their constituent, and the other way round,
+// as kept by G4ReflectionFactory
+const reflectedVolumes = new WeakMap();
+const constituentVolumes = new WeakMap();
+
+/**
+ * Place a logical volume with any transform, mirrors included, as
+ * G4ReflectionFactory::Place() does. `transform` takes the volume to its
+ * mother, as the `matrix` of a THREE.Object3D; it may hold a rotation, a
+ * translation in millimeters and a reflection, but no other scale.
+ *
+ * Without reflection this is a plain PhysicalVolume. Otherwise the
+ * transform is split into a rotation and translation and a reflection
+ * about the xy plane, and the placement is of the reflected logical volume:
+ * its solid is a ReflectedGeometry (named with `_refl`, as in Geant4) and
+ * its daughters are placed reflected in turn. Each logical volume has one
+ * reflected volume, made at its first reflected placement with the
+ * daughters it has then; placing a reflected volume reflected again places
+ * its constituent. Replicated daughters are reflected copy by copy.
+ *
+ *   // The right half, mirrored through the yz plane
+ *   placeReflected(new THREE.Matrix4().makeScale(-1, 1, 1).setPosition(-200, 0, 0), 'Left', halfLogical, worldLogical);
+ *
+ * @param {THREE.Matrix4|number[]} transform - Matrix, or its 16 elements in column-major order
+ * @param {string} name
+ * @param {LogicalVolume} logicalVolume - Placed volume
+ * @param {LogicalVolume|null} [motherLogical=null]
+ * @param {number} [copyNumber=0]
+ * @returns {PhysicalVolume}
+ */
+function placeReflected(transform, name, logicalVolume, motherLogical = null, copyNumber = 0) {
+  if (!(logicalVolume && logicalVolume.isLogicalVolume)) {
+    throw new TypeError(`placeReflected: '${name}' must place a LogicalVolume`);
+  }
+  const matrix = transform.isMatrix4 ? transform.clone() : new THREE.Matrix4().fromArray(transform);
+  const reflected = matrix.determinant() < 0;
+  // transform = rotation and translation * REFLECT_Z
+  if (reflected) matrix.multiply(REFLECT_Z);
+
+  const { position, rotation, scale } = placementOf(matrix);
+  if (scale.some((s) => Math.abs(s - 1) > 1e-9)) {
+    throw new RangeError(`placeReflected: the transform of '${name}' must not scale`);
+  }
+  const placed = reflected ? reflectedVolume(logicalVolume) : logicalVolume;
+  return new PhysicalVolume(
+    rotation.map((angle) => angle * RAD_TO_DEG),
+    position,
+    placed,
+    name,
+    motherLogical,
+    copyNumber
+  );
+}
+
+// The mirror image of `logical` about the xy plane.
+function reflectedVolume(logical) {
+  if (constituentVolumes.has(logical)) return constituentVolumes.get(logical);
+  if (reflectedVolumes.has(logical)) return reflectedVolumes.get(logical);
+
+  const solid = new ReflectedGeometry(logical.solid, REFLECT_Z);
+  if (logical.solid.name) solid.name = `${logical.solid.name}_refl`;
+  const reflected = new LogicalVolume(solid, logical.material, `${logical.name}_refl`, { ...logical.visAttributes });
+  reflectedVolumes.set(logical, reflected);
+  constituentVolumes.set(reflected, logical);
+
+  // A daughter at D in the constituent is at REFLECT_Z * D in the image
+  logical.getPlacements().forEach((daughter) => {
+    const matrix = REFLECT_Z.clone().multiply(daughter.matrix);
+    placeReflected(matrix, daughter.name, daughter.logicalVolume, reflected, daughter.copyNumber);
+  });
+  return reflected;
+}
+
+export { placeReflected };
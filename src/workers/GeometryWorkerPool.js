@@ -0,0 +1,395 @@
+/**
+ * @chitrashensah/geant4-geometry
+ * Copyright (c) 2025 Chitrashen Sah
+ * Licensed under MIT License
+ */
+
+import { geometryClassOf, geometryToJSON } from '../geometries/registry.js';
+import { setBuffers } from '../geometries/BooleanGeometry.js';
+import { operandsOf, restoreGeometry, restoreError } from './transfer.js';
+
+// See geometryWorker.js
+const WORKER_THREADS = 'node:worker_threads';
+
+/**
+ * Builds geometries in background threads, so that meshing large solids
+ * and evaluating boolean compositions does not block the page: module Web
+ * Workers in browsers, worker threads in Node. The meshes come back as
+ * transferred typed arrays.
+ *
+ *   const pool = new GeometryWorkerPool();
+ *   const sphere = await pool.build({ type: 'SphereGeometry', pRMax: 100 });
+ *   const union = await pool.build(new UnionGeometry(a, b, [0, 0, 0], [0, 0, 10], [0, 0, 0], [0, 0, 0], { evaluate: false }));
+ *
+ * Geometries are described by their JSON (see geometryToJSON()), by the
+ * arguments of their constructor as `{ type, arguments }`, or given as
+ * geometries to be built again. Results are cached by description, the
+ * least recently used ones forgotten beyond `cacheSize`; every call gets a
+ * geometry of its own, cloned from the cached one.
+ *
+ * Every call takes an AbortSignal; aborting rejects the call with the
+ * reason of the signal and stops the build unless another call still
+ * waits for it. The workers are started on demand and, in Node, do not
+ * keep the process alive while idle.
+ *
+ * @param {Object} [options]
+ * @param {number} [options.size] - Most workers at a time; by default one less than the processor cores, from 1 to 4
+ * @param {boolean} [options.cache=true] - Keep built geometries by description
+ * @param {number} [options.cacheSize=64] - Most geometries kept
+ */
+class GeometryWorkerPool {
+
+  constructor({ size = defaultSize(), cache = true, cacheSize = 64 } = {}) {
+    if (!(Number.isInteger(size) && size > 0)) {
+      throw new RangeError(`GeometryWorkerPool: invalid size = ${size}`);
+    }
+    if (!((Number.isInteger(cacheSize) && cacheSize >= 0) || cacheSize === Infinity)) {
+      throw new RangeError(`GeometryWorkerPool: invalid cacheSize = ${cacheSize}`);
+    }
+    this.size = size;
+    this.cache = cache;
+    this.cacheSize = cacheSize;
+    // Jobs by cache key, the least recently used first
+    this.jobs = new Map();
+    this.queue = [];
+    this.slots = [];
+    this.nextId = 1;
+    this.disposed = false;
+  }
+
+  /**
+   * Build a geometry in a worker.
+   *
+   * @param {Object|THREE.BufferGeometry} description - Geometry JSON, `{ type, arguments }`, or a geometry of this library
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal]
+   * @returns {Promise<THREE.BufferGeometry>}
+   */
+  build(description, { signal } = {}) {
+    if (this.disposed) return Promise.reject(new Error('GeometryWorkerPool: the pool is disposed'));
+    const data = description?.isBufferGeometry ? geometryToJSON(description) : description;
+    if (typeof data?.type !== 'string') {
+      return Promise.reject(new TypeError('GeometryWorkerPool: expected a geometry or geometry JSON'));
+    }
+    if (signal?.aborted) return Promise.reject(signal.reason);
+
+    const key = cacheKey(data);
+    let job = this.jobs.get(key);
+    if (job) {
+      this.jobs.delete(key);
+      this.jobs.set(key, job);
+    } else {
+      job = this.enqueue(key, data);
+    }
+    return this.wait(job, signal);
+  }
+
+  /**
+   * Build several geometries, reporting progress as they complete.
+   *
+   * @param {Array<Object|THREE.BufferGeometry>} descriptions
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal]
+   * @param {function({loaded: number, total: number})} [options.onProgress]
+   * @returns {Promise<THREE.BufferGeometry[]>}
+   */
+  buildAll(descriptions, { signal, onProgress } = {}) {
+    return this.each(descriptions, (description) => this.build(description, { signal }), onProgress);
+  }
+
+  /**
+   * Evaluate a boolean solid or multi-union made with `evaluate: false` in
+   * a worker: its buffers, and those of operands that are not evaluated
+   * yet, are filled in place.
+   *
+   * @param {BooleanGeometry|MultiUnionGeometry} geometry
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal]
+   * @returns {Promise<BooleanGeometry|MultiUnionGeometry>}
+   */
+  async evaluate(geometry, { signal } = {}) {
+    fill(geometry, await this.build(geometry, { signal }));
+    return geometry;
+  }
+
+  /**
+   * evaluate() for several geometries, reporting progress as they complete.
+   *
+   * @param {Array<BooleanGeometry|MultiUnionGeometry>} geometries
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal]
+   * @param {function({loaded: number, total: number})} [options.onProgress]
+   * @returns {Promise<Array<BooleanGeometry|MultiUnionGeometry>>}
+   */
+  evaluateAll(geometries, { signal, onProgress } = {}) {
+    return this.each(geometries, (geometry) => this.evaluate(geometry, { signal }), onProgress);
+  }
+
+  /**
+   * Forget the cached geometries.
+   */
+  clearCache() {
+    this.jobs.forEach((job, key) => {
+      if (job.settled) this.jobs.delete(key);
+    });
+  }
+
+  /**
+   * Stop the workers. Pending builds are rejected.
+   */
+  dispose() {
+    this.disposed = true;
+    const error = new Error('GeometryWorkerPool: the pool is disposed');
+    [...this.queue, ...this.slots.map((slot) => slot.job).filter(Boolean)].forEach((job) => job.reject(error));
+    this.queue = [];
+    this.slots.forEach((slot) => slot.worker.then((worker) => worker.terminate(), () => {}));
+    this.slots = [];
+    this.jobs.clear();
+  }
+
+  // Run `task` on every item, counting those done
+  each(items, task, onProgress) {
+    let loaded = 0;
+    const total = items.length;
+    return Promise.all(
+      items.map((item) =>
+        task(item).then((result) => {
+          loaded++;
+          if (onProgress) onProgress({ loaded, total });
+          return result;
+        })
+      )
+    );
+  }
+
+  enqueue(key, data) {
+    const job = { id: this.nextId++, key, data, waiters: 0, settled: false, slot: null };
+    job.promise = new Promise((resolve, reject) => {
+      job.resolve = (geometry) => {
+        job.settled = true;
+        if (!this.cache) this.jobs.delete(key);
+        else this.trim();
+        resolve(geometry);
+      };
+      job.reject = (error) => {
+        job.settled = true;
+        if (this.jobs.get(key) === job) this.jobs.delete(key);
+        reject(error);
+      };
+    });
+    // Rejections reach the callers through wait()
+    job.promise.catch(() => {});
+    this.jobs.set(key, job);
+    this.queue.push(job);
+    this.schedule();
+    return job;
+  }
+
+  // Forget the least recently used geometries beyond `cacheSize`
+  trim() {
+    let excess = [...this.jobs.values()].filter((job) => job.settled).length - this.cacheSize;
+    for (const [key, job] of this.jobs) {
+      if (excess <= 0) return;
+      if (job.settled) {
+        this.jobs.delete(key);
+        excess--;
+      }
+    }
+  }
+
+  // Promise of the result of `job` for one caller, rejected early if
+  // `signal` aborts. The job is cancelled when no caller waits any more.
+  // Callers get clones while the result is cached or others still wait.
+  wait(job, signal) {
+    job.waiters++;
+    return new Promise((resolve, reject) => {
+      let done = false;
+      const onAbort = () => {
+        if (done) return;
+        done = true;
+        job.waiters--;
+        reject(signal.reason);
+        if (job.waiters === 0 && !job.settled) this.cancel(job, signal.reason);
+      };
+      signal?.addEventListener('abort', onAbort, { once: true });
+      const settle = (callback) => (value) => {
+        signal?.removeEventListener('abort', onAbort);
+        if (done) return;
+        done = true;
+        job.waiters--;
+        callback(value);
+      };
+      const own = (geometry) => resolve(this.cache || job.waiters > 0 ? geometry.clone() : geometry);
+      job.promise.then(settle(own), settle(reject));
+    });
+  }
+
+  cancel(job, reason) {
+    const queued = this.queue.indexOf(job);
+    if (queued >= 0) {
+      this.queue.splice(queued, 1);
+    } else if (job.slot) {
+      // A worker cannot be interrupted: replace it
+      this.removeSlot(job.slot);
+      job.slot.worker.then((worker) => worker.terminate(), () => {});
+    }
+    job.reject(reason);
+    this.schedule();
+  }
+
+  schedule() {
+    while (this.queue.length > 0) {
+      let slot = this.slots.find((candidate) => !candidate.job);
+      if (!slot) {
+        if (this.slots.length >= this.size) return;
+        slot = this.addSlot();
+      }
+      this.run(slot, this.queue.shift());
+    }
+  }
+
+  addSlot() {
+    const slot = { job: null, worker: null };
+    slot.worker = startWorker(
+      (message) => this.receive(slot, message),
+      (error) => this.crash(slot, error)
+    );
+    this.slots.push(slot);
+    return slot;
+  }
+
+  removeSlot(slot) {
+    this.slots = this.slots.filter((candidate) => candidate !== slot);
+  }
+
+  run(slot, job) {
+    slot.job = job;
+    job.slot = slot;
+    slot.worker.then(
+      (worker) => {
+        if (slot.job !== job) return;
+        worker.hold();
+        worker.post({ id: job.id, data: job.data });
+      },
+      (error) => this.crash(slot, error)
+    );
+  }
+
+  receive(slot, { id, data, meshes, error }) {
+    const job = slot.job;
+    if (!job || job.id !== id) return;
+    slot.job = null;
+    job.slot = null;
+    slot.worker.then((worker) => worker.release());
+    if (error) {
+      job.reject(restoreError(error));
+    } else {
+      try {
+        job.resolve(restoreGeometry(data, meshes));
+      } catch (e) {
+        job.reject(e);
+      }
+    }
+    this.schedule();
+  }
+
+  // The worker of `slot` failed to start or died: fail its job and replace it
+  crash(slot, error) {
+    if (!this.slots.includes(slot)) return;
+    this.removeSlot(slot);
+    if (slot.job) slot.job.reject(error);
+    this.schedule();
+  }
+}
+
+// Workers by default: one less than the processor cores, from 1 to 4.
+function defaultSize() {
+  const cores = globalThis.navigator?.hardwareConcurrency ?? 2;
+  return Math.max(1, Math.min(4, cores - 1));
+}
+
+/**
+ * Start a worker running geometryWorker.js, a Web Worker where the Worker
+ * global exists, a worker thread otherwise, behind one interface.
+ *
+ * @param {function(Object)} onMessage
+ * @param {function(Error)} onError
+ * @returns {Promise<{post: function(Object), hold: function(), release: function(), terminate: function()}>}
+ */
+async function startWorker(onMessage, onError) {
+  if (typeof globalThis.Worker === 'function') {
+    const worker = new Worker(new URL('./geometryWorker.js', import.meta.url), { type: 'module' });
+    worker.onmessage = (event) => onMessage(event.data);
+    worker.onerror = (event) => onError(event.error ?? new Error(`GeometryWorkerPool: ${event.message}`));
+    return {
+      post: (message) => worker.postMessage(message),
+      hold: () => {},
+      release: () => {},
+      terminate: () => worker.terminate(),
+    };
+  }
+
+  const { Worker: ThreadWorker } = await import(WORKER_THREADS);
+  const worker = new ThreadWorker(new URL('./geometryWorker.js', import.meta.url));
+  worker.on('message', onMessage);
+  worker.on('error', onError);
+  worker.on('exit', (code) => onError(new Error(`GeometryWorkerPool: worker stopped with exit code ${code}`)));
+  worker.unref();
+  return {
+    post: (message) => worker.postMessage(message),
+    hold: () => worker.ref(),
+    release: () => worker.unref(),
+    terminate: () => worker.terminate(),
+  };
+}
+
+// Key of a description in the cache: its JSON with the keys sorted, less
+// the uuids, which differ between equal geometries, empty names and what
+// does not change the mesh.
+function cacheKey(data) {
+  return JSON.stringify(data, (key, value) => {
+    if (key === 'uuid' || key === 'metadata' || key === 'userData' || (key === 'name' && value === '')) return undefined;
+    if (value === null || typeof value !== 'object' || Array.isArray(value)) return value;
+    return Object.fromEntries(Object.keys(value).sort().map((name) => [name, value[name]]));
+  });
+}
+
+// Give `geometry`, and its operands that have no mesh yet, the buffers of
+// `built`, the same composition built by a worker.
+function fill(geometry, built) {
+  setBuffers(geometry, built);
+  if (typeof geometry.invalidate === 'function') geometry.invalidate();
+  const operands = operandsOf(geometry.parameters);
+  const builtOperands = operandsOf(built.parameters);
+  operands.forEach((operand, i) => {
+    if (!operand.attributes.position && builtOperands[i]) fill(operand, builtOperands[i]);
+  });
+}
+
+let defaultPool = null;
+
+/**
+ * Build a solid of this library in a worker of a shared pool:
+ *
+ *   const sphere = await buildGeometry('Sphere', { pRMax: 100, pDTheta: 90 });
+ *
+ * @param {string} type - Geometry type, with or without the 'Geometry' suffix
+ * @param {Object} [parameters] - As in the `parameters` of the geometry; missing ones take the defaults of the constructor
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal]
+ * @param {GeometryWorkerPool} [options.pool] - Pool to use instead of the shared one
+ * @returns {Promise<SolidGeometry>}
+ */
+function buildGeometry(type, parameters = {}, { signal, pool } = {}) {
+  if (!pool) {
+    defaultPool ??= new GeometryWorkerPool();
+    pool = defaultPool;
+  }
+  const fullType = type.endsWith('Geometry') ? type : `${type}Geometry`;
+  if (!geometryClassOf(fullType)) {
+    return Promise.reject(new RangeError(`buildGeometry: unknown geometry type '${type}'`));
+  }
+  return pool.build({ ...parameters, type: fullType }, { signal });
+}
+
+export { GeometryWorkerPool, buildGeometry };
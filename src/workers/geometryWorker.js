@@ -0,0 +1,50 @@
+/**
+ * @chitrashensah/geant4-geometry
+ * Copyright (c) 2025 Chitrashen Sah
+ * Licensed under MIT License
+ */
+
+// Worker script of GeometryWorkerPool, for a module Web Worker or a Node
+// worker thread. For each `{ id, data }` message it builds the geometry
+// described by the JSON `data`, or made by the constructor of its `type`
+// when `data` holds the `arguments` of the constructor, and posts back
+// `{ id, data, meshes }`: its full JSON, parameters left out of the
+// description filled in, and the buffers of the geometry and its operands
+// (see meshesOf()), transferred rather than copied. Failures are posted as
+// `{ id, error }`.
+
+import '../index.js';
+import { geometryClassOf, geometryToJSON, geometryFromJSON } from '../geometries/registry.js';
+import { meshesOf, transferablesOf } from './transfer.js';
+
+// A variable specifier keeps bundlers from resolving the Node module for
+// browsers
+const WORKER_THREADS = 'node:worker_threads';
+
+const browser = typeof self === 'object' && typeof self.postMessage === 'function';
+const port = browser ? self : (await import(WORKER_THREADS)).parentPort;
+
+function onMessage({ id, data }) {
+  try {
+    const geometry = Array.isArray(data.arguments) ? construct(data) : geometryFromJSON(data);
+    const meshes = meshesOf(geometry);
+    port.postMessage({ id, data: geometryToJSON(geometry), meshes }, transferablesOf(meshes));
+  } catch (error) {
+    port.postMessage({ id, error: { name: error.name, message: error.message } });
+  }
+}
+
+// Geometry made by the constructor of class `type` with `args`.
+function construct({ type, name, arguments: args }) {
+  const GeometryClass = geometryClassOf(type);
+  if (!GeometryClass) throw new TypeError(`GeometryWorkerPool: unknown geometry type '${type}'`);
+  const geometry = new GeometryClass(...args);
+  if (name) geometry.name = name;
+  return geometry;
+}
+
+if (browser) {
+  self.onmessage = (event) => onMessage(event.data);
+} else {
+  port.on('message', onMessage);
+}
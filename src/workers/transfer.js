@@ -0,0 +1,143 @@
+/**
+ * @chitrashensah/geant4-geometry
+ * Copyright (c) 2025 Chitrashen Sah
+ * Licensed under MIT License
+ */
+
+import * as THREE from 'three';
+import { SolidGeometry } from '../geometries/SolidGeometry.js';
+import { geometryClassOf } from '../geometries/registry.js';
+
+// Keys of geometry JSON that are not parameters of the solid
+const BOOKKEEPING = new Set(['metadata', 'uuid', 'type', 'name', 'userData']);
+
+/**
+ * Operands of a composition, from its `parameters` or its JSON: the first
+ * and second solids of a boolean, the node geometries of a multi-union,
+ * the reflected solid of a reflection.
+ *
+ * @param {Object} [parameters]
+ * @returns {Array}
+ */
+function operandsOf(parameters) {
+  if (!parameters) return [];
+  if (Array.isArray(parameters.nodes)) return parameters.nodes.map((node) => node.geometry);
+  return [parameters.first, parameters.second, parameters.solid].filter(Boolean);
+}
+
+/**
+ * Buffers of `geometry` and of its operands, depth first, as plain objects
+ * that can be posted to or from a worker.
+ *
+ * @param {THREE.BufferGeometry} geometry
+ * @param {Object[]} [meshes=[]] - Appended to
+ * @returns {Object[]}
+ */
+function meshesOf(geometry, meshes = []) {
+  meshes.push({
+    attributes: Object.entries(geometry.attributes).map(([name, attribute]) => ({
+      name,
+      array: attribute.array,
+      itemSize: attribute.itemSize,
+      normalized: attribute.normalized,
+    })),
+    index: geometry.index ? geometry.index.array : null,
+    groups: geometry.groups.map(({ start, count, materialIndex }) => ({ start, count, materialIndex })),
+    faceLabels: geometry.userData.faceLabels ?? null,
+  });
+  operandsOf(geometry.parameters).forEach((operand) => meshesOf(operand, meshes));
+  return meshes;
+}
+
+/**
+ * ArrayBuffers of `meshes`, for the transfer list of postMessage().
+ *
+ * @param {Object[]} meshes - From meshesOf()
+ * @returns {ArrayBuffer[]}
+ */
+function transferablesOf(meshes) {
+  const buffers = new Set();
+  meshes.forEach((mesh) => {
+    mesh.attributes.forEach(({ array }) => buffers.add(array.buffer));
+    if (mesh.index) buffers.add(mesh.index.buffer);
+  });
+  return [...buffers];
+}
+
+/**
+ * Replace the buffers of `geometry` with `mesh`, from meshesOf().
+ *
+ * @param {THREE.BufferGeometry} geometry
+ * @param {Object} mesh
+ */
+function applyMesh(geometry, mesh) {
+  Object.keys(geometry.attributes).forEach((name) => geometry.deleteAttribute(name));
+  mesh.attributes.forEach(({ name, array, itemSize, normalized }) => {
+    geometry.setAttribute(name, new THREE.BufferAttribute(array, itemSize, normalized));
+  });
+  geometry.setIndex(mesh.index ? new THREE.BufferAttribute(mesh.index, 1) : null);
+  geometry.clearGroups();
+  mesh.groups.forEach(({ start, count, materialIndex }) => geometry.addGroup(start, count, materialIndex));
+  if (mesh.faceLabels) geometry.userData.faceLabels = mesh.faceLabels;
+  else delete geometry.userData.faceLabels;
+  geometry.boundingBox = null;
+  geometry.boundingSphere = null;
+}
+
+/**
+ * The geometry described by the JSON `data`, given the buffers a worker
+ * built for it and its operands with meshesOf(). Solids of this library
+ * take their parameters from the JSON and their mesh from the buffers:
+ * their constructor, which would mesh them again, is not run. Other
+ * geometries are read back from the JSON.
+ *
+ * @param {Object} data - From geometryToJSON()
+ * @param {Object[]} meshes
+ * @param {{next: number}} [cursor] - Position in `meshes`
+ * @returns {THREE.BufferGeometry}
+ */
+function restoreGeometry(data, meshes, cursor = { next: 0 }) {
+  const mesh = meshes[cursor.next++];
+  const geometryClass = geometryClassOf(data.type);
+  if (!(geometryClass && geometryClass.prototype instanceof SolidGeometry)) {
+    const geometry = new THREE.BufferGeometryLoader().parse(data);
+    if (data.name) geometry.name = data.name;
+    return geometry;
+  }
+
+  const parameters = {};
+  Object.entries(data).forEach(([key, value]) => {
+    if (!BOOKKEEPING.has(key)) parameters[key] = structuredClone(value);
+  });
+  if (Array.isArray(data.nodes)) {
+    parameters.nodes.forEach((node, i) => {
+      node.geometry = restoreGeometry(data.nodes[i].geometry, meshes, cursor);
+    });
+  } else {
+    ['first', 'second', 'solid'].forEach((key) => {
+      if (data[key]) parameters[key] = restoreGeometry(data[key], meshes, cursor);
+    });
+  }
+
+  const geometry = Reflect.construct(SolidGeometry, [], geometryClass);
+  geometry.type = data.type;
+  geometry.parameters = parameters;
+  if (data.name) geometry.name = data.name;
+  if (data.userData) geometry.userData = structuredClone(data.userData);
+  applyMesh(geometry, mesh);
+  return geometry;
+}
+
+/**
+ * An Error posted by a worker as `{ name, message }`, as the same kind of
+ * error.
+ *
+ * @param {{name: string, message: string}} error
+ * @returns {Error}
+ */
+function restoreError({ name, message }) {
+  const ErrorClass = { RangeError, TypeError, SyntaxError }[name] ?? Error;
+  return new ErrorClass(message);
+}
+
+export { operandsOf, meshesOf, transferablesOf, applyMesh, restoreGeometry, restoreError };
@@ -0,0 +1,148 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+import {
+  BoxGeometry,
+  TubsGeometry,
+  SphereGeometry,
+  UnionGeometry,
+  SubtractionGeometry,
+  IntersectionGeometry,
+  MultiUnionGeometry,
+  geometryFromJSON,
+} from '../src/index.js';
+import { enclosedVolume } from './helpers/mesh.js';
+
+function assertNear(actual, expected, relative = 1e-6) {
+  assert.ok(Math.abs(actual - expected) <= relative * Math.abs(expected), `${actual} is not close to ${expected}`);
+}
+
+function boundingBox(geometry) {
+  geometry.computeBoundingBox();
+  return geometry.boundingBox;
+}
+
+// JSON text round trip, as when the geometry is saved to a file.
+function reload(geometry) {
+  return geometryFromJSON(JSON.parse(JSON.stringify(geometry.toJSON())));
+}
+
+describe('Boolean geometries', () => {
+  const box = new BoxGeometry(10, 10, 10);
+  const rod = new TubsGeometry(0, 3, 20);
+
+  it('combine their operands', () => {
+    const rodVolume = enclosedVolume(rod);
+    const boxVolume = enclosedVolume(box);
+    const inside = (rodVolume * 10) / 20;
+    assertNear(enclosedVolume(new SubtractionGeometry(box, rod)), boxVolume - inside, 1e-4);
+    assertNear(enclosedVolume(new UnionGeometry(box, rod)), boxVolume + rodVolume - inside, 1e-4);
+    assertNear(enclosedVolume(new IntersectionGeometry(box, rod)), inside, 1e-4);
+  });
+
+  it('place the second operand like Geant4', () => {
+    const quarter = new TubsGeometry(0, 5, 1, 0, 90);
+    const moved = new UnionGeometry(new BoxGeometry(0.5, 0.5, 0.5), quarter, [0, 0, 0], [20, 0, 0]);
+    assertNear(boundingBox(moved).max.x, 25);
+
+    // the frame turns by +90 deg about z, so the solid turns by -90 deg
+    const turned = new UnionGeometry(new BoxGeometry(0.5, 0.5, 0.5), quarter, [0, 0, 90]);
+    assertNear(boundingBox(turned).min.y, -5);
+    assertNear(boundingBox(turned).max.y, 0.5);
+
+    const drilled = new SubtractionGeometry(box, rod, [90, 0, 0], new THREE.Vector3(0, 0, 0));
+    assert.deepEqual(drilled.parameters.rotation, [90, 0, 0]);
+    assert.deepEqual(drilled.parameters.translation, [0, 0, 0]);
+    assert.equal(drilled.parameters.first, box);
+  });
+
+  it('survive serialization', () => {
+    const nested = new UnionGeometry(
+      new SubtractionGeometry(box, rod, [90, 0, 0], [0, 2, 0]),
+      new SphereGeometry(0, 4),
+      [0, 0, 0],
+      [0, 0, 12],
+      [0, 0, 45],
+      [1, 0, 0]
+    );
+    nested.name = 'tower';
+    const copy = reload(nested);
+    assert.ok(copy instanceof UnionGeometry);
+    assert.equal(copy.name, 'tower');
+    assert.deepEqual(copy.parameters.translation, [0, 0, 12]);
+    assert.deepEqual(copy.parameters.firstRotation, [0, 0, 45]);
+    assert.ok(copy.parameters.first instanceof SubtractionGeometry);
+    assert.deepEqual(copy.parameters.first.parameters.second.parameters, rod.parameters);
+    assertNear(enclosedVolume(copy), enclosedVolume(nested));
+
+    const clone = nested.clone();
+    assert.ok(clone instanceof UnionGeometry);
+    assert.deepEqual(clone.parameters.rotation, nested.parameters.rotation);
+    assertNear(enclosedVolume(clone), enclosedVolume(nested));
+  });
+
+  it('keep other geometries by their buffers', () => {
+    const plain = new THREE.BoxGeometry(4, 4, 4);
+    const copy = reload(new IntersectionGeometry(box, plain));
+    assert.equal(copy.parameters.second.type, 'BufferGeometry');
+    assertNear(enclosedVolume(copy), 64);
+  });
+
+  it('re-evaluate after an operand changes', () => {
+    const hole = new TubsGeometry(0, 3, 20);
+    const drilled = new SubtractionGeometry(new BoxGeometry(10, 10, 10), hole);
+    hole.parameters.pRMax = 6;
+    drilled.update();
+    assertNear(enclosedVolume(hole), enclosedVolume(new TubsGeometry(0, 6, 20)));
+    assertNear(enclosedVolume(drilled), 8000 - enclosedVolume(hole) / 2, 1e-4);
+  });
+
+  it('clone their operands', () => {
+    const drilled = new SubtractionGeometry(new BoxGeometry(10, 10, 10), new TubsGeometry(0, 3, 20));
+    const volume = enclosedVolume(drilled);
+    const clone = drilled.clone();
+    assert.notEqual(clone.parameters.second, drilled.parameters.second);
+    clone.parameters.second.parameters.pRMax = 6;
+    clone.update();
+    assertNear(enclosedVolume(drilled), volume);
+    assert.equal(drilled.parameters.second.parameters.pRMax, 3);
+    assertNear(enclosedVolume(clone), 8000 - enclosedVolume(new TubsGeometry(0, 6, 20)) / 2, 1e-4);
+
+    const rod = new TubsGeometry(0, 2, 10);
+    const rack = new MultiUnionGeometry([
+      { geometry: rod, translation: [-20, 0, 0] },
+      { geometry: rod, translation: [20, 0, 0] },
+    ]).clone();
+    const [left, right] = rack.parameters.nodes;
+    assert.notEqual(left.geometry, rod);
+    assert.equal(left.geometry, right.geometry);
+  });
+
+  it('reject operands that are not geometries', () => {
+    assert.throws(() => new UnionGeometry(box, null), TypeError);
+  });
+});
+
+describe('MultiUnionGeometry', () => {
+  it('unites placed nodes', () => {
+    const cube = new BoxGeometry(1, 1, 1);
+    const rack = new MultiUnionGeometry([
+      { geometry: cube },
+      { geometry: cube, translation: [5, 0, 0] },
+    ]);
+    assertNear(enclosedVolume(rack), 16);
+    rack.addNode(cube, [0, 0, 45], [10, 0, 0]).update();
+    assertNear(enclosedVolume(rack), 24);
+    assertNear(boundingBox(rack).max.x, 10 + Math.SQRT2);
+
+    const copy = reload(rack);
+    assert.ok(copy instanceof MultiUnionGeometry);
+    assert.equal(copy.parameters.nodes.length, 3);
+    assert.deepEqual(copy.parameters.nodes[2].rotation, [0, 0, 45]);
+    assertNear(enclosedVolume(copy), 24);
+  });
+
+  it('is empty without nodes', () => {
+    assert.equal(new MultiUnionGeometry().getAttribute('position').count, 0);
+  });
+});
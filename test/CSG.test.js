@@ -0,0 +1,235 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+import { CSG, Node, Plane } from '../src/CSGMesh.js';
+import {
+  findOpenEdges,
+  UnionGeometry,
+  SubtractionGeometry,
+  IntersectionGeometry,
+  BoxGeometry,
+  TubsGeometry,
+  SphereGeometry,
+} from '../src/index.js';
+import { enclosedVolume } from './helpers/mesh.js';
+
+function assertNear(actual, expected, relative) {
+  assert.ok(Math.abs(actual - expected) <= relative * Math.abs(expected), `${actual} is not close to ${expected}`);
+}
+
+// Sphere with a box cut out of one octant and a cylinder bored through it
+function booleanChain(scale, segments) {
+  const sphere = new THREE.SphereGeometry(scale, segments, segments / 2);
+  const box = new THREE.BoxGeometry(scale, scale, scale).translate(scale / 2, scale / 2, scale / 2);
+  const bore = new THREE.CylinderGeometry(scale / 4, scale / 4, 3 * scale, segments);
+  return CSG.toGeometry(
+    CSG.fromGeometry(sphere).subtract(CSG.fromGeometry(box)).subtract(CSG.fromGeometry(bore))
+  );
+}
+
+describe('CSG', () => {
+  it('chooses split planes that keep the tree shallow', () => {
+    const depth = (tree) => {
+      let max = 0;
+      const stack = [[tree, 1]];
+      while (stack.length) {
+        const [node, d] = stack.pop();
+        max = Math.max(max, d);
+        node.front && stack.push([node.front, d + 1]);
+        node.back && stack.push([node.back, d + 1]);
+      }
+      return max;
+    };
+    const polygons = CSG.fromGeometry(new THREE.TorusGeometry(10, 3, 32, 64)).polygons;
+    const candidates = Node.SPLIT_CANDIDATES;
+    Node.SPLIT_CANDIDATES = 1;
+    const first = new Node(polygons);
+    Node.SPLIT_CANDIDATES = candidates;
+    const chosen = new Node(polygons);
+
+    assert.ok(depth(chosen) < depth(first) / 2, `depth ${depth(chosen)} against ${depth(first)}`);
+    assert.ok(chosen.allPolygons().length < first.allPolygons().length);
+    assert.equal(chosen.clone().allPolygons().length, chosen.allPolygons().length);
+  });
+
+  it('keeps the result of a boolean chain', () => {
+    const geometry = booleanChain(10, 48);
+    const sphere = enclosedVolume(new THREE.SphereGeometry(10, 48, 24));
+    assertNear(enclosedVolume(geometry), sphere * (7 / 8) - Math.PI * 2.5 ** 2 * 20 * 0.95, 0.02);
+  });
+
+  it('scales the tolerance with the model', () => {
+    assert.equal(CSG.tolerance(CSG.fromGeometry(new THREE.BoxGeometry(2e4, 1, 1))), Plane.EPSILON * 2e4);
+    for (const scale of [1e-3, 1e4]) {
+      const geometry = booleanChain(scale, 24);
+      const reference = booleanChain(1, 24);
+      assertNear(enclosedVolume(geometry), enclosedVolume(reference) * scale ** 3, 1e-6);
+    }
+  });
+
+  it('splits a small solid at its own scale', () => {
+    // A pin of 1 mm standing 0.04 mm out of a box of 10 m
+    const box = CSG.fromGeometry(new THREE.BoxGeometry(1e4, 1e4, 1e4));
+    const pin = CSG.fromGeometry(new THREE.CylinderGeometry(0.5, 0.5, 2, 16).rotateX(Math.PI / 2).translate(0, 0, 4999.04));
+    assertNear(CSG.tolerance(box, pin), Plane.PRECISION * 5000, 1e-4);
+    assert.ok(CSG.tolerance(box, pin) < 0.01 * CSG.tolerance(box));
+
+    const top = (csg) => {
+      const geometry = CSG.toGeometry(csg, { clean: false });
+      geometry.computeBoundingBox();
+      return geometry.boundingBox.max.z;
+    };
+    assert.ok(top(box.union(pin)) > 5000.03);
+    assert.equal(top(box.subtract(pin)), 5000);
+    assert.equal(top(box.intersect(pin)), 5000);
+  });
+
+  it('drops degenerate triangles', () => {
+    const geometry = new THREE.BufferGeometry().setAttribute(
+      'position',
+      new THREE.Float32BufferAttribute([0, 0, 0, 1, 0, 0, 2, 0, 0, 0, 0, 0, 1, 0, 0, 0, 1, 0], 3)
+    );
+    geometry.computeVertexNormals();
+    assert.equal(CSG.fromGeometry(geometry).polygons.length, 1);
+  });
+});
+
+describe('CSG.toGeometry', () => {
+  const chain = (segments) => {
+    const sphere = CSG.fromGeometry(new THREE.SphereGeometry(10, segments, segments / 2));
+    const box = CSG.fromGeometry(new THREE.BoxGeometry(10, 10, 10).translate(5, 5, 5));
+    const bore = CSG.fromGeometry(new THREE.CylinderGeometry(2.5, 2.5, 30, segments));
+    return sphere.subtract(box).subtract(bore);
+  };
+
+  it('welds, merges and closes the polygons into an indexed mesh', () => {
+    const csg = chain(32);
+    const soup = CSG.toGeometry(csg, { clean: false });
+    const geometry = CSG.toGeometry(csg);
+
+    assert.equal(soup.index, null);
+    assert.ok(findOpenEdges(soup).length > 0, 'the BSP leaves T-junctions');
+    assert.ok(geometry.index);
+    assert.deepEqual(findOpenEdges(geometry), []);
+    assert.ok(geometry.attributes.position.count < soup.attributes.position.count / 5);
+    assert.ok(geometry.index.count < soup.attributes.position.count);
+    assertNear(enclosedVolume(geometry), enclosedVolume(soup), 1e-6);
+  });
+
+  it('leaves no flat triangles', () => {
+    const geometry = CSG.toGeometry(chain(24));
+    const position = geometry.attributes.position;
+    const index = geometry.index.array;
+    const triangle = new THREE.Triangle();
+    for (let t = 0; t < index.length; t += 3) {
+      triangle.setFromAttributeAndIndices(position, index[t], index[t + 1], index[t + 2]);
+      assert.ok(triangle.getArea() > 1e-6, `triangle ${t / 3} has no area`);
+    }
+  });
+
+  it('merges coplanar fragments', () => {
+    // Two subdivided cubes side by side make a plain cuboid
+    const left = CSG.fromGeometry(new THREE.BoxGeometry(10, 10, 10, 3, 3, 3));
+    const right = CSG.fromGeometry(new THREE.BoxGeometry(10, 10, 10, 2, 2, 2).translate(10, 0, 0));
+    const geometry = CSG.toGeometry(left.union(right));
+    assert.equal(geometry.index.count, 12 * 3);
+    assert.equal(geometry.attributes.position.count, 6 * 4);
+    assert.deepEqual(findOpenEdges(geometry), []);
+  });
+
+  it('closes boolean solids', () => {
+    const block = new SubtractionGeometry(new BoxGeometry(50, 50, 50), new TubsGeometry(0, 5, 60), [90, 0, 0]);
+    assert.ok(block.index);
+    assert.deepEqual(findOpenEdges(block), []);
+  });
+
+  it('keeps small features of large solids', () => {
+    // Wires of 0.5 mm radius, 20 mm and 10 m long, half in a box of 10 m
+    const box = new BoxGeometry(5000, 5000, 5000);
+    [10, 5000].forEach((halfLength) => {
+      const wire = new TubsGeometry(0, 0.5, halfLength);
+      const half = enclosedVolume(wire) / 2;
+      const union = new UnionGeometry(box, wire, [0, 0, 0], [0, 0, 5000]);
+      const subtraction = new SubtractionGeometry(box, wire, [0, 0, 0], [0, 0, 5000]);
+      const intersection = new IntersectionGeometry(box, wire, [0, 0, 0], [0, 0, 5000]);
+      [union, subtraction, intersection].forEach((geometry) => assert.deepEqual(findOpenEdges(geometry), []));
+      // Single precision positions 5 m from the origin
+      assertNear(enclosedVolume(union) - 1e12, half, 0.01);
+      assertNear(1e12 - enclosedVolume(subtraction), half, 0.01);
+      assertNear(enclosedVolume(intersection), half, 0.01);
+    });
+  });
+
+  it('reports open edges', () => {
+    const box = new THREE.BoxGeometry(1, 1, 1).toNonIndexed();
+    const open = new THREE.BufferGeometry().setAttribute(
+      'position',
+      new THREE.Float32BufferAttribute(box.attributes.position.array.slice(9), 3)
+    );
+    const edges = findOpenEdges(open);
+    assert.equal(edges.length, 3);
+    edges.forEach(({ start, end }) => assert.ok(start.distanceTo(end) > 0.9));
+  });
+});
+
+describe('Face labels', () => {
+  // Labels of the triangles, by the groups and by the faceId attribute
+  const triangleLabels = (geometry) => {
+    const labels = geometry.userData.faceLabels;
+    const faceId = geometry.attributes.faceId;
+    const result = [];
+    geometry.groups.forEach(({ start, count, materialIndex }) => {
+      for (let t = start; t < start + count; t += 3) {
+        if (faceId) assert.equal(faceId.getX(geometry.index.getX(t)), materialIndex);
+        result.push(labels[materialIndex]);
+      }
+    });
+    return result;
+  };
+
+  it('label the faces of the primitives', () => {
+    const shell = new SphereGeometry(5, 10, 30, 60, 20, 200);
+    assert.deepEqual(shell.userData.faceLabels, ['outer', 'startTheta', 'inner', 'endTheta', 'startPhi', 'endPhi']);
+    assert.equal(triangleLabels(shell).length, shell.index.count / 3);
+    assert.deepEqual(new BoxGeometry(1, 1, 1).userData.faceLabels, ['-z', '+z', '-y', '+y', '-x', '+x']);
+    assert.deepEqual(new TubsGeometry(1, 2, 3).userData.faceLabels, ['-z', 'outer', '+z', 'inner']);
+  });
+
+  it('survive the boolean operations', () => {
+    const cutaway = new SubtractionGeometry(
+      new SphereGeometry(5, 10, 0, 180, 0, 360),
+      new BoxGeometry(10, 10, 10),
+      [0, 0, 0],
+      [10, 10, 0]
+    );
+    const labels = triangleLabels(cutaway);
+    assert.equal(labels.length, cutaway.index.count / 3);
+    assert.deepEqual(
+      [...new Set(labels)].sort(),
+      ['first/inner', 'first/outer', 'second/-x', 'second/-y']
+    );
+    assert.equal(cutaway.attributes.faceId.count, cutaway.attributes.position.count);
+
+    // Faces of the cut stay apart from the shell they cut
+    const position = cutaway.attributes.position;
+    cutaway.groups
+      .filter(({ materialIndex }) => cutaway.userData.faceLabels[materialIndex] === 'second/-x')
+      .forEach(({ start, count }) => {
+        for (let i = start; i < start + count; i++) assert.ok(Math.abs(position.getX(cutaway.index.getX(i))) < 1e-6);
+      });
+  });
+
+  it('are kept through the three operations', () => {
+    const a = CSG.fromGeometry(new THREE.BoxGeometry(2, 2, 2), 'a');
+    const b = CSG.fromGeometry(new THREE.SphereGeometry(1.3, 16, 8), 'b');
+    ['union', 'subtract', 'intersect'].forEach((operation) => {
+      const geometry = CSG.toGeometry(a[operation](b));
+      assert.deepEqual([...geometry.userData.faceLabels].sort(), ['a', 'b'], operation);
+    });
+  });
+
+  it('name the cut faces of the CSG sphere like the analytic ones', () => {
+    const shell = new SphereGeometry(5, 10, 30, 60, 20, 200, { csg: true });
+    assert.deepEqual([...new Set(triangleLabels(shell))].sort(), ['endPhi', 'endTheta', 'inner', 'outer', 'startPhi', 'startTheta']);
+  });
+});
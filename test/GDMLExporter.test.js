@@ -0,0 +1,208 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+import {
+  GDMLExporter,
+  GDMLLoader,
+  BoxGeometry,
+  TubsGeometry,
+  ConsGeometry,
+  SphereGeometry,
+  PolyconeGeometry,
+  PolyhedraGeometry,
+  TrdGeometry,
+  TrapGeometry,
+  ParaGeometry,
+  GenericTrapGeometry,
+  TorusGeometry,
+  EllipsoidGeometry,
+  EllipticalTubeGeometry,
+  EllipticalConeGeometry,
+  ParaboloidGeometry,
+  HypeGeometry,
+  UnionGeometry,
+  MultiUnionGeometry,
+} from '../src/index.js';
+import { enclosedVolume } from './helpers/mesh.js';
+
+const GEOMETRIES = [
+  new BoxGeometry(10, 20, 30),
+  new TubsGeometry(5, 10, 15, 30, 120),
+  new ConsGeometry(1, 5, 2, 8, 10, 0, 270),
+  new SphereGeometry(5, 10, 20, 60, 45, 180),
+  new PolyconeGeometry(0, 360, 3, [-10, 0, 10], [0, 2, 0], [5, 8, 5]),
+  new PolyconeGeometry(0, 180, 3, [0, 5, 0], [-5, 0, 5]),
+  new PolyhedraGeometry(0, 360, 6, 2, [-5, 5], [1, 1], [4, 4]),
+  new TrdGeometry(10, 20, 5, 8, 15),
+  new TrapGeometry(15, 10, 20, 5, 4, 6, 5, 10, 8, 12, 5),
+  new ParaGeometry(10, 20, 30, 10, 20, 30),
+  new GenericTrapGeometry(10, [[-3, -3], [-3, 3], [3, 3], [3, -3], [-2, -2], [-2, 2], [2, 2], [2, -2]]),
+  new TorusGeometry(2, 4, 20, 0, 90),
+  new EllipsoidGeometry(10, 20, 30, -10, 25),
+  new EllipticalTubeGeometry(5, 10, 20),
+  new EllipticalConeGeometry(0.5, 0.8, 20, 10),
+  new ParaboloidGeometry(10, 2, 8),
+  new HypeGeometry(2, 6, 10, 20, 15),
+];
+
+function roundTrip(object) {
+  return new GDMLLoader().parse(new GDMLExporter().parse(object));
+}
+
+function assertClose(actual, expected) {
+  actual.forEach((value, i) => assert.ok(Math.abs(value - expected[i]) < 1e-9, `${actual} != ${expected}`));
+}
+
+describe('GDMLExporter', () => {
+  it('writes every geometry so that it re-imports with the same parameters', () => {
+    GEOMETRIES.forEach((geometry) => {
+      const mesh = new THREE.Mesh(geometry, new THREE.MeshStandardMaterial({ name: 'G4_Si' }));
+      mesh.name = 'solid';
+      const imported = roundTrip(new THREE.Group().add(mesh)).getObjectByName('solid');
+      assert.equal(imported.geometry.type, geometry.type);
+      assert.deepEqual(imported.geometry.parameters, geometry.parameters);
+      assert.equal(imported.material.name, 'G4_Si');
+    });
+  });
+
+  it('writes lengths in mm and angles in deg', () => {
+    const text = new GDMLExporter().parse(new THREE.Mesh(new TubsGeometry(5, 10, 15, 30, 120)));
+    assert.match(text, /<tube name="Tubs" rmin="5" rmax="10" z="30" startphi="30" deltaphi="120" lunit="mm" aunit="deg"\/>/);
+  });
+
+  it('keeps placements', () => {
+    const scene = new THREE.Scene();
+    const mother = new THREE.Mesh(new BoxGeometry(50, 50, 50), new THREE.MeshStandardMaterial({ name: 'G4_AIR' }));
+    mother.name = 'mother';
+    mother.position.set(10, -20, 30);
+    mother.rotation.set(0.3, -0.2, 1.1);
+    const daughter = new THREE.Mesh(new TubsGeometry(0, 5, 10), new THREE.MeshStandardMaterial({ name: 'G4_Si' }));
+    daughter.name = 'daughter';
+    daughter.userData.copyNumber = 7;
+    daughter.position.set(0, 0, 20);
+    daughter.rotation.set(Math.PI / 2, 0, 0);
+    mother.add(daughter);
+    scene.add(mother, new THREE.AmbientLight());
+
+    const imported = roundTrip(scene);
+    const m = imported.getObjectByName('mother');
+    const d = imported.getObjectByName('daughter');
+    assert.equal(d.parent, m);
+    assert.equal(d.userData.copyNumber, 7);
+    assertClose(m.position.toArray(), [10, -20, 30]);
+    assertClose(m.quaternion.toArray(), mother.quaternion.toArray());
+    assertClose(d.position.toArray(), [0, 0, 20]);
+    assertClose(d.quaternion.toArray(), daughter.quaternion.toArray());
+
+    // the generated world encloses the content
+    const world = m.parent;
+    world.geometry.computeBoundingBox();
+    m.geometry.computeBoundingBox();
+    assert.ok(world.geometry.boundingBox.containsBox(m.geometry.boundingBox.clone().applyMatrix4(m.matrix)));
+  });
+
+  it('shares logical volumes between identical placements', () => {
+    const geometry = new BoxGeometry(1, 1, 1);
+    const material = new THREE.MeshStandardMaterial({ name: 'G4_Fe' });
+    const group = new THREE.Group();
+    for (let i = 0; i < 3; i++) {
+      const mesh = new THREE.Mesh(geometry, material);
+      mesh.position.x = 3 * i;
+      group.add(mesh);
+    }
+    const text = new GDMLExporter().parse(group);
+    assert.equal(text.match(/<box /g).length, 2);
+    assert.equal(text.match(/<volume /g).length, 2);
+    assert.equal(text.match(/<physvol/g).length, 3);
+  });
+
+  it('writes boolean solids and material definitions from GDML', () => {
+    const gdml = `<gdml>
+      <materials>
+        <element name="H" formula="H" Z="1"><atom value="1.008"/></element>
+        <element name="O" formula="O" Z="8"><atom value="16"/></element>
+        <material name="Water" state="liquid"><D value="1"/><composite n="2" ref="H"/><composite n="1" ref="O"/></material>
+      </materials>
+      <solids>
+        <box name="World" x="1000" y="1000" z="1000"/>
+        <box name="A" x="100" y="100" z="100"/>
+        <tube name="B" rmax="20" z="200" deltaphi="360" aunit="deg"/>
+        <subtraction name="Cut">
+          <first ref="A"/><second ref="B"/>
+          <position name="p" x="10" y="5"/><rotation name="r" x="90" unit="deg"/>
+        </subtraction>
+        <union name="Twice"><first ref="Cut"/><second ref="A"/><position name="q" z="150"/></union>
+      </solids>
+      <structure>
+        <volume name="Block"><materialref ref="Water"/><solidref ref="Twice"/></volume>
+        <volume name="WorldVol"><materialref ref="G4_Galactic"/><solidref ref="World"/>
+          <physvol name="block"><volumeref ref="Block"/></physvol>
+        </volume>
+      </structure>
+      <setup name="Default" version="1.0"><world ref="WorldVol"/></setup>
+    </gdml>`;
+    const loaded = new GDMLLoader().parse(gdml);
+    const text = new GDMLExporter().parse(loaded);
+    assert.match(text, /<subtraction name="Cut">/);
+    assert.match(text, /<union name="Twice">/);
+    assert.match(text, /<rotation x="90" y="0" z="0" unit="deg"\/>/);
+
+    const imported = new GDMLLoader().parse(text);
+    const solid = imported.getObjectByName('block').geometry;
+    assert.equal(solid.type, 'UnionGeometry');
+    assert.deepEqual(solid.parameters.translation, [0, 0, 150]);
+    const cut = solid.parameters.first;
+    assert.equal(cut.type, 'SubtractionGeometry');
+    assert.deepEqual(cut.parameters.translation, [10, 5, 0]);
+    assertClose(cut.parameters.rotation, [90, 0, 0]);
+    assert.equal(
+      solid.getAttribute('position').count,
+      loaded.getObjectByName('block').geometry.getAttribute('position').count
+    );
+
+    const water = imported.userData.materials.get('Water');
+    assert.deepEqual(water, loaded.userData.materials.get('Water'));
+    assert.deepEqual(imported.userData.elements.get('H'), loaded.userData.elements.get('H'));
+    assert.equal(new GDMLExporter().parse(imported), text);
+  });
+
+  it('writes boolean classes and multi-unions built in code', () => {
+    const cube = new BoxGeometry(5, 5, 5);
+    const rack = new MultiUnionGeometry([
+      { geometry: cube },
+      { geometry: cube, rotation: [0, 0, 45], translation: [20, 0, 0] },
+    ]);
+    const mesh = new THREE.Mesh(new UnionGeometry(rack, new TubsGeometry(0, 2, 30), [90, 0, 0], [10, 0, 0]));
+    mesh.name = 'rack';
+    const text = new GDMLExporter().parse(new THREE.Group().add(mesh));
+    assert.match(text, /<multiUnionNode name="MultiUnion_node1">/);
+
+    const imported = roundTrip(new THREE.Group().add(mesh)).getObjectByName('rack').geometry;
+    assert.ok(imported instanceof UnionGeometry);
+    assert.deepEqual(imported.parameters.rotation, [90, 0, 0]);
+    assert.deepEqual(imported.parameters.translation, [10, 0, 0]);
+    const nodes = imported.parameters.first.parameters.nodes;
+    assert.equal(nodes.length, 2);
+    assert.deepEqual(nodes[1].rotation, [0, 0, 45]);
+    assert.deepEqual(nodes[1].translation, [20, 0, 0]);
+    assert.equal(nodes[0].geometry, nodes[1].geometry);
+  });
+
+  it('writes closed meshes of other geometries as tessellated solids', () => {
+    // THREE.TorusGeometry and THREE.BoxGeometry share the type of solids of this package
+    [new THREE.TorusGeometry(10, 3, 12, 24), new THREE.BoxGeometry(2, 3, 4)].forEach((geometry) => {
+      const mesh = new THREE.Mesh(geometry, new THREE.MeshStandardMaterial({ name: 'G4_Fe' }));
+      mesh.name = 'part';
+      const text = new GDMLExporter().parse(new THREE.Group().add(mesh));
+      assert.doesNotMatch(text, /<torus|<box name="Box"/);
+      assert.match(text, /<tessellated name="(Torus|Box)">/);
+      const imported = roundTrip(new THREE.Group().add(mesh)).getObjectByName('part').geometry;
+      assert.equal(imported.type, 'TessellatedGeometry');
+      assert.ok(Math.abs(imported.getCubicVolume() - enclosedVolume(geometry)) < 1e-9 * enclosedVolume(geometry));
+    });
+  });
+
+  it('rejects geometries it cannot describe', () => {
+    assert.throws(() => new GDMLExporter().parse(new THREE.Mesh(new THREE.PlaneGeometry())), /unsupported geometry/);
+  });
+});
@@ -0,0 +1,134 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { GDMLLoader, GDMLExporter, materialFromDefinitions } from '../src/index.js';
+
+const GDML = `<?xml version="1.0" encoding="UTF-8"?>
+<!DOCTYPE gdml [
+<!ENTITY materials SYSTEM "materials.xml">
+]>
+<gdml>
+  <!-- units and constants -->
+  <define>
+    <constant name="HALFPI" value="pi/2."/>
+    <quantity name="wsize" type="length" value="2" unit="m"/>
+    <variable name="halfZ" value="50*mm"/>
+    <position name="shift" x="10" y="0" z="halfZ - 3*mm" unit="cm"/>
+    <rotation name="rotX" x="90" unit="deg"/>
+  </define>
+  <materials>
+    <element name="Hydrogen" formula="H" Z="1."><atom value="1.01"/></element>
+    <element name="Oxygen" formula="O" Z="8."><atom value="16.0"/></element>
+    <material name="Water" formula="H2O"><D value="1.0"/><composite n="2" ref="Hydrogen"/><composite n="1" ref="Oxygen"/></material>
+    <material name="Air"><D value="1.29" unit="mg/cm3"/><fraction n="0.7" ref="Hydrogen"/><fraction n="0.3" ref="Oxygen"/></material>
+  </materials>
+  <solids>
+    <box name="WorldBox" x="wsize" y="wsize" z="wsize"/>
+    <tube name="Tube" rmin="1" rmax="2" z="10" deltaphi="360" aunit="deg" lunit="cm"/>
+    <sphere name="Shell" rmin="10" rmax="20" starttheta="0" deltatheta="HALFPI" startphi="0" deltaphi="2*pi"/>
+    <trd name="Crystal" x1="20" x2="30" y1="20" y2="30" z="200"/>
+    <subtraction name="Cut"><first ref="WorldBox"/><second ref="Tube"/><position name="p" x="50"/></subtraction>
+  </solids>
+  <structure>
+    <volume name="CrystalVol"><materialref ref="Water"/><solidref ref="Crystal"/></volume>
+    <volume name="TubeVol"><materialref ref="Water"/><solidref ref="Tube"/>
+      <physvol name="crystal" copynumber="3"><volumeref ref="CrystalVol"/></physvol>
+    </volume>
+    <volume name="World"><materialref ref="Air"/><solidref ref="WorldBox"/>
+      <physvol name="tube1"><volumeref ref="TubeVol"/><positionref ref="shift"/><rotationref ref="rotX"/></physvol>
+      <physvol name="tube2"><volumeref ref="TubeVol"/><position name="x" x="-200"/></physvol>
+    </volume>
+  </structure>
+  <setup name="Default" version="1.0"><world ref="World"/></setup>
+</gdml>`;
+
+describe('GDMLLoader', () => {
+  const detector = new GDMLLoader().parse(GDML);
+  const world = detector.children[0];
+
+  it('resolves constants, expressions and units', () => {
+    assert.equal(detector.userData.constants.get('wsize'), 2000);
+    assert.deepEqual(world.geometry.parameters, { pX: 1000, pY: 1000, pZ: 1000 });
+    const tube = world.getObjectByName('tube1');
+    assert.deepEqual(tube.geometry.parameters, { pRMin: 10, pRMax: 20, pDz: 50, pSPhi: 0, pDPhi: 360 });
+    assert.equal(detector.userData.solids.get('Shell').parameters.pDTheta, 90);
+  });
+
+  it('places physical volumes with GDML rotations', () => {
+    const tube = world.getObjectByName('tube1');
+    assert.deepEqual(tube.position.toArray(), [100, 0, 470]);
+    assert.ok(Math.abs(tube.rotation.x + Math.PI / 2) < 1e-12);
+    assert.deepEqual(world.getObjectByName('tube2').position.toArray(), [-200, 0, 0]);
+  });
+
+  it('builds nested volumes that share geometry and material', () => {
+    const crystals = [];
+    world.traverse((object) => object.name === 'crystal' && crystals.push(object));
+    assert.equal(crystals.length, 2);
+    assert.equal(crystals[0].geometry, crystals[1].geometry);
+    assert.equal(crystals[0].material, crystals[1].material);
+    assert.equal(crystals[0].userData.copyNumber, 3);
+    assert.equal(crystals[0].userData.logicalVolume, 'CrystalVol');
+    assert.equal(crystals[0].material.name, 'Water');
+  });
+
+  it('reads materials', () => {
+    const air = detector.userData.materials.get('Air');
+    assert.ok(Math.abs(air.density - 0.00129) < 1e-12);
+    assert.deepEqual(air.components, [
+      { ref: 'Hydrogen', fraction: 0.7 },
+      { ref: 'Oxygen', fraction: 0.3 },
+    ]);
+  });
+
+  it('reads temperature and pressure in the CLHEP units', () => {
+    // Argon as an ideal gas at 20 C and 2 bar, its density from the constants of CLHEP
+    const text = `<gdml>
+  <define>
+    <constant name="temperature" value="STP_Temperature + 20*kelvin"/>
+    <constant name="pressure" value="2*bar"/>
+  </define>
+  <materials>
+    <material name="Argon" state="gas" Z="18">
+      <D value="pressure/(k_Boltzmann*temperature)*39.948*amu/(g/cm3)" unit="g/cm3"/>
+      <T value="temperature/kelvin" unit="K"/>
+      <P value="pressure/pascal" unit="pascal"/>
+      <atom value="39.948"/>
+    </material>
+  </materials>
+  <solids><box name="Box" x="10" y="10" z="10"/></solids>
+  <structure><volume name="World"><materialref ref="Argon"/><solidref ref="Box"/></volume></structure>
+  <setup name="Default" version="1.0"><world ref="World"/></setup>
+</gdml>`;
+    const detector = new GDMLLoader().parse(text);
+    const argon = detector.userData.materials.get('Argon');
+    // 1.7823 mg/cm3 at 0 C and 1 atm
+    assert.ok(Math.abs(argon.density - 1.7823e-3 * (2e5 / 101325) * (273.15 / 293.15)) < 1e-7, `${argon.density}`);
+    assert.ok(Math.abs(argon.temperature - 293.15) < 1e-12);
+    assert.ok(Math.abs(argon.pressure - 2e5 / 101325) < 1e-12);
+
+    const material = materialFromDefinitions('Argon', detector.userData.materials);
+    assert.equal(material.temperature, argon.temperature);
+    assert.equal(material.pressure, argon.pressure);
+
+    // and written back by the exporter
+    const reloaded = new GDMLLoader().parse(new GDMLExporter().parse(detector)).userData.materials.get('Argon');
+    ['density', 'temperature', 'pressure'].forEach((key) => {
+      assert.ok(Math.abs(reloaded[key] - argon[key]) <= 1e-12 * argon[key], key);
+    });
+  });
+
+  it('keeps boolean operands', () => {
+    const cut = detector.userData.solids.get('Cut');
+    assert.equal(cut.type, 'SubtractionGeometry');
+    assert.equal(cut.parameters.first, detector.userData.solids.get('WorldBox'));
+    assert.deepEqual(cut.parameters.translation, [50, 0, 0]);
+  });
+
+  it('reports the line of invalid input', () => {
+    assert.throws(
+      () => new GDMLLoader().parse(GDML.replace('z="200"', 'z="2*foo"')),
+      /unknown name 'foo'.*line 24/i
+    );
+    assert.throws(() => new GDMLLoader().parse('<gdml><solids><box></solids></gdml>'), SyntaxError);
+  });
+});
@@ -0,0 +1,276 @@
+import { describe, it, after } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  BoxGeometry,
+  TubsGeometry,
+  SphereGeometry,
+  UnionGeometry,
+  SubtractionGeometry,
+  MultiUnionGeometry,
+  GeometryWorkerPool,
+  GDMLLoader,
+  buildGeometry,
+  geometryToJSON,
+} from '../src/index.js';
+
+function assertSameMesh(actual, expected) {
+  assert.deepEqual(Object.keys(actual.attributes).sort(), Object.keys(expected.attributes).sort());
+  Object.keys(expected.attributes).forEach((name) => {
+    assert.deepEqual(Array.from(actual.attributes[name].array), Array.from(expected.attributes[name].array));
+  });
+  assert.deepEqual(actual.index && Array.from(actual.index.array), expected.index && Array.from(expected.index.array));
+  assert.deepEqual(actual.groups, expected.groups);
+}
+
+describe('GeometryWorkerPool', () => {
+  const pool = new GeometryWorkerPool({ size: 2 });
+  after(() => pool.dispose());
+
+  it('builds solids like their constructor', async () => {
+    const sphere = await pool.build({ type: 'SphereGeometry', pRMax: 100, pDTheta: 90, tessellation: { radialSegments: 12 } });
+    assert.ok(sphere instanceof SphereGeometry);
+    const expected = new SphereGeometry(0, 100, 0, 90, 0, 360, { radialSegments: 12 });
+    assert.deepEqual(sphere.parameters, expected.parameters);
+    assertSameMesh(sphere, expected);
+
+    const tubs = new TubsGeometry(0, 10, 20, 0, 270, { chordTolerance: 0.1 });
+    tubs.name = 'Pipe';
+    const built = await pool.build(tubs);
+    assert.notEqual(built, tubs);
+    assert.equal(built.name, 'Pipe');
+    assert.deepEqual(built.parameters, tubs.parameters);
+    assertSameMesh(built, tubs);
+    assert.equal(built.getCubicVolume(), tubs.getCubicVolume());
+  });
+
+  it('evaluates compositions in place', async () => {
+    const rod = new TubsGeometry(0, 10, 10);
+    rod.name = 'Rod';
+    const inner = new UnionGeometry(rod, new BoxGeometry(5, 5, 5), [0, 0, 0], [0, 0, 10], [0, 0, 0], [0, 0, 0], { evaluate: false });
+    const outer = new SubtractionGeometry(inner, new SphereGeometry(0, 4), [0, 0, 0], [0, 0, -10], [0, 0, 0], [0, 0, 0], { evaluate: false });
+    assert.equal(outer.attributes.position, undefined);
+
+    assert.equal(await pool.evaluate(outer), outer);
+    const union = new UnionGeometry(rod, new BoxGeometry(5, 5, 5), [0, 0, 0], [0, 0, 10]);
+    assertSameMesh(outer, new SubtractionGeometry(union, new SphereGeometry(0, 4), [0, 0, 0], [0, 0, -10]));
+    assertSameMesh(inner, union);
+    assert.deepEqual(inner.userData.faceLabels, union.userData.faceLabels);
+    assert.equal(outer.parameters.first, inner);
+
+    const rack = new MultiUnionGeometry([
+      { geometry: rod, translation: [-20, 0, 0] },
+      { geometry: rod, translation: [20, 0, 0] },
+    ], { evaluate: false });
+    await pool.evaluate(rack);
+    assertSameMesh(rack, new MultiUnionGeometry([
+      { geometry: rod, translation: [-20, 0, 0] },
+      { geometry: rod, translation: [20, 0, 0] },
+    ]));
+  });
+
+  it('caches by description', async () => {
+    const box = { type: 'BoxGeometry', pX: 1, pY: 2, pZ: 3 };
+    const jobOf = () => [...pool.jobs.values()].find((job) => job.data === box);
+    const [a, b] = await Promise.all([pool.build(box), pool.build({ ...box, uuid: 'other' })]);
+    assert.notEqual(a, b);
+    assert.notEqual(a.attributes.position, b.attributes.position);
+    assertSameMesh(a, b);
+    const cached = jobOf();
+    assert.ok(cached);
+    a.translate(10, 0, 0);
+    assertSameMesh(await pool.build(geometryToJSON(new BoxGeometry(1, 2, 3))), b);
+    assert.equal(jobOf(), cached);
+    pool.clearCache();
+    await pool.build(box);
+    assert.notEqual(jobOf(), cached);
+
+    const uncached = new GeometryWorkerPool({ size: 1, cache: false });
+    try {
+      assert.notEqual(await uncached.build(box), await uncached.build(box));
+    } finally {
+      uncached.dispose();
+    }
+  });
+
+  it('forgets the least recently used geometries', async () => {
+    const small = new GeometryWorkerPool({ size: 1, cacheSize: 2 });
+    const box = (pX) => ({ type: 'BoxGeometry', pX });
+    const cached = () => [...small.jobs.values()].map((job) => job.data.pX);
+    try {
+      await small.build(box(1));
+      await small.build(box(2));
+      await small.build(box(1));
+      await small.build(box(3));
+      assert.deepEqual(cached(), [1, 3]);
+    } finally {
+      small.dispose();
+    }
+    assert.throws(() => new GeometryWorkerPool({ cacheSize: -1 }), RangeError);
+  });
+
+  it('builds solids from the arguments of their constructor', async () => {
+    const args = [0, 10, 20, 0, 270, { chordTolerance: 0.1 }];
+    const tubs = await pool.build({ type: 'TubsGeometry', name: 'Pipe', arguments: args });
+    const expected = new TubsGeometry(...args);
+    assert.ok(tubs instanceof TubsGeometry);
+    assert.equal(tubs.name, 'Pipe');
+    assert.deepEqual(tubs.parameters, expected.parameters);
+    assertSameMesh(tubs, expected);
+    await assert.rejects(pool.build({ type: 'Bogus', arguments: [] }), /unknown geometry type 'Bogus'/);
+  });
+
+  it('gives each evaluated geometry its own buffers', async () => {
+    const make = () =>
+      new UnionGeometry(new BoxGeometry(5, 5, 5), new TubsGeometry(0, 2, 10), [0, 0, 0], [0, 0, 5], [0, 0, 0], [0, 0, 0], { evaluate: false });
+    const [moved, kept] = await pool.evaluateAll([make(), make()]);
+    const before = Array.from(kept.attributes.position.array);
+    assert.notEqual(moved.attributes.position, kept.attributes.position);
+    assert.notEqual(moved.index, kept.index);
+
+    moved.translate(100, 0, 0);
+    assert.deepEqual(Array.from(kept.attributes.position.array), before);
+    assert.notEqual(moved.parameters.first.attributes.position, kept.parameters.first.attributes.position);
+  });
+
+  it('reports progress', async () => {
+    const progress = [];
+    const solids = await pool.buildAll(
+      [1, 2, 3].map((r) => ({ type: 'TubsGeometry', pRMax: r })),
+      { onProgress: (event) => progress.push(event) }
+    );
+    assert.deepEqual(solids.map((solid) => solid.parameters.pRMax), [1, 2, 3]);
+    assert.deepEqual(progress.map(({ loaded }) => loaded), [1, 2, 3]);
+    assert.ok(progress.every(({ total }) => total === 3));
+  });
+
+  it('cancels builds', async () => {
+    const controller = new AbortController();
+    const slow = pool.build({ type: 'SphereGeometry', pRMax: 100, tessellation: { chordTolerance: 1e-3 } }, { signal: controller.signal });
+    const queued = pool.build({ type: 'SphereGeometry', pRMax: 50, tessellation: { chordTolerance: 1e-3 } }, { signal: controller.signal });
+    controller.abort(new Error('stop'));
+    await assert.rejects(slow, /stop/);
+    await assert.rejects(queued, /stop/);
+    await assert.rejects(pool.build({ type: 'BoxGeometry' }, { signal: controller.signal }), /stop/);
+
+    // The pool still works, the aborted builds were not cached
+    assert.ok((await pool.build({ type: 'BoxGeometry', pX: 7 })).attributes.position);
+    assert.equal(pool.jobs.size > 0 && [...pool.jobs.values()].every((job) => job.settled), true);
+  });
+
+  it('rejects with the error of the worker', async () => {
+    await assert.rejects(pool.build({ type: 'TubsGeometry', pRMin: 5, pRMax: 1 }), RangeError);
+    await assert.rejects(pool.build({ pX: 1 }), TypeError);
+    await assert.rejects(buildGeometry('Bogus', {}), /unknown geometry type 'Bogus'/);
+    await assert.rejects(buildGeometry('Box', { pX: -1 }, { pool }), RangeError);
+  });
+
+  it('builds solids of the shared pool by type', async () => {
+    const box = await buildGeometry('Box', { pX: 2 });
+    assert.ok(box instanceof BoxGeometry);
+    assert.equal(box.parameters.pX, 2);
+  });
+});
+
+describe('GDMLLoader.parseAsync', () => {
+  const text = `<?xml version="1.0"?>
+<gdml>
+  <solids>
+    <box name="WorldBox" x="1000" y="1000" z="1000"/>
+    <tube name="Rod" rmax="10" z="20" deltaphi="360" aunit="deg"/>
+    <box name="Cap" x="10" y="10" z="10"/>
+    <union name="Stub"><first ref="Rod"/><second ref="Cap"/><position name="up" z="10"/></union>
+    <subtraction name="Holed"><first ref="Stub"/><second ref="Cap"/><position name="down" z="-10"/></subtraction>
+  </solids>
+  <structure>
+    <volume name="StubVol"><materialref ref="G4_Fe"/><solidref ref="Stub"/></volume>
+    <volume name="HoledVol"><materialref ref="G4_Fe"/><solidref ref="Holed"/></volume>
+    <volume name="World"><materialref ref="G4_AIR"/><solidref ref="WorldBox"/>
+      <physvol name="stub"><volumeref ref="StubVol"/></physvol>
+      <physvol name="holed"><volumeref ref="HoledVol"/><position name="p" x="100"/></physvol>
+    </volume>
+  </structure>
+  <setup name="Default" version="1.0"><world ref="World"/></setup>
+</gdml>`;
+
+  // Every solid of `detector` as parse() makes it
+  function assertSameSolids(detector, expected) {
+    const { solids } = expected.userData;
+    assert.deepEqual([...detector.userData.solids.keys()], [...solids.keys()]);
+    detector.userData.solids.forEach((solid, name) => {
+      assert.equal(solid.constructor, solids.get(name).constructor);
+      assert.equal(solid.name, name);
+      assertSameMesh(solid, solids.get(name));
+      assert.equal(solid.getCubicVolume(), solids.get(name).getCubicVolume());
+    });
+  }
+
+  it('builds the solids in workers', async () => {
+    const progress = [];
+    const detector = await new GDMLLoader().parseAsync(text, { onProgress: (event) => progress.push(event) });
+    const expected = new GDMLLoader().parse(text);
+    assertSameSolids(detector, expected);
+    ['stub', 'holed'].forEach((name) => {
+      assertSameMesh(detector.getObjectByName(name).geometry, expected.getObjectByName(name).geometry);
+    });
+    // Three primitives, then the outer composition
+    assert.deepEqual(progress.map(({ loaded }) => loaded), [1, 2, 3, 4]);
+    assert.ok(progress.every(({ total }) => total === 4));
+  });
+
+  it('builds tessellated and reflected solids in workers', async () => {
+    const mirrored = `<?xml version="1.0"?>
+<gdml>
+  <define>
+    <position name="v1" x="0" y="0" z="0"/>
+    <position name="v2" x="10" y="0" z="0"/>
+    <position name="v3" x="0" y="10" z="0"/>
+    <position name="v4" x="0" y="0" z="10"/>
+  </define>
+  <solids>
+    <box name="WorldBox" x="1000" y="1000" z="1000"/>
+    <tessellated name="Tet">
+      <triangular vertex1="v1" vertex2="v3" vertex3="v2"/>
+      <triangular vertex1="v1" vertex2="v2" vertex3="v4"/>
+      <triangular vertex1="v1" vertex2="v4" vertex3="v3"/>
+      <triangular vertex1="v2" vertex2="v3" vertex3="v4"/>
+    </tessellated>
+    <cone name="Horn" rmax1="5" rmax2="2" z="20" deltaphi="360" aunit="deg"/>
+    <reflectedSolid name="LeftTet" solid="Tet" sx="-1" sy="1" sz="1"/>
+    <union name="Pair"><first ref="Tet"/><second ref="LeftTet"/></union>
+    <reflectedSolid name="LeftHorn" solid="Horn" sx="1" sy="1" sz="-1" dz="30"/>
+  </solids>
+  <structure>
+    <volume name="PairVol"><materialref ref="G4_Fe"/><solidref ref="Pair"/></volume>
+    <volume name="HornVol"><materialref ref="G4_Fe"/><solidref ref="LeftHorn"/></volume>
+    <volume name="World"><materialref ref="G4_AIR"/><solidref ref="WorldBox"/>
+      <physvol name="pair"><volumeref ref="PairVol"/></physvol>
+      <physvol name="horn"><volumeref ref="HornVol"/></physvol>
+    </volume>
+  </structure>
+  <setup name="Default" version="1.0"><world ref="World"/></setup>
+</gdml>`;
+    const progress = [];
+    const detector = await new GDMLLoader().parseAsync(mirrored, { onProgress: (event) => progress.push(event) });
+    assertSameSolids(detector, new GDMLLoader().parse(mirrored));
+    // Three primitives, then the union and the reflection of the cone
+    assert.deepEqual(progress.map(({ loaded }) => loaded), [1, 2, 3, 4, 5]);
+    const pair = detector.userData.solids.get('Pair');
+    assert.equal(pair.parameters.second, detector.userData.solids.get('LeftTet'));
+    assert.equal(pair.parameters.second.parameters.solid, detector.userData.solids.get('Tet'));
+    assertSameMesh(pair.clone(), pair);
+  });
+
+  it('tells which solid a worker failed to build', async () => {
+    const broken = text.replace('<box name="Cap" x="10"', '<box name="Cap" x="-10"');
+    await assert.rejects(new GDMLLoader().parseAsync(broken), /GDMLLoader: solid 'Cap' \(<box> at line 6\): /);
+  });
+
+  it('can be aborted', async () => {
+    const pool = new GeometryWorkerPool({ size: 1 });
+    try {
+      await assert.rejects(new GDMLLoader().parseAsync(text, { pool, signal: AbortSignal.abort() }), { name: 'AbortError' });
+    } finally {
+      pool.dispose();
+    }
+  });
+});
@@ -0,0 +1,185 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  BoxGeometry,
+  Element,
+  Material,
+  LogicalVolume,
+  PhysicalVolume,
+  GDMLLoader,
+  TextGeometryLoader,
+  findNistElement,
+  findNistMaterial,
+  nistMaterialNames,
+} from '../src/index.js';
+
+function assertNear(actual, expected, tolerance) {
+  assert.ok(Math.abs(actual - expected) <= tolerance, `${actual} is not within ${tolerance} of ${expected}`);
+}
+
+describe('NIST materials', () => {
+  it('finds elements by symbol and atomic number', () => {
+    const lead = findNistElement('Pb');
+    assert.equal(lead.Z, 82);
+    assert.equal(findNistElement(82), lead);
+    assert.equal(findNistElement('Xx'), null);
+    assert.equal(findNistElement(99), null);
+  });
+
+  it('finds elementary materials and compounds', () => {
+    const silicon = findNistMaterial('G4_Si');
+    assert.equal(silicon.density, 2.33);
+    assert.equal(silicon.state, 'solid');
+    assert.equal(findNistMaterial('G4_Si'), silicon);
+    assert.equal(findNistMaterial('G4_lAr').state, 'liquid');
+    assert.equal(findNistMaterial('G4_Ar').state, 'gas');
+    assert.equal(findNistMaterial('G4_Unobtainium'), null);
+    assert.equal(findNistMaterial('Si'), null);
+    assert.ok(nistMaterialNames().includes('G4_PbWO4'));
+
+    const water = findNistMaterial('G4_WATER').getMassFractions();
+    assert.deepEqual(water.map(({ element }) => element.symbol), ['H', 'O']);
+    assertNear(water[0].fraction, 0.1119, 1e-4);
+  });
+
+  it('computes radiation lengths in millimeters', () => {
+    // Particle Data Group values
+    const lengths = { G4_Pb: 5.612, G4_Si: 93.7, G4_WATER: 360.8, G4_PbWO4: 8.903, G4_CESIUM_IODIDE: 18.6, G4_lAr: 140, G4_AIR: 303900 };
+    Object.entries(lengths).forEach(([name, length]) => {
+      assertNear(findNistMaterial(name).getRadiationLength(), length, 0.005 * length);
+    });
+  });
+});
+
+describe('Material', () => {
+  const hydrogen = findNistElement('H');
+  const carbon = findNistElement('C');
+
+  it('is made from numbers of atoms or mass fractions', () => {
+    const byAtoms = new Material('Scintillator', 1.032)
+      .addElementByNumberOfAtoms(carbon, 9)
+      .addElementByNumberOfAtoms(hydrogen, 10);
+    const [c, h] = byAtoms.getMassFractions();
+    assertNear(c.fraction, (9 * carbon.A) / (9 * carbon.A + 10 * hydrogen.A), 1e-12);
+    assertNear(h.fraction + c.fraction, 1, 1e-12);
+
+    const byFractions = new Material('Same', 1.032)
+      .addElementByMassFraction(carbon, c.fraction)
+      .addElementByMassFraction(hydrogen, h.fraction);
+    assertNear(byFractions.getRadiationLength(), byAtoms.getRadiationLength(), 1e-9);
+    assertNear(byAtoms.getRadiationLength(), 424, 5);
+  });
+
+  it('mixes materials', () => {
+    const water = findNistMaterial('G4_WATER');
+    const mix = new Material('Mix', 1)
+      .addMaterial(water, 0.5)
+      .addElementByMassFraction(findNistElement('O'), 0.5);
+    const [h, o] = mix.getMassFractions();
+    assertNear(h.fraction, water.getMassFractions()[0].fraction / 2, 1e-12);
+    assertNear(o.fraction, 1 - h.fraction, 1e-12);
+  });
+
+  it('deduces the state from the density', () => {
+    assert.equal(new Material('Gas', 0.002).state, 'gas');
+    assert.equal(new Material('Heavy', 11).state, 'solid');
+  });
+
+  it('rejects invalid definitions', () => {
+    assert.throws(() => new Material('Bad', 0), RangeError);
+    assert.throws(() => new Material('Bad', 1, { state: 'plasma' }), RangeError);
+    assert.throws(() => new Element('Bad', 'B', 0, 1), RangeError);
+    assert.throws(() => new Material('Bad', 1).addElementByNumberOfAtoms(carbon, 1.5), RangeError);
+    assert.throws(() => new Material('Bad', 1).addElementByMassFraction(carbon, 2), RangeError);
+    assert.throws(
+      () => new Material('Bad', 1).addElementByNumberOfAtoms(carbon, 1).addElementByMassFraction(hydrogen, 0.5),
+      /made by numbers of atoms/
+    );
+  });
+
+  it('maps to a Three.js material', () => {
+    const crystal = findNistMaterial('G4_PbWO4').toThreeMaterial();
+    assert.equal(crystal.name, 'G4_PbWO4');
+    assert.ok(crystal.transparent && crystal.opacity < 1);
+
+    const gas = findNistMaterial('G4_AIR').toThreeMaterial();
+    assert.ok(gas.opacity < crystal.opacity);
+    assert.equal(findNistMaterial('G4_Galactic').toThreeMaterial().visible, false);
+
+    const copper = findNistMaterial('G4_Cu').toThreeMaterial();
+    assert.ok(copper.metalness > 0.5 && !copper.transparent);
+    assert.notEqual(copper.color.getHex(), findNistMaterial('G4_Pb').toThreeMaterial().color.getHex());
+    assert.equal(copper.color.getHex(), 0xb87333);
+    assert.equal(findNistMaterial('G4_Cu').toThreeMaterial({ color: 0xff0000 }).color.getHex(), 0xff0000);
+  });
+});
+
+describe('Materials of volumes and imported detectors', () => {
+  it('colour the volume tree and give the mass', () => {
+    const world = new LogicalVolume(new BoxGeometry(100, 100, 100), 'G4_AIR', 'World');
+    const crystal = new LogicalVolume(new BoxGeometry(10, 10, 10), 'G4_PbWO4', 'Crystal');
+    const absorber = new LogicalVolume(new BoxGeometry(10, 10, 10), findNistMaterial('G4_Pb'), 'Absorber', { opacity: 0.5 });
+    const physical = new PhysicalVolume(null, null, world, 'World');
+    new PhysicalVolume(null, [-50, 0, 0], crystal, 'Crystal', world);
+    new PhysicalVolume(null, [50, 0, 0], absorber, 'Absorber', world);
+
+    const object = physical.toObject3D();
+    assert.ok(object.material.opacity < 0.5);
+    assert.equal(object.getObjectByName('Crystal').material.color.getHex(), findNistMaterial('G4_PbWO4').toThreeMaterial().color.getHex());
+    assert.equal(object.getObjectByName('Absorber').material.opacity, 0.5);
+    assert.equal(object.getObjectByName('Absorber').userData.material, 'G4_Pb');
+
+    assertNear(crystal.getMass(), 8 * 8.28, 1e-9);
+    assertNear(world.getMass(), (8e6 - 16000) * 0.00120479e-3 + 8 * 8.28 + 8 * 11.35, 1e-9);
+    assert.throws(() => new LogicalVolume(new BoxGeometry(1, 1, 1), 'Unobtainium', 'Bad').getMass(), /no density/);
+  });
+
+  it('colour GDML volumes by their material', () => {
+    const detector = new GDMLLoader().parse(`<?xml version="1.0"?>
+<gdml>
+  <materials>
+    <element name="Hydrogen" formula="H" Z="1"><atom value="1.008"/></element>
+    <element name="Oxygen" formula="O" Z="8"><atom value="16.0"/></element>
+    <material name="Water" state="liquid"><D value="1.0"/><composite n="2" ref="Hydrogen"/><composite n="1" ref="Oxygen"/></material>
+    <material name="Steel"><D value="7.9"/><fraction n="0.98" ref="G4_Fe"/><fraction n="0.02" ref="G4_C"/></material>
+  </materials>
+  <solids>
+    <box name="WorldBox" x="1000" y="1000" z="1000"/>
+    <box name="Small" x="10" y="10" z="10"/>
+  </solids>
+  <structure>
+    <volume name="WaterVol"><materialref ref="Water"/><solidref ref="Small"/></volume>
+    <volume name="SteelVol"><materialref ref="Steel"/><solidref ref="Small"/></volume>
+    <volume name="CrystalVol"><materialref ref="G4_PbWO4"/><solidref ref="Small"/></volume>
+    <volume name="World"><materialref ref="G4_AIR"/><solidref ref="WorldBox"/>
+      <physvol name="water"><volumeref ref="WaterVol"/><position name="p1" x="-100"/></physvol>
+      <physvol name="steel"><volumeref ref="SteelVol"/></physvol>
+      <physvol name="crystal"><volumeref ref="CrystalVol"/><position name="p2" x="100"/></physvol>
+    </volume>
+  </structure>
+  <setup name="Default" version="1.0"><world ref="World"/></setup>
+</gdml>`);
+    const water = detector.getObjectByName('water').material;
+    const steel = detector.getObjectByName('steel').material;
+    const crystal = detector.getObjectByName('crystal').material;
+    assert.ok(water.transparent);
+    assert.equal(steel.color.getHex(), findNistMaterial('G4_Fe').toThreeMaterial().color.getHex());
+    assert.equal(crystal.color.getHex(), findNistMaterial('G4_PbWO4').toThreeMaterial().color.getHex());
+    assert.equal(water.userData.gdml.name, 'Water');
+  });
+
+  it('colour text geometry volumes by their material', () => {
+    const detector = new TextGeometryLoader().parse(`
+:ROTM R0 0 0 0
+:MIXT Scint 1.032 2 G4_C 0.915 G4_H 0.085
+:VOLU World BOX 100 100 100 G4_AIR
+:VOLU Tile BOX 10 10 1 Scint
+:VOLU Plate BOX 10 10 1 G4_Cu
+:PLACE Tile 1 World R0 0 0 10
+:PLACE Plate 1 World R0 0 0 -10
+`);
+    const tile = detector.getObjectByName('Tile').material;
+    assert.ok(tile.transparent);
+    assert.equal(detector.getObjectByName('Plate').material.color.getHex(), 0xb87333);
+  });
+});
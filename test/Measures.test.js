@@ -0,0 +1,291 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+import {
+  BoxGeometry,
+  SphereGeometry,
+  TubsGeometry,
+  ConsGeometry,
+  PolyconeGeometry,
+  PolyhedraGeometry,
+  TrdGeometry,
+  TrapGeometry,
+  ParaGeometry,
+  GenericTrapGeometry,
+  TorusGeometry,
+  EllipsoidGeometry,
+  EllipticalTubeGeometry,
+  EllipticalConeGeometry,
+  ParaboloidGeometry,
+  HypeGeometry,
+  UnionGeometry,
+  SubtractionGeometry,
+  MultiUnionGeometry,
+  LogicalVolume,
+  PhysicalVolume,
+  createRandom,
+  kInside,
+  kSurface,
+} from '../src/index.js';
+import { HEXAHEDRON_FACES } from '../src/utils/index.js';
+
+function assertNear(actual, expected, tolerance) {
+  assert.ok(Math.abs(actual - expected) <= tolerance, `${actual} is not within ${tolerance} of ${expected}`);
+}
+
+const STATISTICS = 100000;
+
+describe('getCubicVolume and getSurfaceArea', () => {
+  it('match the textbook formulas', () => {
+    const box = new BoxGeometry(10, 20, 30);
+    assert.equal(box.getCubicVolume(), 48000);
+    assert.equal(box.getSurfaceArea(), 8800);
+
+    const sphere = new SphereGeometry(0, 10);
+    assertNear(sphere.getCubicVolume(), (4 / 3) * Math.PI * 1000, 1e-9);
+    assertNear(sphere.getSurfaceArea(), 400 * Math.PI, 1e-9);
+
+    const hemisphere = new SphereGeometry(0, 10, 0, 90);
+    assertNear(hemisphere.getSurfaceArea(), 300 * Math.PI, 1e-9);
+
+    const tubs = new TubsGeometry(5, 10, 20);
+    assertNear(tubs.getCubicVolume(), Math.PI * 75 * 40, 1e-9);
+    assertNear(tubs.getSurfaceArea(), 2 * Math.PI * 75 + 2 * Math.PI * 15 * 40, 1e-9);
+
+    const ball = new EllipsoidGeometry(10, 10, 10);
+    assertNear(ball.getCubicVolume(), sphere.getCubicVolume(), 1e-9);
+    assertNear(ball.getSurfaceArea(), sphere.getSurfaceArea(), 1e-6);
+
+    const cylinder = new EllipticalTubeGeometry(10, 10, 20);
+    assertNear(cylinder.getSurfaceArea(), new TubsGeometry(0, 10, 20).getSurfaceArea(), 1e-9);
+    assertNear(new HypeGeometry(5, 10, 0, 0, 20).getSurfaceArea(), tubs.getSurfaceArea(), 1e-9);
+    assertNear(new PolyconeGeometry(0, 360, 2, [-20, 20], [5, 5], [10, 10]).getSurfaceArea(), tubs.getSurfaceArea(), 1e-9);
+    assertNear(new TrdGeometry(10, 10, 20, 20, 30).getCubicVolume(), 48000, 1e-9);
+  });
+
+  const solids = {
+    ConsGeometry: new ConsGeometry(2, 8, 4, 12, 15, 10, 200),
+    SphereGeometry: new SphereGeometry(4, 10, 20, 300, 30, 100),
+    TorusGeometry: new TorusGeometry(2, 5, 20, 0, 270),
+    PolyconeGeometry: new PolyconeGeometry(10, 300, 3, [-10, 0, 10], [0, 2, 1], [5, 8, 6]),
+    PolyhedraGeometry: new PolyhedraGeometry(10, 300, 5, 3, [-10, 0, 10], [0, 2, 1], [5, 8, 6]),
+    TrapGeometry: new TrapGeometry(15, 10, 20, 5, 4, 6, 5, 10, 8, 12, 5),
+    ParaGeometry: new ParaGeometry(5, 6, 7, 10, 20, 30),
+    GenericTrapGeometry: new GenericTrapGeometry(10, [[-5, -5], [-5, 5], [5, 5], [5, -5], [-3, -6], [-6, 3], [3, 6], [6, -3]]),
+    EllipsoidGeometry: new EllipsoidGeometry(5, 8, 10, -4, 7),
+    EllipticalTubeGeometry: new EllipticalTubeGeometry(5, 3, 10),
+    EllipticalConeGeometry: new EllipticalConeGeometry(0.5, 0.8, 10, 6),
+    ParaboloidGeometry: new ParaboloidGeometry(10, 3, 8),
+    HypeGeometry: new HypeGeometry(2, 8, 30, 20, 10),
+  };
+
+  // Distances to these surfaces solve a quartic, which is slow
+  const quartic = ['ParaboloidGeometry', 'HypeGeometry'];
+
+  Object.entries(solids).forEach(([name, solid]) => {
+    it(`agree with the Monte Carlo estimates for ${name}`, () => {
+      const statistics = quartic.includes(name) ? STATISTICS / 5 : STATISTICS;
+      const volume = solid.estimateCubicVolume({ statistics });
+      assertNear(solid.getCubicVolume(), volume.value, 4 * volume.error);
+      const area = solid.estimateSurfaceArea({ statistics });
+      assertNear(solid.getSurfaceArea(), area.value, 4 * area.error + 0.02 * area.value);
+    });
+  });
+
+  it('are estimated for boolean solids', () => {
+    const block = new SubtractionGeometry(new BoxGeometry(50, 50, 50), new TubsGeometry(0, 10, 60), [90, 0, 0]);
+    const volume = block.estimateCubicVolume({ statistics: STATISTICS });
+    assertNear(volume.value, 1000000 - Math.PI * 100 * 100, 4 * volume.error);
+    assert.ok(volume.error > 0 && volume.error < 0.01 * volume.value);
+
+    const area = block.estimateSurfaceArea({ statistics: STATISTICS });
+    const expected = 6 * 10000 - 2 * Math.PI * 100 + 2 * Math.PI * 10 * 100;
+    assertNear(area.value, expected, 4 * area.error + 0.02 * expected);
+
+    const pair = new UnionGeometry(new BoxGeometry(5, 5, 5), new BoxGeometry(5, 5, 5), [0, 0, 0], [20, 0, 0]);
+    assertNear(pair.estimateCubicVolume({ statistics: STATISTICS, seed: 7 }).value, 2000, 30);
+  });
+
+  it('cache the estimate until the solid changes', () => {
+    const nodes = [
+      { geometry: new BoxGeometry(5, 5, 5), translation: [-10, 0, 0] },
+      { geometry: new BoxGeometry(5, 5, 5), translation: [10, 0, 0] },
+    ];
+    const multi = new MultiUnionGeometry(nodes);
+    const volume = multi.getCubicVolume();
+    assertNear(volume, 2000, 20);
+    assert.equal(multi.getCubicVolume(), volume);
+    nodes[1].geometry.parameters.pX = 10;
+    multi.update();
+    assertNear(multi.getCubicVolume(), 3000, 30);
+  });
+});
+
+describe('getMass', () => {
+  it('takes a density in g/cm3', () => {
+    assertNear(new BoxGeometry(50, 50, 50).getMass(2.7), 2700, 1e-9);
+  });
+
+  it('sums a volume tree with the daughters carved out', () => {
+    const densities = { G4_AIR: 0.00120479, G4_Al: 2.699, G4_Pb: 11.35 };
+    const density = (material) => densities[material];
+    const world = new LogicalVolume(new BoxGeometry(500, 500, 500), 'G4_AIR', 'World');
+    const tube = new LogicalVolume(new TubsGeometry(0, 50, 100), 'G4_Al', 'Tube');
+    const brick = new LogicalVolume(new BoxGeometry(10, 10, 10), 'G4_Pb', 'Brick');
+    new PhysicalVolume(null, null, world, 'World');
+    new PhysicalVolume([90, 0, 0], [0, 0, 100], tube, 'Tube', world);
+    new PhysicalVolume(null, [0, 0, -50], brick, 'Brick', tube, 1);
+    new PhysicalVolume(null, [0, 0, 50], brick, 'Brick', tube, 2);
+
+    const tubeVolume = Math.PI * 2500 * 200;
+    const expectedTube = ((tubeVolume - 16000) * 2.699 + 16000 * 11.35) / 1000;
+    assertNear(tube.getMass(density), expectedTube, 1e-9);
+    assertNear(world.getMass(density), ((1e9 - tubeVolume) * 0.00120479) / 1000 + expectedTube, 1e-6);
+    assertNear(world.getMass(), world.getMass(density), 1e-6);
+    world.material = 'Air';
+    assert.throws(() => world.getMass(), /no density for material 'Air' of 'World'/);
+  });
+
+  it('measures plain meshes by the volume they enclose', () => {
+    const world = new LogicalVolume(new BoxGeometry(500, 500, 500), 'G4_AIR', 'World');
+    const block = new LogicalVolume(new THREE.BoxGeometry(100, 20, 50), 'G4_Pb', 'Block');
+    new PhysicalVolume(null, [0, 0, 100], block, 'Block', world);
+    assertNear(block.getMass(), 1e5 * 11.35e-3, 1e-9);
+    assertNear(world.getMass(), (1e9 - 1e5) * 0.00120479e-3 + 1e5 * 11.35e-3, 1e-6);
+
+    const open = new THREE.PlaneGeometry(10, 10);
+    assert.throws(() => new LogicalVolume(open, 'G4_Pb', 'Sheet').getMass(), /the PlaneGeometry of 'Sheet' is not a closed mesh/);
+  });
+});
+
+describe('Point sampling', () => {
+  const sphere = new SphereGeometry(5, 10, 30, 60, 20, 100);
+
+  it('draws sphere points uniformly by area and volume within the cuts', () => {
+    const random = createRandom(7);
+    const count = 20000;
+    let outer = 0;
+    let innerHalf = 0;
+    for (let i = 0; i < count; i++) {
+      const point = sphere.getPointOnSurface(random);
+      assert.equal(sphere.inside(point), kSurface);
+      if (Math.abs(point.length() - 10) < 1e-9) outer++;
+
+      const inside = sphere.getPointInside(random);
+      assert.notEqual(sphere.inside(inside), 0);
+      // Half the volume of the shell lies within this radius
+      if (inside.length() < Math.cbrt((125 + 1000) / 2)) innerHalf++;
+    }
+    const outerArea = ((100 * Math.PI) / 180) * Math.cos(Math.PI / 6) * 100;
+    const fraction = outerArea / sphere.getSurfaceArea();
+    assertNear(outer / count, fraction, 4 * Math.sqrt((fraction * (1 - fraction)) / count));
+    assertNear(innerHalf / count, 0.5, 4 * Math.sqrt(0.25 / count));
+  });
+
+  it('is reproducible with a seeded generator', () => {
+    assert.deepEqual(sphere.getPointsOnSurface(50, createRandom(3)), sphere.getPointsOnSurface(50, createRandom(3)));
+    assert.notDeepEqual(sphere.getPointsInside(50, createRandom(3)), sphere.getPointsInside(50, createRandom(4)));
+    const cloud = sphere.getPointsInside(100, createRandom(1));
+    assert.ok(cloud instanceof Float32Array);
+    assert.equal(cloud.length, 300);
+    assert.throws(() => sphere.getPointsInside(-1), RangeError);
+  });
+
+  const solids = [
+    new BoxGeometry(3, 4, 5),
+    new TubsGeometry(5, 10, 20, 10, 200),
+    new ConsGeometry(2, 8, 4, 12, 15, 10, 200),
+    new TorusGeometry(2, 5, 20, 0, 270),
+    new PolyhedraGeometry(10, 300, 5, 3, [-10, 0, 10], [0, 2, 1], [5, 8, 6]),
+    new GenericTrapGeometry(10, [[-5, -5], [-5, 5], [5, 5], [5, -5], [-3, -6], [-6, 3], [3, 6], [6, -3]]),
+    new EllipsoidGeometry(5, 8, 10, -4, 7),
+    new ParaboloidGeometry(10, 3, 8),
+    new SubtractionGeometry(new TubsGeometry(0, 10, 10), new BoxGeometry(4, 4, 20), [0, 0, 30], [5, 0, 0]),
+  ];
+
+  solids.forEach((solid) => {
+    it(`puts the points of ${solid.type} on its surface and inside it`, () => {
+      const random = createRandom(1);
+      for (let i = 0; i < 200; i++) {
+        assert.equal(solid.inside(solid.getPointOnSurface(random)), kSurface);
+        assert.equal(solid.inside(solid.getPointInside(random)), kInside);
+      }
+    });
+  });
+
+  // Fraction of `count` points of `solid` on each face, by the index `faceOf` gives
+  const faceFractions = (solid, faceOf, faces, count, seed) => {
+    const random = createRandom(seed);
+    const hits = new Array(faces).fill(0);
+    for (let i = 0; i < count; i++) hits[faceOf(solid.getPointOnSurface(random))]++;
+    return hits.map((hit) => hit / count);
+  };
+  const assertShares = (fractions, areas, count) => {
+    const total = areas.reduce((sum, area) => sum + area, 0);
+    areas.forEach((area, face) => {
+      const share = area / total;
+      assertNear(fractions[face], share, 4 * Math.sqrt((share * (1 - share)) / count));
+    });
+  };
+
+  it('spreads the points of conical solids over their faces by area', () => {
+    // Coarse, so that the facets are far from the exact faces
+    const cons = new ConsGeometry(2, 8, 4, 12, 15, 10, 200, { radialSegments: 4 });
+    const phi = (200 * Math.PI) / 180;
+    const count = 40000;
+    const onPhiPlane = (point, angle) => Math.abs(point.x * Math.sin(angle) - point.y * Math.cos(angle)) < 1e-9;
+    const faceOf = (point) => {
+      const t = (point.z + 15) / 30;
+      const r = Math.hypot(point.x, point.y);
+      if (Math.abs(Math.abs(point.z) - 15) < 1e-9) return 0;
+      if (Math.abs(r - (8 + 4 * t)) < 1e-9) return 1;
+      if (Math.abs(r - (2 + 2 * t)) < 1e-9) return 2;
+      if (onPhiPlane(point, (10 * Math.PI) / 180) || onPhiPlane(point, (210 * Math.PI) / 180)) return 3;
+      throw new Error(`point ${point.toArray()} is on no face`);
+    };
+    const areas = [
+      0.5 * phi * (8 * 8 - 2 * 2 + 12 * 12 - 4 * 4),
+      0.5 * phi * (8 + 12) * Math.hypot(4, 30),
+      0.5 * phi * (2 + 4) * Math.hypot(2, 30),
+      2 * 15 * (6 + 8),
+    ];
+    assertNear(areas.reduce((sum, area) => sum + area, 0), cons.getSurfaceArea(), 1e-9);
+    assertShares(faceFractions(cons, faceOf, 4, count, 2), areas, count);
+
+    // The caps of a tube, with their radius drawn by area
+    const tubs = new TubsGeometry(5, 10, 5, 0, 360, { radialSegments: 4 });
+    const faceOfTubs = (point) => (Math.abs(Math.abs(point.z) - 5) > 1e-9 ? 0 : Math.hypot(point.x, point.y) < 7.5 ? 1 : 2);
+    const ring = (r1, r2) => Math.PI * (r2 * r2 - r1 * r1);
+    assertShares(faceFractions(tubs, faceOfTubs, 3, count, 3), [2 * Math.PI * 15 * 10, 2 * ring(5, 7.5), 2 * ring(7.5, 10)], count);
+  });
+
+  it('spreads the points of hexahedra over their faces by area', () => {
+    const count = 40000;
+    [new TrdGeometry(2, 10, 3, 6, 8), new TrapGeometry(15, 10, 20, 5, 4, 6, 5, 10, 8, 12, 5), new ParaGeometry(5, 8, 10, 20, 15, 30)].forEach((solid, seed) => {
+      const pt = solid.getVertices();
+      const planes = HEXAHEDRON_FACES.map(([a, b, c]) => new THREE.Plane().setFromCoplanarPoints(pt[a], pt[b], pt[c]));
+      const faceOf = (point) => {
+        const face = planes.findIndex((plane) => Math.abs(plane.distanceToPoint(point)) < 1e-9);
+        if (face < 0) throw new Error(`point ${point.toArray()} of ${solid.type} is on no face`);
+        return face;
+      };
+      const areas = HEXAHEDRON_FACES.map(([a, b, c, d]) =>
+        new THREE.Triangle(pt[a], pt[b], pt[c]).getArea() + new THREE.Triangle(pt[a], pt[c], pt[d]).getArea()
+      );
+      assertShares(faceFractions(solid, faceOf, 6, count, seed + 4), areas, count);
+    });
+  });
+
+  it('draws the faces of other solids by the area of their facets', () => {
+    // A tube as a polycone of eight segments: the polygons of the caps are
+    // 10 % smaller than the discs, the walls 2.5 % smaller than the cylinder
+    const tube = new PolyconeGeometry(0, 360, 2, [-5, 5], [0, 0], [10, 10], { radialSegments: 8 });
+    const count = 40000;
+    const faceOf = (point) => (Math.abs(Math.abs(point.z) - 5) < 1e-9 ? 0 : 1);
+    const caps = 2 * 8 * 0.5 * 100 * Math.sin(Math.PI / 4);
+    const walls = 8 * 20 * Math.sin(Math.PI / 8) * 10;
+    const [onCaps] = faceFractions(tube, faceOf, 2, count, 9);
+    assertShares([onCaps, 1 - onCaps], [caps, walls], count);
+    assert.ok(onCaps < 0.49, `${onCaps} of the points on the caps, which have half the area`);
+  });
+});
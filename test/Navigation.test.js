@@ -0,0 +1,264 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+import {
+  BoxGeometry,
+  SphereGeometry,
+  TubsGeometry,
+  ConsGeometry,
+  PolyconeGeometry,
+  PolyhedraGeometry,
+  TrdGeometry,
+  TrapGeometry,
+  ParaGeometry,
+  GenericTrapGeometry,
+  TorusGeometry,
+  EllipsoidGeometry,
+  EllipticalTubeGeometry,
+  EllipticalConeGeometry,
+  ParaboloidGeometry,
+  HypeGeometry,
+  UnionGeometry,
+  SubtractionGeometry,
+  IntersectionGeometry,
+  MultiUnionGeometry,
+  kInside,
+  kSurface,
+  kOutside,
+  kInfinity,
+  kCarTolerance,
+} from '../src/index.js';
+import { enclosedVolume } from './helpers/mesh.js';
+
+const v3 = (x, y, z) => new THREE.Vector3(x, y, z);
+
+function assertNear(actual, expected, tolerance = 1e-9) {
+  assert.ok(Math.abs(actual - expected) <= tolerance, `${actual} is not within ${tolerance} of ${expected}`);
+}
+
+function assertVectorNear(actual, expected, tolerance = 1e-9) {
+  assert.ok(actual.distanceTo(expected) <= tolerance, `${actual.toArray()} is not close to ${expected.toArray()}`);
+}
+
+// Deterministic random numbers, so failures can be reproduced
+function random(seed) {
+  let state = seed;
+  return () => {
+    state = (state * 1103515245 + 12345) % 2147483648;
+    return state / 2147483648;
+  };
+}
+
+function randomDirection(rng) {
+  const v = new THREE.Vector3();
+  do v.set(rng() * 2 - 1, rng() * 2 - 1, rng() * 2 - 1);
+  while (v.lengthSq() > 1 || v.lengthSq() < 1e-3);
+  return v.normalize();
+}
+
+describe('Navigation', () => {
+  describe('SphereGeometry', () => {
+    const ball = new SphereGeometry(0, 10);
+    const shell = new SphereGeometry(5, 10, 0, 180, 0, 90);
+
+    it('classifies points within the surface tolerance', () => {
+      assert.equal(ball.inside(v3(0, 0, 0)), kInside);
+      assert.equal(ball.inside(v3(10, 0, 0)), kSurface);
+      assert.equal(ball.inside(v3(10 + 0.4 * kCarTolerance, 0, 0)), kSurface);
+      assert.equal(ball.inside(v3(10 + 0.6 * kCarTolerance, 0, 0)), kOutside);
+      assert.equal(ball.inside(v3(10 - 0.6 * kCarTolerance, 0, 0)), kInside);
+
+      assert.equal(shell.inside(v3(7, 1, 0)), kInside);
+      assert.equal(shell.inside(v3(2, 1, 0)), kOutside);
+      assert.equal(shell.inside(v3(7, -1, 0)), kOutside);
+      assert.equal(shell.inside(v3(7, 0, 3)), kSurface);
+    });
+
+    it('measures distances along rays', () => {
+      assertNear(ball.distanceToIn(v3(-20, 0, 0), v3(1, 0, 0)), 10);
+      assertNear(ball.distanceToIn(v3(-20, 0, 0), v3(2, 0, 0)), 10);
+      assert.equal(ball.distanceToIn(v3(-20, 0, 0), v3(-1, 0, 0)), kInfinity);
+      assertNear(ball.distanceToOut(v3(0, 0, 0), v3(0, 1, 0)), 10);
+
+      // through the hole of the shell
+      assertNear(shell.distanceToIn(v3(3, 3, -20), v3(0, 0, 1)), 20 - Math.sqrt(100 - 18));
+      assertNear(shell.distanceToIn(v3(3, 3, 0), v3(1, 0, 0)), 4 - 3);
+      assertNear(shell.distanceToOut(v3(6, 1, 0), v3(-1, 0, 0)), 6 - Math.sqrt(24));
+      assertNear(shell.distanceToOut(v3(6, 1, 0), v3(0, -1, 0)), 1);
+    });
+
+    it('follows Geant4 on the surface and for grazing rays', () => {
+      const p = v3(10, 0, 0);
+      assert.equal(ball.distanceToIn(p, v3(-1, 0, 0)), 0);
+      assert.equal(ball.distanceToIn(p, v3(1, 0, 0)), kInfinity);
+      assert.equal(ball.distanceToOut(p, v3(1, 0, 0)), 0);
+      assertNear(ball.distanceToOut(p, v3(-1, 0, 0)), 20);
+      assert.equal(ball.distanceToIn(v3(-20, 10, 0), v3(1, 0, 0)), kInfinity);
+    });
+
+    it('gives safety distances', () => {
+      assertNear(ball.distanceToIn(v3(0, 20, 0)), 10);
+      assert.equal(ball.distanceToIn(v3(0, 2, 0)), 0);
+      assertNear(ball.distanceToOut(v3(0, 2, 0)), 8);
+      assert.equal(ball.distanceToOut(v3(0, 20, 0)), 0);
+      assertNear(shell.distanceToOut(v3(7, 1, 0)), 1);
+    });
+
+    it('gives outward normals, averaged on edges', () => {
+      assertVectorNear(ball.surfaceNormal(v3(0, 0, -10)), v3(0, 0, -1));
+      assertVectorNear(shell.surfaceNormal(v3(7, 0, 1)), v3(0, -1, 0));
+      assertVectorNear(shell.surfaceNormal(v3(0, 5, 0)), v3(-1, -1, 0).normalize());
+      // off the surface: the closest one
+      assertVectorNear(ball.surfaceNormal(v3(0, 0, 3)), v3(0, 0, 1));
+    });
+
+    it('handles the theta cones', () => {
+      const band = new SphereGeometry(0, 10, 60, 60);
+      assert.equal(band.inside(v3(5, 0, 0)), kInside);
+      assert.equal(band.inside(v3(1, 0, 5)), kOutside);
+      const p = v3(Math.sin(Math.PI / 3), 0, Math.cos(Math.PI / 3)).multiplyScalar(5);
+      assert.equal(band.inside(p), kSurface);
+      assertVectorNear(band.surfaceNormal(p), v3(-Math.cos(Math.PI / 3), 0, Math.sin(Math.PI / 3)));
+      assertNear(band.distanceToIn(v3(0, 0, 2), v3(1, 0, 0)), 2 * Math.tan(Math.PI / 3));
+    });
+  });
+
+  it('computes Box, Tubs and Cons distances', () => {
+    const box = new BoxGeometry(3, 4, 5);
+    assertNear(box.distanceToIn(v3(-10, 0, 0), v3(1, 0, 0)), 7);
+    // G4Box safety: the largest distance to a face plane
+    assertNear(box.distanceToIn(v3(10, 10, 10)), 7);
+    assertVectorNear(box.surfaceNormal(v3(3, 4, 0)), v3(1, 1, 0).normalize());
+    // running along a face never enters
+    assert.equal(box.distanceToIn(v3(-10, 4, 0), v3(1, 0, 0)), kInfinity);
+
+    const tubs = new TubsGeometry(2, 5, 4, 0, 90);
+    assertNear(tubs.distanceToIn(v3(-10, 1, 0), v3(1, 0, 0)), 10 + Math.sqrt(3));
+    assertNear(tubs.distanceToOut(v3(3, 1, 0), v3(0, 0, 1)), 4);
+    assertVectorNear(tubs.surfaceNormal(v3(3, 0, 1)), v3(0, -1, 0));
+
+    const cone = new ConsGeometry(0, 2, 0, 4, 5);
+    assertNear(cone.distanceToOut(v3(0, 0, 0), v3(1, 0, 0)), 3);
+    assertVectorNear(cone.surfaceNormal(v3(3, 0, 0)), v3(5, 0, -1).normalize());
+  });
+
+  it('computes Torus distances from the quartic', () => {
+    const torus = new TorusGeometry(0, 2, 10);
+    assertNear(torus.distanceToIn(v3(-20, 0, 0), v3(1, 0, 0)), 8);
+    assertNear(torus.distanceToOut(v3(-11, 0, 0), v3(1, 0, 0)), 3);
+    assertNear(torus.distanceToIn(v3(-11, 0, 0), v3(1, 0, 0)), 0);
+    assertNear(torus.distanceToIn(v3(-5, 0, 0), v3(1, 0, 0)), 13);
+    assert.equal(torus.distanceToIn(v3(0, 0, -20), v3(0, 0, 1)), kInfinity);
+  });
+
+  describe('every solid', () => {
+    const solids = {
+      BoxGeometry: new BoxGeometry(3, 4, 5),
+      SphereGeometry: new SphereGeometry(2, 10, 30, 100, 20, 250),
+      TubsGeometry: new TubsGeometry(2, 5, 4, 30, 200),
+      ConsGeometry: new ConsGeometry(1, 3, 2, 6, 5, 0, 120),
+      PolyconeGeometry: new PolyconeGeometry(0, 270, 4, [-5, 0, 2, 6], [0, 1, 1, 2], [3, 5, 4, 6]),
+      PolyhedraGeometry: new PolyhedraGeometry(10, 300, 5, 3, [-5, 0, 5], [1, 0, 2], [4, 6, 5]),
+      TrdGeometry: new TrdGeometry(2, 4, 3, 1, 5),
+      TrapGeometry: new TrapGeometry(15, 10, 20, 5, 4, 6, 5, 10, 8, 12, 5),
+      ParaGeometry: new ParaGeometry(3, 4, 5, 20, 15, 30),
+      GenericTrapGeometry: new GenericTrapGeometry(5, [[-3, -3], [-3, 3], [3, 3], [3, -3], [-2, -2], [-1, 2], [2, 2], [2, -1]]),
+      TorusGeometry: new TorusGeometry(1, 3, 8, 0, 270),
+      EllipsoidGeometry: new EllipsoidGeometry(3, 4, 5, -2, 4),
+      EllipticalTubeGeometry: new EllipticalTubeGeometry(3, 5, 4),
+      EllipticalConeGeometry: new EllipticalConeGeometry(0.5, 0.8, 10, 5),
+      ParaboloidGeometry: new ParaboloidGeometry(5, 1, 4),
+      HypeGeometry: new HypeGeometry(1, 4, 30, 20, 5),
+      UnionGeometry: new UnionGeometry(new BoxGeometry(5, 5, 5), new TubsGeometry(0, 2, 10), [90, 0, 0], [1, 0, 0]),
+      SubtractionGeometry: new SubtractionGeometry(new BoxGeometry(5, 5, 5), new SphereGeometry(0, 3), [0, 0, 0], [2, 2, 2]),
+      IntersectionGeometry: new IntersectionGeometry(new BoxGeometry(5, 5, 5), new SphereGeometry(0, 6.5), [0, 0, 30]),
+    };
+
+    Object.entries(solids).forEach(([name, solid]) => {
+      it(`${name} agrees with its mesh and with itself`, () => {
+        const rng = random(2025);
+        solid.computeBoundingBox();
+        const bounds = solid.boundingBox.clone().expandByScalar(1);
+        const size = bounds.getSize(new THREE.Vector3());
+        const samples = 4000;
+        let inside = 0;
+        for (let i = 0; i < samples; i++) {
+          const p = v3(bounds.min.x + rng() * size.x, bounds.min.y + rng() * size.y, bounds.min.z + rng() * size.z);
+          const state = solid.inside(p);
+          if (state === kInside) inside++;
+          if (i >= 300 || state === kSurface) continue;
+
+          // The ray ends on the surface, the safety never overshoots it and
+          // the normal faces the right way
+          const v = randomDirection(rng);
+          const entering = state === kOutside;
+          const d = entering ? solid.distanceToIn(p, v) : solid.distanceToOut(p, v);
+          if (d === kInfinity) continue;
+          const safety = entering ? solid.distanceToIn(p) : solid.distanceToOut(p);
+          assert.ok(safety <= d + 1e-9, `safety ${safety} exceeds ${d} at ${p.toArray()}`);
+          const q = p.clone().addScaledVector(v, d);
+          assert.equal(solid.inside(q), kSurface, `${q.toArray()} is not on the surface`);
+          const n = solid.surfaceNormal(q);
+          assertNear(n.length(), 1);
+          assert.ok(entering ? n.dot(v) <= 1e-9 : n.dot(v) >= -1e-9);
+        }
+        const volume = (inside / samples) * size.x * size.y * size.z;
+        const expected = enclosedVolume(solid);
+        assert.ok(Math.abs(volume - expected) < 0.06 * expected, `sampled volume ${volume}, mesh ${expected}`);
+      });
+    });
+  });
+
+  describe('boolean solids', () => {
+    it('treat touching operands as one solid', () => {
+      const pair = new UnionGeometry(new BoxGeometry(5, 5, 5), new BoxGeometry(5, 5, 5), [0, 0, 0], [10, 0, 0]);
+      assert.equal(pair.inside(v3(5, 0, 0)), kInside);
+      assert.equal(pair.inside(v3(5, 5, 0)), kSurface);
+      assertNear(pair.distanceToOut(v3(0, 0, 0), v3(1, 0, 0)), 15);
+
+      const row = new MultiUnionGeometry([0, 1, 2].map((i) => ({ geometry: new BoxGeometry(5, 5, 5), translation: [10 * i, 0, 0] })));
+      assertNear(row.distanceToOut(v3(0, 0, 0), v3(1, 0, 0)), 25);
+      assertNear(row.distanceToIn(v3(-10, 0, 0), v3(1, 0, 0)), 5);
+    });
+
+    it('place the operands like Geant4', () => {
+      // the frame turns by +90 deg about z, so the quarter turns by -90 deg
+      const quarter = new TubsGeometry(0, 5, 1, 0, 90);
+      const turned = new UnionGeometry(new BoxGeometry(0.5, 0.5, 0.5), quarter, [0, 0, 90], [20, 0, 0]);
+      assert.equal(turned.inside(v3(22, -2, 0)), kInside);
+      assert.equal(turned.inside(v3(22, 2, 0)), kOutside);
+      assertVectorNear(turned.surfaceNormal(v3(22, 0, 0.5)), v3(0, 1, 0));
+    });
+
+    it('subtract and intersect', () => {
+      const drilled = new SubtractionGeometry(new BoxGeometry(5, 5, 5), new TubsGeometry(0, 1, 10));
+      assert.equal(drilled.inside(v3(0, 0, 0)), kOutside);
+      assertNear(drilled.distanceToIn(v3(0, 0, 0), v3(1, 0, 0)), 1);
+      assertVectorNear(drilled.surfaceNormal(v3(1, 0, 0)), v3(-1, 0, 0));
+
+      const lens = new IntersectionGeometry(new SphereGeometry(0, 5), new SphereGeometry(0, 5), [0, 0, 0], [0, 0, 6]);
+      assertNear(lens.distanceToIn(v3(0, 0, -10), v3(0, 0, 1)), 11);
+      assertNear(lens.distanceToOut(v3(0, 0, 3), v3(0, 0, 1)), 2);
+    });
+
+    it('need solids of this library as operands', () => {
+      const mixed = new UnionGeometry(new BoxGeometry(), new THREE.BoxGeometry(1, 1, 1));
+      assert.throws(() => mixed.inside(v3(0, 0, 0)), TypeError);
+    });
+  });
+
+  it('follows parameter changes through update()', () => {
+    const tubs = new TubsGeometry(0, 5, 5);
+    assert.equal(tubs.inside(v3(7, 0, 0)), kOutside);
+    tubs.parameters.pRMax = 10;
+    tubs.update();
+    assert.equal(tubs.inside(v3(7, 0, 0)), kInside);
+
+    const union = new UnionGeometry(new BoxGeometry(1, 1, 1), tubs, [0, 0, 0], [20, 0, 0]);
+    assert.equal(union.inside(v3(28, 0, 0)), kInside);
+    tubs.parameters.pRMax = 5;
+    union.update();
+    assert.equal(union.inside(v3(28, 0, 0)), kOutside);
+    assert.equal(union.clone().inside(v3(24, 0, 0)), kInside);
+  });
+});
@@ -0,0 +1,252 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+import {
+  BoxGeometry,
+  TubsGeometry,
+  LogicalVolume,
+  PhysicalVolume,
+  Navigator,
+  GDMLLoader,
+  SphereGeometry,
+  checkOverlaps,
+  kInfinity,
+} from '../src/index.js';
+
+const v3 = (x, y, z) => new THREE.Vector3(x, y, z);
+
+function assertNear(actual, expected, tolerance = 1e-9) {
+  assert.ok(Math.abs(actual - expected) <= tolerance, `${actual} is not within ${tolerance} of ${expected}`);
+}
+
+const names = (step) => step.path.map((volume) => volume.name).join('/');
+
+// A tube along y at z = 50 holding two crystals on its axis
+function buildDetector() {
+  const worldLogical = new LogicalVolume(new BoxGeometry(100, 100, 100), 'G4_AIR', 'WorldLV');
+  const tubeLogical = new LogicalVolume(new TubsGeometry(0, 20, 30), 'G4_Al', 'TubeLV', { color: 0xcccccc, opacity: 0.5 });
+  const crystalLogical = new LogicalVolume(new BoxGeometry(5, 5, 5), 'G4_CESIUM_IODIDE', 'CrystalLV');
+  const world = new PhysicalVolume(null, null, worldLogical, 'World');
+  new PhysicalVolume([90, 0, 0], [0, 0, 50], tubeLogical, 'Tube', worldLogical);
+  new PhysicalVolume(null, [0, 0, -15], crystalLogical, 'Crystal', tubeLogical, 1);
+  new PhysicalVolume(null, [0, 0, 15], crystalLogical, 'Crystal', tubeLogical, 2);
+  return world;
+}
+
+describe('LogicalVolume and PhysicalVolume', () => {
+  it('keep the daughters of a logical volume', () => {
+    const world = buildDetector();
+    const tube = world.logicalVolume.daughters[0];
+    assert.equal(tube.motherLogical, world.logicalVolume);
+    assert.deepEqual(tube.logicalVolume.daughters.map((d) => d.copyNumber), [1, 2]);
+    assert.ok(world.logicalVolume.contains(tube.logicalVolume.daughters[0].logicalVolume));
+  });
+
+  it('rejects a volume containing itself', () => {
+    const outer = new LogicalVolume(new BoxGeometry(10, 10, 10), null, 'Outer');
+    const inner = new LogicalVolume(new BoxGeometry(5, 5, 5), null, 'Inner');
+    new PhysicalVolume(null, null, inner, 'inner', outer);
+    assert.throws(() => new PhysicalVolume(null, null, outer, 'outer', inner), /contain itself/);
+    assert.throws(() => new LogicalVolume({}, null, 'Bad'), TypeError);
+  });
+
+  it('build a Three.js object tree', () => {
+    const object = buildDetector().toObject3D();
+    const tube = object.getObjectByName('Tube');
+    assert.deepEqual(tube.position.toArray(), [0, 0, 50]);
+    assertNear(tube.rotation.x, -Math.PI / 2);
+    assert.equal(tube.material.opacity, 0.5);
+    assert.equal(tube.userData.material, 'G4_Al');
+    assert.deepEqual(tube.children.map((child) => child.userData.copyNumber), [1, 2]);
+    assert.equal(tube.children[0].material, tube.children[1].material);
+  });
+
+  it('are read back from a Three.js object tree', () => {
+    const world = PhysicalVolume.fromObject3D(buildDetector().toObject3D());
+    const tube = world.logicalVolume.daughters[0];
+    assertNear(tube.rotation[0], 90);
+    assert.deepEqual(tube.translation, [0, 0, 50]);
+    assert.equal(tube.logicalVolume.material, 'G4_Al');
+    const [first, second] = tube.logicalVolume.daughters;
+    assert.equal(first.logicalVolume, second.logicalVolume);
+    assert.equal(second.copyNumber, 2);
+  });
+});
+
+describe('Navigator', () => {
+  const navigator = new Navigator(buildDetector());
+
+  it('locates the deepest volume', () => {
+    const location = navigator.locate(v3(1, -15, 52));
+    assert.equal(names(location), 'World/Tube/Crystal');
+    assert.equal(location.copyNumber, 1);
+    assert.equal(location.material, 'G4_CESIUM_IODIDE');
+    assert.ok(location.localPoint.distanceTo(v3(1, -2, 0)) < 1e-9);
+    assert.equal(names(navigator.locate(v3(0, 0, 50))), 'World/Tube');
+    assert.equal(navigator.locate(v3(0, 0, 101)), null);
+  });
+
+  it('uses the direction on a boundary', () => {
+    assert.equal(names(navigator.locate(v3(0, -30, 50))), 'World/Tube');
+    assert.equal(names(navigator.locate(v3(0, -30, 50), v3(0, 1, 0))), 'World/Tube');
+    assert.equal(names(navigator.locate(v3(0, -30, 50), v3(0, -1, 0))), 'World');
+    assert.equal(navigator.locate(v3(100, 0, 0), v3(1, 0, 0)), null);
+  });
+
+  it('computes the step to the next boundary', () => {
+    assertNear(navigator.computeStep(v3(0, -100, 50), v3(0, 2, 0)), 70);
+    assertNear(navigator.computeStep(v3(0, 0, 50), v3(0, 1, 0)), 10);
+    assertNear(navigator.computeStep(v3(0, 0, 50), v3(0, 0, 1)), 20);
+    assert.equal(navigator.computeStep(v3(0, 0, 200), v3(0, 0, 1)), kInfinity);
+  });
+
+  it('traces a ray from boundary to boundary', () => {
+    const steps = navigator.trace(v3(0, -100, 50), v3(0, 1, 0));
+    assert.deepEqual(steps.map(names), [
+      'World',
+      'World/Tube',
+      'World/Tube/Crystal',
+      'World/Tube',
+      'World/Tube/Crystal',
+      'World/Tube',
+      'World',
+    ]);
+    [70, 10, 10, 20, 10, 10, 70].forEach((length, i) => assertNear(steps[i].length, length));
+    assert.deepEqual(steps.map((step) => step.copyNumber), [0, 0, 1, 0, 2, 0, 0]);
+    assert.equal(steps[2].material, 'G4_CESIUM_IODIDE');
+    assert.ok(steps[3].position.distanceTo(v3(0, -10, 50)) < 1e-9);
+  });
+
+  it('crosses curved boundaries along any direction', () => {
+    const direction = v3(1, 0.3, 0.2).normalize();
+    const origin = v3(-100, -30, 30);
+    const steps = navigator.trace(origin, direction);
+    const total = steps.reduce((sum, step) => sum + step.length, 0);
+    const exit = origin.clone().addScaledVector(direction, total);
+    assertNear(Math.max(Math.abs(exit.x), Math.abs(exit.y), Math.abs(exit.z)), 100);
+    assert.ok(steps.some((step) => step.volume.name === 'Tube'));
+    steps.slice(1).forEach((step, i) => {
+      assert.notEqual(names(step), names(steps[i]));
+      const middle = step.position.clone().addScaledVector(direction, step.length / 2);
+      assert.equal(navigator.locate(middle).volume, step.volume);
+    });
+  });
+
+  it('gives no steps outside the world', () => {
+    assert.deepEqual(navigator.trace(v3(0, 0, 200), v3(0, 0, 1)), []);
+  });
+
+  it('navigates a GDMLLoader volume tree', () => {
+    const detector = new GDMLLoader().parse(`<?xml version="1.0"?>
+<gdml>
+  <solids>
+    <box name="WorldBox" x="2" y="2" z="2" lunit="m"/>
+    <tube name="Pipe" rmin="10" rmax="20" z="400" deltaphi="360" aunit="deg"/>
+  </solids>
+  <structure>
+    <volume name="PipeVol"><materialref ref="G4_Fe"/><solidref ref="Pipe"/></volume>
+    <volume name="World"><materialref ref="G4_Galactic"/><solidref ref="WorldBox"/>
+      <physvol name="pipe" copynumber="7"><volumeref ref="PipeVol"/><position name="p" x="100"/></physvol>
+    </volume>
+  </structure>
+  <setup name="Default" version="1.0"><world ref="World"/></setup>
+</gdml>`);
+    const steps = new Navigator(PhysicalVolume.fromObject3D(detector.children[0])).trace(v3(-1000, 0, 0), v3(1, 0, 0));
+    assert.deepEqual(steps.map((step) => step.material), ['G4_Galactic', 'G4_Fe', 'G4_Galactic', 'G4_Fe', 'G4_Galactic']);
+    [1080, 10, 20, 10, 880].forEach((length, i) => assertNear(steps[i].length, length));
+    assert.equal(steps[1].copyNumber, 7);
+  });
+
+  it('needs solids of this library', () => {
+    const logical = new LogicalVolume(new THREE.BoxGeometry(1, 1, 1), null, 'Plain');
+    assert.throws(() => new Navigator(new PhysicalVolume(null, null, logical, 'World')), TypeError);
+  });
+});
+
+describe('checkOverlaps', () => {
+  it('passes a clean detector', () => {
+    assert.deepEqual(checkOverlaps(buildDetector()), []);
+
+    // Touching curved faces are tested on the exact surfaces, not the chords
+    const world = new LogicalVolume(new BoxGeometry(100, 100, 100), 'G4_AIR', 'World');
+    new PhysicalVolume(null, null, new LogicalVolume(new TubsGeometry(10, 12, 50), 'G4_Fe', 'Pipe'), 'Pipe', world);
+    new PhysicalVolume(null, null, new LogicalVolume(new TubsGeometry(0, 10, 50), 'G4_Fe', 'Rod'), 'Rod', world);
+    assert.deepEqual(checkOverlaps(world), []);
+  });
+
+  it('reports overlaps and extrusions', () => {
+    const world = new LogicalVolume(new BoxGeometry(100, 100, 100), 'G4_AIR', 'World');
+    const ball = new LogicalVolume(new SphereGeometry(0, 20), 'G4_Fe', 'Ball');
+    new PhysicalVolume(null, [0, 0, 0], ball, 'Left', world);
+    new PhysicalVolume(null, [35, 0, 0], ball, 'Right', world);
+    new PhysicalVolume(null, [-90, 0, 0], ball, 'Edge', world);
+    const big = new LogicalVolume(new BoxGeometry(20, 20, 20), 'G4_Fe', 'Big');
+    new PhysicalVolume(null, [0, 0, 60], big, 'Big', world);
+    new PhysicalVolume(null, [0, 0, 60], new LogicalVolume(new BoxGeometry(2, 2, 2), 'G4_Fe', 'Small'), 'Small', world);
+
+    const issues = checkOverlaps(world, { maxPoints: 3 });
+    const summary = issues.map(({ kind, volume, other }) => [kind, volume.name, other && other.name]);
+    assert.deepEqual(summary, [
+      ['overlap', 'Big', 'Small'],
+      ['extrusion', 'Edge', null],
+      ['overlap', 'Left', 'Right'],
+    ]);
+    // The balls overlap as deep from either side: the one placed first is
+    // reported whatever the samples
+    [2, 3, 4, 5, 6].forEach((seed) => {
+      const [, , { volume, other }] = checkOverlaps(world, { seed });
+      assert.deepEqual([volume.name, other.name], ['Left', 'Right']);
+    });
+    const [encapsulated, extrusion, overlap] = issues;
+    assertNear(encapsulated.depth, 18, 1e-6);
+    assert.ok(extrusion.depth > 9.9 && extrusion.depth <= 10, `${extrusion.depth}`);
+    assert.ok(overlap.depth > 4.5 && overlap.depth <= 5, `${overlap.depth}`);
+    assert.equal(overlap.mother, world);
+    assert.equal(overlap.points.length, 3);
+    overlap.points.forEach((point) => {
+      assert.ok(point.length() < 20 + 1e-9 && point.distanceTo(v3(35, 0, 0)) < 20 + 1e-9);
+    });
+    extrusion.points.forEach((point) => assert.ok(point.x < -100));
+    assert.deepEqual(checkOverlaps(world, { tolerance: 12 }).map(({ volume }) => volume.name), ['Big']);
+  });
+
+  it('reports in world coordinates and reads mesh trees', () => {
+    const detector = new GDMLLoader().parse(`<?xml version="1.0"?>
+<gdml>
+  <solids>
+    <box name="WorldBox" x="400" y="400" z="400"/>
+    <box name="HallBox" x="200" y="200" z="200"/>
+    <box name="Brick" x="20" y="20" z="20"/>
+  </solids>
+  <structure>
+    <volume name="BrickVol"><materialref ref="G4_Fe"/><solidref ref="Brick"/></volume>
+    <volume name="HallVol"><materialref ref="G4_AIR"/><solidref ref="HallBox"/>
+      <physvol name="inner"><volumeref ref="BrickVol"/><position name="p1" x="95"/></physvol>
+    </volume>
+    <volume name="World"><materialref ref="G4_AIR"/><solidref ref="WorldBox"/>
+      <physvol name="hall"><volumeref ref="HallVol"/><position name="p2" y="50"/></physvol>
+    </volume>
+  </structure>
+  <setup name="Default" version="1.0"><world ref="World"/></setup>
+</gdml>`);
+    const [issue] = checkOverlaps(detector);
+    assert.equal(issue.kind, 'extrusion');
+    assert.equal(issue.volume.name, 'inner');
+    assertNear(issue.depth, 5, 1e-9);
+    issue.points.forEach((point) => assert.ok(point.x > 100 && Math.abs(point.y - 50) <= 10));
+  });
+
+  it('falls back on the mesh of other geometries', () => {
+    const world = new LogicalVolume(new THREE.BoxGeometry(200, 200, 200), 'G4_AIR', 'World');
+    const ball = new LogicalVolume(new SphereGeometry(0, 20), 'G4_Fe', 'Ball');
+    new PhysicalVolume(null, null, ball, 'Ball', world);
+    new PhysicalVolume(null, [35, 0, 0], new LogicalVolume(new THREE.SphereGeometry(20, 32, 16), 'G4_Fe', 'Mesh'), 'Mesh', world);
+    new PhysicalVolume(null, [-90, 0, 0], ball, 'Edge', world);
+    assert.deepEqual(
+      checkOverlaps(world).map(({ kind, volume }) => [kind, volume.name]),
+      [['extrusion', 'Edge'], ['overlap', 'Ball']]
+    );
+    assert.throws(() => checkOverlaps(world.daughters[0], { resolution: 0 }), RangeError);
+    assert.throws(() => checkOverlaps({}), TypeError);
+  });
+});
@@ -0,0 +1,211 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { PolyconeGeometry, PolyhedraGeometry } from '../src/index.js';
+import { enclosedVolume, openEdgeCount } from './helpers/mesh.js';
+
+const DEG = Math.PI / 180;
+
+function assertNear(actual, expected, tolerance = 1e-9) {
+  assert.ok(Math.abs(actual - expected) <= tolerance * Math.max(1, Math.abs(expected)), `${actual} is not close to ${expected}`);
+}
+
+// (r, z) contour of the z-plane form, out along the outer radii and back
+// along the inner ones
+function zPlaneContour(zPlane, rInner, rOuter) {
+  return [...zPlane.map((z, i) => [rOuter[i], z]), ...zPlane.map((z, i) => [rInner[i], z]).reverse()];
+}
+
+/**
+ * Area, first moment about the axis and perimeter moment of an (r, z)
+ * polygon, from which Pappus' theorems give the measures of the solid of
+ * revolution.
+ */
+function contourMoments(contour) {
+  let area = 0;
+  let areaMoment = 0;
+  let lengthMoment = 0;
+  contour.forEach(([r1, z1], i) => {
+    const [r2, z2] = contour[(i + 1) % contour.length];
+    const cross = r1 * z2 - r2 * z1;
+    area += cross / 2;
+    areaMoment += ((r1 + r2) * cross) / 6;
+    lengthMoment += (Math.hypot(r2 - r1, z2 - z1) * (r1 + r2)) / 2;
+  });
+  return { area: Math.abs(area), areaMoment: Math.abs(areaMoment), lengthMoment };
+}
+
+// Whether (r, z) lies on an edge of `contour`
+function onContour(contour, r, z) {
+  return contour.some(([r1, z1], i) => {
+    const [r2, z2] = contour[(i + 1) % contour.length];
+    const length = Math.hypot(r2 - r1, z2 - z1);
+    if (length === 0) return Math.hypot(r - r1, z - z1) < 1e-4;
+    const t = Math.min(1, Math.max(0, ((r - r1) * (r2 - r1) + (z - z1) * (z2 - z1)) / length ** 2));
+    return Math.hypot(r - r1 - t * (r2 - r1), z - z1 - t * (z2 - z1)) < 1e-4;
+  });
+}
+
+// Vertices of a geometry as [x, y, z]
+function verticesOf(geometry) {
+  const position = geometry.attributes.position;
+  return Array.from({ length: position.count }, (_, i) => [position.getX(i), position.getY(i), position.getZ(i)]);
+}
+
+function hasVertex(geometry, x, y, z) {
+  return verticesOf(geometry).some(([vx, vy, vz]) => Math.hypot(vx - x, vy - y, vz - z) < 1e-4);
+}
+
+describe('PolyconeGeometry', () => {
+  const zPlanes = {
+    'a stepped pipe': [20, 300, 4, [-10, 0, 0, 10], [2, 2, 4, 4], [5, 5, 8, 6]],
+    'a solid cone with a collar': [0, 360, 3, [-10, 0, 10], [0, 0, 0], [5, 8, 1]],
+    'a descending z order': [-30, 90, 3, [10, 0, -10], [1, 2, 1], [5, 8, 6]],
+  };
+
+  Object.entries(zPlanes).forEach(([name, args]) => {
+    const [phiStart, phiTotal, numZPlanes, zPlane, rInner, rOuter] = args;
+    const contour = zPlaneContour(zPlane.slice(0, numZPlanes), rInner, rOuter);
+
+    it(`puts its vertices on the revolved z-planes for ${name}`, () => {
+      const geometry = new PolyconeGeometry(...args);
+      verticesOf(geometry).forEach(([x, y, z], i) => {
+        assert.ok(onContour(contour, Math.hypot(x, y), z), `vertex ${i} at (${x}, ${y}, ${z})`);
+      });
+      zPlane.forEach((z, i) => {
+        const start = phiStart * DEG;
+        assert.ok(hasVertex(geometry, rOuter[i] * Math.cos(start), rOuter[i] * Math.sin(start), z));
+      });
+    });
+
+    it(`is closed and measured by Pappus' theorems for ${name}`, () => {
+      const geometry = new PolyconeGeometry(...args, { chordTolerance: 1e-3 });
+      assert.equal(openEdgeCount(geometry), 0);
+      const { area, areaMoment, lengthMoment } = contourMoments(contour);
+      const dPhi = phiTotal * DEG;
+      const volume = dPhi * areaMoment;
+      assertNear(geometry.getCubicVolume(), volume);
+      assertNear(geometry.getSurfaceArea(), dPhi * lengthMoment + (phiTotal < 360 ? 2 * area : 0));
+      assertNear(enclosedVolume(geometry), volume, 1e-3);
+    });
+  });
+
+  it('revolves the generic (r, z) contour', () => {
+    const r = [0, 6, 6, 3, 3];
+    const z = [-5, -5, 0, 5, 10];
+    const geometry = new PolyconeGeometry(0, 270, r.length, r, z, { chordTolerance: 1e-3 });
+    const contour = r.map((ri, i) => [ri, z[i]]);
+    const { area, areaMoment, lengthMoment } = contourMoments(contour);
+    assert.deepEqual(geometry.parameters, { phiStart: 0, phiTotal: 270, numRZ: 5, r, z, tessellation: { chordTolerance: 1e-3 } });
+    verticesOf(geometry).forEach(([x, y, vz]) => assert.ok(onContour(contour, Math.hypot(x, y), vz)));
+    assert.equal(openEdgeCount(geometry), 0);
+    assertNear(geometry.getCubicVolume(), 1.5 * Math.PI * areaMoment);
+    assertNear(geometry.getSurfaceArea(), 1.5 * Math.PI * lengthMoment + 2 * area);
+  });
+
+  it('takes a phi extent of zero or less as the full circle, as G4Polycone', () => {
+    const full = new PolyconeGeometry(0, 360, 2, [-1, 1], [0, 0], [2, 2]);
+    assertNear(new PolyconeGeometry(30, 0, 2, [-1, 1], [0, 0], [2, 2]).getCubicVolume(), full.getCubicVolume());
+    assertNear(new PolyconeGeometry(30, -10, 2, [-1, 1], [0, 0], [2, 2]).getCubicVolume(), full.getCubicVolume());
+  });
+
+  it('survives JSON and clone in both forms', () => {
+    [
+      new PolyconeGeometry(10, 200, 3, [-10, 0, 10], [1, 2, 1], [5, 8, 6], { radialSegments: 12 }),
+      new PolyconeGeometry(0, 360, 3, [0, 4, 2], [-1, -1, 3]),
+    ].forEach((geometry) => {
+      const restored = PolyconeGeometry.fromJSON(JSON.parse(JSON.stringify(geometry.toJSON())));
+      [restored, geometry.clone()].forEach((copy) => {
+        assert.deepEqual(copy.parameters, geometry.parameters);
+        assert.deepEqual(Array.from(copy.attributes.position.array), Array.from(geometry.attributes.position.array));
+      });
+    });
+  });
+
+  it('rejects invalid planes and contours', () => {
+    assert.throws(() => new PolyconeGeometry(0, 360, 1, [0], [0], [1]), RangeError);
+    assert.throws(() => new PolyconeGeometry(0, 360, 3, [0, 1], [0, 0], [1, 1]), RangeError);
+    assert.throws(() => new PolyconeGeometry(0, 360, 2, [0, 1], [2, 0], [1, 1]), RangeError);
+    assert.throws(() => new PolyconeGeometry(0, 360, 2, [0, 1], [-1, 0], [1, 1]), RangeError);
+    assert.throws(() => new PolyconeGeometry(0, 360, 3, [0, 2, 1], [0, 0, 0], [1, 1, 1]), RangeError);
+    assert.throws(() => new PolyconeGeometry(0, 360, 2, [0, 1], [0, 0]), RangeError);
+    assert.throws(() => new PolyconeGeometry(0, 360, 3, [1, -1, 2], [0, 1, 0]), RangeError);
+    // Contours without area, as G4Polycone
+    assert.throws(() => new PolyconeGeometry(0, 360, 3, [1, 2, 3], [0, 0, 0]), RangeError);
+    assert.throws(() => new PolyconeGeometry(0, 360, 2, [0, 1], [1, 1], [1, 1]), RangeError);
+  });
+});
+
+describe('PolyhedraGeometry', () => {
+  // A hexagonal prism with sides 10 mm from the axis, as in Geant4 the
+  // z-plane radii are distances to the sides
+  it('measures the distance to the sides in the z-plane form', () => {
+    const prism = new PolyhedraGeometry(0, 360, 6, 2, [-10, 10], [0, 0], [10, 10]);
+    const corner = 10 / Math.cos(30 * DEG);
+    for (let k = 0; k < 6; k++) {
+      const phi = k * 60 * DEG;
+      [-10, 10].forEach((z) => assert.ok(hasVertex(prism, corner * Math.cos(phi), corner * Math.sin(phi), z)));
+    }
+    verticesOf(prism).forEach(([x, y]) => {
+      const r = Math.hypot(x, y);
+      assert.ok(r < 1e-6 || Math.abs(r - corner) < 1e-4, `vertex at r = ${r}`);
+    });
+    const hexagon = 6 * 100 * Math.tan(30 * DEG);
+    assertNear(prism.getCubicVolume(), hexagon * 20);
+    assertNear(prism.getSurfaceArea(), 2 * hexagon + 6 * 2 * corner * Math.sin(30 * DEG) * 20);
+    assertNear(enclosedVolume(prism), hexagon * 20, 1e-6);
+    assert.equal(openEdgeCount(prism), 0);
+  });
+
+  it('puts the corners at the radii of the (r, z) form', () => {
+    const r = [4, 8, 8, 4];
+    const z = [-5, -5, 5, 5];
+    const pipe = new PolyhedraGeometry(45, 360, 8, 4, r, z);
+    verticesOf(pipe).forEach(([x, y, vz]) => {
+      const radius = Math.hypot(x, y);
+      assert.ok(Math.abs(radius - 4) < 1e-4 || Math.abs(radius - 8) < 1e-4, `vertex at r = ${radius}`);
+      const sector = (Math.atan2(y, x) / DEG - 45 + 720) % 45;
+      assert.ok(sector < 1e-3 || sector > 45 - 1e-3, `vertex off the corners at ${Math.atan2(y, x) / DEG} deg`);
+      assert.equal(Math.abs(vz), 5);
+    });
+    const octagon = (radius) => 4 * radius * radius * Math.sin(45 * DEG);
+    assertNear(pipe.getCubicVolume(), (octagon(8) - octagon(4)) * 10);
+    assertNear(enclosedVolume(pipe), pipe.getCubicVolume(), 1e-6);
+    assert.equal(openEdgeCount(pipe), 0);
+  });
+
+  it('encloses its closed-form volume with flat faces', () => {
+    [
+      [20, 300, 5, 3, [-10, 0, 10], [0, 2, 1], [5, 8, 6]],
+      [0, 360, 3, 4, [-10, 0, 0, 10], [2, 2, 4, 4], [5, 5, 8, 6]],
+      [-30, 90, 2, 3, [10, 0, -10], [1, 2, 1], [5, 8, 6]],
+    ].forEach((args) => {
+      const geometry = new PolyhedraGeometry(...args);
+      const [, phiTotal, numSide, numZPlanes, zPlane, rInner, rOuter] = args;
+      const { area, areaMoment, lengthMoment } = contourMoments(zPlaneContour(zPlane.slice(0, numZPlanes), rInner, rOuter));
+      const half = (phiTotal * DEG) / numSide / 2;
+      const cuts = phiTotal < 360 ? (2 * area) / Math.cos(half) : 0;
+      assert.equal(openEdgeCount(geometry), 0, args.join(', '));
+      assertNear(geometry.getCubicVolume(), 2 * numSide * Math.tan(half) * areaMoment);
+      assertNear(geometry.getSurfaceArea(), 2 * numSide * Math.tan(half) * lengthMoment + cuts);
+      assertNear(enclosedVolume(geometry), geometry.getCubicVolume(), 1e-6);
+    });
+  });
+
+  it('survives JSON and clone', () => {
+    const geometry = new PolyhedraGeometry(10, 200, 5, 3, [-10, 0, 10], [1, 2, 1], [5, 8, 6]);
+    const restored = PolyhedraGeometry.fromJSON(JSON.parse(JSON.stringify(geometry.toJSON())));
+    [restored, geometry.clone()].forEach((copy) => {
+      assert.deepEqual(copy.parameters, geometry.parameters);
+      assert.deepEqual(Array.from(copy.attributes.position.array), Array.from(geometry.attributes.position.array));
+    });
+  });
+
+  it('rejects invalid sides, planes and contours', () => {
+    assert.throws(() => new PolyhedraGeometry(0, 360, 0, 2, [0, 1], [0, 0], [1, 1]), RangeError);
+    assert.throws(() => new PolyhedraGeometry(0, 360, 2.5, 2, [0, 1], [0, 0], [1, 1]), RangeError);
+    assert.throws(() => new PolyhedraGeometry(0, 360, 6, 2, [0, 1], [2, 0], [1, 1]), RangeError);
+    assert.throws(() => new PolyhedraGeometry(0, 360, 6, 3, [0, 2, 1], [0, 0, 0], [1, 1, 1]), RangeError);
+    assert.throws(() => new PolyhedraGeometry(0, 360, 6, 2, [0, 1], [0, 0]), RangeError);
+    assert.throws(() => new PolyhedraGeometry(0, 360, 6, 3, [1, 2, 3], [5, 5, 5]), RangeError);
+  });
+});
@@ -0,0 +1,169 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+import {
+  ReflectedGeometry,
+  SphereGeometry,
+  BoxGeometry,
+  TubsGeometry,
+  UnionGeometry,
+  CSG,
+  LogicalVolume,
+  PhysicalVolume,
+  Navigator,
+  GDMLExporter,
+  GDMLLoader,
+  placeReflected,
+  checkOverlaps,
+  geometryFromJSON,
+  geometryToJSON,
+  kInside,
+  kOutside,
+} from '../src/index.js';
+import { enclosedVolume, openEdgeCount } from './helpers/mesh.js';
+
+const v3 = (x, y, z) => new THREE.Vector3(x, y, z);
+const MIRROR_X = new THREE.Matrix4().makeScale(-1, 1, 1);
+
+// Largest distance between two arrays of numbers
+const maxDifference = (a, b) => Math.max(...a.map((x, i) => Math.abs(x - b[i])));
+
+describe('ReflectedGeometry', () => {
+  it('mirrors the mesh with the faces pointing out', () => {
+    // A quarter of a sphere in x > 0, y > 0
+    const quarter = new SphereGeometry(0, 10, 0, 180, 0, 90);
+    const mirrored = new ReflectedGeometry(quarter, MIRROR_X);
+    assert.equal(openEdgeCount(mirrored), 0);
+    assert.ok(Math.abs(enclosedVolume(mirrored) - enclosedVolume(quarter)) < 1e-9);
+    assert.equal(mirrored.getCubicVolume(), quarter.getCubicVolume());
+
+    const position = mirrored.attributes.position;
+    const normal = mirrored.attributes.normal;
+    for (let i = 0; i < position.count; i++) {
+      const p = v3(0, 0, 0).fromBufferAttribute(position, i);
+      if (p.length() > 9.99) assert.ok(p.dot(v3(0, 0, 0).fromBufferAttribute(normal, i)) > -1e-9);
+    }
+
+    assert.equal(mirrored.inside(v3(-3, 3, 0)), kInside);
+    assert.equal(mirrored.inside(v3(3, 3, 0)), kOutside);
+    assert.ok(mirrored.surfaceNormal(v3(-10, 0.5, 0.5)).x < -0.9);
+    assert.ok(Math.abs(mirrored.distanceToIn(v3(-20, 1, 1), v3(1, 0, 0)) - (20 - Math.sqrt(98))) < 1e-6);
+  });
+
+  it('works as a boolean operand and with CSG meshes', () => {
+    const quarter = new SphereGeometry(0, 10, 0, 180, 0, 90);
+    const half = new UnionGeometry(quarter, new ReflectedGeometry(quarter, MIRROR_X));
+    assert.equal(openEdgeCount(half), 0);
+    assert.ok(Math.abs(enclosedVolume(half) - 2 * enclosedVolume(quarter)) < 1e-6);
+
+    // A mirrored mesh gives CSG polygons facing out
+    const a = new THREE.Mesh(new BoxGeometry(10, 10, 10));
+    const b = new THREE.Mesh(new BoxGeometry(10, 10, 10));
+    b.position.set(10, 0, 0);
+    b.scale.set(-1, 1, 1);
+    b.updateMatrix();
+    const union = CSG.toGeometry(CSG.fromMesh(a).union(CSG.fromMesh(b)));
+    assert.ok(Math.abs(enclosedVolume(union) - 12000) < 1e-6);
+  });
+
+  it('keeps any reflection in its description', () => {
+    const reflection = new THREE.Matrix4()
+      .makeRotationZ(0.3)
+      .multiply(new THREE.Matrix4().makeScale(1, 1, -1))
+      .setPosition(5, 0, 0);
+    const box = new BoxGeometry(1, 2, 3);
+    const reflected = new ReflectedGeometry(box, reflection, { lengthUnit: 'cm' });
+    assert.equal(reflected.parameters.matrix[12], 50);
+    assert.equal(reflected.parameters.solid, box);
+
+    const copy = geometryFromJSON(JSON.parse(JSON.stringify(geometryToJSON(reflected))));
+    assert.equal(copy.type, 'ReflectedGeometry');
+    assert.equal(copy.parameters.solid.type, 'BoxGeometry');
+    assert.deepEqual(copy.parameters.matrix, reflected.parameters.matrix);
+    assert.ok(copy.getMatrix().equals(reflected.getMatrix()));
+
+    const clone = reflected.clone();
+    assert.notEqual(clone.parameters.solid, box);
+    assert.deepEqual(clone.parameters.solid.parameters, box.parameters);
+
+    box.parameters.pX = 4;
+    reflected.update();
+    // Float32 positions, 50 mm from the origin
+    assert.ok(Math.abs(enclosedVolume(reflected) - 8 * 4 * 2 * 3) < 1e-3);
+  });
+
+  it('rejects matrices that are not reflections', () => {
+    const box = new BoxGeometry();
+    assert.throws(() => new ReflectedGeometry(box, new THREE.Matrix4()), /not a reflection/);
+    assert.throws(() => new ReflectedGeometry(box, new THREE.Matrix4().makeScale(-2, 1, 1)), RangeError);
+    assert.throws(() => new ReflectedGeometry(box, [1, 0, 0]), TypeError);
+    assert.throws(() => new ReflectedGeometry({}, MIRROR_X), TypeError);
+  });
+});
+
+describe('placeReflected', () => {
+  function detector() {
+    const worldLogical = new LogicalVolume(new BoxGeometry(500, 500, 500), 'G4_AIR', 'World');
+    const world = new PhysicalVolume(null, null, worldLogical, 'World');
+    const half = new LogicalVolume(new BoxGeometry(100, 50, 50), 'G4_Fe', 'Half');
+    const pin = new LogicalVolume(new TubsGeometry(0, 5, 10), 'G4_Cu', 'Pin');
+    new PhysicalVolume([0, 0, 0], [60, 20, 0], pin, 'Pin', half, 3);
+    const right = placeReflected(new THREE.Matrix4().makeTranslation(150, 0, 0), 'Right', half, worldLogical);
+    const left = placeReflected(MIRROR_X.clone().setPosition(-150, 0, 0), 'Left', half, worldLogical, 1);
+    return { world, half, right, left };
+  }
+
+  it('places the mirror image with its daughters', () => {
+    const { world, half, right, left } = detector();
+    assert.equal(right.logicalVolume, half);
+    assert.equal(left.logicalVolume.name, 'Half_refl');
+    assert.equal(left.logicalVolume.solid.type, 'ReflectedGeometry');
+    assert.equal(left.logicalVolume.material, 'G4_Fe');
+    assert.equal(left.copyNumber, 1);
+    assert.ok(left.matrix.determinant() > 0);
+
+    const [pin] = left.logicalVolume.daughters;
+    assert.equal(pin.logicalVolume.name, 'Pin_refl');
+    assert.equal(pin.copyNumber, 3);
+
+    const navigator = new Navigator(world);
+    assert.deepEqual(navigator.locate(v3(-210, 20, 0)).path.map((volume) => volume.name), ['World', 'Left', 'Pin']);
+    assert.deepEqual(navigator.locate(v3(210, 20, 0)).path.map((volume) => volume.name), ['World', 'Right', 'Pin']);
+    assert.equal(navigator.locate(v3(-90, 20, 0)).volume.name, 'Left');
+    assert.deepEqual(checkOverlaps(world), []);
+
+    // One reflected volume per logical volume, and back
+    const again = placeReflected(MIRROR_X.clone().setPosition(-150, 200, 0), 'Left2', half, null);
+    assert.equal(again.logicalVolume, left.logicalVolume);
+    assert.equal(placeReflected(MIRROR_X, 'Back', left.logicalVolume).logicalVolume, half);
+  });
+
+  it('rejects transforms that scale', () => {
+    const logical = new LogicalVolume(new BoxGeometry(), null, 'Cell');
+    assert.throws(() => placeReflected(new THREE.Matrix4().makeScale(-2, 1, 1), 'Cell', logical), RangeError);
+    assert.throws(() => placeReflected(MIRROR_X, 'Cell', {}), TypeError);
+  });
+
+  it('goes through GDML and mirrored meshes', () => {
+    const { world } = detector();
+    const text = new GDMLExporter().parse(world.toObject3D());
+    assert.match(text, /<reflectedSolid name="\w+" solid="Box" sx="1" sy="1" sz="-1" rx="0" ry="0" rz="0" dx="0" dy="0" dz="0"/);
+
+    const loaded = PhysicalVolume.fromObject3D(new GDMLLoader().parse(text).children[0]);
+    const left = loaded.logicalVolume.daughters.find((daughter) => daughter.name === 'Left');
+    assert.equal(left.logicalVolume.solid.type, 'ReflectedGeometry');
+    assert.ok(maxDifference(left.translation, [-150, 0, 0]) < 1e-9);
+
+    // A mesh with a negative scale becomes a reflected placement
+    const mother = new THREE.Mesh(new BoxGeometry(100, 100, 100));
+    const child = new THREE.Mesh(new TubsGeometry(0, 5, 10, 0, 90));
+    child.name = 'Sector';
+    child.scale.set(1, 1, -1);
+    child.position.set(0, 20, 0);
+    mother.add(child);
+    const [sector] = PhysicalVolume.fromObject3D(mother).logicalVolume.daughters;
+    assert.equal(sector.logicalVolume.name, 'Sector_refl');
+    assert.ok(maxDifference(sector.rotation, [0, 0, 0]) < 1e-9);
+    assert.deepEqual(sector.translation, [0, 20, 0]);
+  });
+});
@@ -0,0 +1,244 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+import {
+  BoxGeometry,
+  TubsGeometry,
+  LogicalVolume,
+  PhysicalVolume,
+  ReplicaVolume,
+  DivisionVolume,
+  ParameterisedVolume,
+  Navigator,
+  GDMLExporter,
+  GDMLLoader,
+  checkOverlaps,
+  kXAxis,
+  kZAxis,
+  kRho,
+  kPhi,
+  kRadial3D,
+} from '../src/index.js';
+
+const v3 = (x, y, z) => new THREE.Vector3(x, y, z);
+
+function assertNear(actual, expected, tolerance = 1e-9) {
+  assert.ok(Math.abs(actual - expected) <= tolerance, `${actual} is not within ${tolerance} of ${expected}`);
+}
+
+// A calorimeter of 4 layers along z, each cut into 10 strips along x
+// holding a fibre
+function buildCalorimeter() {
+  const worldLogical = new LogicalVolume(new BoxGeometry(100, 100, 100), 'G4_AIR', 'WorldLV');
+  const caloLogical = new LogicalVolume(new BoxGeometry(50, 20, 20), 'G4_AIR', 'CaloLV');
+  const layerLogical = new LogicalVolume(new BoxGeometry(50, 20, 5), 'G4_AIR', 'LayerLV');
+  const stripLogical = new LogicalVolume(new BoxGeometry(1, 1, 1), 'G4_PLASTIC_SC_VINYLTOLUENE', 'StripLV');
+  const fibreLogical = new LogicalVolume(new TubsGeometry(0, 1, 15), 'G4_Cu', 'FibreLV');
+  const world = new PhysicalVolume(null, null, worldLogical, 'World');
+  new PhysicalVolume(null, [0, 0, 10], caloLogical, 'Calo', worldLogical);
+  new ReplicaVolume('Layer', layerLogical, caloLogical, kZAxis, 4, 10);
+  new DivisionVolume('Strip', stripLogical, layerLogical, kXAxis, 10, 0);
+  new PhysicalVolume([90, 0, 0], null, fibreLogical, 'Fibre', stripLogical, 7);
+  return world;
+}
+
+describe('ReplicaVolume', () => {
+  it('places copies along an axis', () => {
+    const mother = new LogicalVolume(new BoxGeometry(20, 5, 5), null, 'Mother');
+    const cell = new LogicalVolume(new BoxGeometry(5, 5, 5), null, 'Cell');
+    const replica = new ReplicaVolume('Cell', cell, mother, kXAxis, 4, 10, 3);
+    assert.equal(replica.motherLogical, mother);
+    const copies = mother.getPlacements();
+    assert.deepEqual(copies.map((copy) => copy.copyNumber), [0, 1, 2, 3]);
+    assert.deepEqual(copies.map((copy) => copy.translation[0]), [-15, -5, 5, 15]);
+    assert.ok(copies.every((copy) => copy.logicalVolume === cell && copy.replica === replica && copy.motherLogical === mother));
+    assert.equal(replica.getCopies(), replica.getCopies());
+
+    replica.width = 8;
+    assert.equal(replica.updateCopies().getCopies()[0].translation[0], -12);
+  });
+
+  it('turns copies about z and cuts rings', () => {
+    const mother = new LogicalVolume(new TubsGeometry(10, 50, 5), null, 'Mother');
+    const sector = new LogicalVolume(new TubsGeometry(10, 50, 5, -15, 30), null, 'Sector');
+    const sectors = new ReplicaVolume('Sector', sector, mother, kPhi, 12, 30).getCopies();
+    assert.deepEqual(sectors.slice(0, 2).map((copy) => copy.rotation[2]), [-15, -45]);
+    // The first sector spans phi 0 to 30
+    assert.ok(sectors[0].logicalVolume.solid.inside(v3(20, 1, 0).applyMatrix4(sectors[0].matrixInverse)) === 2);
+
+    const ring = new LogicalVolume(new TubsGeometry(0, 1, 5, 0, 360, { radialSegments: 16 }), 'G4_Si', 'Ring', { color: 0xff0000 });
+    new PhysicalVolume(null, [0, 0, 0], new LogicalVolume(new BoxGeometry(1, 1, 1), null, 'Pad'), 'Pad', ring);
+    const rings = new ReplicaVolume('Ring', ring, null, kRho, 4, 10, 10).getCopies();
+    assert.deepEqual(rings.map((copy) => [copy.logicalVolume.solid.parameters.pRMin, copy.logicalVolume.solid.parameters.pRMax]), [
+      [10, 20],
+      [20, 30],
+      [30, 40],
+      [40, 50],
+    ]);
+    assert.equal(rings[2].logicalVolume.solid.parameters.tessellation.radialSegments, 16);
+    assert.equal(rings[2].logicalVolume.material, 'G4_Si');
+    assert.equal(rings[2].logicalVolume.daughters, ring.daughters);
+  });
+
+  it('rejects invalid replicas', () => {
+    const cell = new LogicalVolume(new BoxGeometry(5, 5, 5), null, 'Cell');
+    assert.throws(() => new ReplicaVolume('Cell', cell, null, kXAxis, 0, 10), RangeError);
+    assert.throws(() => new ReplicaVolume('Cell', cell, null, kXAxis, 2, -1), RangeError);
+    assert.throws(() => new ReplicaVolume('Cell', cell, null, kRadial3D, 2, 1), RangeError);
+    assert.throws(() => new ReplicaVolume('Cell', cell, null, kRho, 2, 1), TypeError);
+    assert.throws(() => new ReplicaVolume('Cell', {}, null, kXAxis, 2, 1), TypeError);
+  });
+});
+
+describe('DivisionVolume', () => {
+  it('divides boxes by number or width', () => {
+    const box = new LogicalVolume(new BoxGeometry(10, 5, 5), null, 'Box');
+    const strip = new LogicalVolume(new BoxGeometry(1, 1, 1), 'G4_Si', 'Strip');
+    const byNumber = new DivisionVolume('Strip', strip, box, kXAxis, 4, 0);
+    assert.equal(byNumber.width, 5);
+    const copies = byNumber.getCopies();
+    assert.deepEqual(copies.map((copy) => copy.translation[0]), [-7.5, -2.5, 2.5, 7.5]);
+    assert.deepEqual(copies[0].logicalVolume.solid.parameters, { pX: 2.5, pY: 5, pZ: 5 });
+    assert.ok(copies.every((copy) => copy.logicalVolume === copies[0].logicalVolume));
+    assert.equal(copies[0].logicalVolume.material, 'G4_Si');
+
+    const other = new LogicalVolume(new BoxGeometry(10, 5, 5), null, 'Other');
+    const byWidth = new DivisionVolume('Strip', strip, other, kXAxis, 0, 6, 1);
+    assert.equal(byWidth.nReplicas, 3);
+    assert.deepEqual(byWidth.getCopies().map((copy) => copy.translation[0]), [-6, 0, 6]);
+  });
+
+  it('divides tubes in rho, phi and z', () => {
+    const tube = () => new LogicalVolume(new TubsGeometry(10, 30, 20, 0, 90), null, 'Tube');
+    const cell = new LogicalVolume(new BoxGeometry(1, 1, 1), null, 'Cell');
+    const rings = new DivisionVolume('Ring', cell, tube(), kRho, 2, 0).getCopies();
+    assert.deepEqual(rings.map((copy) => copy.logicalVolume.solid.parameters.pRMax), [20, 30]);
+
+    const sectors = new DivisionVolume('Sector', cell, tube(), kPhi, 0, 30).getCopies();
+    assert.equal(sectors.length, 3);
+    assert.deepEqual(sectors[0].logicalVolume.solid.parameters, { pRMin: 10, pRMax: 30, pDz: 20, pSPhi: 0, pDPhi: 30 });
+    assert.deepEqual(sectors.map((copy) => copy.rotation[2]), [-0, -30, -60]);
+
+    const slices = new DivisionVolume('Slice', cell, tube(), kZAxis, 4, 0).getCopies();
+    assert.deepEqual(slices.map((copy) => copy.translation[2]), [-15, -5, 5, 15]);
+    assert.equal(slices[0].logicalVolume.solid.parameters.pDz, 5);
+  });
+
+  it('rejects divisions not fitting the mother', () => {
+    const box = new LogicalVolume(new BoxGeometry(10, 5, 5), null, 'Box');
+    const cell = new LogicalVolume(new BoxGeometry(1, 1, 1), null, 'Cell');
+    assert.throws(() => new DivisionVolume('Cell', cell, box, kXAxis, 5, 5), /exceed its mother/);
+    assert.throws(() => new DivisionVolume('Cell', cell, box, kXAxis, 0, 0), RangeError);
+    assert.throws(() => new DivisionVolume('Cell', cell, box, kRho, 2, 0), /cannot divide the BoxGeometry/);
+    assert.throws(() => new DivisionVolume('Cell', cell, null, kXAxis, 2, 0), TypeError);
+    assert.equal(box.daughters.length, 0);
+  });
+});
+
+describe('ParameterisedVolume', () => {
+  it('places and colours copies by callback', () => {
+    const ring = new LogicalVolume(new TubsGeometry(0, 100, 10), 'G4_AIR', 'Ring');
+    const crystal = new LogicalVolume(new BoxGeometry(5, 5, 5), 'G4_CESIUM_IODIDE', 'Crystal', { color: 0x808080 });
+    const big = new BoxGeometry(5, 5, 8);
+    new ParameterisedVolume('Crystal', crystal, ring, 8, (copyNo) => ({
+      rotation: [0, 0, -45 * copyNo],
+      translation: [50 * Math.cos((copyNo * Math.PI) / 4), 50 * Math.sin((copyNo * Math.PI) / 4), 0],
+      solid: copyNo === 7 ? big : undefined,
+      color: copyNo % 2 ? 0xff0000 : undefined,
+    }));
+    const copies = ring.getPlacements();
+    assert.equal(copies.length, 8);
+    assert.equal(copies[0].logicalVolume, crystal);
+    assert.equal(copies[1].logicalVolume.visAttributes.color, 0xff0000);
+    assert.equal(copies[7].logicalVolume.solid, big);
+
+    const object = new PhysicalVolume(null, null, ring, 'Ring').toObject3D();
+    const [group] = object.children;
+    assert.ok(group.isGroup);
+    assert.equal(group.name, 'Crystal');
+    const [crystals, bigCrystal] = group.children;
+    assert.ok(crystals.isInstancedMesh && bigCrystal.isInstancedMesh);
+    assert.equal(crystals.count, 7);
+    assert.deepEqual(Array.from(crystals.userData.copyNumbers), [0, 1, 2, 3, 4, 5, 6]);
+    assert.deepEqual(Array.from(bigCrystal.userData.copyNumbers), [7]);
+    assert.equal(crystals.material.color.getHex(), 0xffffff);
+    const color = new THREE.Color();
+    crystals.getColorAt(1, color);
+    assert.equal(color.getHex(), 0xff0000);
+    crystals.getColorAt(2, color);
+    assert.equal(color.getHex(), 0x808080);
+    assert.throws(() => new ParameterisedVolume('Bad', crystal, null, 2, null), TypeError);
+  });
+});
+
+describe('Replicated volumes', () => {
+  it('are drawn as nested instanced meshes', () => {
+    const object = buildCalorimeter().toObject3D();
+    const layers = object.getObjectByName('Calo').children[0];
+    assert.equal(layers.name, 'Layer');
+    const [layer] = layers.children;
+    assert.equal(layer.count, 4);
+    assert.equal(layer.userData.parentInstances, undefined);
+    const [strips] = layer.children;
+    assert.equal(strips.count, 40);
+    assert.deepEqual(Array.from(strips.userData.copyNumbers.slice(0, 11)), [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 0]);
+    assert.deepEqual(Array.from(strips.userData.parentInstances.slice(8, 12)), [0, 0, 1, 1]);
+    const [fibres] = strips.children;
+    assert.equal(fibres.count, 40);
+    assert.ok(fibres.userData.copyNumbers.every((copyNo) => copyNo === 7));
+
+    // Pick a strip of the top layer
+    object.updateMatrixWorld(true);
+    const raycaster = new THREE.Raycaster(v3(32, 0, 200), v3(0, 0, -1));
+    const hits = raycaster.intersectObject(strips, false);
+    assert.ok(hits.length > 0);
+    assert.equal(PhysicalVolume.copyNumberOf(hits[0]), 8);
+    assert.equal(strips.userData.parentInstances[hits[0].instanceId], 3);
+    assert.equal(PhysicalVolume.copyNumberOf({ object: object.getObjectByName('Calo') }), 0);
+  });
+
+  it('are navigated and weighed copy by copy', () => {
+    const world = buildCalorimeter();
+    const location = new Navigator(world).locate(v3(-33, 0, 12));
+    assert.deepEqual(location.path.map((volume) => `${volume.name}:${volume.copyNumber}`), ['World:0', 'Calo:0', 'Layer:2', 'Strip:1']);
+    assert.equal(location.path[2].replica.axis, kZAxis);
+
+    const onAxis = new Navigator(world).locate(v3(-35, 0, 15));
+    assert.equal(onAxis.volume.name, 'Fibre');
+
+    const steps = new Navigator(world).trace(v3(-35.5, -50, 15), v3(0, 1, 0));
+    assert.deepEqual(steps.map((step) => step.volume.name), ['World', 'Strip', 'Fibre', 'Strip', 'World']);
+
+    const density = (material) => ({ G4_AIR: 0, G4_PLASTIC_SC_VINYLTOLUENE: 1, G4_Cu: 10 }[material]);
+    const fibre = Math.PI * 30 * 1e-3;
+    assertNear(world.logicalVolume.getMass(density), 40 * (10 * 40 * 10 * 1e-3 + 9 * fibre), 1e-6);
+  });
+
+  it('are exported to GDML copy by copy', () => {
+    const object = buildCalorimeter().toObject3D();
+    const text = new GDMLExporter().parse(object);
+    assert.equal(text.match(/<physvol/g).length, 1 + 1 + 4 + 10 + 1);
+    assert.match(text, /<physvol name="Strip" copynumber="9">/);
+
+    const volume = PhysicalVolume.fromObject3D(new GDMLLoader().parse(text).children[0]);
+    const calo = volume.logicalVolume.daughters[0];
+    const layers = calo.logicalVolume.daughters;
+    assert.deepEqual(layers.map((layer) => layer.translation[2]), [-15, -5, 5, 15]);
+    assert.equal(layers[0].logicalVolume.daughters.length, 10);
+    assert.equal(layers[0].logicalVolume.daughters[0].logicalVolume.daughters[0].name, 'Fibre');
+    assert.deepEqual(checkOverlaps(volume, { resolution: 100 }), []);
+
+    const read = PhysicalVolume.fromObject3D(object);
+    assert.equal(read.logicalVolume.daughters[0].logicalVolume.daughters.length, 4);
+    assert.deepEqual(read.logicalVolume.daughters[0].logicalVolume.daughters[0].logicalVolume.daughters.map((strip) => strip.copyNumber), [0, 1, 2, 3, 4, 5, 6, 7, 8, 9]);
+  });
+
+  it('are left out of the overlap check', () => {
+    const world = buildCalorimeter();
+    assert.deepEqual(checkOverlaps(world, { resolution: 100 }), []);
+    const stripLogical = world.logicalVolume.daughters[0].logicalVolume.daughters[0].logicalVolume.daughters[0].logicalVolume;
+    new PhysicalVolume(null, [0, 0, 0.5], new LogicalVolume(new BoxGeometry(6, 2, 2), 'G4_Cu', 'Bead'), 'Bead', stripLogical);
+    const issues = checkOverlaps(world, { resolution: 100 });
+    assert.deepEqual(issues.map((issue) => issue.kind).sort(), ['extrusion', 'overlap']);
+  });
+});
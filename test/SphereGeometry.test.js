@@ -0,0 +1,184 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { SphereGeometry } from '../src/index.js';
+import { enclosedVolume, openEdgeCount } from './helpers/mesh.js';
+
+const DEG = Math.PI / 180;
+
+// Tessellation error of the default segment counts stays below this
+// fraction of the analytic volume.
+const VOLUME_TOLERANCE = 0.03;
+
+/**
+ * G4Sphere::GetCubicVolume for parameters in millimeters and degrees, after
+ * the same normalisation as G4Sphere.
+ */
+function g4SphereVolume(pRMin, pRMax, pSTheta, pDTheta, pSPhi, pDPhi) {
+  const dPhi = Math.min(pDPhi, 360) * DEG;
+  const sTheta = pSTheta * DEG;
+  const eTheta = Math.min(pSTheta + pDTheta, 180) * DEG;
+  return (dPhi * (Math.cos(sTheta) - Math.cos(eTheta)) * (pRMax ** 3 - pRMin ** 3)) / 3;
+}
+
+describe('SphereGeometry', () => {
+  describe('parameter sweep', () => {
+    const radii = [
+      [0, 10],
+      [4, 10],
+    ];
+    const thetas = [
+      [0, 180],
+      [0, 30],
+      [0, 90],
+      [0, 135],
+      [30, 30],
+      [30, 60],
+      [30, 150],
+      [45, 200],
+      [90, 45],
+      [90, 90],
+      [100, 90],
+      [120, 40],
+      [150, 30],
+    ];
+    const phis = [
+      [0, 360],
+      [0, 90],
+      [-45, 180],
+      [30, 300],
+      [400, 45],
+      [10, 720],
+    ];
+
+    radii.forEach(([pRMin, pRMax]) => {
+      thetas.forEach(([pSTheta, pDTheta]) => {
+        phis.forEach(([pSPhi, pDPhi]) => {
+          const args = [pRMin, pRMax, pSTheta, pDTheta, pSPhi, pDPhi];
+          it(`encloses the G4Sphere volume for (${args.join(', ')})`, () => {
+            const geometry = new SphereGeometry(...args);
+            const expected = g4SphereVolume(...args);
+            const volume = enclosedVolume(geometry);
+            assert.ok(
+              Math.abs(volume - expected) <= VOLUME_TOLERANCE * expected,
+              `volume ${volume} differs from ${expected}`
+            );
+            assert.ok(volume < expected, 'inscribed mesh should not exceed the analytic volume');
+            assert.equal(openEdgeCount(geometry), 0);
+          });
+        });
+      });
+    });
+  });
+
+  describe('normalisation', () => {
+    it('clamps pETheta beyond 180 degrees instead of building a full sphere', () => {
+      const clamped = enclosedVolume(new SphereGeometry(0, 10, 120, 200, 0, 360));
+      const expected = enclosedVolume(new SphereGeometry(0, 10, 120, 60, 0, 360));
+      assert.ok(Math.abs(clamped - expected) < 1e-6);
+    });
+
+    it('handles theta ranges ending exactly at 90 degrees', () => {
+      [
+        [0, 90],
+        [30, 60],
+        [60, 30],
+        [89, 1],
+      ].forEach(([pSTheta, pDTheta]) => {
+        const geometry = new SphereGeometry(0, 10, pSTheta, pDTheta, 0, 360);
+        const expected = g4SphereVolume(0, 10, pSTheta, pDTheta, 0, 360);
+        assert.ok(Math.abs(enclosedVolume(geometry) - expected) <= VOLUME_TOLERANCE * expected);
+        assert.equal(openEdgeCount(geometry), 0);
+      });
+    });
+
+    it('cuts the CSG sphere at the equator when rounding misses 90 degrees', () => {
+      // 0.2 + 89.8 degrees end 2e-16 rad short of pi / 2
+      [
+        [0.2, 89.8],
+        [0.6, 89.4],
+        [90, 0.6],
+      ].forEach(([pSTheta, pDTheta]) => {
+        const geometry = new SphereGeometry(0, 10, pSTheta, pDTheta, 0, 360, { csg: true });
+        const expected = g4SphereVolume(0, 10, pSTheta, pDTheta, 0, 360);
+        assert.ok(Math.abs(enclosedVolume(geometry) - expected) <= VOLUME_TOLERANCE * expected, `${pSTheta}, ${pDTheta}`);
+        assert.equal(openEdgeCount(geometry), 0);
+      });
+    });
+
+    it('normalises the phi segment of the CSG sphere', () => {
+      const mesh = (geometry) => Array.from(geometry.attributes.position.array);
+      const full = new SphereGeometry(2, 10, 0, 180, 0, 360, { csg: true });
+      assert.deepEqual(mesh(new SphereGeometry(2, 10, 0, 180, 75, 500, { csg: true })), mesh(full));
+      const wrapped = new SphereGeometry(2, 10, 30, 90, -30, 60, { csg: true });
+      assert.deepEqual(mesh(wrapped), mesh(new SphereGeometry(2, 10, 30, 90, 330, 60, { csg: true })));
+    });
+
+    it('treats pDPhi of 360 or more as the full circle', () => {
+      const full = enclosedVolume(new SphereGeometry(2, 10, 0, 180, 0, 360));
+      assert.ok(Math.abs(enclosedVolume(new SphereGeometry(2, 10, 0, 180, 75, 500)) - full) < 1e-6);
+    });
+
+    it('wraps a negative pSPhi like Geant4', () => {
+      const a = new SphereGeometry(0, 10, 0, 180, -30, 60);
+      const b = new SphereGeometry(0, 10, 0, 180, 330, 60);
+      assert.deepEqual(Array.from(a.attributes.position.array), Array.from(b.attributes.position.array));
+    });
+
+    it('keeps the original arguments in parameters', () => {
+      const geometry = new SphereGeometry(1, 2, 30, 200, -30, 400);
+      assert.deepEqual(geometry.parameters, {
+        pRMin: 1,
+        pRMax: 2,
+        pSTheta: 30,
+        pDTheta: 200,
+        pSPhi: -30,
+        pDPhi: 400,
+      });
+    });
+
+    it('rejects invalid radii and angles', () => {
+      assert.throws(() => new SphereGeometry(10, 5, 0, 180, 0, 360), RangeError);
+      assert.throws(() => new SphereGeometry(-1, 5, 0, 180, 0, 360), RangeError);
+      assert.throws(() => new SphereGeometry(0, 5, -10, 90, 0, 360), RangeError);
+      assert.throws(() => new SphereGeometry(0, 5, 190, 10, 0, 360), RangeError);
+      assert.throws(() => new SphereGeometry(0, 5, 30, 0, 0, 360), RangeError);
+      assert.throws(() => new SphereGeometry(0, 5, 0, 180, 0, -90), RangeError);
+    });
+  });
+
+  describe('serialization', () => {
+    it('round-trips through toJSON and fromJSON', () => {
+      const geometry = new SphereGeometry(1, 2, 30, 60, 10, 90);
+      const restored = SphereGeometry.fromJSON(geometry.toJSON());
+      assert.deepEqual(restored.parameters, geometry.parameters);
+      assert.deepEqual(Array.from(restored.attributes.position.array), Array.from(geometry.attributes.position.array));
+    });
+
+    it('clones with its parameters', () => {
+      const geometry = new SphereGeometry(1, 2, 30, 60, 10, 90);
+      const clone = geometry.clone();
+      assert.deepEqual(clone.parameters, geometry.parameters);
+      assert.equal(clone.index.count, geometry.index.count);
+    });
+
+    it('keeps the CSG construction', () => {
+      const geometry = new SphereGeometry(5, 10, 30, 60, 20, 200, { csg: true, radialSegments: 16 });
+      const mesh = (g) => Array.from(g.attributes.position.array);
+      assert.equal(geometry.parameters.csg, true);
+      assert.equal(new SphereGeometry(5, 10).parameters.csg, undefined);
+
+      const restored = SphereGeometry.fromJSON(JSON.parse(JSON.stringify(geometry.toJSON())));
+      assert.deepEqual(restored.parameters, geometry.parameters);
+      assert.deepEqual(mesh(restored), mesh(geometry));
+      assert.deepEqual(mesh(geometry.clone()), mesh(geometry));
+
+      const coarse = geometry.withTessellation({ radialSegments: 8 });
+      assert.equal(coarse.parameters.csg, true);
+      assert.deepEqual(mesh(coarse), mesh(new SphereGeometry(5, 10, 30, 60, 20, 200, { csg: true, radialSegments: 8 })));
+
+      geometry.parameters.pRMin = 4;
+      geometry.update();
+      assert.deepEqual(mesh(geometry), mesh(new SphereGeometry(4, 10, 30, 60, 20, 200, { csg: true, radialSegments: 16 })));
+    });
+  });
+});
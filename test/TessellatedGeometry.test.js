@@ -0,0 +1,207 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+import {
+  TessellatedGeometry,
+  ExtrudedGeometry,
+  BoxGeometry,
+  SubtractionGeometry,
+  GDMLExporter,
+  GDMLLoader,
+  geometryFromJSON,
+  geometryToJSON,
+  kInside,
+  kSurface,
+  kOutside,
+} from '../src/index.js';
+import { enclosedVolume, openEdgeCount } from './helpers/mesh.js';
+
+const v3 = (x, y, z) => new THREE.Vector3(x, y, z);
+
+// Tetrahedron with its right angle at the origin and legs of 10 mm
+const TETRAHEDRON = [
+  [[0, 0, 0], [0, 10, 0], [10, 0, 0]],
+  [[0, 0, 0], [0, 0, 10], [0, 10, 0]],
+  [[0, 0, 0], [10, 0, 0], [0, 0, 10]],
+  [[10, 0, 0], [0, 10, 0], [0, 0, 10]],
+];
+
+const L_SHAPE = [[0, 0], [0, 30], [5, 30], [5, 5], [30, 5], [30, 0]];
+
+describe('TessellatedGeometry', () => {
+  it('builds a closed solid from triangles and quadrangles', () => {
+    const cube = new TessellatedGeometry();
+    assert.equal(cube.getCubicVolume(), 8);
+    assert.equal(cube.getSurfaceArea(), 24);
+    assert.equal(openEdgeCount(cube), 0);
+    assert.ok(Math.abs(enclosedVolume(cube) - 8) < 1e-9);
+
+    const tetrahedron = new TessellatedGeometry(TETRAHEDRON, { lengthUnit: 'cm' });
+    assert.ok(Math.abs(tetrahedron.getCubicVolume() - 1e6 / 6) < 1e-6);
+    assert.deepEqual(tetrahedron.parameters.facets[0][1], [0, 100, 0]);
+  });
+
+  it('answers the navigation queries', () => {
+    const cube = new TessellatedGeometry();
+    assert.equal(cube.inside(v3(0, 0, 0)), kInside);
+    assert.equal(cube.inside(v3(1, 0.5, 0)), kSurface);
+    assert.equal(cube.inside(v3(2, 0, 0)), kOutside);
+    assert.ok(Math.abs(cube.distanceToIn(v3(-5, 0.3, 0.2), v3(1, 0, 0)) - 4) < 1e-9);
+    assert.ok(Math.abs(cube.distanceToOut(v3(0, 0, 0.5), v3(0, 0, 1)) - 0.5) < 1e-9);
+    assert.ok(cube.distanceToIn(v3(-5, 0, 0)) <= 4);
+    assert.ok(cube.distanceToOut(v3(0.5, 0, 0)) <= 0.5);
+    assert.ok(cube.surfaceNormal(v3(0.2, 1, 0.3)).distanceTo(v3(0, 1, 0)) < 1e-9);
+
+    const tetrahedron = new TessellatedGeometry(TETRAHEDRON);
+    assert.equal(tetrahedron.inside(v3(1, 1, 1)), kInside);
+    assert.equal(tetrahedron.inside(v3(4, 4, 4)), kOutside);
+  });
+
+  it('rejects open, inward and malformed surfaces', () => {
+    const open = TETRAHEDRON.slice(0, 3).concat([[[10, 0, 0], [0, 10, 0], [0, 0, 11]]]);
+    assert.throws(() => new TessellatedGeometry(open), /do not close/);
+    assert.throws(() => new TessellatedGeometry(TETRAHEDRON.map((facet) => facet.slice().reverse())), /inward/);
+    assert.throws(() => new TessellatedGeometry(TETRAHEDRON.slice(0, 3)), RangeError);
+    const warped = TETRAHEDRON.slice();
+    warped[0] = [[0, 0, 0], [0, 10, 0], [10, 10, 1], [10, 0, 0]];
+    assert.throws(() => new TessellatedGeometry(warped), /not planar/);
+  });
+
+  it('reads STL and OBJ files', () => {
+    const ascii = [
+      'solid tetrahedron',
+      ...TETRAHEDRON.flatMap((facet) => [
+        'facet normal 0 0 0',
+        'outer loop',
+        ...facet.map((v) => `vertex ${v.join(' ')}`),
+        'endloop',
+        'endfacet',
+      ]),
+      'endsolid tetrahedron',
+    ].join('\n');
+    assert.ok(Math.abs(TessellatedGeometry.fromSTL(ascii).getCubicVolume() - 1000 / 6) < 1e-9);
+
+    const binary = new DataView(new ArrayBuffer(84 + 50 * TETRAHEDRON.length));
+    binary.setUint32(80, TETRAHEDRON.length, true);
+    TETRAHEDRON.forEach((facet, t) => {
+      facet.forEach((v, k) => v.forEach((c, i) => binary.setFloat32(84 + 50 * t + 12 * (k + 1) + 4 * i, c, true)));
+    });
+    assert.ok(Math.abs(TessellatedGeometry.fromSTL(binary.buffer).getCubicVolume() - 1000 / 6) < 1e-9);
+
+    const obj = [
+      'o cube',
+      'v -1 -1 -1',
+      'v 1 -1 -1',
+      'v 1 1 -1',
+      'v -1 1 -1',
+      'v -1 -1 1',
+      'v 1 -1 1',
+      'v 1 1 1',
+      'v -1 1 1',
+      'f 1 4 3 2',
+      'f 5/1 6/1 7/1 8/1',
+      'f 1//1 2//1 6//1 5//1',
+      'f -5 -1 -2 -6',
+      'f 1 5 8 4',
+      'f 2 3 7 6',
+    ].join('\n');
+    const cube = TessellatedGeometry.fromOBJ(obj, { lengthUnit: 'cm' });
+    assert.ok(Math.abs(cube.getCubicVolume() - 8000) < 1e-9);
+  });
+
+  it('serves as a boolean operand and survives JSON', () => {
+    const tetrahedron = new TessellatedGeometry(TETRAHEDRON);
+    const cut = new SubtractionGeometry(new BoxGeometry(20, 20, 20), tetrahedron);
+    assert.equal(openEdgeCount(cut), 0);
+    assert.ok(Math.abs(enclosedVolume(cut) - (40 ** 3 - 1000 / 6)) < 1e-6);
+    assert.equal(cut.inside(v3(1, 1, 1)), kOutside);
+
+    const copy = geometryFromJSON(JSON.parse(JSON.stringify(geometryToJSON(tetrahedron))));
+    assert.equal(copy.type, 'TessellatedGeometry');
+    assert.deepEqual(copy.parameters, tetrahedron.parameters);
+  });
+});
+
+describe('ExtrudedGeometry', () => {
+  it('extrudes a concave polygon through sections', () => {
+    const bar = new ExtrudedGeometry(L_SHAPE, [{ z: -100 }, { z: 100 }]);
+    assert.equal(bar.type, 'ExtrudedGeometry');
+    assert.ok(Math.abs(bar.getCubicVolume() - 275 * 200) < 1e-6);
+    assert.equal(openEdgeCount(bar), 0);
+    assert.equal(bar.inside(v3(2, 20, 0)), kInside);
+    assert.equal(bar.inside(v3(20, 20, 0)), kOutside);
+
+    // A clockwise square tapering to half size: a frustum of 50 mm
+    const square = [[-10, -10], [-10, 10], [10, 10], [10, -10]];
+    const taper = new ExtrudedGeometry(square, [{ z: 0 }, { z: 50, offset: [10, 0], scale: 0.5 }]);
+    assert.ok(Math.abs(taper.getCubicVolume() - (50 / 3) * (400 + 200 + 100)) < 1e-6);
+    assert.equal(taper.inside(v3(12, 0, 49)), kInside);
+    assert.equal(taper.inside(v3(-9, 0, 49)), kOutside);
+    assert.deepEqual(taper.clone().parameters, taper.parameters);
+  });
+
+  it('rejects invalid polygons and sections', () => {
+    assert.throws(() => new ExtrudedGeometry([[0, 0], [1, 0]]), RangeError);
+    assert.throws(() => new ExtrudedGeometry(L_SHAPE, [{ z: 0 }]), RangeError);
+    assert.throws(() => new ExtrudedGeometry(L_SHAPE, [{ z: 0 }, { z: 0 }]), RangeError);
+    assert.throws(() => new ExtrudedGeometry(L_SHAPE, [{ z: 0 }, { z: 1, scale: 0 }]), RangeError);
+    assert.throws(() => new ExtrudedGeometry([[0, 0], [1, 1], [2, 2]]), /no area/);
+  });
+});
+
+describe('GDML tessellated and xtru', () => {
+  it('writes and reads back both solids', () => {
+    const group = new THREE.Group();
+    const solids = [
+      new ExtrudedGeometry(L_SHAPE, [{ z: -100 }, { z: 0, offset: [1, 2], scale: 0.5 }, { z: 100 }]),
+      new TessellatedGeometry(TETRAHEDRON),
+    ];
+    solids.forEach((geometry, i) => {
+      const mesh = new THREE.Mesh(geometry, new THREE.MeshBasicMaterial({ name: 'G4_Fe' }));
+      mesh.name = `Part${i}`;
+      mesh.position.x = 100 * i;
+      group.add(mesh);
+    });
+    const text = new GDMLExporter().parse(group);
+    assert.match(text, /<section zOrder="1" zPosition="0" xOffset="1" yOffset="2" scalingFactor="0.5"\/>/);
+    assert.match(text, /<position name="Tessellated_v3" x="0" y="0" z="10" unit="mm"\/>/);
+    // Shared vertices are defined once
+    assert.equal(text.match(/<position name="Tessellated_v/g).length, 4);
+
+    const meshes = [];
+    new GDMLLoader().parse(text).traverse((object) => object.isMesh && object.name.startsWith('Part') && meshes.push(object));
+    assert.deepEqual(meshes.map((mesh) => mesh.geometry.parameters), solids.map((solid) => solid.parameters));
+  });
+
+  it('reads relative facets and their length unit', () => {
+    const text = `<gdml>
+      <define>
+        <position name="o" x="0" y="0" z="0"/>
+        <position name="x" x="1" y="0" z="0" unit="cm"/>
+        <position name="y" x="0" y="1" z="0" unit="cm"/>
+        <position name="z" x="0" y="0" z="1" unit="cm"/>
+        <position name="dy" x="-1" y="1" z="0" unit="cm"/>
+        <position name="dz" x="-1" y="0" z="1" unit="cm"/>
+      </define>
+      <materials/>
+      <solids>
+        <tessellated name="T">
+          <triangular vertex1="o" vertex2="y" vertex3="x"/>
+          <triangular vertex1="o" vertex2="z" vertex3="y"/>
+          <triangular vertex1="o" vertex2="x" vertex3="z"/>
+          <triangular vertex1="x" vertex2="dy" vertex3="dz" type="RELATIVE" lunit="mm"/>
+        </tessellated>
+      </solids>
+      <structure>
+        <volume name="V"><materialref ref="G4_AIR"/><solidref ref="T"/></volume>
+      </structure>
+      <setup name="Default" version="1.0"><world ref="V"/></setup>
+    </gdml>`;
+    const world = new GDMLLoader().parse(text).children[0];
+    assert.deepEqual(world.geometry.parameters.facets[3], [
+      [10, 0, 0],
+      [0, 10, 0],
+      [0, 0, 10],
+    ]);
+  });
+});
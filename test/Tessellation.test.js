@@ -0,0 +1,189 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+import {
+  BoxGeometry,
+  TubsGeometry,
+  ConsGeometry,
+  SphereGeometry,
+  TorusGeometry,
+  PolyconeGeometry,
+  ParaboloidGeometry,
+  HypeGeometry,
+  EllipsoidGeometry,
+  GenericTrapGeometry,
+  UnionGeometry,
+  MultiUnionGeometry,
+  createLOD,
+  geometryToJSON,
+  geometryFromJSON,
+} from '../src/index.js';
+import { chordSegmentsFor, curveSegmentsFor } from '../src/utils/index.js';
+import { openEdgeCount } from './helpers/mesh.js';
+
+function triangleCount(geometry) {
+  return (geometry.index ? geometry.index.count : geometry.attributes.position.count) / 3;
+}
+
+// Smallest distance from the origin to the centroid of a triangle
+function innermostCentroid(geometry) {
+  const position = geometry.attributes.position;
+  const index = geometry.index;
+  const centroid = new THREE.Vector3();
+  const vertex = new THREE.Vector3();
+  let smallest = Infinity;
+  for (let i = 0; i < index.count; i += 3) {
+    centroid.set(0, 0, 0);
+    for (let k = 0; k < 3; k++) centroid.add(vertex.fromBufferAttribute(position, index.getX(i + k)));
+    smallest = Math.min(smallest, centroid.divideScalar(3).length());
+  }
+  return smallest;
+}
+
+describe('Tessellation options', () => {
+  it('set the segment counts', () => {
+    // Two caps of 8 triangles and 4 rows of 8 quads less the pole triangles
+    assert.equal(triangleCount(new SphereGeometry(0, 10, 0, 180, 0, 360, { radialSegments: 8, heightSegments: 4 })), 48);
+    assert.equal(triangleCount(new TubsGeometry(0, 10, 5, 0, 360, { radialSegments: 6 })), 24);
+    assert.equal(triangleCount(new TubsGeometry(0, 10, 5, 0, 360, { radialSegments: 6, heightSegments: 3 })), 48);
+    assert.equal(triangleCount(new TubsGeometry(0, 10, 5, 0, 360)), 128);
+    assert.equal(triangleCount(new TorusGeometry(0, 1, 5, 0, 360, { radialSegments: 12, heightSegments: 6 })), 144);
+
+    // Only the edges that are not flat in z are cut into rows: the two
+    // cones, not the end caps
+    const zPlanes = [[-10, 0, 10], [0, 0, 0], [5, 10, 5]];
+    assert.equal(triangleCount(new PolyconeGeometry(0, 360, 3, ...zPlanes, { radialSegments: 8 })), 8 + 8 + 2 * 16);
+    assert.equal(triangleCount(new PolyconeGeometry(0, 360, 3, ...zPlanes, { radialSegments: 8, heightSegments: 2 })), 8 + 8 + 4 * 16);
+  });
+
+  it('keep phi segments closed with several height segments', () => {
+    // The rows put collinear points on the walls bounding the phi caps
+    for (let heightSegments = 1; heightSegments <= 5; heightSegments++) {
+      const options = { heightSegments };
+      assert.equal(openEdgeCount(new ConsGeometry(2, 5, 3, 8, 10, -30, 120, options)), 0, `cone, ${heightSegments}`);
+      assert.equal(openEdgeCount(new ConsGeometry(0, 2, 0, 8, 10, 10, 90, options)), 0, `solid cone, ${heightSegments}`);
+      assert.equal(openEdgeCount(new TubsGeometry(2, 5, 10, 0, 90, options)), 0, `tube, ${heightSegments}`);
+    }
+  });
+
+  it('pick the segment counts from a chord tolerance', () => {
+    assert.equal(chordSegmentsFor(2 * Math.PI, 100, 0.1), 71);
+    assert.equal(chordSegmentsFor(2 * Math.PI, 1, 5), 3);
+    assert.equal(chordSegmentsFor(Math.PI / 2, 1, 5), 1);
+    assert.equal(triangleCount(new TubsGeometry(0, 100, 10, 0, 360, { chordTolerance: 0.1 })), 4 * 71);
+
+    [1, 0.1, 0.01].forEach((chordTolerance) => {
+      const sphere = new SphereGeometry(0, 100, 0, 180, 0, 360, { chordTolerance });
+      const depth = 100 - innermostCentroid(sphere);
+      assert.ok(depth > 0 && depth < 2 * chordTolerance, `${depth} for a tolerance of ${chordTolerance}`);
+    });
+  });
+
+  it('follow curved profiles', () => {
+    // Sampled evenly in angle a circle needs as many segments as an arc
+    const circle = (t) => ({ r: 10 * Math.cos(t), z: 10 * Math.sin(t) });
+    [1, 0.1, 0.01].forEach((chordTolerance) => {
+      assert.equal(curveSegmentsFor({ chordTolerance }, circle, 0, Math.PI), chordSegmentsFor(Math.PI, 10, chordTolerance));
+    });
+    assert.equal(curveSegmentsFor(null, circle, 0, Math.PI), 16);
+    assert.equal(curveSegmentsFor({ heightSegments: 3 }, circle, 0, Math.PI), 3);
+
+    const solids = [
+      (options) => new ParaboloidGeometry(50, 0, 40, options),
+      (options) => new HypeGeometry(10, 20, 30, 40, 50, options),
+      (options) => new EllipsoidGeometry(30, 50, 20, 0, 0, options),
+      (options) => new SphereGeometry(0, 100, 0, 180, 0, 90, { csg: true, ...options }),
+    ];
+    solids.forEach((solid) => {
+      const coarse = triangleCount(solid({ chordTolerance: 1 }));
+      const fine = triangleCount(solid({ chordTolerance: 0.1 }));
+      assert.ok(coarse < fine, `${coarse} triangles at 1 mm, ${fine} at 0.1 mm`);
+    });
+  });
+
+  it('slice twisted side faces to the chord tolerance', () => {
+    const turn = (x, y) => [x * Math.cos(0.6) - y * Math.sin(0.6), x * Math.sin(0.6) + y * Math.cos(0.6)];
+    const vertices = [[-3, -3], [-3, 3], [3, 3], [3, -3], turn(-2, -2), turn(-2, 2), turn(2, 2), turn(2, -2)];
+    const trap = (options) => triangleCount(new GenericTrapGeometry(5, vertices, options));
+    assert.equal(trap({ heightSegments: 4 }), 4 + 4 * 4 * 2);
+    assert.ok(trap({ chordTolerance: 0.5 }) < trap({ chordTolerance: 0.01 }));
+  });
+
+  it('take the chord tolerance in the length unit', () => {
+    const tubs = new TubsGeometry(0, 10, 1, 0, 360, { lengthUnit: 'cm', chordTolerance: 0.01 });
+    assert.deepEqual(tubs.parameters.tessellation, { chordTolerance: 0.1 });
+    assert.equal(triangleCount(tubs), 4 * 71);
+  });
+
+  it('survive clone(), update() and JSON', () => {
+    const tubs = new TubsGeometry(0, 100, 10, 0, 360, { chordTolerance: 0.1 });
+    assert.equal(triangleCount(tubs.clone()), 284);
+    tubs.parameters.pDz = 20;
+    assert.equal(triangleCount(tubs.update()), 284);
+    assert.equal(triangleCount(geometryFromJSON(JSON.parse(JSON.stringify(geometryToJSON(tubs))))), 284);
+    assert.equal(new TubsGeometry(0, 100, 10).parameters.tessellation, undefined);
+  });
+
+  it('reject invalid settings', () => {
+    assert.throws(() => new TubsGeometry(0, 1, 1, 0, 360, { radialSegments: 0 }), /TubsGeometry: invalid radialSegments/);
+    assert.throws(() => new SphereGeometry(0, 1, 0, 180, 0, 360, { heightSegments: 2.5 }), RangeError);
+    assert.throws(() => new TorusGeometry(0, 1, 2, 0, 360, { chordTolerance: -1 }), RangeError);
+  });
+});
+
+describe('Levels of detail', () => {
+  it('retessellate solids and compositions', () => {
+    const tubs = new TubsGeometry(0, 10, 10);
+    tubs.name = 'Rod';
+    const coarse = tubs.withTessellation({ radialSegments: 6 });
+    assert.equal(coarse.name, 'Rod');
+    assert.equal(triangleCount(coarse), 24);
+    assert.equal(triangleCount(coarse.withTessellation()), 128);
+
+    const box = new BoxGeometry(5, 5, 5);
+    assert.equal(triangleCount(box.withTessellation({ radialSegments: 6 })), triangleCount(box));
+
+    const union = new UnionGeometry(tubs, box, [0, 0, 0], [0, 0, 10]);
+    const rough = union.withTessellation({ radialSegments: 6 });
+    assert.notEqual(rough.parameters.first, tubs);
+    assert.equal(rough.parameters.first.name, 'Rod');
+    assert.ok(triangleCount(rough) < triangleCount(union));
+    assert.deepEqual(rough.parameters.translation, [0, 0, 10]);
+
+    const rack = new MultiUnionGeometry([
+      { geometry: tubs, translation: [-20, 0, 0] },
+      { geometry: tubs, translation: [20, 0, 0] },
+    ]);
+    assert.ok(triangleCount(rack.withTessellation({ radialSegments: 6 })) < triangleCount(rack));
+  });
+
+  it('build a THREE.LOD', () => {
+    const sphere = new SphereGeometry(0, 100);
+    sphere.name = 'Ball';
+    const material = new THREE.MeshBasicMaterial();
+    const lod = createLOD(sphere, [
+      { distance: 0, chordTolerance: 0.05 },
+      { distance: 500, chordTolerance: 1 },
+      { distance: 2000, radialSegments: 8, heightSegments: 4 },
+    ], material);
+
+    assert.ok(lod.isLOD);
+    assert.equal(lod.name, 'Ball');
+    assert.deepEqual(lod.levels.map((level) => level.distance), [0, 500, 2000]);
+    const counts = lod.levels.map((level) => triangleCount(level.object.geometry));
+    assert.ok(counts[0] > counts[1] && counts[1] > counts[2], counts.join(', '));
+    assert.equal(lod.levels[2].object.material, material);
+
+    const camera = new THREE.PerspectiveCamera();
+    camera.position.set(0, 0, 1000);
+    camera.updateMatrixWorld();
+    lod.updateMatrixWorld();
+    lod.update(camera);
+    assert.deepEqual(lod.levels.map((level) => level.object.visible), [false, true, false]);
+  });
+
+  it('rejects bad input', () => {
+    assert.throws(() => createLOD(new THREE.BoxGeometry(), [{ distance: 0 }]), TypeError);
+    assert.throws(() => createLOD(new TubsGeometry(), []), RangeError);
+  });
+});
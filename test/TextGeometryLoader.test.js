@@ -0,0 +1,104 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { TextGeometryLoader, GDMLExporter, GDMLLoader } from '../src/index.js';
+
+const TG = `// detector in Geant4 text geometry
+:P rmax 10*cm
+:PS mat "Water"
+:ELEM Hydrogen H 1. 1.01
+:ELEM Oxygen O 8 16.
+:MIXT_BY_NATOMS Water 1.0 2 Hydrogen 2 Oxygen 1
+:MATE Galactic 1 1.01 1.e-25*g/cm3
+:MATE Lead 82 207.19 11.35
+:MIXT_BY_VOLUME PbWater 6.175 2 Lead 0.5 Water 0.5
+:MATE_STATE Water liquid
+
+:ROTM R00 0. 0. 0.
+:ROTM RX 90 0 0
+:ROTM R6 90. 90. 90. 180. 0. 0.
+:ROTM R9 0 1 0 -1 0 0 0 0 1
+
+:VOLU world BOX 1.*m 1.*m 1.*m Galactic
+:SOLID s1 TUBS 0 $rmax 50 0 360
+:SOLID s2 SPHERE 0 $rmax 0 360 0 90
+:SOLID u UNION s1 s2 R00 0 0 50
+:VOLU det u $mat
+:VOLU shield CONS 10 20 10 30 40 0. pi*rad Lead
+:PLACE det 1 world RX 0 0 0
+:PLACE shield 2 world R9 300 0 0
+:PLACE shield 3 world R6 -300 0 0
+:COLOUR det 1. 0. 0.
+:VIS shield OFF
+`;
+
+describe('TextGeometryLoader', () => {
+  const detector = new TextGeometryLoader().parse(TG);
+  const world = detector.children[0];
+
+  it('builds solids with parameters and units', () => {
+    assert.equal(detector.userData.world, 'world');
+    assert.deepEqual(world.geometry.parameters, { pX: 1000, pY: 1000, pZ: 1000 });
+    const s2 = detector.userData.solids.get('s2');
+    assert.deepEqual(s2.parameters, { pRMin: 0, pRMax: 100, pSTheta: 0, pDTheta: 90, pSPhi: 0, pDPhi: 360 });
+    assert.equal(detector.userData.solids.get('shield').parameters.pDPhi, 180);
+    const union = detector.userData.solids.get('u');
+    assert.equal(union.type, 'UnionGeometry');
+    assert.equal(union.parameters.first, detector.userData.solids.get('s1'));
+    assert.deepEqual(union.parameters.translation, [0, 0, 50]);
+  });
+
+  it('places volumes with their copy numbers and rotation matrices', () => {
+    const [det, shield2, shield3] = world.children;
+    assert.equal(det.name, 'det');
+    assert.equal(det.userData.copyNumber, 1);
+    assert.ok(Math.abs(det.rotation.x + Math.PI / 2) < 1e-12);
+    assert.deepEqual(shield2.position.toArray(), [300, 0, 0]);
+    assert.equal(shield3.userData.copyNumber, 3);
+    assert.ok(shield2.quaternion.angleTo(shield3.quaternion) < 1e-9);
+    assert.ok(Math.abs(shield2.rotation.z - Math.PI / 2) < 1e-12);
+    assert.equal(shield2.geometry, shield3.geometry);
+  });
+
+  it('applies :VIS and :COLOUR', () => {
+    const [det, shield] = world.children;
+    assert.equal(det.material.color.getHex(), 0xff0000);
+    assert.equal(det.material.name, 'Water');
+    assert.equal(shield.material.visible, false);
+    assert.equal(world.material.visible, false);
+  });
+
+  it('reads materials', () => {
+    const { materials } = detector.userData;
+    assert.equal(materials.get('Water').state, 'liquid');
+    assert.deepEqual(materials.get('Water').components, [
+      { ref: 'Hydrogen', n: 2 },
+      { ref: 'Oxygen', n: 1 },
+    ]);
+    assert.ok(Math.abs(materials.get('Galactic').density - 1e-25) < 1e-35);
+    const [lead, water] = materials.get('PbWater').components;
+    assert.ok(Math.abs(lead.fraction - 11.35 / 12.35) < 1e-12);
+    assert.ok(Math.abs(water.fraction - 1 / 12.35) < 1e-12);
+  });
+
+  it('converts to GDML', () => {
+    const imported = new GDMLLoader().parse(new GDMLExporter().parse(detector));
+    const det = imported.getObjectByName('det');
+    assert.equal(det.geometry.type, 'UnionGeometry');
+    assert.ok(det.quaternion.angleTo(world.children[0].quaternion) < 1e-9);
+    assert.deepEqual(imported.userData.materials.get('Water').components, [
+      { ref: 'Hydrogen', n: 2 },
+      { ref: 'Oxygen', n: 1 },
+    ]);
+  });
+
+  it('reports errors with the line number', () => {
+    const parse = (text) => () => new TextGeometryLoader().parse(text);
+    assert.throws(parse(TG.replace(':PLACE det', ':PLAC det')), /unknown tag :PLAC \(line 23\)/);
+    assert.throws(parse(TG.replace('TUBS 0 $rmax 50 0 360', 'TUBS 0 $rmax 50')), /TUBS expects 5 parameters, got 3 \(line 18\)/);
+    assert.throws(parse(TG.replace('$rmax 0 360', '$rmin 0 360')), /unknown parameter 'rmin' \(line 19\)/);
+    assert.throws(parse(TG.replace('s1 s2 R00', 's1 s3 R00')), /unknown solid 's3' \(line 20\)/);
+    assert.throws(parse(TG.replace('world R9', 'world R7')), /unknown rotation matrix 'R7' \(line 24\)/);
+    assert.throws(parse(TG.replace('10 20 10 30 40', '10 20 10 30 -40')), /solid 'shield'.*\(line 22\)/);
+    assert.throws(parse(`${TG}:VOLU other BOX 1 1 1 Lead\n:PLACE det 4 other R00 0 0 0\n`), /more than one world volume/);
+  });
+});
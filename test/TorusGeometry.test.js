@@ -0,0 +1,392 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  TorusGeometry,
+  EllipsoidGeometry,
+  EllipticalTubeGeometry,
+  EllipticalConeGeometry,
+  ParaboloidGeometry,
+  HypeGeometry,
+  SphereGeometry,
+  TubsGeometry,
+} from '../src/index.js';
+import { enclosedVolume, openEdgeCount } from './helpers/mesh.js';
+
+const DEG = Math.PI / 180;
+
+function assertNear(actual, expected, tolerance = 1e-9) {
+  assert.ok(Math.abs(actual - expected) <= tolerance * Math.max(1, Math.abs(expected)), `${actual} is not close to ${expected}`);
+}
+
+// Check that every vertex passes `onSurface(x, y, z)`
+function assertVertices(geometry, onSurface) {
+  const position = geometry.attributes.position;
+  for (let i = 0; i < position.count; i++) {
+    const [x, y, z] = [position.getX(i), position.getY(i), position.getZ(i)];
+    assert.ok(onSurface(x, y, z), `vertex ${i} at (${x}, ${y}, ${z})`);
+  }
+}
+
+// Check that the mesh is closed and encloses the closed-form volume
+function assertClosedMesh(geometry, volume, { inscribed = false } = {}) {
+  assert.equal(openEdgeCount(geometry), 0);
+  const enclosed = enclosedVolume(geometry);
+  if (inscribed) assert.ok(enclosed <= volume * (1 + 1e-9));
+  assertNear(enclosed, volume, 1e-3);
+}
+
+// Simpson's rule with n (even) intervals
+function simpson(f, a, b, n = 2000) {
+  const h = (b - a) / n;
+  let sum = f(a) + f(b);
+  for (let i = 1; i < n; i++) sum += (i % 2 ? 4 : 2) * f(a + i * h);
+  return (sum * h) / 3;
+}
+
+// Area of the surface swept by r(z) around z, between z0 and z1
+function revolvedArea(r, dr, z0, z1) {
+  return simpson((z) => 2 * Math.PI * r(z) * Math.sqrt(1 + dr(z) ** 2), z0, z1);
+}
+
+describe('TorusGeometry', () => {
+  const cases = [
+    [0, 5, 20, 0, 360],
+    [2, 5, 20, 0, 360],
+    [2, 5, 20, 30, 90],
+    [0, 3, 3, -45, 270],
+  ];
+
+  cases.forEach((args) => {
+    const [pRmin, pRmax, pRtor, pSPhi, pDPhi] = args;
+
+    it(`puts its vertices on the tube walls and the cuts for (${args.join(', ')})`, () => {
+      const geometry = new TorusGeometry(...args);
+      assertVertices(geometry, (x, y, z) => {
+        const d = Math.hypot(Math.hypot(x, y) - pRtor, z);
+        const onWall = Math.abs(d - pRmax) < 1e-4 || (pRmin > 0 && Math.abs(d - pRmin) < 1e-4);
+        const phi = (((Math.atan2(y, x) / DEG - pSPhi) % 360) + 360) % 360;
+        const inPhi = pDPhi >= 360 || Math.hypot(x, y) < 1e-4 || phi <= pDPhi + 1e-3 || phi >= 360 - 1e-3;
+        return onWall && inPhi;
+      });
+    });
+
+    it(`is closed and measured in closed form for (${args.join(', ')})`, () => {
+      const geometry = new TorusGeometry(...args, { chordTolerance: 1e-3 });
+      const dPhi = Math.min(pDPhi, 360) * DEG;
+      const volume = dPhi * Math.PI * pRtor * (pRmax ** 2 - pRmin ** 2);
+      const walls = dPhi * 2 * Math.PI * pRtor * (pRmax + pRmin);
+      assertNear(geometry.getCubicVolume(), volume);
+      assertNear(geometry.getSurfaceArea(), pDPhi < 360 ? walls + 2 * Math.PI * (pRmax ** 2 - pRmin ** 2) : walls);
+      assertClosedMesh(geometry, volume);
+    });
+  });
+
+  it('keeps its arguments in parameters and survives JSON and clone', () => {
+    const geometry = new TorusGeometry(1, 2, 6, 0, Math.PI / 2, { lengthUnit: 'cm', angleUnit: 'rad', radialSegments: 8 });
+    const { tessellation, ...parameters } = geometry.parameters;
+    assert.deepEqual(Object.keys(parameters), ['pRmin', 'pRmax', 'pRtor', 'pSPhi', 'pDPhi']);
+    assertNear(parameters.pRtor, 60);
+    assertNear(parameters.pDPhi, 90);
+    assert.deepEqual(tessellation, { radialSegments: 8 });
+    assertRoundTrip(geometry, TorusGeometry);
+  });
+
+  it('rejects invalid radii and angles', () => {
+    assert.throws(() => new TorusGeometry(5, 5, 20), RangeError);
+    assert.throws(() => new TorusGeometry(-1, 5, 20), RangeError);
+    assert.throws(() => new TorusGeometry(0, NaN, 20), RangeError);
+    assert.throws(() => new TorusGeometry(0, 5, 4), RangeError);
+    assert.throws(() => new TorusGeometry(0, 5, 20, 0, 0), RangeError);
+    assert.throws(() => new TorusGeometry(0, 5, 20, 0, -10), RangeError);
+  });
+});
+
+describe('EllipsoidGeometry', () => {
+  // Semi-axes, given cuts and the cuts they make
+  const cases = [
+    [[4, 6, 8, 0, 0], -8, 8],
+    [[4, 6, 8, -3, 5], -3, 5],
+    [[4, 6, 8, 0, 5], 0, 5],
+    [[4, 6, 8, -20, 20], -8, 8],
+    [[7, 7, 7, -2, 7], -2, 7],
+  ];
+
+  cases.forEach(([args, zBottom, zTop]) => {
+    const [a, b, c] = args;
+
+    it(`puts its vertices on the surface and the cuts for (${args.join(', ')})`, () => {
+      const geometry = new EllipsoidGeometry(...args);
+      assertVertices(geometry, (x, y, z) => {
+        const level = (x / a) ** 2 + (y / b) ** 2 + (z / c) ** 2;
+        const onCut = (Math.abs(z - zBottom) < 1e-4 || Math.abs(z - zTop) < 1e-4) && level <= 1 + 1e-5;
+        return z >= zBottom - 1e-4 && z <= zTop + 1e-4 && (Math.abs(level - 1) < 1e-5 || onCut);
+      });
+    });
+
+    it(`is closed and measured in closed form for (${args.join(', ')})`, () => {
+      const geometry = new EllipsoidGeometry(...args, { chordTolerance: 1e-3 });
+      const volume = Math.PI * a * b * (zTop - zBottom - (zTop ** 3 - zBottom ** 3) / (3 * c * c));
+      assertNear(geometry.getCubicVolume(), volume);
+      assertClosedMesh(geometry, volume, { inscribed: true });
+    });
+  });
+
+  it('measures the area of spheres and spheroids in closed form', () => {
+    // A spherical zone and its two caps
+    const zone = 2 * Math.PI * 7 * 9 + Math.PI * (49 - 4) + Math.PI * (49 - 49);
+    assertNear(new EllipsoidGeometry(7, 7, 7, -2, 7).getSurfaceArea(), zone, 1e-6);
+    assertNear(new EllipsoidGeometry(5, 5, 5).getSurfaceArea(), new SphereGeometry(0, 5).getSurfaceArea(), 1e-6);
+
+    const prolate = 2 * Math.PI * 3 * 3 * (1 + (5 / (3 * 0.8)) * Math.asin(0.8));
+    assertNear(new EllipsoidGeometry(3, 3, 5).getSurfaceArea(), prolate, 1e-6);
+    const e = 0.8;
+    const oblate = 2 * Math.PI * 5 * 5 * (1 + ((1 - e * e) / e) * Math.atanh(e));
+    assertNear(new EllipsoidGeometry(5, 5, 3).getSurfaceArea(), oblate, 1e-6);
+  });
+
+  it('keeps its arguments in parameters and survives JSON and clone', () => {
+    const geometry = new EllipsoidGeometry(1, 2, 3, -1, 2, { lengthUnit: 'cm', radialSegments: 12 });
+    const { tessellation, ...parameters } = geometry.parameters;
+    assert.deepEqual(parameters, { pxSemiAxis: 10, pySemiAxis: 20, pzSemiAxis: 30, pzBottomCut: -10, pzTopCut: 20 });
+    assert.deepEqual(tessellation, { radialSegments: 12 });
+    assertRoundTrip(geometry, EllipsoidGeometry);
+  });
+
+  it('rejects invalid semi-axes and cuts', () => {
+    assert.throws(() => new EllipsoidGeometry(0, 2, 3), RangeError);
+    assert.throws(() => new EllipsoidGeometry(1, -2, 3), RangeError);
+    assert.throws(() => new EllipsoidGeometry(1, 2, NaN), RangeError);
+    assert.throws(() => new EllipsoidGeometry(1, 2, 3, 3, 4), RangeError);
+    assert.throws(() => new EllipsoidGeometry(1, 2, 3, -5, -3), RangeError);
+    assert.throws(() => new EllipsoidGeometry(1, 2, 3, 1, -1), RangeError);
+  });
+});
+
+describe('EllipticalTubeGeometry', () => {
+  const cases = [
+    [5, 5, 10],
+    [5, 2, 10],
+    [1, 8, 0.5],
+  ];
+
+  cases.forEach((args) => {
+    const [Dx, Dy, Dz] = args;
+
+    it(`puts its vertices on the wall and the ends for (${args.join(', ')})`, () => {
+      const geometry = new EllipticalTubeGeometry(...args);
+      assertVertices(geometry, (x, y, z) => {
+        const level = (x / Dx) ** 2 + (y / Dy) ** 2;
+        const onEnd = Math.abs(Math.abs(z) - Dz) < 1e-4 && level <= 1 + 1e-5;
+        return Math.abs(z) <= Dz + 1e-4 && (Math.abs(level - 1) < 1e-5 || onEnd);
+      });
+    });
+
+    it(`is closed and measured in closed form for (${args.join(', ')})`, () => {
+      const geometry = new EllipticalTubeGeometry(...args, { chordTolerance: 1e-3 });
+      const volume = 2 * Math.PI * Dx * Dy * Dz;
+      const perimeter = simpson((t) => Math.hypot(Dx * Math.sin(t), Dy * Math.cos(t)), 0, 2 * Math.PI);
+      assertNear(geometry.getCubicVolume(), volume);
+      assertNear(geometry.getSurfaceArea(), 2 * Math.PI * Dx * Dy + 2 * Dz * perimeter, 1e-6);
+      assertClosedMesh(geometry, volume, { inscribed: true });
+    });
+  });
+
+  it('matches TubsGeometry for equal semi-axes', () => {
+    const tube = new EllipticalTubeGeometry(4, 4, 6);
+    const tubs = new TubsGeometry(0, 4, 6);
+    assertNear(tube.getCubicVolume(), tubs.getCubicVolume());
+    assertNear(tube.getSurfaceArea(), tubs.getSurfaceArea());
+  });
+
+  it('keeps its arguments in parameters and survives JSON and clone', () => {
+    const geometry = new EllipticalTubeGeometry(1, 2, 3, { lengthUnit: 'cm', radialSegments: 16 });
+    const { tessellation, ...parameters } = geometry.parameters;
+    assert.deepEqual(parameters, { Dx: 10, Dy: 20, Dz: 30 });
+    assert.deepEqual(tessellation, { radialSegments: 16 });
+    assertRoundTrip(geometry, EllipticalTubeGeometry);
+  });
+
+  it('rejects invalid dimensions', () => {
+    assert.throws(() => new EllipticalTubeGeometry(0, 2, 3), RangeError);
+    assert.throws(() => new EllipticalTubeGeometry(1, -2, 3), RangeError);
+    assert.throws(() => new EllipticalTubeGeometry(1, 2, NaN), RangeError);
+  });
+});
+
+describe('EllipticalConeGeometry', () => {
+  // Slopes, apex height, given cut and the cut it makes
+  const cases = [
+    [[0.5, 0.5, 20, 10], 10],
+    [[0.4, 0.8, 20, 10], 10],
+    [[1, 0.25, 5, 8], 5],
+  ];
+
+  cases.forEach(([args, zCut]) => {
+    const [a, b, h] = args;
+
+    it(`puts its vertices on the lateral surface and the cuts for (${args.join(', ')})`, () => {
+      const geometry = new EllipticalConeGeometry(...args);
+      assertVertices(geometry, (x, y, z) => {
+        const level = Math.hypot(x / a, y / b);
+        const onCut = Math.abs(Math.abs(z) - zCut) < 1e-4 && level <= h - z + 1e-4;
+        return Math.abs(z) <= zCut + 1e-4 && (Math.abs(level - (h - z)) < 1e-4 || onCut);
+      });
+    });
+
+    it(`is closed and measured in closed form for (${args.join(', ')})`, () => {
+      const geometry = new EllipticalConeGeometry(...args, { chordTolerance: 1e-3 });
+      const volume = (Math.PI * a * b * ((h + zCut) ** 3 - (h - zCut) ** 3)) / 3;
+      assertNear(geometry.getCubicVolume(), volume);
+      assertClosedMesh(geometry, volume, { inscribed: true });
+    });
+  });
+
+  it('measures the area of circular cones in closed form', () => {
+    // Radii 0.5 * 30 and 0.5 * 10 at the cuts, over a slant of 20 * sqrt(1 + 0.25)
+    const [bottom, top] = [15, 5];
+    const area = Math.PI * (bottom + top) * Math.hypot(bottom - top, 20) + Math.PI * (bottom ** 2 + top ** 2);
+    assertNear(new EllipticalConeGeometry(0.5, 0.5, 20, 10).getSurfaceArea(), area, 1e-6);
+  });
+
+  it('keeps its slopes dimensionless and survives JSON and clone', () => {
+    const geometry = new EllipticalConeGeometry(0.5, 0.25, 2, 1, { lengthUnit: 'cm', radialSegments: 16 });
+    const { tessellation, ...parameters } = geometry.parameters;
+    assert.deepEqual(parameters, { xSemiAxis: 0.5, ySemiAxis: 0.25, zheight: 20, pzTopCut: 10 });
+    assert.deepEqual(tessellation, { radialSegments: 16 });
+    assertRoundTrip(geometry, EllipticalConeGeometry);
+  });
+
+  it('rejects invalid dimensions', () => {
+    assert.throws(() => new EllipticalConeGeometry(0, 1, 2, 1), RangeError);
+    assert.throws(() => new EllipticalConeGeometry(1, -1, 2, 1), RangeError);
+    assert.throws(() => new EllipticalConeGeometry(1, 1, 0, 1), RangeError);
+    assert.throws(() => new EllipticalConeGeometry(1, 1, 2, 0), RangeError);
+    assert.throws(() => new EllipticalConeGeometry(1, 1, 2, NaN), RangeError);
+  });
+});
+
+describe('ParaboloidGeometry', () => {
+  const cases = [
+    [10, 0, 5],
+    [10, 3, 8],
+    [2, 10, 12],
+  ];
+
+  cases.forEach((args) => {
+    const [dz, rlo, rhi] = args;
+    const k1 = (rhi ** 2 - rlo ** 2) / (2 * dz);
+    const k2 = (rhi ** 2 + rlo ** 2) / 2;
+
+    it(`puts its vertices on the parabola and the ends for (${args.join(', ')})`, () => {
+      const geometry = new ParaboloidGeometry(...args);
+      assertVertices(geometry, (x, y, z) => {
+        const r = Math.hypot(x, y);
+        const onSide = Math.abs(Math.sqrt(k1 * z + k2) - r) < 1e-4;
+        const onEnd = (Math.abs(z + dz) < 1e-4 && r <= rlo + 1e-4) || (Math.abs(z - dz) < 1e-4 && r <= rhi + 1e-4);
+        return Math.abs(z) <= dz + 1e-4 && (onSide || onEnd);
+      });
+    });
+
+    it(`is closed and measured in closed form for (${args.join(', ')})`, () => {
+      const geometry = new ParaboloidGeometry(...args, { chordTolerance: 1e-3 });
+      const volume = Math.PI * dz * (rhi ** 2 + rlo ** 2);
+      // Integrated in r, where z = (r^2 - k2) / k1 is smooth down to the tip
+      const side = simpson((s) => 2 * Math.PI * s * Math.hypot(1, (2 * s) / k1), rlo, rhi);
+      assertNear(geometry.getCubicVolume(), volume);
+      assertNear(geometry.getSurfaceArea(), Math.PI * (rlo ** 2 + rhi ** 2) + side, 1e-6);
+      assertClosedMesh(geometry, volume, { inscribed: true });
+    });
+  });
+
+  it('keeps its arguments in parameters and survives JSON and clone', () => {
+    const geometry = new ParaboloidGeometry(1, 0.5, 2, { lengthUnit: 'cm', radialSegments: 16 });
+    const { tessellation, ...parameters } = geometry.parameters;
+    assert.deepEqual(parameters, { dz: 10, rlo: 5, rhi: 20 });
+    assert.deepEqual(tessellation, { radialSegments: 16 });
+    assertRoundTrip(geometry, ParaboloidGeometry);
+  });
+
+  it('rejects invalid dimensions', () => {
+    assert.throws(() => new ParaboloidGeometry(0, 1, 2), RangeError);
+    assert.throws(() => new ParaboloidGeometry(1, -1, 2), RangeError);
+    assert.throws(() => new ParaboloidGeometry(1, 2, 2), RangeError);
+    assert.throws(() => new ParaboloidGeometry(1, 3, 2), RangeError);
+    assert.throws(() => new ParaboloidGeometry(1, 0, NaN), RangeError);
+  });
+});
+
+describe('HypeGeometry', () => {
+  const cases = [
+    [0, 5, 0, 30, 10],
+    [2, 8, 30, 20, 10],
+    [3, 6, -20, -40, 5],
+    [4, 5, 0, 0, 3],
+  ];
+
+  cases.forEach((args) => {
+    const [rIn, rOut, stereoIn, stereoOut, h] = args;
+    const tanIn2 = Math.tan(stereoIn * DEG) ** 2;
+    const tanOut2 = Math.tan(stereoOut * DEG) ** 2;
+
+    it(`puts its vertices on the hyperboloids for (${args.join(', ')})`, () => {
+      const geometry = new HypeGeometry(...args);
+      assertVertices(geometry, (x, y, z) => {
+        const r = Math.hypot(x, y);
+        const onHyperboloid = (radius, tan2) => Math.abs(Math.sqrt(radius ** 2 + tan2 * z * z) - r) < 1e-4;
+        return Math.abs(z) <= h + 1e-4 && (onHyperboloid(rOut, tanOut2) || onHyperboloid(rIn, tanIn2));
+      });
+    });
+
+    it(`is closed and measured in closed form for (${args.join(', ')})`, () => {
+      const geometry = new HypeGeometry(...args, { chordTolerance: 1e-3 });
+      const volume = 2 * Math.PI * h * (rOut ** 2 - rIn ** 2 + ((tanOut2 - tanIn2) * h * h) / 3);
+      const lateral = (radius, tan2) =>
+        revolvedArea(
+          (z) => Math.sqrt(radius ** 2 + tan2 * z * z),
+          (z) => (tan2 * z) / (Math.sqrt(radius ** 2 + tan2 * z * z) || 1),
+          -h,
+          h
+        );
+      const ends = 2 * Math.PI * (rOut ** 2 - rIn ** 2 + (tanOut2 - tanIn2) * h * h);
+      assertNear(geometry.getCubicVolume(), volume);
+      assertNear(geometry.getSurfaceArea(), ends + lateral(rOut, tanOut2) + lateral(rIn, tanIn2), 1e-6);
+      assertClosedMesh(geometry, volume);
+    });
+  });
+
+  it('matches TubsGeometry without stereo angles', () => {
+    const hype = new HypeGeometry(4, 5, 0, 0, 3);
+    const tubs = new TubsGeometry(4, 5, 3);
+    assertNear(hype.getCubicVolume(), tubs.getCubicVolume());
+    assertNear(hype.getSurfaceArea(), tubs.getSurfaceArea());
+  });
+
+  it('keeps its arguments in parameters and survives JSON and clone', () => {
+    const geometry = new HypeGeometry(0.2, 0.8, 0, Math.PI / 6, 1, { lengthUnit: 'cm', angleUnit: 'rad', radialSegments: 16 });
+    const { tessellation, ...parameters } = geometry.parameters;
+    assert.deepEqual(Object.keys(parameters), ['innerRadius', 'outerRadius', 'innerStereo', 'outerStereo', 'halfLenZ']);
+    assertNear(parameters.outerRadius, 8);
+    assertNear(parameters.outerStereo, 30);
+    assert.deepEqual(tessellation, { radialSegments: 16 });
+    assertRoundTrip(geometry, HypeGeometry);
+  });
+
+  it('rejects invalid radii, lengths and stereo angles', () => {
+    assert.throws(() => new HypeGeometry(1, 4, 0, 0, 0), RangeError);
+    assert.throws(() => new HypeGeometry(1, 4, 0, 0, NaN), RangeError);
+    assert.throws(() => new HypeGeometry(-1, 4, 0, 0, 5), RangeError);
+    assert.throws(() => new HypeGeometry(4, 4, 0, 0, 5), RangeError);
+    assert.throws(() => new HypeGeometry(5, 6, 40, 10, 10), RangeError);
+  });
+});
+
+// Check that fromJSON and clone give back the same solid
+function assertRoundTrip(geometry, GeometryClass) {
+  const restored = GeometryClass.fromJSON(JSON.parse(JSON.stringify(geometry.toJSON())));
+  const clone = geometry.clone();
+  [restored, clone].forEach((copy) => {
+    assert.ok(copy instanceof GeometryClass);
+    assert.deepEqual(copy.parameters, geometry.parameters);
+    assert.deepEqual(Array.from(copy.attributes.position.array), Array.from(geometry.attributes.position.array));
+  });
+}
@@ -0,0 +1,266 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { TrdGeometry, TrapGeometry, ParaGeometry, GenericTrapGeometry } from '../src/index.js';
+import { enclosedVolume, openEdgeCount } from './helpers/mesh.js';
+
+const DEG = Math.PI / 180;
+
+function assertNear(actual, expected, tolerance = 1e-9) {
+  assert.ok(Math.abs(actual - expected) <= tolerance * Math.max(1, Math.abs(expected)), `${actual} is not close to ${expected}`);
+}
+
+// getVertices() against reference points, in order
+function assertVertices(geometry, expected) {
+  const vertices = geometry.getVertices().map((v) => v.toArray());
+  assert.equal(vertices.length, expected.length);
+  vertices.forEach((vertex, i) => {
+    vertex.forEach((value, k) => assert.ok(Math.abs(value - expected[i][k]) < 1e-6, `vertex ${i}: ${vertex} against ${expected[i]}`));
+  });
+}
+
+// The mesh has a vertex at each corner and none elsewhere
+function assertMeshCorners(geometry) {
+  const corners = geometry.getVertices();
+  const position = geometry.attributes.position;
+  const used = new Set();
+  for (let i = 0; i < position.count; i++) {
+    const corner = corners.findIndex((c) => Math.hypot(c.x - position.getX(i), c.y - position.getY(i), c.z - position.getZ(i)) < 1e-4);
+    assert.ok(corner >= 0, `vertex ${i} is not a corner`);
+    used.add(corner);
+  }
+  assert.equal(used.size, new Set(corners.map((c) => c.toArray().join())).size);
+}
+
+// Area of a planar quadrangle from its diagonals
+function quadArea(a, b, c, d) {
+  return c.clone().sub(a).cross(d.clone().sub(b)).length() / 2;
+}
+
+// Faces of a hexahedron in the vertex order of G4Trap::GetVertices
+function hexahedronArea(pt) {
+  return [
+    [0, 2, 3, 1],
+    [4, 5, 7, 6],
+    [0, 1, 5, 4],
+    [2, 6, 7, 3],
+    [0, 4, 6, 2],
+    [1, 3, 7, 5],
+  ].reduce((sum, [a, b, c, d]) => sum + quadArea(pt[a], pt[b], pt[c], pt[d]), 0);
+}
+
+describe('TrdGeometry', () => {
+  // G4Trd("Trd", 30, 10, 40, 15, 60) of the Geant4 guide
+  const trd = new TrdGeometry(30, 10, 40, 15, 60);
+
+  it('has the vertices of G4Trd', () => {
+    assertVertices(trd, [
+      [-30, -40, -60],
+      [30, -40, -60],
+      [-30, 40, -60],
+      [30, 40, -60],
+      [-10, -15, 60],
+      [10, -15, 60],
+      [-10, 15, 60],
+      [10, 15, 60],
+    ]);
+    assertMeshCorners(trd);
+  });
+
+  it('is closed and measured as G4Trd', () => {
+    const [dx1, dx2, dy1, dy2, dz] = [30, 10, 40, 15, 60];
+    const volume = 2 * dz * ((dx1 + dx2) * (dy1 + dy2) + ((dx2 - dx1) * (dy2 - dy1)) / 3);
+    const area =
+      4 * (dx1 * dy1 + dx2 * dy2) + 2 * (dy1 + dy2) * Math.hypot(dx1 - dx2, 2 * dz) + 2 * (dx1 + dx2) * Math.hypot(dy1 - dy2, 2 * dz);
+    assert.equal(openEdgeCount(trd), 0);
+    assertNear(trd.getCubicVolume(), volume);
+    assertNear(trd.getSurfaceArea(), area);
+    assertNear(enclosedVolume(trd), volume, 1e-6);
+  });
+
+  it('narrows to a wedge or a pyramid', () => {
+    const wedge = new TrdGeometry(10, 0, 10, 10, 10);
+    assert.equal(openEdgeCount(wedge), 0);
+    assertNear(wedge.getCubicVolume(), 0.5 * 20 * 20 * 20);
+    const pyramid = new TrdGeometry(10, 0, 10, 0, 15);
+    assert.equal(openEdgeCount(pyramid), 0);
+    assertNear(pyramid.getCubicVolume(), (20 * 20 * 30) / 3);
+    assertNear(enclosedVolume(pyramid), pyramid.getCubicVolume(), 1e-6);
+  });
+
+  it('survives JSON and clone', () => {
+    const restored = TrdGeometry.fromJSON(JSON.parse(JSON.stringify(trd.toJSON())));
+    [restored, trd.clone()].forEach((copy) => {
+      assert.deepEqual(copy.parameters, { pdx1: 30, pdx2: 10, pdy1: 40, pdy2: 15, pdz: 60 });
+      assertVertices(copy, trd.getVertices().map((v) => v.toArray()));
+    });
+  });
+
+  it('rejects invalid dimensions', () => {
+    assert.throws(() => new TrdGeometry(-1, 10, 10, 10, 10), RangeError);
+    assert.throws(() => new TrdGeometry(10, 10, 10, 10, 0), RangeError);
+    assert.throws(() => new TrdGeometry(0, 0, 10, 10, 10), RangeError);
+    assert.throws(() => new TrdGeometry(10, 10, 0, 0, 10), RangeError);
+    assert.throws(() => new TrdGeometry(10, NaN, 10, 10, 10), RangeError);
+  });
+});
+
+describe('TrapGeometry', () => {
+  // G4Trap("Trap", 60, 20*deg, 5*deg, 40, 30, 40, 10*deg, 16, 10, 14, 10*deg)
+  // of the Geant4 guide, with the vertices of G4Trap::GetVertices
+  const args = [60, 20, 5, 40, 30, 40, 10, 16, 10, 14, 10];
+  const trap = new TrapGeometry(...args);
+  const reference = [
+    [-58.808192, -41.903326, -60],
+    [1.191808, -41.903326, -60],
+    [-54.702034, 38.096674, -60],
+    [25.297966, 38.096674, -60],
+    [8.933881, -14.096674, 60],
+    [28.933881, -14.096674, 60],
+    [10.576345, 17.903326, 60],
+    [38.576345, 17.903326, 60],
+  ];
+
+  it('has the vertices of G4Trap', () => {
+    assertVertices(trap, reference);
+    assertMeshCorners(trap);
+  });
+
+  it('is closed and measured as G4Trap', () => {
+    const [dz, , , dy1, dx1, dx2, , dy2, dx3, dx4] = args;
+    const volume = dz * ((dx1 + dx2 + dx3 + dx4) * (dy1 + dy2) + ((dx4 + dx3 - dx2 - dx1) * (dy2 - dy1)) / 3);
+    assert.equal(openEdgeCount(trap), 0);
+    assertNear(trap.getCubicVolume(), volume);
+    assertNear(trap.getSurfaceArea(), hexahedronArea(trap.getVertices()));
+    assertNear(enclosedVolume(trap), volume, 1e-6);
+  });
+
+  it('takes its angles in radians with the angle unit', () => {
+    const inRadians = args.map((value, i) => ([1, 2, 6, 10].includes(i) ? value * DEG : value));
+    assertVertices(new TrapGeometry(...inRadians, { angleUnit: 'rad' }), reference);
+    const inCm = new TrapGeometry(...args.map((value, i) => ([1, 2, 6, 10].includes(i) ? value : value / 10)), { lengthUnit: 'cm' });
+    assertVertices(inCm, reference);
+  });
+
+  it('survives JSON and clone', () => {
+    const restored = TrapGeometry.fromJSON(JSON.parse(JSON.stringify(trap.toJSON())));
+    [restored, trap.clone()].forEach((copy) => {
+      assert.deepEqual(copy.parameters, trap.parameters);
+      assertVertices(copy, reference);
+    });
+  });
+
+  it('rejects invalid dimensions and twisted side faces', () => {
+    assert.throws(() => new TrapGeometry(0, 0, 0, 5, 5, 5, 0, 5, 5, 5, 0), RangeError);
+    assert.throws(() => new TrapGeometry(10, 0, 0, 5, -5, 5, 0, 5, 5, 5, 0), RangeError);
+    assert.throws(() => new TrapGeometry(10, 0, 0, 5, 5, 5, 0, 5, 10, 3, 0), /not planar/);
+    assert.throws(() => new TrapGeometry(10, 0, 0, 5, 5, 5, 0, 5, 5, 5, 20), /not planar/);
+  });
+});
+
+describe('ParaGeometry', () => {
+  // G4Para("Para", 30, 40, 60, 10*deg, 30*deg, 0) of the Geant4 guide,
+  // with the vertices of G4Para::GetVertices
+  const para = new ParaGeometry(30, 40, 60, 10, 30, 0);
+
+  it('has the vertices of G4Para', () => {
+    assertVertices(para, [
+      [-71.694095, -40, -60],
+      [-11.694095, -40, -60],
+      [-57.587937, 40, -60],
+      [2.412063, 40, -60],
+      [-2.412063, -40, 60],
+      [57.587937, -40, 60],
+      [11.694095, 40, 60],
+      [71.694095, 40, 60],
+    ]);
+    assertMeshCorners(para);
+  });
+
+  it('is closed and measured as G4Para', () => {
+    const [dx, dy, dz, alpha, theta, phi] = [30, 40, 60, 10 * DEG, 30 * DEG, 0];
+    const vy = [dy * Math.tan(alpha), dy, 0];
+    const vz = [dz * Math.tan(theta) * Math.cos(phi), dz * Math.tan(theta) * Math.sin(phi), dz];
+    const sxz = dx * Math.hypot(vz[1], vz[2]);
+    const syz = Math.hypot(vy[1] * vz[2] - vy[2] * vz[1], vy[2] * vz[0] - vy[0] * vz[2], vy[0] * vz[1] - vy[1] * vz[0]);
+    assert.equal(openEdgeCount(para), 0);
+    assertNear(para.getCubicVolume(), 8 * dx * dy * dz);
+    assertNear(para.getSurfaceArea(), 8 * (dx * dy + sxz + syz));
+    assertNear(enclosedVolume(para), 8 * dx * dy * dz, 1e-6);
+  });
+
+  it('survives JSON and clone', () => {
+    const restored = ParaGeometry.fromJSON(JSON.parse(JSON.stringify(para.toJSON())));
+    [restored, para.clone()].forEach((copy) => {
+      assert.deepEqual(copy.parameters, para.parameters);
+      assertVertices(copy, para.getVertices().map((v) => v.toArray()));
+    });
+  });
+
+  it('rejects invalid dimensions', () => {
+    assert.throws(() => new ParaGeometry(0, 1, 1), RangeError);
+    assert.throws(() => new ParaGeometry(1, -1, 1), RangeError);
+    assert.throws(() => new ParaGeometry(1, 1, NaN), RangeError);
+  });
+});
+
+describe('GenericTrapGeometry', () => {
+  const twisted = [[-30, -30], [-30, 30], [30, 30], [30, -30], [-5, -20], [-20, 20], [20, 20], [20, -20]];
+
+  // G4GenericTrap::GetCubicVolume, from the diagonals of the end faces
+  function g4Volume(pt, dz) {
+    const diagonal = (i, j) => [pt[j].x - pt[i].x, pt[j].y - pt[i].y];
+    const cross = (u, v) => u[0] * v[1] - u[1] * v[0];
+    const [a, b, c, d] = [diagonal(1, 3), diagonal(0, 2), diagonal(5, 7), diagonal(4, 6)];
+    return Math.abs(((cross(a, b) + cross(c, d)) / 3 + (cross(a, d) + cross(c, b)) / 6) * dz);
+  }
+
+  it('keeps clockwise vertices and reorders anticlockwise ones, as G4GenericTrap', () => {
+    const trap = new GenericTrapGeometry(75, twisted);
+    assertVertices(trap, twisted.map(([x, y], i) => [x, y, i < 4 ? -75 : 75]));
+    const anticlockwise = [0, 3, 2, 1, 4, 7, 6, 5].map((i) => twisted[i]);
+    assertVertices(new GenericTrapGeometry(75, anticlockwise), trap.getVertices().map((v) => v.toArray()));
+  });
+
+  it('is closed and measured as G4GenericTrap', () => {
+    const trap = new GenericTrapGeometry(75, twisted);
+    assert.ok(trap.isTwisted());
+    assert.equal(openEdgeCount(trap), 0);
+    assertNear(trap.getCubicVolume(), g4Volume(trap.getVertices(), 75));
+    // The sliced twisted faces converge on the bilinear surfaces
+    const coarse = Math.abs(enclosedVolume(trap) - trap.getCubicVolume());
+    const fine = Math.abs(enclosedVolume(new GenericTrapGeometry(75, twisted, { heightSegments: 64 })) - trap.getCubicVolume());
+    assert.ok(coarse < 0.005 * trap.getCubicVolume());
+    assert.ok(fine < coarse / 3, `${fine} against ${coarse}`);
+  });
+
+  it('builds flat solids from their corners', () => {
+    // The Trd of the Geant4 guide, and a tetrahedron from coincident vertices
+    const trd = new GenericTrapGeometry(60, [[-30, -40], [-30, 40], [30, 40], [30, -40], [-10, -15], [-10, 15], [10, 15], [10, -15]]);
+    assert.equal(trd.isTwisted(), false);
+    assertMeshCorners(trd);
+    assertNear(trd.getCubicVolume(), new TrdGeometry(30, 10, 40, 15, 60).getCubicVolume());
+    assertNear(trd.getSurfaceArea(), new TrdGeometry(30, 10, 40, 15, 60).getSurfaceArea());
+
+    const tetrahedron = new GenericTrapGeometry(5, [[0, 0], [0, 10], [10, 0], [10, 0], [0, 0], [0, 0], [0, 0], [0, 0]]);
+    assert.equal(openEdgeCount(tetrahedron), 0);
+    assertNear(tetrahedron.getCubicVolume(), (50 * 10) / 3);
+    assertNear(enclosedVolume(tetrahedron), tetrahedron.getCubicVolume(), 1e-6);
+    assert.equal(g4Volume(tetrahedron.getVertices(), 5).toFixed(6), tetrahedron.getCubicVolume().toFixed(6));
+  });
+
+  it('survives JSON and clone', () => {
+    const trap = new GenericTrapGeometry(75, twisted, { heightSegments: 8 });
+    const restored = GenericTrapGeometry.fromJSON(JSON.parse(JSON.stringify(trap.toJSON())));
+    [restored, trap.clone()].forEach((copy) => {
+      assert.deepEqual(copy.parameters, trap.parameters);
+      assert.deepEqual(Array.from(copy.attributes.position.array), Array.from(trap.attributes.position.array));
+    });
+  });
+
+  it('rejects invalid lengths and vertices', () => {
+    assert.throws(() => new GenericTrapGeometry(0, twisted), RangeError);
+    assert.throws(() => new GenericTrapGeometry(10, twisted.slice(0, 7)), RangeError);
+    assert.throws(() => new GenericTrapGeometry(10, twisted.map(() => [1, 1])), /enclose no volume/);
+    assert.throws(() => new GenericTrapGeometry(10, twisted.map(([x]) => [x, 0])), /enclose no volume/);
+  });
+});
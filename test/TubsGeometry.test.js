@@ -0,0 +1,188 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { TubsGeometry, ConsGeometry, UNITS } from '../src/index.js';
+import { enclosedVolume, openEdgeCount } from './helpers/mesh.js';
+
+const DEG = Math.PI / 180;
+
+function assertNear(actual, expected, tolerance = 1e-9) {
+  assert.ok(Math.abs(actual - expected) <= tolerance * Math.max(1, Math.abs(expected)), `${actual} is not close to ${expected}`);
+}
+
+/**
+ * Check that every vertex lies on the inner or outer wall of a cone
+ * section, between its end planes and within its phi segment.
+ */
+function assertOnConeSection(geometry, { rMin1, rMax1, rMin2, rMax2, dz, sPhi = 0, dPhi = 360 }) {
+  const position = geometry.attributes.position;
+  for (let i = 0; i < position.count; i++) {
+    const [x, y, z] = [position.getX(i), position.getY(i), position.getZ(i)];
+    const t = (z + dz) / (2 * dz);
+    const r = Math.hypot(x, y);
+    const inner = rMin1 + (rMin2 - rMin1) * t;
+    const outer = rMax1 + (rMax2 - rMax1) * t;
+    assert.ok(Math.abs(z) <= dz + 1e-4, `vertex ${i} at z = ${z}`);
+    assert.ok(Math.abs(r - inner) < 1e-4 || Math.abs(r - outer) < 1e-4, `vertex ${i} at r = ${r}`);
+    if (dPhi < 360 && r > 1e-4) {
+      const phi = (((Math.atan2(y, x) / DEG - sPhi) % 360) + 360) % 360;
+      assert.ok(phi <= dPhi + 1e-3 || phi >= 360 - 1e-3, `vertex ${i} at phi = ${phi}`);
+    }
+  }
+}
+
+// Whether the mesh has a vertex at (x, y, z)
+function hasVertex(geometry, x, y, z) {
+  const position = geometry.attributes.position;
+  for (let i = 0; i < position.count; i++) {
+    if (Math.hypot(position.getX(i) - x, position.getY(i) - y, position.getZ(i) - z) < 1e-4) return true;
+  }
+  return false;
+}
+
+// G4Cons::GetCubicVolume and GetSurfaceArea, angles in degrees
+function g4ConsVolume(rMin1, rMax1, rMin2, rMax2, dz, dPhi) {
+  const outer = rMax1 * rMax1 + rMax2 * rMax2 + rMax1 * rMax2;
+  const inner = rMin1 * rMin1 + rMin2 * rMin2 + rMin1 * rMin2;
+  return (Math.min(dPhi, 360) * DEG * dz * (outer - inner)) / 3;
+}
+
+function g4ConsArea(rMin1, rMax1, rMin2, rMax2, dz, dPhi) {
+  const mMin = (rMin1 + rMin2) / 2;
+  const mMax = (rMax1 + rMax2) / 2;
+  const walls = mMin * Math.hypot(rMin2 - rMin1, 2 * dz) + mMax * Math.hypot(rMax2 - rMax1, 2 * dz);
+  const caps = (rMax1 * rMax1 - rMin1 * rMin1 + rMax2 * rMax2 - rMin2 * rMin2) / 2;
+  const area = Math.min(dPhi, 360) * DEG * (walls + caps);
+  return dPhi >= 360 ? area : area + 4 * dz * (mMax - mMin);
+}
+
+describe('TubsGeometry', () => {
+  const cases = [
+    [0, 10, 20, 0, 360],
+    [5, 10, 20, 0, 360],
+    [5, 10, 20, 30, 90],
+    [0, 10, 20, -45, 270],
+    [2, 3, 0.5, 350, 40],
+  ];
+
+  cases.forEach((args) => {
+    const [pRMin, pRMax, pDz, pSPhi, pDPhi] = args;
+
+    it(`puts its vertices on the walls and the cuts for (${args.join(', ')})`, () => {
+      const geometry = new TubsGeometry(...args);
+      assertOnConeSection(geometry, { rMin1: pRMin, rMax1: pRMax, rMin2: pRMin, rMax2: pRMax, dz: pDz, sPhi: pSPhi, dPhi: pDPhi });
+      const corner = (r, phi, z) => hasVertex(geometry, r * Math.cos(phi * DEG), r * Math.sin(phi * DEG), z);
+      [-pDz, pDz].forEach((z) => {
+        assert.ok(corner(pRMax, pSPhi, z));
+        if (pDPhi < 360) assert.ok(corner(pRMax, pSPhi + pDPhi, z));
+        if (pRMin > 0) assert.ok(corner(pRMin, pSPhi, z));
+      });
+    });
+
+    it(`is closed and measured in closed form for (${args.join(', ')})`, () => {
+      const geometry = new TubsGeometry(...args, { chordTolerance: 1e-3 });
+      assert.equal(openEdgeCount(geometry), 0);
+      const volume = Math.min(pDPhi, 360) * DEG * pDz * (pRMax ** 2 - pRMin ** 2);
+      const walls = Math.min(pDPhi, 360) * DEG * (pRMin + pRMax) * (2 * pDz + pRMax - pRMin);
+      assertNear(geometry.getCubicVolume(), volume);
+      assertNear(geometry.getSurfaceArea(), pDPhi < 360 ? walls + 4 * pDz * (pRMax - pRMin) : walls);
+      const enclosed = enclosedVolume(geometry);
+      assert.ok(enclosed <= volume * (1 + 1e-9));
+      assertNear(enclosed, volume, 1e-3);
+    });
+  });
+
+  it('keeps its arguments in parameters, in millimeters and degrees', () => {
+    const geometry = new TubsGeometry(1, 2, 3, -30, 400);
+    assert.deepEqual(geometry.parameters, { pRMin: 1, pRMax: 2, pDz: 3, pSPhi: -30, pDPhi: 400 });
+    const inCm = new TubsGeometry(1, 2, 3, 0, Math.PI, { lengthUnit: 'cm', angleUnit: 'rad' });
+    assertNear(inCm.parameters.pRMax, 20);
+    assertNear(inCm.parameters.pDPhi, 180);
+    assertNear(inCm.getCubicVolume(), new TubsGeometry(10, 20, 30, 0, 180).getCubicVolume());
+    assertNear(new TubsGeometry(1, 2, 3, 0, 360, { lengthUnit: UNITS.m }).parameters.pDz, 3000);
+  });
+
+  it('survives JSON and clone', () => {
+    const geometry = new TubsGeometry(2, 5, 7, 20, 100, { radialSegments: 12 });
+    const restored = TubsGeometry.fromJSON(JSON.parse(JSON.stringify(geometry.toJSON())));
+    const clone = geometry.clone();
+    [restored, clone].forEach((copy) => {
+      assert.ok(copy instanceof TubsGeometry);
+      assert.deepEqual(copy.parameters, geometry.parameters);
+      assert.deepEqual(Array.from(copy.attributes.position.array), Array.from(geometry.attributes.position.array));
+    });
+  });
+
+  it('rejects invalid radii, lengths and angles', () => {
+    assert.throws(() => new TubsGeometry(10, 5, 1), RangeError);
+    assert.throws(() => new TubsGeometry(5, 5, 1), RangeError);
+    assert.throws(() => new TubsGeometry(-1, 5, 1), RangeError);
+    assert.throws(() => new TubsGeometry(0, NaN, 1), RangeError);
+    assert.throws(() => new TubsGeometry(0, 5, 0), RangeError);
+    assert.throws(() => new TubsGeometry(0, 5, 1, 0, 0), RangeError);
+    assert.throws(() => new TubsGeometry(0, 5, 1, 0, -90), RangeError);
+  });
+});
+
+describe('ConsGeometry', () => {
+  const cases = [
+    [0, 10, 0, 5, 20, 0, 360],
+    [2, 8, 4, 12, 15, 10, 200],
+    [0, 10, 0, 0, 20, 0, 360],
+    [0, 0, 3, 6, 10, -30, 90],
+    [5, 6, 5, 6, 4, 0, 360],
+  ];
+
+  cases.forEach((args) => {
+    const [rMin1, rMax1, rMin2, rMax2, dz, sPhi, dPhi] = args;
+
+    it(`puts its vertices on the walls and the cuts for (${args.join(', ')})`, () => {
+      const geometry = new ConsGeometry(...args);
+      assertOnConeSection(geometry, { rMin1, rMax1, rMin2, rMax2, dz, sPhi, dPhi });
+      const corner = (r, phi, z) => hasVertex(geometry, r * Math.cos(phi * DEG), r * Math.sin(phi * DEG), z);
+      assert.ok(corner(rMax1, sPhi, -dz));
+      assert.ok(corner(rMax2, sPhi, dz));
+      if (dPhi < 360) assert.ok(corner(rMin2, sPhi + dPhi, dz));
+    });
+
+    it(`is closed and measured in closed form for (${args.join(', ')})`, () => {
+      const geometry = new ConsGeometry(...args, { chordTolerance: 1e-3 });
+      assert.equal(openEdgeCount(geometry), 0);
+      const volume = g4ConsVolume(rMin1, rMax1, rMin2, rMax2, dz, dPhi);
+      assertNear(geometry.getCubicVolume(), volume);
+      assertNear(geometry.getSurfaceArea(), g4ConsArea(rMin1, rMax1, rMin2, rMax2, dz, dPhi));
+      const enclosed = enclosedVolume(geometry);
+      assert.ok(enclosed <= volume * (1 + 1e-9));
+      assertNear(enclosed, volume, 1e-3);
+    });
+  });
+
+  it('matches TubsGeometry for equal radii at both ends', () => {
+    const cons = new ConsGeometry(3, 7, 3, 7, 5, 15, 120);
+    const tubs = new TubsGeometry(3, 7, 5, 15, 120);
+    assertNear(cons.getCubicVolume(), tubs.getCubicVolume());
+    assertNear(cons.getSurfaceArea(), tubs.getSurfaceArea());
+  });
+
+  it('keeps its arguments in parameters and survives JSON and clone', () => {
+    const geometry = new ConsGeometry(1, 4, 2, 6, 8, -20, 100, { radialSegments: 10 });
+    const { tessellation, ...parameters } = geometry.parameters;
+    assert.deepEqual(parameters, { pRmin1: 1, pRmax1: 4, pRmin2: 2, pRmax2: 6, pDz: 8, pSPhi: -20, pDPhi: 100 });
+    assert.deepEqual(tessellation, { radialSegments: 10 });
+    const restored = ConsGeometry.fromJSON(JSON.parse(JSON.stringify(geometry.toJSON())));
+    const clone = geometry.clone();
+    [restored, clone].forEach((copy) => {
+      assert.ok(copy instanceof ConsGeometry);
+      assert.deepEqual(copy.parameters, geometry.parameters);
+      assert.deepEqual(Array.from(copy.attributes.position.array), Array.from(geometry.attributes.position.array));
+    });
+  });
+
+  it('rejects invalid radii, lengths and angles', () => {
+    assert.throws(() => new ConsGeometry(6, 5, 0, 3, 5), RangeError);
+    assert.throws(() => new ConsGeometry(0, 5, 4, 3, 5), RangeError);
+    assert.throws(() => new ConsGeometry(-1, 5, 0, 3, 5), RangeError);
+    assert.throws(() => new ConsGeometry(2, 2, 3, 3, 5), RangeError);
+    assert.throws(() => new ConsGeometry(0, 5, 0, 3, 0), RangeError);
+    assert.throws(() => new ConsGeometry(0, 5, 0, 3, 5, 0, -10), RangeError);
+  });
+});
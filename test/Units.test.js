@@ -0,0 +1,121 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  BoxGeometry,
+  TubsGeometry,
+  SphereGeometry,
+  PolyconeGeometry,
+  GenericTrapGeometry,
+  UnionGeometry,
+  MultiUnionGeometry,
+  UNITS,
+  unitScales,
+  evaluate,
+} from '../src/index.js';
+
+function assertNear(actual, expected, tolerance = 1e-9) {
+  assert.ok(Math.abs(actual - expected) <= tolerance, `${actual} is not within ${tolerance} of ${expected}`);
+}
+
+describe('UNITS and evaluate', () => {
+  it('use the CLHEP internal units', () => {
+    assert.equal(UNITS.mm, 1);
+    assert.equal(UNITS.cm, 10);
+    assert.equal(UNITS.um, 1e-3);
+    assert.equal(UNITS.rad, 1);
+    assert.equal(UNITS.MeV, 1);
+    assert.equal(UNITS.GeV, 1000);
+    assert.equal(UNITS.ns, 1);
+    // The other units derive from those, as in CLHEP
+    const relative = (actual, expected) => assertNear(actual / expected, 1, 1e-12);
+    relative(UNITS.joule, 1e-6 / 1.602176634e-19);
+    relative(UNITS.kg, (UNITS.joule * UNITS.s ** 2) / UNITS.m ** 2);
+    relative(UNITS.g, 1e-3 * UNITS.kg);
+    relative(UNITS.atmosphere, (101325 * UNITS.newton) / UNITS.m2);
+    relative(UNITS.bar, 1e5 * UNITS.pascal);
+    relative(UNITS.tesla, 1e-3);
+    relative(UNITS.kilogauss, 1e-4);
+  });
+
+  it('know the physical constants of CLHEP', () => {
+    assertNear(UNITS.c_light, 299.792458);
+    assertNear(1 / UNITS.fine_structure_const, 137.036, 1e-3);
+    assertNear(UNITS.classic_electr_radius / UNITS.fermi, 2.81794, 1e-5);
+    assertNear((UNITS.amu * UNITS.Avogadro) / UNITS.g, 1, 1e-6);
+    assertNear(UNITS.STP_Pressure / UNITS.pascal, 101325, 1e-6);
+    assertNear(UNITS.kGasThreshold / (UNITS.mg / UNITS.cm3), 10);
+    // Loschmidt's number, per m3
+    assertNear(evaluate('STP_Pressure/(k_Boltzmann*STP_Temperature)*m3') / 1e25, 2.6868, 1e-4);
+  });
+
+  it('evaluates expressions with units and named constants', () => {
+    assert.equal(evaluate('2.5*cm'), 25);
+    assertNear(evaluate('pi/4*rad'), Math.PI / 4);
+    assert.equal(evaluate('halfZ - 3*mm', { halfZ: 20 }), 17);
+    assert.equal(evaluate('2*width', new Map([['width', 4]])), 8);
+    assertNear(evaluate('8.28*g/cm3') / (UNITS.g / UNITS.cm3), 8.28);
+    assert.equal(evaluate('1*GeV + 500*MeV'), 1500);
+    // Constants win over units of the same name
+    assert.equal(evaluate('m', { m: 3 }), 3);
+  });
+
+  it('rejects unknown names and malformed expressions', () => {
+    assert.throws(() => evaluate('3*furlong'), ReferenceError);
+    assert.throws(() => evaluate('alert(1)'), ReferenceError);
+    assert.throws(() => evaluate('2 +'), SyntaxError);
+    assert.throws(() => evaluate('(1'), SyntaxError);
+  });
+
+  it('gives scale factors to millimeters and degrees', () => {
+    assert.deepEqual(unitScales(), { length: 1, angle: 1 });
+    const { length, angle } = unitScales({ lengthUnit: 'cm', angleUnit: UNITS.rad });
+    assert.equal(length, 10);
+    assertNear(angle, 180 / Math.PI);
+    assert.throws(() => unitScales({ lengthUnit: 'furlong' }), RangeError);
+    assert.throws(() => unitScales({ angleUnit: -1 }), RangeError);
+  });
+});
+
+describe('Geometry units', () => {
+  it('take lengths and angles in the given units', () => {
+    const tubs = new TubsGeometry(0.5, 1, 2, 0, Math.PI, { lengthUnit: 'cm', angleUnit: 'rad' });
+    assert.deepEqual(
+      [tubs.parameters.pRMin, tubs.parameters.pRMax, tubs.parameters.pDz],
+      [5, 10, 20]
+    );
+    assertNear(tubs.parameters.pDPhi, 180);
+    assertNear(tubs.getCubicVolume(), new TubsGeometry(5, 10, 20, 0, 180).getCubicVolume());
+
+    const full = new SphereGeometry(0, 0.01, 0, Math.PI, 0, 2 * Math.PI, { lengthUnit: 'm', angleUnit: 'rad' });
+    assertNear(full.getCubicVolume(), (4 / 3) * Math.PI * 1000);
+
+    const box = new BoxGeometry(1, 2, 3, { lengthUnit: UNITS.cm });
+    box.computeBoundingBox();
+    assert.deepEqual(box.boundingBox.max.toArray(), [10, 20, 30]);
+    assert.deepEqual(box.clone().parameters, box.parameters);
+  });
+
+  it('convert arrays, vertices and placements', () => {
+    const polycone = new PolyconeGeometry(0, 2 * Math.PI, 2, [-1, 1], [0, 0], [1, 1], { lengthUnit: 'cm', angleUnit: 'rad' });
+    assert.deepEqual(polycone.parameters.zPlane, [-10, 10]);
+    assert.deepEqual(polycone.parameters.rOuter, [10, 10]);
+    const contour = new PolyconeGeometry(0, 360, 4, [0, 1, 1, 0], [-1, -1, 1, 1], { lengthUnit: 'cm' });
+    assert.deepEqual(contour.parameters.r, [0, 10, 10, 0]);
+    assertNear(contour.getCubicVolume(), polycone.getCubicVolume());
+
+    const square = [[-1, -1], [-1, 1], [1, 1], [1, -1]];
+    const trap = new GenericTrapGeometry(1, [...square, ...square], { lengthUnit: 'cm' });
+    assert.equal(trap.parameters.halfZ, 10);
+    assert.deepEqual(trap.parameters.vertices[1], [-10, 10]);
+
+    const union = new UnionGeometry(new BoxGeometry(), new BoxGeometry(), [Math.PI / 2, 0, 0], [1, 0, 0], undefined, undefined, {
+      lengthUnit: 'cm',
+      angleUnit: 'rad',
+    });
+    assert.deepEqual(union.parameters.translation, [10, 0, 0]);
+    assertNear(union.parameters.rotation[0], 90);
+
+    const multi = new MultiUnionGeometry([{ geometry: new BoxGeometry(), translation: [0, 0, 0.1] }], { lengthUnit: 'm' });
+    assert.deepEqual(multi.parameters.nodes[0].translation, [0, 0, 100]);
+  });
+});
@@ -0,0 +1,57 @@
+/**
+ * Mesh checks shared by the geometry tests.
+ */
+
+// Triangle corner indices, for indexed and non-indexed geometries alike.
+function triangleIndices(geometry) {
+  if (geometry.index) return geometry.index.array;
+  return Array.from({ length: geometry.attributes.position.count }, (_, i) => i);
+}
+
+/**
+ * Volume enclosed by a triangle mesh, by the divergence theorem.
+ */
+export function enclosedVolume(geometry) {
+  const pos = geometry.attributes.position.array;
+  const index = triangleIndices(geometry);
+  let volume = 0;
+  for (let t = 0; t < index.length; t += 3) {
+    const a = index[t] * 3;
+    const b = index[t + 1] * 3;
+    const c = index[t + 2] * 3;
+    volume +=
+      pos[a] * (pos[b + 1] * pos[c + 2] - pos[b + 2] * pos[c + 1]) -
+      pos[a + 1] * (pos[b] * pos[c + 2] - pos[b + 2] * pos[c]) +
+      pos[a + 2] * (pos[b] * pos[c + 1] - pos[b + 1] * pos[c]);
+  }
+  return volume / 6;
+}
+
+/**
+ * Number of directed edges, after welding vertices at `precision`, that are
+ * not matched by an opposite edge. Zero for a closed, consistently wound
+ * surface.
+ */
+export function openEdgeCount(geometry, precision = 1e-4) {
+  const pos = geometry.attributes.position.array;
+  const index = triangleIndices(geometry);
+  const key = (i) =>
+    [pos[i * 3], pos[i * 3 + 1], pos[i * 3 + 2]].map((v) => Math.round(v / precision)).join(',');
+  const edges = new Map();
+  for (let t = 0; t < index.length; t += 3) {
+    const keys = [key(index[t]), key(index[t + 1]), key(index[t + 2])];
+    for (let i = 0; i < 3; i++) {
+      const from = keys[i];
+      const to = keys[(i + 1) % 3];
+      if (from === to) continue;
+      const edge = `${from}|${to}`;
+      edges.set(edge, (edges.get(edge) || 0) + 1);
+    }
+  }
+  let open = 0;
+  edges.forEach((count, edge) => {
+    const [from, to] = edge.split('|');
+    if ((edges.get(`${to}|${from}`) || 0) !== count) open++;
+  });
+  return open;
+}